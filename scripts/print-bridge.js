@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Minimal stand-in for a local print bridge. The POS POSTs raw ESC/POS bytes
+// to /print; each job is saved under print-jobs/ and, when PRINTER_HOST is
+// set, forwarded to a network thermal printer on port 9100.
+//
+// It only listens on 127.0.0.1 and only answers the POS origin (ALLOWED_ORIGINS,
+// comma-separated, default the dev server on http://localhost:3000).
+//
+//   node scripts/print-bridge.js            # listen on :9101, save jobs only
+//   PRINTER_HOST=192.168.1.50 node scripts/print-bridge.js
+//   ALLOWED_ORIGINS=https://pos.example.com node scripts/print-bridge.js
+const http = require("http");
+const net = require("net");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.env.PORT || 9101);
+const HOST = process.env.HOST || "127.0.0.1";
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "http://localhost:3000")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+const MAX_JOB_BYTES = Number(process.env.MAX_JOB_BYTES || 1024 * 1024);
+const PRINTER_HOST = process.env.PRINTER_HOST || "";
+const PRINTER_PORT = Number(process.env.PRINTER_PORT || 9100);
+const JOBS_DIR = path.resolve(process.env.JOBS_DIR || "print-jobs");
+
+function forward(bytes) {
+  return new Promise((resolve, reject) => {
+    const sock = net.connect(PRINTER_PORT, PRINTER_HOST, () => sock.end(bytes));
+    sock.setTimeout(5000, () => sock.destroy(new Error("printer timeout")));
+    sock.on("close", (hadError) => (hadError ? null : resolve()));
+    sock.on("error", reject);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  // requests without an Origin come from curl and the like, not a web page
+  const origin = req.headers.origin;
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    res.statusCode = 403;
+    return res.end();
+  }
+  if (origin) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Printer");
+  if (req.method === "OPTIONS") return res.end();
+  if (req.method !== "POST" || req.url !== "/print") {
+    res.statusCode = 404;
+    return res.end();
+  }
+  if (Number(req.headers["content-length"] || 0) > MAX_JOB_BYTES) {
+    res.statusCode = 413;
+    return res.end();
+  }
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+  req.on("data", (c) => {
+    size += c.length;
+    if (size > MAX_JOB_BYTES) {
+      tooLarge = true;
+      res.statusCode = 413;
+      res.end();
+      req.destroy();
+      return;
+    }
+    chunks.push(c);
+  });
+  req.on("end", async () => {
+    if (tooLarge) return;
+    const bytes = Buffer.concat(chunks);
+    const printer = req.headers["x-printer"] || "default";
+    try {
+      fs.mkdirSync(JOBS_DIR, { recursive: true });
+      const file = path.join(JOBS_DIR, `${Date.now()}-${String(printer).replace(/\W+/g, "_")}.bin`);
+      fs.writeFileSync(file, bytes);
+      if (PRINTER_HOST) await forward(bytes);
+      console.log(`job ${bytes.length} bytes → ${printer} (${path.basename(file)})`);
+      res.end("ok");
+    } catch (e) {
+      console.error("print failed:", e.message);
+      res.statusCode = 502;
+      res.end(e.message);
+    }
+  });
+});
+
+server.listen(PORT, HOST, () =>
+  console.log(`print bridge listening on http://${HOST}:${PORT}/print for ${ALLOWED_ORIGINS.join(", ")}`)
+);
@@ -443,6 +443,140 @@ function summarizePaymentParts(parts = [], fallbackMethod = "Online") {
   }
   return normalizePaymentMethodName(fallbackMethod) || fallbackMethod || "Online";
 }
+/* Checkout tenders: a split payment is any number of { method, amount } rows.
+   Rows without a method or amount are ignored and repeated methods are merged. */
+export function collapseTenderParts(parts = []) {
+  const out = [];
+  for (const p of parts || []) {
+    const method = String(p?.method || "").trim();
+    const amount = Number(p?.amount || 0);
+    if (!method || !Number.isFinite(amount) || amount <= 0) continue;
+    const existing = out.find((x) => x.method === method);
+    if (existing) existing.amount = Number((existing.amount + amount).toFixed(2));
+    else out.push({ method, amount: Number(amount.toFixed(2)) });
+  }
+  return out;
+}
+export function tenderRemaining(parts = [], total = 0) {
+  const paid = (parts || []).reduce((sum, p) => {
+    const v = Number(p?.amount || 0);
+    return sum + (Number.isFinite(v) ? v : 0);
+  }, 0);
+  return Number((Number(total || 0) - paid).toFixed(2));
+}
+// Change is only ever given on the cash portion of a split.
+export function cashChangeForTenders(parts = [], cashReceived = 0) {
+  const cashPortion = (parts || [])
+    .filter((p) => p?.method === "Cash")
+    .reduce((sum, p) => sum + Number(p.amount || 0), 0);
+  const change = Math.max(0, Number(cashReceived || 0) - cashPortion);
+  return { cashPortion: Number(cashPortion.toFixed(2)), change: Number(change.toFixed(2)) };
+}
+
+// Splits a total into `ways` equal shares; rounding leftovers go on the last share.
+export function splitEvenly(total, ways) {
+  const n = Math.max(1, Math.floor(Number(ways || 1)));
+  const t = Number(total || 0);
+  const share = Math.floor((t / n) * 100) / 100;
+  const out = Array.from({ length: n }, () => share);
+  out[n - 1] = Number((t - share * (n - 1)).toFixed(2));
+  return out;
+}
+
+/* ---------- Discounts ----------
+   type is "percent" or "fixed". Discounts never go below zero and never touch
+   the delivery fee; the order's itemsTotal is always the discounted amount. */
+function discountAmountFor(type, value, base) {
+  const b = Math.max(0, Number(base || 0));
+  const v = Math.max(0, Number(value || 0));
+  if (!b || !v) return 0;
+  const amount = type === "percent" ? (b * Math.min(100, v)) / 100 : Math.min(b, v);
+  return Number(amount.toFixed(2));
+}
+export function lineGrossTotal(line) {
+  const extrasSum = (line?.extras || []).reduce((t, e) => t + Number(e.price || 0), 0);
+  return (Number(line?.price || 0) + extrasSum) * Number(line?.qty || 1);
+}
+export function lineDiscountAmount(line) {
+  const d = line?.discount;
+  if (!d) return 0;
+  return discountAmountFor(d.type, d.value, lineGrossTotal(line));
+}
+// Applies line discounts, then a promo, then the order discount, then a comp (zeroes what is left).
+export function computeOrderDiscounts(cart = [], { promo, orderDiscount, comp } = {}) {
+  const discounts = [];
+  let itemsSubtotal = 0;
+  (cart || []).forEach((line, idx) => {
+    itemsSubtotal += lineGrossTotal(line);
+    const amount = lineDiscountAmount(line);
+    if (amount > 0) {
+      discounts.push({
+        kind: line.discount.comp ? "comp" : "line",
+        lineIndex: idx,
+        label: line.name || "",
+        type: line.discount.type,
+        value: Number(line.discount.value || 0),
+        reason: line.discount.reason || "",
+        by: line.discount.by || "",
+        amount,
+      });
+    }
+  });
+  itemsSubtotal = Number(itemsSubtotal.toFixed(2));
+  let remaining = itemsSubtotal - discounts.reduce((s, d) => s + d.amount, 0);
+  if (promo) {
+    const amount = discountAmountFor(promo.type, promo.value, remaining);
+    if (amount > 0) {
+      discounts.push({ kind: "promo", label: promo.code, code: promo.code, type: promo.type, value: Number(promo.value || 0), amount });
+      remaining -= amount;
+    }
+  }
+  if (orderDiscount) {
+    const amount = discountAmountFor(orderDiscount.type, orderDiscount.value, remaining);
+    if (amount > 0) {
+      discounts.push({
+        kind: "order",
+        label: "Order discount",
+        type: orderDiscount.type,
+        value: Number(orderDiscount.value || 0),
+        reason: orderDiscount.reason || "",
+        amount,
+      });
+      remaining -= amount;
+    }
+  }
+  if (comp && remaining > 0) {
+    const amount = Number(remaining.toFixed(2));
+    discounts.push({ kind: "comp", label: "Comp", type: "percent", value: 100, reason: comp.reason || "", by: comp.by || "", amount });
+    remaining = 0;
+  }
+  const discountTotal = Number(discounts.reduce((s, d) => s + d.amount, 0).toFixed(2));
+  return {
+    itemsSubtotal,
+    discounts,
+    discountTotal,
+    itemsTotal: Number(Math.max(0, itemsSubtotal - discountTotal).toFixed(2)),
+  };
+}
+// Returns an error message, or "" when the promo can be used. t is the
+// caller's tr(), so the message comes back in the screen's language.
+export function validatePromoCode(promo, now = new Date(), t = tr) {
+  if (!promo) return t("Unknown promo code.");
+  if (promo.active === false) return t("Promo {0} is disabled.", [promo.code]);
+  const day = toDateInputValue(now);
+  if (promo.validFrom && day < promo.validFrom) return t("Promo {0} starts on {1}.", [promo.code, promo.validFrom]);
+  if (promo.validTo && day > promo.validTo) return t("Promo {0} expired on {1}.", [promo.code, promo.validTo]);
+  const maxUses = Number(promo.maxUses || 0);
+  if (maxUses > 0 && Number(promo.uses || 0) >= maxUses) {
+    return t("Promo {0} has reached its usage limit ({1}).", [promo.code, maxUses]);
+  }
+  return "";
+}
+const findPromoByCode = (promoCodes, code) => {
+  const k = String(code || "").trim().toUpperCase();
+  if (!k) return null;
+  return (promoCodes || []).find((p) => String(p.code || "").toUpperCase() === k) || null;
+};
 const firebaseConfig = {
   apiKey: process.env.REACT_APP_CASHIER_FIREBASE_API_KEY,
   authDomain: process.env.REACT_APP_CASHIER_FIREBASE_AUTH_DOMAIN,
@@ -701,7 +835,8 @@ function getSundayStartOfWeek(year, week) {
 }
 
 
-function SundayWeekPicker({ selectedSunday, onSelect, dark = false, btnBorder = "#ccc" }) {
+function SundayWeekPicker({ selectedSunday, onSelect, dark = false, btnBorder = "#ccc", lang = "en" }) {
+  const { tr, uiDate } = uiText(lang);
   const containerRef = useRef(null);
   const [open, setOpen] = useState(false);
   const [hoveredWeek, setHoveredWeek] = useState(null);
@@ -827,22 +962,19 @@ ONLINE_ORDER_COLLECTIONS.forEach((def) => {
     return rows;
   }, [viewMonth]);
 
-  const monthLabel = useMemo(() => {
-    if (!viewMonth) return "";
-    return viewMonth.toLocaleString(undefined, {
-      month: "long",
-      year: "numeric",
-    });
-  }, [viewMonth]);
+  // not memoized: both follow the UI language, which lives outside React state here
+  const monthLabel = viewMonth ? uiDate(viewMonth, { month: "long", year: "numeric" }) : "";
 
-  const selectedLabel = useMemo(() => {
-    if (!selectedInfo?.week || !selectedStart) return "Select week";
+  const selectedLabel = (() => {
+    if (!selectedInfo?.week || !selectedStart) return tr("Select week");
     const end = new Date(selectedStart);
     end.setDate(selectedStart.getDate() + 6);
-    return `Week ${String(selectedInfo.week).padStart(2, "0")} • ${formatDateDDMMYY(
-      selectedStart
-    )} → ${formatDateDDMMYY(end)}`;
-  }, [selectedInfo, selectedStart]);
+    return tr("Week {0} • {1} → {2}", [
+      String(selectedInfo.week).padStart(2, "0"),
+      formatDateDDMMYY(selectedStart),
+      formatDateDDMMYY(end),
+    ]);
+  })();
 
   const openPicker = () => {
     if (!open) {
@@ -893,7 +1025,7 @@ ONLINE_ORDER_COLLECTIONS.forEach((def) => {
     textAlign: "center",
   };
 
-  const dayLabels = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+  const dayLabels = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"].map((d) => tr(d));
 
   return (
     <div ref={containerRef} style={{ position: "relative", display: "inline-block" }}>
@@ -908,7 +1040,7 @@ ONLINE_ORDER_COLLECTIONS.forEach((def) => {
           color: dark ? "#f1f1f1" : "#000",
           cursor: "pointer",
           minWidth: 220,
-          textAlign: "left",
+          textAlign: "start",
           fontWeight: 600,
         }}
       >
@@ -919,7 +1051,7 @@ ONLINE_ORDER_COLLECTIONS.forEach((def) => {
           style={{
             position: "absolute",
             top: "calc(100% + 6px)",
-            left: 0,
+            insetInlineStart: 0,
             zIndex: 1000,
             borderRadius: 10,
             border: `1px solid ${btnBorder}`,
@@ -984,7 +1116,7 @@ ONLINE_ORDER_COLLECTIONS.forEach((def) => {
               marginBottom: 4,
             }}
           >
-            <div style={{ opacity: 0.7 }}>Week</div>
+            <div style={{ opacity: 0.7 }}>{tr("Week")}</div>
             {dayLabels.map((d) => (
               <div key={d} style={{ opacity: 0.7 }}>
                 {d}
@@ -1048,7 +1180,8 @@ ONLINE_ORDER_COLLECTIONS.forEach((def) => {
 }
 
 
-function MarginLineChart({ data, dark }) {
+function MarginLineChart({ data, dark, lang = "en" }) {
+  const { tr, uiDate, uiNumber } = uiText(lang);
   const width = 720;
   const height = 260;
   const padding = { top: 24, right: 32, bottom: 44, left: 72 };
@@ -1056,7 +1189,7 @@ function MarginLineChart({ data, dark }) {
   if (!data || data.length === 0) {
     return (
       <div style={{ padding: 12, fontStyle: "italic", opacity: 0.8 }}>
-        Not enough data to display the margin chart.
+        {tr("Not enough data to display the margin chart.")}
       </div>
     );
   }
@@ -1104,21 +1237,16 @@ function MarginLineChart({ data, dark }) {
         Math.round((points.length - 1) * (i / (xTickCount - 1))))
     : [0];
 
-  const formatAmount = (value) =>
-    `E£${Number(value).toLocaleString(undefined, {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 2,
-    })}`;
+  const formatAmount = (value) => `E£${uiNumber(value, { maximumFractionDigits: 2 })}`;
 
-  const formatDateLabel = (ts) =>
-    new Date(ts).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const formatDateLabel = (ts) => uiDate(ts, { month: "short", day: "numeric" });
 
   return (
     <svg
       viewBox={`0 0 ${width} ${height}`}
       style={{ width: "100%", height }}
       role="img"
-      aria-label="Margin over time"
+      aria-label={tr("Margin over time")}
     >
       {/* grid */}
       {yTickValues.map((value, idx) => {
@@ -1209,6 +1337,241 @@ function MarginLineChart({ data, dark }) {
     </svg>
   );
 }
+
+// Preset reasons offered before the free-text box; the text box still wins
+// when both are filled in.
+const VOID_REASONS = ["Customer cancelled", "Wrong order entered", "Out of stock", "Waited too long"];
+const RETURN_REASONS = ["Wrong item delivered", "Quality complaint", "Customer unreachable", "Delivery failed"];
+const COMP_REASONS = ["Complaint", "Staff meal", "Regular customer", "Long wait"];
+
+// The single modal App shows for PINs, reasons, confirmations, notices and
+// short text. App opens it with openDialog(spec) and gets a promise for the
+// answer: true/false for "confirm", { admin, pin } for "pin", a string for
+// "reason" and "text", and null whenever it is cancelled.
+function AppDialog({ dialog, onClose, dark = false, btnBorder = "#ccc", lang = "en" }) {
+  const { tr } = uiText(lang);
+  const [value, setValue] = useState(dialog.defaultValue || "");
+  const [preset, setPreset] = useState("");
+  const [admin, setAdmin] = useState(dialog.admins ? dialog.admins[0] : dialog.admin ?? null);
+  const [error, setError] = useState("");
+  const [checking, setChecking] = useState(false);
+  const { kind } = dialog;
+  const cancel = () => onClose(kind === "confirm" ? false : kind === "notice" ? true : null);
+
+  const submit = async () => {
+    if (kind === "confirm" || kind === "notice") return onClose(true);
+    if (kind === "pin") {
+      if (checking) return;
+      if (value.length < 3) return setError(tr("Enter PIN (3–6 digits)."));
+      // check may be async: PIN hashes are compared through Web Crypto
+      setChecking(true);
+      let problem;
+      try {
+        problem = dialog.check ? await dialog.check(value, admin) : "";
+      } catch (e) {
+        console.warn("PIN check failed:", e);
+        problem = pinCryptoAvailable()
+          ? tr("Couldn't check the PIN. Try again.")
+          : tr("PINs only work when the app is opened over https or on localhost.");
+      } finally {
+        setChecking(false);
+      }
+      if (problem) {
+        setError(problem);
+        setValue("");
+        return;
+      }
+      return onClose({ admin, pin: value });
+    }
+    const text = String(value || "").trim() || preset;
+    if (kind === "reason" && !text) return setError(tr("A reason is required."));
+    if (kind === "text" && dialog.required && !text) return setError(tr("This field is required."));
+    return onClose(text);
+  };
+  const press = (key) => {
+    setError("");
+    if (key === "back") return setValue((v) => v.slice(0, -1));
+    if (key === "clear") return setValue("");
+    setValue((v) => (v.length >= 6 ? v : v + key));
+  };
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") return cancel();
+      if (e.key === "Enter" && kind !== "reason") {
+        e.preventDefault();
+        return submit();
+      }
+      if (kind !== "pin") return;
+      if (/^[0-9]$/.test(e.key)) press(e.key);
+      else if (e.key === "Backspace") press("back");
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const btn = (extra = {}) => ({
+    padding: "10px 16px",
+    borderRadius: 8,
+    border: `1px solid ${btnBorder}`,
+    background: dark ? "#333" : "#f1f1f1",
+    color: dark ? "#fff" : "#000",
+    cursor: "pointer",
+    fontSize: 16,
+    ...extra,
+  });
+  const primary = btn({
+    background: dialog.danger ? "#c62828" : "#2e7d32",
+    borderColor: dialog.danger ? "#c62828" : "#2e7d32",
+    color: "#fff",
+    fontWeight: 700,
+  });
+
+  return (
+    <div
+      onClick={cancel}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 1100,
+      }}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: kind === "pin" ? 320 : 440,
+          maxWidth: "95vw",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          background: dark ? "#1e1e1e" : "#fff",
+          color: dark ? "#eee" : "#000",
+          borderRadius: 10,
+          padding: 16,
+        }}
+      >
+        {dialog.title && <h3 style={{ marginTop: 0 }}>{dialog.title}</h3>}
+        {dialog.message && <div style={{ whiteSpace: "pre-wrap", marginBottom: 12 }}>{dialog.message}</div>}
+
+        {kind === "pin" && (
+          <>
+            {dialog.admins && (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+                {dialog.admins.map((n) => (
+                  <button
+                    key={n}
+                    onClick={() => {
+                      setAdmin(n);
+                      setError("");
+                    }}
+                    style={btn({ padding: "6px 10px", background: admin === n ? "#ffd54f" : dark ? "#333" : "#f1f1f1", color: admin === n ? "#000" : dark ? "#fff" : "#000" })}
+                  >
+                    {tr("Admin {0}", [n])}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div
+              aria-label={tr("PIN")}
+              style={{
+                height: 44,
+                marginBottom: 10,
+                borderRadius: 8,
+                border: `1px solid ${btnBorder}`,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                fontSize: 28,
+                letterSpacing: 8,
+              }}
+            >
+              {"•".repeat(value.length) || <span style={{ fontSize: 14, letterSpacing: 0, opacity: 0.6 }}>{tr("Enter PIN")}</span>}
+            </div>
+            <div dir="ltr" style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8 }}>
+              {["1", "2", "3", "4", "5", "6", "7", "8", "9", "clear", "0", "back"].map((k) => (
+                <button key={k} onClick={() => press(k)} style={btn({ padding: "14px 0", fontSize: 22 })}>
+                  {k === "back" ? "⌫" : k === "clear" ? "C" : k}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
+        {kind === "reason" && (
+          <>
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 8 }}>
+              {(dialog.presets || []).map((r) => (
+                <button
+                  key={r}
+                  onClick={() => {
+                    setPreset((p) => (p === tr(r) ? "" : tr(r)));
+                    setError("");
+                  }}
+                  style={btn({ padding: "6px 10px", fontSize: 14, background: preset === tr(r) ? "#ffd54f" : dark ? "#333" : "#f1f1f1", color: preset === tr(r) ? "#000" : dark ? "#fff" : "#000" })}
+                >
+                  {tr(r)}
+                </button>
+              ))}
+            </div>
+            <textarea
+              autoFocus
+              rows={2}
+              value={value}
+              placeholder={tr("Other reason (optional if one is picked above)")}
+              onChange={(e) => {
+                setValue(e.target.value);
+                setError("");
+              }}
+              style={{ width: "100%", boxSizing: "border-box", padding: 8, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+            />
+          </>
+        )}
+
+        {kind === "text" && (
+          <>
+            <input
+              autoFocus
+              type="text"
+              value={value}
+              list={dialog.suggestions ? "app-dialog-suggestions" : undefined}
+              placeholder={dialog.placeholder || ""}
+              onChange={(e) => {
+                setValue(e.target.value);
+                setError("");
+              }}
+              style={{ width: "100%", boxSizing: "border-box", padding: 8, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+            />
+            {dialog.suggestions && (
+              <datalist id="app-dialog-suggestions">
+                {dialog.suggestions.map((s) => (
+                  <option key={s} value={s} />
+                ))}
+              </datalist>
+            )}
+          </>
+        )}
+
+        {error && <div style={{ color: "#c62828", marginTop: 8 }}>{error}</div>}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 14 }}>
+          {kind !== "notice" && (
+            <button onClick={cancel} style={btn()}>
+              {tr("Cancel")}
+            </button>
+          )}
+          <button onClick={submit} disabled={checking} style={primary}>
+            {dialog.confirmLabel || tr("OK")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
 export function packStateForCloud(state) {
    const {
     menu,
@@ -1235,6 +1598,17 @@ export function packStateForCloud(state) {
     utilityBills,
     laborProfile,
     equipmentList,
+    promoCodes,
+    scheduleLeadMinutes,
+    openChecks,
+    tables,
+    printStations,
+    receiptTemplate,
+    rolePermissions,
+    payRules,
+    stocktakes,
+    wasteLog,
+    costingMethod,
     onlineOrdersRaw,
     onlineOrderStatus,
     lastSeenOnlineOrderTs,
@@ -1322,6 +1696,17 @@ export function packStateForCloud(state) {
     utilityBills,
     laborProfile,
     equipmentList,
+    promoCodes,
+    scheduleLeadMinutes,
+    openChecks,
+    tables,
+    printStations,
+    receiptTemplate,
+    rolePermissions,
+    payRules,
+    stocktakes,
+    wasteLog,
+    costingMethod,
     onlineOrders: Array.isArray(onlineOrdersRaw)
       ? onlineOrdersRaw.map((order) => ({
           ...order,
@@ -1359,13 +1744,30 @@ export function packStateForCloud(state) {
   return sanitizeForFirestore(payload);
 }
 
-function computeCostBreakdown(def, invMap, ctx = {}) {
+// A prep item is an inventory item made in batches from other inventory
+// items: recipe = { yield, uses: { invId: qty per batch }, shelfLifeDays? }.
+export function isPrepItem(it) {
+  return Number(it?.recipe?.yield || 0) > 0 && Object.keys(it?.recipe?.uses || {}).length > 0;
+}
+/* Cost of one unit of an inventory item. Prep items cost what their
+   ingredients cost per unit of yield, rolled up through nested prep items;
+   a recipe that loops back on itself falls back to costPerUnit. */
+export function inventoryUnitCost(invId, invMap, seen = new Set()) {
+  const it = invMap?.[invId];
+  if (!it) return 0;
+  if (!isPrepItem(it) || seen.has(invId)) return Number(it.costPerUnit || 0);
+  const inner = new Set(seen).add(invId);
+  let batch = 0;
+  for (const [k, q] of Object.entries(it.recipe.uses)) batch += Number(q || 0) * inventoryUnitCost(k, invMap, inner);
+  return batch / Number(it.recipe.yield);
+}
+export function computeCostBreakdown(def, invMap, ctx = {}) {
   const round2 = (v) => Number((Number.isFinite(v) ? v : 0).toFixed(2));
   const uses = def?.uses || {};
   let ingredientCost = 0;
   for (const k of Object.keys(uses)) {
     const need = Number(uses[k] || 0);
-    const cost = Number(invMap[k]?.costPerUnit || 0);
+    const cost = inventoryUnitCost(k, invMap);
     ingredientCost += need * cost;
   }
   const prepMinutes = Number(def?.prepMinutes || 0);
@@ -1492,6 +1894,17 @@ if (Array.isArray(data.workerSessions)) {
  if (data.utilityBills) out.utilityBills = data.utilityBills;
   if (data.laborProfile) out.laborProfile = data.laborProfile;
   if (Array.isArray(data.equipmentList)) out.equipmentList = data.equipmentList;
+  if (COSTING_METHODS.some((m) => m.id === data.costingMethod)) out.costingMethod = data.costingMethod;
+  if (Array.isArray(data.wasteLog)) out.wasteLog = data.wasteLog;
+  if (Array.isArray(data.stocktakes)) out.stocktakes = data.stocktakes;
+  if (data.payRules && typeof data.payRules === "object") out.payRules = data.payRules;
+  if (data.rolePermissions && typeof data.rolePermissions === "object") out.rolePermissions = data.rolePermissions;
+  if (data.receiptTemplate && typeof data.receiptTemplate === "object") out.receiptTemplate = data.receiptTemplate;
+  if (Array.isArray(data.printStations)) out.printStations = data.printStations;
+  if (Array.isArray(data.tables) && data.tables.length) out.tables = data.tables;
+  if (Array.isArray(data.openChecks)) out.openChecks = data.openChecks;
+  if (data.scheduleLeadMinutes != null) out.scheduleLeadMinutes = Math.max(0, Number(data.scheduleLeadMinutes) || 0);
+  if (Array.isArray(data.promoCodes)) out.promoCodes = data.promoCodes;
  if (Array.isArray(data.onlineOrders)) {
     out.onlineOrdersRaw = data.onlineOrders.map((order) => {
       const safeOrder = order && typeof order === "object" ? order : {};
@@ -1557,6 +1970,171 @@ if (Array.isArray(data.workerSessions)) {
   return out;
 }
 
+/* ---------- Open checks (table tabs) ----------
+   A check is { id, table, name, openedAt, openedBy, rounds, lines }. Lines are
+   cart lines that were already sent to the kitchen (stockTaken) and carry the
+   round they arrived in. */
+export const DEFAULT_TABLES = ["T1", "T2", "T3", "T4"];
+
+export function checkTotal(check) {
+  const sum = (check?.lines || []).reduce((t, line) => t + lineGrossTotal(line), 0);
+  return Number(sum.toFixed(2));
+}
+
+// Moves the given line indexes from one check to another (or to `newCheck`
+// when toId is null). Returns the new list of checks.
+export function moveCheckLines(checks = [], fromId, lineIdxs = [], toId = null, newCheck = null) {
+  const from = checks.find((c) => c.id === fromId);
+  if (!from) return checks;
+  const picked = new Set(lineIdxs);
+  const moving = (from.lines || []).filter((_, i) => picked.has(i));
+  if (!moving.length) return checks;
+  const targetId = toId || newCheck?.id;
+  const next = checks.map((c) => {
+    if (c.id === fromId) return { ...c, lines: (c.lines || []).filter((_, i) => !picked.has(i)) };
+    if (c.id === targetId) return { ...c, lines: [...(c.lines || []), ...moving] };
+    return c;
+  });
+  return !toId && newCheck ? [...next, { ...newCheck, lines: [...(newCheck.lines || []), ...moving] }] : next;
+}
+
+/* ---------- Scheduled (pre-)orders ---------- */
+export const DEFAULT_SCHEDULE_LEAD_MINUTES = 30;
+
+// A pre-order waits in the board's "Later" lane, with its stock only reserved,
+// until it is released to the kitchen.
+export function isOrderHeld(order) {
+  return !!(order && order.scheduledFor && !order.releasedAt && !order.done && !order.voided);
+}
+
+export function isDueForRelease(order, now = Date.now(), leadMinutes = DEFAULT_SCHEDULE_LEAD_MINUTES) {
+  if (!isOrderHeld(order)) return false;
+  const due = +new Date(order.scheduledFor);
+  if (!Number.isFinite(due)) return true;
+  return Number(now) >= due - Math.max(0, Number(leadMinutes || 0)) * 60000;
+}
+
+export function computeReservedInventory(orders = []) {
+  const reserved = {};
+  for (const o of orders || []) {
+    if (!isOrderHeld(o)) continue;
+    const req = computeInventoryRequirement(o.cart || []);
+    for (const k of Object.keys(req)) reserved[k] = (reserved[k] || 0) + req[k];
+  }
+  return reserved;
+}
+
+/* ---------- Customer status screen ---------- */
+// Ready numbers drop off the customer screen this many minutes after "done".
+export const STATUS_READY_MINUTES = 5;
+
+export function isStatusLocation(loc) {
+  if (!loc) return false;
+  const params = new URLSearchParams(loc.search || "");
+  return params.get("view") === "status" || String(loc.hash || "").replace("#", "") === "status";
+}
+
+// What the customer sees for an order: the receipt number on site, the
+// platform number for online orders. Never a name or phone.
+export function customerStatusNumber(order) {
+  if (!order) return "";
+  const enriched = enrichOrderWithChannel(order);
+  return enriched.channel === "onsite" ? `#${order.orderNo}` : enriched.channelOrderNo;
+}
+
+export function buildCustomerStatusBoard(orders = [], now = Date.now(), readyMinutes = STATUS_READY_MINUTES) {
+  const cutoff = Number(now) - Math.max(0, Number(readyMinutes || 0)) * 60000;
+  const preparing = [];
+  const ready = [];
+  for (const o of orders || []) {
+    if (!o || o.voided || isOrderHeld(o)) continue;
+    if (!o.done) {
+      preparing.push({ key: customerStatusNumber(o), at: +new Date(o.date) || 0 });
+      continue;
+    }
+    const doneAt = o.doneAt ? +new Date(o.doneAt) : NaN;
+    if (Number.isFinite(doneAt) && doneAt >= cutoff) ready.push({ key: customerStatusNumber(o), at: doneAt });
+  }
+  preparing.sort((a, b) => a.at - b.at);
+  ready.sort((a, b) => b.at - a.at);
+  return { preparing: preparing.map((x) => x.key), ready: ready.map((x) => x.key) };
+}
+
+// Short two-tone chime for the status screen; silently skipped where audio is blocked.
+function playReadyChime() {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    const ctx = new Ctx();
+    [880, 1320].forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = freq;
+      const start = ctx.currentTime + i * 0.25;
+      gain.gain.setValueAtTime(0.25, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + 0.4);
+    });
+    setTimeout(() => ctx.close(), 1200);
+  } catch (e) {
+    console.warn("Chime failed", e);
+  }
+}
+
+/* ---------- Kitchen display (KDS) ---------- */
+// Ticket age (minutes) at which the KDS turns a ticket amber / red.
+export const KDS_WARN_MINUTES = 8;
+export const KDS_LATE_MINUTES = 15;
+const KDS_ITEM_FLOW = ["pending", "started", "ready"];
+
+// The kitchen screen is the same app opened with ?view=kds (or #kds).
+export function isKdsLocation(loc) {
+  if (!loc) return false;
+  const params = new URLSearchParams(loc.search || "");
+  return params.get("view") === "kds" || String(loc.hash || "").replace("#", "") === "kds";
+}
+
+// One entry per cart line: { state, startedAt, readyAt } (ISO strings).
+export function kdsItemsFor(order) {
+  const cart = Array.isArray(order?.cart) ? order.cart : [];
+  const saved = Array.isArray(order?.kdsItems) ? order.kdsItems : [];
+  return cart.map((_, idx) => {
+    const it = saved[idx] || {};
+    return {
+      state: KDS_ITEM_FLOW.includes(it.state) ? it.state : "pending",
+      startedAt: it.startedAt || null,
+      readyAt: it.readyAt || null,
+    };
+  });
+}
+
+export function nextKdsItemState(state) {
+  const i = KDS_ITEM_FLOW.indexOf(state);
+  return KDS_ITEM_FLOW[(i + 1) % KDS_ITEM_FLOW.length];
+}
+
+export function setKdsItemState(items, idx, state, now = new Date()) {
+  const at = now.toISOString();
+  return items.map((it, i) => {
+    if (i !== idx) return it;
+    if (state === "pending") return { state, startedAt: null, readyAt: null };
+    if (state === "started") return { state, startedAt: it.startedAt || at, readyAt: null };
+    return { state, startedAt: it.startedAt || at, readyAt: at };
+  });
+}
+
+export function allKdsItemsReady(items) {
+  return items.length > 0 && items.every((it) => it.state === "ready");
+}
+
+export function kdsAgeLevel(ageMinutes) {
+  if (ageMinutes >= KDS_LATE_MINUTES) return "late";
+  if (ageMinutes >= KDS_WARN_MINUTES) return "warn";
+  return "ok";
+}
+
 function normalizeOrderForCloud(order) {
   const normalized = enrichOrderWithChannel(order);
   return sanitizeForFirestore({
@@ -1578,14 +2156,26 @@ function normalizeOrderForCloud(order) {
     whatsappSentAt: toIso(normalized.whatsappSentAt),
     total: normalized.total,
     itemsTotal: normalized.itemsTotal,
+    itemsSubtotal: normalized.itemsSubtotal ?? null,
+    discounts: Array.isArray(normalized.discounts) ? normalized.discounts : [],
+    discountTotal: Number(normalized.discountTotal || 0),
+    refunds: Array.isArray(normalized.refunds) ? normalized.refunds : [],
+    refundTotal: Number(normalized.refundTotal || 0),
+    kdsItems: Array.isArray(normalized.kdsItems) ? normalized.kdsItems : [],
     cashReceived: normalized.cashReceived ?? null,
     changeDue: normalized.changeDue ?? null,
     done: !!normalized.done,
     voided: !!normalized.voided,
     voidReason: normalized.voidReason || "",
+    voidedBy: normalized.voidedBy || "",
     note: normalized.note || "",
     date: toIso(normalized.date) || new Date().toISOString(),
     restockedAt: toIso(normalized.restockedAt),
+    doneAt: toIso(normalized.doneAt),
+    scheduledFor: toIso(normalized.scheduledFor),
+    table: normalized.table || "",
+    releasedAt: toIso(normalized.releasedAt),
+    printedAt: toIso(normalized.printedAt),
     cart: normalized.cart || [],
     idemKey: normalized.idemKey || "",
     source: normalized.source || "",
@@ -1623,14 +2213,26 @@ function orderFromCloudDoc(id, d) {
     whatsappSentAt: d.whatsappSentAt ? asDate(d.whatsappSentAt) : null,
     total: Number(d.total || 0),
     itemsTotal: Number(d.itemsTotal || 0),
+    itemsSubtotal: d.itemsSubtotal != null ? Number(d.itemsSubtotal) : null,
+    discounts: Array.isArray(d.discounts) ? d.discounts : [],
+    discountTotal: Number(d.discountTotal || 0),
+    refunds: Array.isArray(d.refunds) ? d.refunds : [],
+    refundTotal: Number(d.refundTotal || 0),
+    kdsItems: Array.isArray(d.kdsItems) ? d.kdsItems : [],
     cashReceived: d.cashReceived != null ? Number(d.cashReceived) : null,
   changeDue: d.changeDue != null ? Number(d.changeDue) : null,
     done: !!d.done,
     voided: !!d.voided,
     voidReason: d.voidReason || "",
+    voidedBy: d.voidedBy || "",
     note: d.note || "",
     date: asDate(d.date || d.createdAt),
     restockedAt: d.restockedAt ? asDate(d.restockedAt) : undefined,
+    doneAt: d.doneAt ? asDate(d.doneAt) : null,
+    scheduledFor: d.scheduledFor ? asDate(d.scheduledFor) : null,
+    table: d.table || "",
+    releasedAt: d.releasedAt ? asDate(d.releasedAt) : null,
+    printedAt: d.printedAt ? asDate(d.printedAt) : null,
     cart: Array.isArray(d.cart) ? d.cart : [],
      idemKey: d.idemKey || "",
     source: d.source || "",
@@ -1754,6 +2356,9 @@ function onlineOrderFromDoc(id, data = {}) {
         `extra-${idx}`,
       name: String(extra?.name || extra?.title || extra?.label || "Extra"),
       price: asNumber(extra?.price ?? extra?.amount ?? extra?.cost ?? 0),
+      ...(extra?.group || extra?.groupName
+        ? { group: String(extra.group || extra.groupName) }
+        : {}),
     }));
   };
   const normalizeCart = (list) => {
@@ -1768,7 +2373,7 @@ function onlineOrderFromDoc(id, data = {}) {
         0
       );
       const extrasSource =
-        item?.extras || item?.options || item?.addOns || item?.addons || [];
+        item?.extras || item?.options || item?.modifiers || item?.addOns || item?.addons || [];
       return {
         id:
           item?.id ||
@@ -1905,6 +2510,14 @@ function onlineOrderFromDoc(id, data = {}) {
     data?.address ||
     deliveryInfo?.address ||
     "";
+ const scheduledFor = asDate(
+    data?.scheduledFor ||
+      data?.scheduledAt ||
+      data?.pickupTime ||
+      data?.deliveryTime ||
+      data?.promisedAt ||
+      deliveryInfo?.scheduledFor
+  );
  const normalizedOrderNo = ensureOnlineOrderNo(orderNo, id, createdAtMs);
   const channelOrderNo = formatOnlineChannelOrderNo(
     normalizedOrderNo,
@@ -1938,6 +2551,7 @@ function onlineOrderFromDoc(id, data = {}) {
     whatsappSentAt: null,
     total,
     itemsTotal: itemsTotal || total - deliveryFee,
+    scheduledFor,
     cashReceived: null,
     changeDue: null,
     done: false,
@@ -1985,6 +2599,284 @@ function normalizeOnlineOrderType(type, availableTypes = []) {
   return availableTypes[0] || String(type || "Take-Away");
 }
 
+// Modifier groups hang off a menu item:
+// { id, name, min, max, options: [{ id, name, priceDelta, uses, isDefault }] }
+// min 0 = optional group; max 0 = no upper limit.
+export function normalizeModifierGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+  return groups
+    .filter((g) => g && g.id != null)
+    .map((g) => {
+      const min = Math.max(0, Math.floor(Number(g.min || 0)));
+      const maxRaw = Math.max(0, Math.floor(Number(g.max || 0)));
+      return {
+        id: String(g.id),
+        name: String(g.name || "Options"),
+        min,
+        max: maxRaw && maxRaw < min ? min : maxRaw,
+        options: (Array.isArray(g.options) ? g.options : [])
+          .filter((o) => o && o.id != null)
+          .map((o) => ({
+            id: String(o.id),
+            name: String(o.name || "Option"),
+            priceDelta: Number(o.priceDelta || 0),
+            uses: { ...(o.uses || {}) },
+            isDefault: !!o.isDefault,
+          })),
+      };
+    });
+}
+
+export function defaultModifierSelection(item) {
+  const out = {};
+  for (const g of normalizeModifierGroups(item?.modifierGroups)) {
+    let ids = g.options.filter((o) => o.isDefault).map((o) => o.id);
+    if (g.max) ids = ids.slice(0, g.max);
+    out[g.id] = ids;
+  }
+  return out;
+}
+
+// Returns "" when the selection satisfies every group, otherwise a message
+// built with t (the caller's tr()).
+export function validateModifierSelection(item, selection = {}, t = tr) {
+  for (const g of normalizeModifierGroups(item?.modifierGroups)) {
+    const valid = new Set(g.options.map((o) => o.id));
+    const picked = (selection[g.id] || []).filter((id) => valid.has(String(id)));
+    if (picked.length < g.min) {
+      return g.min === 1
+        ? t("Choose a {0} option.", [g.name])
+        : t("Choose at least {0} {1} options.", [g.min, g.name]);
+    }
+    if (g.max && picked.length > g.max) {
+      return g.max === 1
+        ? t("Choose at most {0} {1} option.", [g.max, g.name])
+        : t("Choose at most {0} {1} options.", [g.max, g.name]);
+    }
+  }
+  return "";
+}
+
+// Chosen options ride along in line.extras so receipts, totals and reports
+// pick them up; `modifier` marks them and `uses` carries their consumption.
+export function modifierExtrasFor(item, selection = {}) {
+  const out = [];
+  for (const g of normalizeModifierGroups(item?.modifierGroups)) {
+    const picked = new Set((selection[g.id] || []).map(String));
+    for (const o of g.options) {
+      if (!picked.has(o.id)) continue;
+      out.push({
+        id: `mod_${g.id}_${o.id}`,
+        name: `${g.name}: ${o.name}`,
+        price: o.priceDelta,
+        uses: { ...o.uses },
+        modifier: { groupId: g.id, optionId: o.id },
+      });
+    }
+  }
+  return out;
+}
+
+// Maps incoming online options onto the item's groups. Options that match
+// nothing are handed back untouched so they can still be treated as extras.
+export function mapOnlineModifiers(item, rawOptions = []) {
+  const groups = normalizeModifierGroups(item?.modifierGroups);
+  const selection = {};
+  const prices = {};
+  const unmatched = [];
+  if (!groups.length) return { selection, prices, unmatched: [...(rawOptions || [])] };
+
+  for (const raw of rawOptions || []) {
+    const rawId = String(raw?.optionId ?? raw?.id ?? "");
+    const rawName = normalizeNameKey(raw?.name || raw?.title || raw?.label);
+    const rawGroup = normalizeNameKey(raw?.group || raw?.groupName || raw?.groupId);
+    let hit = null;
+    for (const g of groups) {
+      if (rawGroup && rawGroup !== normalizeNameKey(g.name) && rawGroup !== normalizeNameKey(g.id)) continue;
+      const o = g.options.find(
+        (opt) =>
+          (rawId && (rawId === opt.id || rawId === `mod_${g.id}_${opt.id}`)) ||
+          (rawName &&
+            (rawName === normalizeNameKey(opt.name) ||
+              rawName === normalizeNameKey(`${g.name}: ${opt.name}`)))
+      );
+      if (o) {
+        hit = { g, o };
+        break;
+      }
+    }
+    if (!hit) {
+      unmatched.push(raw);
+      continue;
+    }
+    const list = selection[hit.g.id] || (selection[hit.g.id] = []);
+    if (list.includes(hit.o.id)) continue;
+    if (hit.g.max && list.length >= hit.g.max) continue;
+    list.push(hit.o.id);
+    const price = Number(raw?.price ?? raw?.amount);
+    if (Number.isFinite(price)) prices[`${hit.g.id}:${hit.o.id}`] = price;
+  }
+
+  // Required groups the channel didn't send fall back to their defaults at no charge.
+  const defaults = defaultModifierSelection(item);
+  for (const g of groups) {
+    if (g.min > 0 && !(selection[g.id] || []).length && defaults[g.id]?.length) {
+      selection[g.id] = [...defaults[g.id]];
+      for (const id of selection[g.id]) prices[`${g.id}:${id}`] = 0;
+    }
+  }
+  return { selection, prices, unmatched };
+}
+
+// A bundle (meal) is a menu item with slots; each slot is a fixed item
+// (one itemId) or a choice among several menu items.
+// { id, name, itemIds: [menuId], defaultItemId }
+export function normalizeBundleSlots(slots) {
+  if (!Array.isArray(slots)) return [];
+  return slots
+    .filter((sl) => sl && sl.id != null)
+    .map((sl) => {
+      const itemIds = (Array.isArray(sl.itemIds) ? sl.itemIds : []).filter((id) => id != null);
+      return {
+        id: String(sl.id),
+        name: String(sl.name || "Item"),
+        itemIds,
+        defaultItemId: itemIds.some((id) => String(id) === String(sl.defaultItemId))
+          ? sl.defaultItemId
+          : itemIds[0] ?? null,
+      };
+    })
+    .filter((sl) => sl.itemIds.length > 0);
+}
+
+export function isBundleItem(item) {
+  return normalizeBundleSlots(item?.bundleSlots).length > 0;
+}
+
+export function defaultBundleChoices(item) {
+  const out = {};
+  for (const sl of normalizeBundleSlots(item?.bundleSlots)) out[sl.id] = sl.defaultItemId;
+  return out;
+}
+
+// Splits the bundle price over its components by their standalone menu prices
+// (evenly if none are priced); rounding leftovers land on the last component.
+export function allocateBundleRevenue(bundlePrice, components = []) {
+  const price = Number(bundlePrice || 0);
+  if (!components.length) return [];
+  const weights = components.map((c) => Math.max(0, Number(c.price || 0)));
+  const weightSum = weights.reduce((a, b) => a + b, 0);
+  let allocated = 0;
+  return components.map((c, i) => {
+    const last = i === components.length - 1;
+    const share = weightSum > 0 ? weights[i] / weightSum : 1 / components.length;
+    const amount = last ? price - allocated : Number((price * share).toFixed(2));
+    allocated += amount;
+    return { ...c, allocatedPrice: Number(amount.toFixed(2)) };
+  });
+}
+
+// Resolves slot choices against the menu. Returns { components, error }; the
+// error is built with t (the caller's tr()).
+export function buildBundleComponents(item, choices = {}, menu = [], t = tr) {
+  const components = [];
+  for (const sl of normalizeBundleSlots(item?.bundleSlots)) {
+    const pickedId = choices[sl.id] ?? sl.defaultItemId;
+    if (!sl.itemIds.some((id) => String(id) === String(pickedId))) {
+      return { components: [], error: t("Choose an item for {0}.", [sl.name]) };
+    }
+    const def = (menu || []).find((m) => String(m.id) === String(pickedId));
+    if (!def) return { components: [], error: t("{0}: item is no longer on the menu.", [sl.name]) };
+    components.push({
+      slotId: sl.id,
+      slotName: sl.name,
+      id: def.id,
+      name: def.name,
+      ...(def.nameAr ? { nameAr: def.nameAr } : {}),
+      price: Number(def.price || 0),
+      uses: { ...(def.uses || {}) },
+    });
+  }
+  return { components: allocateBundleRevenue(item?.price, components), error: "" };
+}
+
+// Per-unit uses of a bundle: its own uses (packaging etc.) plus each component's.
+export function bundleUnitUses(item, components = [], menu = []) {
+  const out = { ...(item?.uses || {}) };
+  for (const c of components) {
+    const def = (menu || []).find((m) => String(m.id) === String(c.id));
+    const uses = def?.uses || c.uses || {};
+    for (const k of Object.keys(uses)) out[k] = (out[k] || 0) + Number(uses[k] || 0);
+  }
+  return out;
+}
+
+// Cost definition for a bundle built from its default components, so the
+// COGS/margin views can price meals the same way as single items.
+export function bundleCostDef(item, menu = []) {
+  const { components } = buildBundleComponents(item, defaultBundleChoices(item), menu);
+  const defs = components.map((c) => (menu || []).find((m) => String(m.id) === String(c.id)) || c);
+  const equipmentMinutes = { ...(item?.equipmentMinutes || {}) };
+  let prepMinutes = Number(item?.prepMinutes || 0);
+  for (const d of defs) {
+    prepMinutes += Number(d.prepMinutes || 0);
+    for (const [eqId, mins] of Object.entries(d.equipmentMinutes || {})) {
+      equipmentMinutes[eqId] = (equipmentMinutes[eqId] || 0) + Number(mins || 0);
+    }
+  }
+  return { ...item, uses: bundleUnitUses(item, components, menu), prepMinutes, equipmentMinutes };
+}
+
+// Items Sold view of a cart: bundle lines are replaced by their components at
+// the allocated price; everything else passes through.
+export function expandBundleLines(cart = []) {
+  const out = [];
+  for (const line of cart || []) {
+    if (!Array.isArray(line?.components) || !line.components.length) {
+      out.push(line);
+      continue;
+    }
+    for (const c of line.components) {
+      out.push({
+        id: c.id,
+        name: c.name,
+        qty: line.qty,
+        price: Number(c.allocatedPrice || 0),
+        extras: [],
+        bundleId: line.id,
+      });
+    }
+  }
+  return out;
+}
+
+// Online meals may list their picks as components/items; anything we can't
+// place in a slot falls back to that slot's default.
+function mapOnlineBundleComponents(item, line, menu, price) {
+  const picks = [
+    ...(Array.isArray(line?.components) ? line.components : []),
+    ...(Array.isArray(line?.items) ? line.items : []),
+  ];
+  const matches = (pick, def) => {
+    const pickId = String(pick?.id ?? pick?.menuItemId ?? "");
+    const pickName = normalizeNameKey(pick?.name || pick?.title || pick?.label);
+    return (pickId && pickId === String(def.id)) || (pickName && pickName === normalizeNameKey(def.name));
+  };
+  const choices = defaultBundleChoices(item);
+  const usedPicks = new Set();
+  for (const sl of normalizeBundleSlots(item.bundleSlots)) {
+    const options = sl.itemIds
+      .map((id) => (menu || []).find((m) => String(m.id) === String(id)))
+      .filter(Boolean);
+    const idx = picks.findIndex((pick, i) => !usedPicks.has(i) && options.some((m) => matches(pick, m)));
+    if (idx < 0) continue;
+    choices[sl.id] = options.find((m) => matches(picks[idx], m)).id;
+    usedPicks.add(idx);
+  }
+  const { components } = buildBundleComponents(item, choices, menu);
+  return allocateBundleRevenue(price, components);
+}
+
 function buildCartWithUsesFromOnline(order, menu = [], extras = []) {
   if (!order || !Array.isArray(order.cart)) return [];
   const menuById = new Map();
@@ -2021,12 +2913,32 @@ function buildCartWithUsesFromOnline(order, menu = [], extras = []) {
     const idKey = line?.id != null ? String(line.id) : line?.menuItemId != null ? String(line.menuItemId) : "";
     const nameKey = normalizeNameKey(line?.name || line?.title || line?.label);
     const matchedMenu = (idKey && menuById.get(idKey)) || (nameKey && menuByName.get(nameKey)) || null;
-    const unitUses = { ...(matchedMenu?.uses || {}) };
-
-    const normalizedExtras = Array.isArray(line?.extras)
-      ? line.extras.map((extra, exIdx) => {
-          const exIdKey = extra?.id != null ? String(extra.id) : extra?.extraId != null ? String(extra.extraId) : "";
-          const exNameKey = normalizeNameKey(extra?.name || extra?.title || extra?.label);
+    const components = isBundleItem(matchedMenu)
+      ? mapOnlineBundleComponents(matchedMenu, line, menu, price)
+      : [];
+    const unitUses = components.length
+      ? bundleUnitUses(matchedMenu, components, menu)
+      : { ...(matchedMenu?.uses || {}) };
+
+    const rawExtras = [
+      ...(Array.isArray(line?.extras) ? line.extras : []),
+      ...(Array.isArray(line?.modifiers) ? line.modifiers : []),
+    ];
+    const mapped = mapOnlineModifiers(matchedMenu, rawExtras);
+    const modifierExtras = modifierExtrasFor(matchedMenu, mapped.selection).map((ex) => {
+      const key = `${ex.modifier.groupId}:${ex.modifier.optionId}`;
+      return key in mapped.prices ? { ...ex, price: mapped.prices[key] } : ex;
+    });
+    for (const ex of modifierExtras) {
+      for (const key of Object.keys(ex.uses)) {
+        unitUses[key] = (unitUses[key] || 0) + Number(ex.uses[key] || 0);
+      }
+    }
+
+    const normalizedExtras = mapped.unmatched.length
+      ? mapped.unmatched.map((extra, exIdx) => {
+          const exIdKey = extra?.id != null ? String(extra.id) : extra?.extraId != null ? String(extra.extraId) : "";
+          const exNameKey = normalizeNameKey(extra?.name || extra?.title || extra?.label);
           const matchedExtra =
             (exIdKey && extraById.get(exIdKey)) || (exNameKey && extraByName.get(exNameKey)) || null;
           const extraUses = matchedExtra?.uses || {};
@@ -2036,6 +2948,7 @@ function buildCartWithUsesFromOnline(order, menu = [], extras = []) {
           return {
             id: extra?.id || extra?.extraId || extra?.optionId || extra?.uid || `extra-${idx}-${exIdx}`,
             name: extra?.name || extra?.title || extra?.label || "Extra",
+            ...(matchedExtra?.nameAr ? { nameAr: matchedExtra.nameAr } : {}),
             price: toPrice(extra?.price ?? extra?.amount ?? extra?.cost ?? 0),
           };
         })
@@ -2044,9 +2957,11 @@ function buildCartWithUsesFromOnline(order, menu = [], extras = []) {
     return {
       id: line?.id || line?.menuItemId || line?.itemId || line?.uid || `item-${idx}`,
       name: line?.name || line?.title || line?.label || `Item ${idx + 1}`,
+      ...(matchedMenu?.nameAr ? { nameAr: matchedMenu.nameAr } : {}),
       qty,
       price,
-      extras: normalizedExtras,
+      extras: [...modifierExtras, ...normalizedExtras],
+      ...(components.length ? { components } : {}),
       uses: multiplyUses(unitUses, qty),
     };
   });
@@ -2382,6 +3297,201 @@ const DEFAULT_INVENTORY = [
   { id: "meat",   name: "Meat",   unit: "g",     qty: 0, costPerUnit: 0, minQty: 0 },
   { id: "cheese", name: "Cheese", unit: "slices",qty: 0, costPerUnit: 0, minQty: 0 },
 ];
+/* Perishable stock is tracked in lots on the inventory item:
+   lots = [{ id, receivedAt, expiresAt, qty, unitCost }] with ISO receivedAt and
+   a YYYY-MM-DD expiresAt (or null). `qty` on the item stays the total; any
+   stock beyond the lots (opening stock, manual edits) is untracked. */
+export const EXPIRY_WARNING_DAYS = 3;
+export function lotsTotal(lots) {
+  return (lots || []).reduce((s, l) => s + Number(l.qty || 0), 0);
+}
+// Takes qty off the oldest lots first; emptied lots are dropped.
+export function consumeLotsFifo(lots, qty) {
+  let left = Math.max(0, Number(qty || 0));
+  const taken = [];
+  const out = [];
+  const ordered = [...(lots || [])].sort((a, b) => String(a.receivedAt).localeCompare(String(b.receivedAt)));
+  for (const lot of ordered) {
+    const take = Math.min(left, Number(lot.qty || 0));
+    left -= take;
+    if (take > 0) taken.push({ id: lot.id, qty: take, unitCost: Number(lot.unitCost || 0) });
+    const rest = Number((Number(lot.qty || 0) - take).toFixed(6));
+    if (rest > 0) out.push({ ...lot, qty: rest });
+  }
+  return { lots: out, taken };
+}
+// The item's lots cut down to its qty, so stock that left by any path comes off FIFO.
+export function trimLotsToQty(item) {
+  const excess = lotsTotal(item?.lots) - Math.max(0, Number(item?.qty || 0));
+  return excess > 1e-6 ? consumeLotsFifo(item.lots, excess).lots : item?.lots || [];
+}
+// The item with a new qty; when that takes stock away, its oldest lots give way.
+export function withStockQty(item, qty) {
+  const next = { ...item, qty };
+  return item.lots?.length ? { ...next, lots: trimLotsToQty(next) } : next;
+}
+// The item with stock put back (voids, refunds, cancelled rounds). The qty rejoins
+// its newest lot, so the returned stock keeps a cost and expiry and FIFO still sees it.
+export function withStockAdded(item, qty) {
+  const back = Number(qty || 0);
+  const next = { ...item, qty: Number((Number(item.qty || 0) + back).toFixed(4)) };
+  if (!item.lots?.length || !(back > 0)) return withStockQty(item, next.qty);
+  const newest = [...item.lots].sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)))[0];
+  return { ...next, lots: item.lots.map((l) => (l === newest ? { ...l, qty: Number((Number(l.qty || 0) + back).toFixed(6)) } : l)) };
+}
+// The item with a lot just received (a purchase, a prep batch); the lot's qty goes on top.
+export function withLotAdded(item, lot) {
+  const qty = Number((Number(item.qty || 0) + Number(lot.qty || 0)).toFixed(4));
+  return { ...item, qty, lots: [...(item.lots || []), lot] };
+}
+/* The lot a prep batch goes on stock as: valued at the recipe cost when it was
+   made and expiring recipe.shelfLifeDays later (no expiry when that is unset). */
+export function prepBatchLot(item, qty, unitCost, now = new Date()) {
+  const days = Number(item?.recipe?.shelfLifeDays || 0);
+  const expires = new Date(now);
+  expires.setDate(expires.getDate() + days);
+  return {
+    id: `b_${+now}`,
+    receivedAt: toIso(now),
+    expiresAt: days > 0 ? toDateInputValue(expires) : null,
+    qty,
+    unitCost: Number(Number(unitCost || 0).toFixed(4)),
+  };
+}
+// Lots that expire within `days` of today (or already have), soonest first.
+export function expiringLots(inventory, now = new Date(), days = EXPIRY_WARNING_DAYS) {
+  const today = new Date(`${toDateInputValue(now)}T00:00:00`);
+  const out = [];
+  for (const it of inventory || []) {
+    for (const lot of it.lots || []) {
+      if (!lot.expiresAt || !(Number(lot.qty) > 0)) continue;
+      const daysLeft = Math.round((+new Date(`${lot.expiresAt}T00:00:00`) - +today) / 86400000);
+      if (daysLeft <= days) out.push({ invId: it.id, name: it.name, unit: it.unit, lot, daysLeft });
+    }
+  }
+  return out.sort((a, b) => a.lot.expiresAt.localeCompare(b.lot.expiresAt));
+}
+export const STOCKTAKE_REASONS = [
+  { id: "miscount", label: "Miscount" },
+  { id: "spoilage", label: "Spoilage" },
+  { id: "theft", label: "Theft" },
+];
+/* Variance of a physical count against the system quantities. counts maps an
+   inventory id to the counted quantity; items left blank are not part of the
+   count. expectedAt holds the system quantity snapshotted when each count was
+   typed in (the live qty is used for items without one). Variance is
+   counted − expected (negative = shrinkage), valued at costPerUnit. */
+export function stocktakeLines(inventory, counts = {}, reasons = {}, expectedAt = {}) {
+  const invMap = Object.fromEntries((inventory || []).map((it) => [it.id, it]));
+  return (inventory || [])
+    .filter((it) => counts[it.id] !== "" && counts[it.id] != null && Number.isFinite(Number(counts[it.id])))
+    .map((it) => {
+      const expected = Number(expectedAt?.[it.id] ?? it.qty ?? 0);
+      const counted = Math.max(0, Number(counts[it.id]));
+      const variance = counted - expected;
+      const costPerUnit = inventoryUnitCost(it.id, invMap);
+      return {
+        id: it.id,
+        name: it.name,
+        unit: it.unit,
+        expected,
+        counted,
+        variance,
+        costPerUnit,
+        value: Number((variance * costPerUnit).toFixed(2)),
+        reason: variance ? reasons[it.id] || "miscount" : "",
+      };
+    });
+}
+export const WASTE_REASONS = [
+  { id: "dropped", label: "Dropped / burnt", color: "#ef6c00" },
+  { id: "expired", label: "Expired", color: "#8e24aa" },
+  { id: "spoiled", label: "Spoiled", color: "#6d4c41" },
+  { id: "wrong", label: "Wrong order", color: "#1e88e5" },
+  { id: "returned", label: "Returned, not restocked", color: "#00897b" },
+  { id: "other", label: "Other", color: "#757575" },
+];
+/* Stock taken out by one waste entry. source is { kind: "inventory" | "menu", id };
+   a menu item expands through its `uses`. Each line is costed at costPerUnit. */
+export function wasteLines(source, qty, inventory, menu) {
+  const n = Number(qty);
+  if (!source?.id || !(n > 0)) return [];
+  if (source.kind === "menu") {
+    const def = (menu || []).find((m) => String(m.id) === String(source.id));
+    return wasteLinesForUses(multiplyUses(def?.uses || {}, n), inventory);
+  }
+  return wasteLinesForUses({ [source.id]: n }, inventory);
+}
+// Costs a { [invId]: qty } map as waste lines, e.g. the uses of returned order lines.
+export function wasteLinesForUses(uses, inventory) {
+  const invMap = Object.fromEntries((inventory || []).map((it) => [it.id, it]));
+  return Object.entries(uses || {})
+    .filter(([invId, q]) => q > 0 && invMap[invId])
+    .map(([invId, q]) => {
+      const inv = invMap[invId];
+      const costPerUnit = inventoryUnitCost(invId, invMap);
+      return { invId, name: inv.name, unit: inv.unit, qty: q, costPerUnit, cost: Number((q * costPerUnit).toFixed(2)) };
+    });
+}
+// Waste entries in [start, end] summed per inventory item, per reason and per day.
+export function wasteSummary(wasteLog, start, end) {
+  const entries = (wasteLog || []).filter((w) => {
+    const at = new Date(w.at);
+    return at >= start && at <= end;
+  });
+  const items = new Map();
+  const byReason = Object.fromEntries(WASTE_REASONS.map((r) => [r.id, 0]));
+  const days = new Map();
+  for (const w of entries) {
+    for (const line of w.lines || []) {
+      const row = items.get(line.invId) || { invId: line.invId, name: line.name, unit: line.unit, qty: 0, cost: 0 };
+      row.qty += line.qty;
+      row.cost += line.cost;
+      items.set(line.invId, row);
+    }
+    byReason[w.reason] = (byReason[w.reason] || 0) + w.cost;
+    const day = toDateInputValue(new Date(w.at));
+    const d = days.get(day) || { day };
+    d[w.reason] = (d[w.reason] || 0) + w.cost;
+    days.set(day, d);
+  }
+  const round = (v) => Number(v.toFixed(2));
+  return {
+    entries,
+    items: [...items.values()].map((r) => ({ ...r, qty: round(r.qty), cost: round(r.cost) })).sort((a, b) => b.cost - a.cost),
+    byReason: Object.fromEntries(Object.entries(byReason).map(([k, v]) => [k, round(v)])),
+    byDay: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)),
+    cost: round(entries.reduce((s, w) => s + Number(w.cost || 0), 0)),
+  };
+}
+// Shrinkage from posted stocktakes in [start, end], per item and per reason.
+export function shrinkageReport(stocktakes, start, end) {
+  const items = new Map();
+  const byReason = Object.fromEntries(STOCKTAKE_REASONS.map((r) => [r.id, 0]));
+  let value = 0;
+  for (const st of stocktakes || []) {
+    const at = new Date(st.at);
+    if (at < start || at > end) continue;
+    for (const line of st.lines || []) {
+      if (!line.variance) continue;
+      const row = items.get(line.id) || { id: line.id, name: line.name, unit: line.unit, qty: 0, value: 0, counts: 0 };
+      row.qty += line.variance;
+      row.value += line.value;
+      row.counts += 1;
+      items.set(line.id, row);
+      byReason[line.reason] = (byReason[line.reason] || 0) + line.value;
+      value += line.value;
+    }
+  }
+  const round = (v) => Number(v.toFixed(2));
+  return {
+    items: [...items.values()]
+      .map((r) => ({ ...r, qty: round(r.qty), value: round(r.value) }))
+      .sort((a, b) => a.value - b.value),
+    byReason: Object.fromEntries(Object.entries(byReason).map(([k, v]) => [k, round(v)])),
+    value: round(value),
+  };
+}
 const DEFAULT_UTILITY_BILLS = {
   electricity: { amount: 0, units: 0 },
   gas: { amount: 0, units: 0 },
@@ -2426,9 +3536,9 @@ function normalizeEquipmentList(raw = []) {
   }));
 }
 const BASE_WORKER_PROFILES = [
-  { id: "w_hassan", name: "Hassan", pin: "1234", rate: 41.67, isActive: false },
-  { id: "w_andiel", name: "Andiel", pin: "2345", rate: 31.67, isActive: false },
-  { id: "w_warda",  name: "Warda",  pin: "3456", rate: 18.33, isActive: false },
+  { id: "w_hassan", name: "Hassan", pin: "", rate: 41.67, isActive: false },
+  { id: "w_andiel", name: "Andiel", pin: "", rate: 31.67, isActive: false },
+  { id: "w_warda",  name: "Warda",  pin: "", rate: 18.33, isActive: false },
 ];
 const DEFAULT_ZONES = [
   { id: "zone-a", name: "Zone A (Nearby)", fee: 20 },
@@ -2487,28 +3597,109 @@ function convertToInventoryUnit(qty, purchaseUnit, invUnit) {
   const inBase = Number(qty || 0) * p.factor;
   return inBase / i.factor;           // in inventory units
 }
+// A purchase feeds an inventory item through its ingredient link, or else
+// through a category of the same name.
+function purchaseMatchesInv(p, inventoryItem, purchaseCategories) {
+  if (p.ingredientId) return p.ingredientId === inventoryItem.id;
+  const invName = String(inventoryItem?.name || "").toLowerCase();
+  const catName = ((purchaseCategories || []).find(c => c.id === p.categoryId)?.name || "").toLowerCase();
+  return !!catName && catName === invName;
+}
 function getLatestPurchaseForInv(inventoryItem, purchases, purchaseCategories) {
   let best = null;
-  const invName = String(inventoryItem?.name || "").toLowerCase();
-
   for (const p of purchases || []) {
     const when = p?.date instanceof Date ? p.date : new Date(p?.date);
-    if (p.ingredientId && p.ingredientId === inventoryItem.id) {
+    if (purchaseMatchesInv(p, inventoryItem, purchaseCategories)) {
       if (!best || when > best._when) best = { ...p, _when: when };
-      continue;
-    }
-    if (!p.ingredientId) {
-      const catName = (purchaseCategories.find(c => c.id === p.categoryId)?.name || "").toLowerCase();
-      if (catName && catName === invName) {
-        if (!best || when > best._when) best = { ...p, _when: when };
-      }
     }
   }
   return best;
 }
+export const COSTING_METHODS = [
+  { id: "average", label: "Weighted average" },
+  { id: "fifo", label: "FIFO" },
+  { id: "latest", label: "Latest purchase" },
+];
+// An item's purchases as cost layers in inventory units, oldest first.
+export function purchaseLayersForInv(inventoryItem, purchases, purchaseCategories) {
+  const layers = [];
+  for (const p of purchases || []) {
+    if (!purchaseMatchesInv(p, inventoryItem, purchaseCategories)) continue;
+    const qty = convertToInventoryUnit(p.qty, p.unit, inventoryItem.unit);
+    const unitCost = unitPriceToInventoryCost(Number(p.unitPrice || 0), p.unit, inventoryItem.unit);
+    if (!(qty > 0) || unitCost == null) continue;
+    layers.push({ at: new Date(p.date), qty, unitCost });
+  }
+  return layers.sort((a, b) => a.at - b.at);
+}
+/* Cost per inventory unit from purchase history, or null when no purchase can
+   be converted to the item's unit.
+   - average: every purchased unit weighted equally
+   - fifo: the unit cost of whatever is used next. Untracked stock (qty beyond
+     the lots) is older than any lot and goes first, as in withStockQty, so the
+     oldest lot only sets the cost once the untracked stock is gone. Until then
+     stock on hand is taken to be the newest purchases and the oldest of those
+     layers is used
+   - latest: the most recent purchase price */
+export function costPerUnitFromPurchases(inventoryItem, purchases, purchaseCategories, method = "average") {
+  if (method === "latest") {
+    const last = getLatestPurchaseForInv(inventoryItem, purchases, purchaseCategories);
+    return last ? unitPriceToInventoryCost(Number(last.unitPrice || 0), last.unit, inventoryItem.unit) : null;
+  }
+  if (method === "fifo") {
+    const onHand = (inventoryItem.lots || [])
+      .filter((l) => Number(l.qty || 0) > 0)
+      .sort((a, b) => String(a.receivedAt).localeCompare(String(b.receivedAt)));
+    const untracked = Number(inventoryItem.qty || 0) - lotsTotal(onHand);
+    if (onHand.length && untracked <= 1e-6) return Number(onHand[0].unitCost || 0);
+  }
+  const layers = purchaseLayersForInv(inventoryItem, purchases, purchaseCategories);
+  if (!layers.length) return null;
+  if (method === "fifo") {
+    let onHand = Math.max(0, Number(inventoryItem.qty || 0));
+    if (!onHand) return layers[layers.length - 1].unitCost;
+    let oldest = layers[0];
+    for (let i = layers.length - 1; i >= 0 && onHand > 0; i--) {
+      oldest = layers[i];
+      onHand -= layers[i].qty;
+    }
+    return oldest.unitCost;
+  }
+  const qty = layers.reduce((s, l) => s + l.qty, 0);
+  return layers.reduce((s, l) => s + l.qty * l.unitCost, 0) / qty;
+}
 const getNextMenuId = (menu = []) =>
   (menu.reduce((m, it) => Math.max(m, Number(it?.id ?? 0)), 0) || 0) + 1;
 
+/* ---------- Refunds on done orders ----------
+   order.refunds: [{ id, at (ISO), by, reason, amount,
+                     lines: [{ lineIndex, name, qty, amount, restock }],
+                     paymentParts: [{ method, amount }] }] */
+export function orderRefundTotal(order) {
+  const list = Array.isArray(order?.refunds) ? order.refunds : [];
+  return Number(list.reduce((s, r) => s + Number(r?.amount || 0), 0).toFixed(2));
+}
+export function refundedQtyByLine(order) {
+  const out = {};
+  for (const r of Array.isArray(order?.refunds) ? order.refunds : []) {
+    for (const l of r?.lines || []) {
+      out[l.lineIndex] = (out[l.lineIndex] || 0) + Number(l.qty || 0);
+    }
+  }
+  return out;
+}
+// What one unit of a cart line actually cost the customer, after line and order-level discounts.
+export function lineRefundUnitPrice(order, lineIndex) {
+  const cart = Array.isArray(order?.cart) ? order.cart : [];
+  const line = cart[lineIndex];
+  if (!line) return 0;
+  const lineNet = (l) => lineGrossTotal(l) - lineDiscountAmount(l);
+  const allLinesNet = cart.reduce((s, l) => s + lineNet(l), 0);
+  const itemsTotal = order.itemsTotal != null ? Number(order.itemsTotal || 0) : allLinesNet;
+  const factor = allLinesNet > 0 ? Math.min(1, itemsTotal / allLinesNet) : 0;
+  const qty = Math.max(1, Number(line.qty || 1));
+  return Number(((lineNet(line) * factor) / qty).toFixed(2));
+}
 function sumPaymentsByMethod(orders = []) {
   const totals = {};
   for (const order of orders || []) {
@@ -2516,6 +3707,13 @@ function sumPaymentsByMethod(orders = []) {
     if (order && Object.prototype.hasOwnProperty.call(order, "done") && order.done === false) {
       continue;
     }
+    // money handed back goes out of the same drawer / account it was refunded through
+    for (const r of Array.isArray(order?.refunds) ? order.refunds : []) {
+      for (const part of r?.paymentParts || []) {
+        const method = String(part?.method || "Unknown");
+        totals[method] = (totals[method] || 0) - Number(part?.amount || 0);
+      }
+    }
 
     const rawDelivery = Number(order?.deliveryFee || 0);
     const deliveryFee = Number.isFinite(rawDelivery) && rawDelivery > 0 ? rawDelivery : 0;
@@ -2596,6 +3794,9 @@ function findInventoryIdForPurchase(row, inventory, purchaseCategories) {
   const byItem = inventory.find(it => it.name.toLowerCase() === itemName);
   return byItem ? byItem.id : null;
 }
+// The PINs every shop starts with. They keep working until the owner chooses a
+// PIN of their own (the first-run prompt in Admin); slots still on them are then
+// refused and cleared.
 const DEFAULT_ADMIN_PINS = {
   1: "1111",
   2: "2222",
@@ -2604,6 +3805,269 @@ const DEFAULT_ADMIN_PINS = {
   5: "5555",
   6: "6666",
 };
+const shippedAdminPin = (n) => DEFAULT_ADMIN_PINS[n] || "";
+// Roles and what each may do. Worker profiles carry a `role` (cashier when
+// missing); the matrix is edited in Settings and synced with the shop state.
+// The old numbered admin PINs still act as owner until someone is given the
+// owner role, so a shop upgrading from them is never locked out.
+export const ROLES = [
+  { id: "cashier", label: "Cashier" },
+  { id: "shift_lead", label: "Shift lead" },
+  { id: "manager", label: "Manager" },
+  { id: "owner", label: "Owner" },
+];
+export const PERMISSIONS = [
+  { id: "admin", label: "Open Admin" },
+  { id: "void", label: "Cancel / return orders" },
+  { id: "refund", label: "Refund orders" },
+  { id: "comp", label: "Comp items and orders" },
+  { id: "priceEdit", label: "Edit prices" },
+  { id: "inventoryUnlock", label: "Unlock inventory" },
+  { id: "stocktake", label: "Post stocktake adjustments" },
+  { id: "resetReconciliations", label: "Reset reconciliations" },
+  { id: "deleteContacts", label: "Delete customer contacts" },
+  { id: "viewReports", label: "View reports" },
+  { id: "viewAudit", label: "View audit log" },
+  { id: "resetData", label: "Reset logs and history" },
+  { id: "manageStaff", label: "Manage staff, roles and PINs" },
+];
+export const DEFAULT_ROLE_PERMISSIONS = {
+  cashier: [],
+  shift_lead: ["void", "comp", "inventoryUnlock"],
+  manager: ["admin", "void", "refund", "comp", "priceEdit", "inventoryUnlock", "stocktake", "resetReconciliations", "viewReports"],
+  owner: PERMISSIONS.map((p) => p.id),
+};
+export function normalizeRolePermissions(m) {
+  const src = m && typeof m === "object" ? m : {};
+  const known = new Set(PERMISSIONS.map((p) => p.id));
+  const out = {};
+  for (const { id } of ROLES) {
+    const list = Array.isArray(src[id]) ? src[id] : DEFAULT_ROLE_PERMISSIONS[id];
+    out[id] = list.filter((p) => known.has(p));
+  }
+  // the owner can always do everything, so nobody can lock the shop out
+  out.owner = PERMISSIONS.map((p) => p.id);
+  return out;
+}
+export function workerRole(profile) {
+  return ROLES.some((r) => r.id === profile?.role) ? profile.role : "cashier";
+}
+export function roleCan(rolePermissions, role, permission) {
+  return (normalizeRolePermissions(rolePermissions)[role] || []).includes(permission);
+}
+// Who a PIN belongs to: { name, role } or null. Worker profiles win; the
+// legacy admin slots only count while no profile has the owner role.
+export async function pinHolder(pin, profiles = [], legacyAdminPins = {}) {
+  if (!String(pin ?? "").trim()) return null;
+  const prof = await findByPin(profiles, pin);
+  if (prof) return { name: prof.name, role: workerRole(prof) };
+  if ((profiles || []).some((w) => workerRole(w) === "owner")) return null;
+  const slots = Object.keys(legacyAdminPins || {}).map((n) => ({ n, pin: legacyAdminPins[n] }));
+  const slot = await findByPin(slots, pin);
+  if (!slot) return null;
+  if (String(pin).trim() === shippedAdminPin(slot.n) && (await hasOwnerPin(profiles, legacyAdminPins))) return null;
+  return { name: `Admin ${slot.n}`, role: "owner" };
+}
+// Whether anyone can act as owner yet: a worker with the owner role and a PIN,
+// or an admin slot set to something other than the PIN it shipped with.
+export async function hasOwnerPin(profiles = [], legacyAdminPins = {}) {
+  if ((profiles || []).some((w) => workerRole(w) === "owner" && w.pin)) return true;
+  const set = await Promise.all(
+    Object.keys(legacyAdminPins || {}).map(
+      async (n) => !!legacyAdminPins[n] && !(await pinMatches(legacyAdminPins[n], shippedAdminPin(n)))
+    )
+  );
+  return set.some(Boolean);
+}
+// PINs are stored as "pbkdf2$<iterations>$<salt>$<digest>": PBKDF2-SHA-256 through
+// Web Crypto, salt and digest in hex. Plain values from before this format still
+// match until App rewrites them (see the PIN migration effects).
+const PIN_HASH_PREFIX = "pbkdf2$";
+const PIN_HASH_ITERATIONS = 100000;
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+// Browsers only offer Web Crypto on secure pages (https or localhost), so a
+// tablet opening the app over plain http on the LAN can't hash or check PINs.
+export const pinCryptoAvailable = () => typeof crypto !== "undefined" && !!crypto.subtle;
+export async function hashPin(
+  pin,
+  salt = toHex(crypto.getRandomValues(new Uint8Array(16))),
+  iterations = PIN_HASH_ITERATIONS
+) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(String(pin ?? "").trim()),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: Uint8Array.from(salt.match(/../g) || [], (h) => parseInt(h, 16)),
+      iterations,
+    },
+    key,
+    256
+  );
+  return `${PIN_HASH_PREFIX}${iterations}$${salt}$${toHex(new Uint8Array(bits))}`;
+}
+export const isHashedPin = (v) => String(v ?? "").startsWith(PIN_HASH_PREFIX);
+export async function pinMatches(stored, pin) {
+  const s = String(stored ?? "").trim();
+  const p = String(pin ?? "").trim();
+  if (!s || !p) return false;
+  if (!isHashedPin(s)) return s === p;
+  const [iterations, salt] = s.slice(PIN_HASH_PREFIX.length).split("$");
+  return (await hashPin(p, salt, Number(iterations))) === s;
+}
+// The first entry (anything with a `pin`) whose stored PIN matches, or null.
+export async function findByPin(list, pin) {
+  const hits = await Promise.all((list || []).map((x) => pinMatches(x.pin, pin)));
+  return (list || []).find((_, i) => hits[i]) || null;
+}
+// Every PIN pad on a device shares one failure count: after PIN_MAX_FAILURES
+// wrong PINs in a row, PINs are refused for PIN_LOCKOUT_MS.
+const PIN_LOCK_LS_KEY = "tux_pos_pin_lock_v1";
+export const PIN_MAX_FAILURES = 5;
+export const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+export function nextPinLock(lock, ok, now = Date.now()) {
+  if (ok) return { failures: 0, lockedUntil: 0 };
+  const failures = Number(lock?.failures || 0) + 1;
+  return failures >= PIN_MAX_FAILURES ? { failures: 0, lockedUntil: now + PIN_LOCKOUT_MS } : { failures, lockedUntil: 0 };
+}
+function loadPinLock() {
+  try {
+    return JSON.parse(localStorage.getItem(PIN_LOCK_LS_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+function recordPinAttempt(ok) {
+  try {
+    localStorage.setItem(PIN_LOCK_LS_KEY, JSON.stringify(nextPinLock(loadPinLock(), ok)));
+  } catch {}
+}
+// The message (built with t, the caller's tr()) to show while PINs are locked
+// out, or "" when they are not.
+function pinLockoutMessage(t = tr, now = Date.now()) {
+  const ms = Number(loadPinLock().lockedUntil || 0) - now;
+  return ms > 0 ? t("Too many wrong PINs. Try again in {0} min.", [Math.ceil(ms / 60000)]) : "";
+}
+// Worker Log pay rules. A threshold of 0 turns that rule off. Hours past the
+// daily threshold are daily overtime; regular hours past the weekly threshold
+// (Sunday to Saturday) are weekly overtime, so no hour is counted twice.
+export const DEFAULT_PAY_RULES = {
+  dailyOvertimeHours: 8,
+  dailyOvertimeMultiplier: 1.5,
+  weeklyOvertimeHours: 48,
+  weeklyOvertimeMultiplier: 1.5,
+  minShiftHours: 0,
+};
+export function normalizePayRules(r) {
+  const src = r && typeof r === "object" ? r : {};
+  const num = (k, min) => {
+    const v = Number(src[k]);
+    return Number.isFinite(v) && v >= min ? v : DEFAULT_PAY_RULES[k];
+  };
+  return {
+    dailyOvertimeHours: num("dailyOvertimeHours", 0),
+    dailyOvertimeMultiplier: num("dailyOvertimeMultiplier", 1),
+    weeklyOvertimeHours: num("weeklyOvertimeHours", 0),
+    weeklyOvertimeMultiplier: num("weeklyOvertimeMultiplier", 1),
+    minShiftHours: num("minShiftHours", 0),
+  };
+}
+const overlapMs = (a, b, start, end) => Math.max(0, Math.min(+b, +end) - Math.max(+a, +start));
+// Paid and unpaid break minutes of a session inside [start, end]. Breaks are
+// { start, end, paid } with ISO times; an open break runs until now.
+export function sessionBreakMinutes(s, start, end, now = new Date()) {
+  const out = { paid: 0, unpaid: 0 };
+  const to = new Date(Math.min(+end, +now));
+  for (const br of s?.breaks || []) {
+    const ms = overlapMs(new Date(br.start), br.end ? new Date(br.end) : now, start, to);
+    out[br.paid ? "paid" : "unpaid"] += ms / 60000;
+  }
+  return { paid: Number(out.paid.toFixed(1)), unpaid: Number(out.unpaid.toFixed(1)) };
+}
+export function closeOpenBreaks(breaks, at) {
+  return (breaks || []).map((b) => (b.end ? b : { ...b, end: toIso(at) }));
+}
+// Hours on the clock inside [start, end] minus unpaid breaks; an open session
+// runs until now.
+export function sessionPaidHours(s, start, end, now = new Date()) {
+  if (!s?.signInAt) return 0;
+  const to = new Date(Math.min(+end, +now));
+  const onClock = overlapMs(new Date(s.signInAt), s.signOutAt ? new Date(s.signOutAt) : now, start, to);
+  const unpaid = sessionBreakMinutes(s, start, end, now).unpaid * 60000;
+  return Math.max(0, onClock - unpaid) / 3600000;
+}
+/* One worker's timesheet for [start, end]: a row per session, a row per day
+   with its regular and overtime hours, and the totals and pay. Shifts that
+   closed inside the period are paid at least minShiftHours. Weekly overtime
+   only sees the part of a week that falls inside the period. */
+export function workerTimesheet(sessions, name, rate, rules, start, end, now = new Date()) {
+  const r = normalizePayRules(rules);
+  const rows = (sessions || [])
+    .filter((s) => s?.name === name && s.signInAt)
+    .filter((s) => overlapMs(new Date(s.signInAt), s.signOutAt ? new Date(s.signOutAt) : now, start, end) > 0)
+    .sort((a, b) => +new Date(a.signInAt) - +new Date(b.signInAt))
+    .map((s) => {
+      const worked = sessionPaidHours(s, start, end, now);
+      const inside = s.signOutAt && new Date(s.signInAt) >= start && new Date(s.signOutAt) <= end;
+      const minApplied = !!inside && worked < r.minShiftHours;
+      const from = new Date(Math.max(+new Date(s.signInAt), +start));
+      return {
+        id: s.id,
+        day: toDateInputValue(from),
+        signInAt: s.signInAt,
+        signOutAt: s.signOutAt || null,
+        breaks: sessionBreakMinutes(s, start, end, now),
+        hours: minApplied ? r.minShiftHours : worked,
+        minApplied,
+      };
+    });
+
+  const byDay = new Map();
+  for (const row of rows) byDay.set(row.day, (byDay.get(row.day) || 0) + row.hours);
+  const weekRegular = {};
+  const days = [...byDay.entries()].map(([day, hours]) => {
+    let regular = r.dailyOvertimeHours > 0 ? Math.min(hours, r.dailyOvertimeHours) : hours;
+    const dailyOvertime = hours - regular;
+    const week = getSundayStart(`${day}T00:00:00`);
+    const before = weekRegular[week] || 0;
+    weekRegular[week] = before + regular;
+    const weeklyOvertime =
+      r.weeklyOvertimeHours > 0 ? Math.max(0, weekRegular[week] - Math.max(before, r.weeklyOvertimeHours)) : 0;
+    regular -= weeklyOvertime;
+    return { day, hours, regular, dailyOvertime, weeklyOvertime };
+  });
+
+  const sum = (k) => days.reduce((s, d) => s + d[k], 0);
+  const regular = sum("regular");
+  const dailyOvertime = sum("dailyOvertime");
+  const weeklyOvertime = sum("weeklyOvertime");
+  const pay =
+    Number(rate || 0) *
+    (regular + dailyOvertime * r.dailyOvertimeMultiplier + weeklyOvertime * r.weeklyOvertimeMultiplier);
+  const round = (v) => Number(v.toFixed(2));
+  return {
+    rows: rows.map((row) => ({ ...row, hours: round(row.hours) })),
+    days: days.map((d) => ({
+      day: d.day,
+      hours: round(d.hours),
+      regular: round(d.regular),
+      dailyOvertime: round(d.dailyOvertime),
+      weeklyOvertime: round(d.weeklyOvertime),
+    })),
+    hours: round(sum("hours")),
+    regular: round(regular),
+    overtime: round(dailyOvertime + weeklyOvertime),
+    dailyOvertime: round(dailyOvertime),
+    weeklyOvertime: round(weeklyOvertime),
+    pay: round(pay),
+  };
+}
 const UTILITY_TYPES = [
   { name: "Electricity", note: "Electricity Bill" },
   { name: "Water", note: "Water Bill" },
@@ -2656,6 +4120,288 @@ async function allocateOrderNoAtomic(db, counterDocRef) {
   });
   return next;
 }
+/* Claims a number that was handed out while offline so the shared counter never reissues it.
+   If the counter is already past it another till used that number, so the order gets the
+   next free one instead. The claim doc (keyed by the order's idemKey) makes a retry after a
+   timed-out commit return the same number rather than renumbering twice.
+   Resolves to the number the order ends up with. */
+async function reserveOrderNoAtomic(db, counterDocRef, orderNo, claimDocRef = null) {
+  const wanted = Number(orderNo || 0);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(counterDocRef);
+    const claim = claimDocRef ? await tx.get(claimDocRef) : null;
+    if (claim && claim.exists()) return Number(claim.data().orderNo || wanted);
+    const current = snap.exists() ? Number(snap.data().lastOrderNo || 0) : 0;
+    const n = current >= wanted ? current + 1 : wanted;
+    tx.set(
+      counterDocRef,
+      { lastOrderNo: n, updatedAt: serverTimestamp() },
+      { merge: true }
+    );
+    if (claimDocRef) {
+      tx.set(claimDocRef, { orderNo: n, requested: wanted, at: serverTimestamp() });
+    }
+    return n;
+  });
+}
+
+// Every till runs the pre-order release timer; setting releasedAt inside a
+// transaction lets exactly one of them win. Resolves to { won, releasedAt }.
+async function claimOrderRelease(db, orderDocRef, releasedAt) {
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(orderDocRef);
+    if (!snap.exists()) return { won: false, releasedAt: null };
+    if (snap.data().releasedAt) return { won: false, releasedAt: snap.data().releasedAt };
+    tx.update(orderDocRef, { releasedAt: toIso(releasedAt), updatedAt: serverTimestamp() });
+    return { won: true, releasedAt: toIso(releasedAt) };
+  });
+}
+
+/* ---------- Offline outbox ----------
+   Cloud writes that fail (or time out while offline) are queued here and
+   replayed in order once the connection is back. Kept under its own key so
+   nothing that rewrites the main local state can drop pending writes. */
+const OUTBOX_LS_KEY = "tux_pos_outbox_v1";
+const CLOUD_WRITE_TIMEOUT_MS = 8000;
+function loadOutbox() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(OUTBOX_LS_KEY) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+function saveOutbox(queue) {
+  try {
+    localStorage.setItem(OUTBOX_LS_KEY, JSON.stringify(queue || []));
+  } catch {}
+}
+function withTimeout(promise, ms = CLOUD_WRITE_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+function isProbablyOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+function serializeOrderForOutbox(order) {
+  return {
+    ...order,
+    date: toIso(order.date),
+    restockedAt: toIso(order.restockedAt),
+    whatsappSentAt: toIso(order.whatsappSentAt),
+  };
+}
+function reviveOutboxOrder(o) {
+  return enrichOrderWithChannel({
+    ...o,
+    date: o.date ? new Date(o.date) : new Date(),
+    restockedAt: o.restockedAt ? new Date(o.restockedAt) : undefined,
+    whatsappSentAt: o.whatsappSentAt ? new Date(o.whatsappSentAt) : null,
+  });
+}
+// kind: "order_create" | "order_update" | "counter_reserve" | "audit_append"
+function makeOutboxEntry(kind, data = {}) {
+  return {
+    id: `ob_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: "",
+    ...data,
+  };
+}
+const outboxMatchesOrder = (entry, order) =>
+  entry.idemKey ? entry.idemKey === order.idemKey : entry.orderNo === order.orderNo;
+// Points the queued writes of an order at the number it was given on replay.
+export function renumberOutboxOrder(queue, order, newNo) {
+  return (queue || []).map((e) => {
+    if (e.kind !== "order_create" && e.kind !== "order_update") return e;
+    if (!outboxMatchesOrder(e, order)) return e;
+    const next = { ...e, orderNo: newNo };
+    if (e.order) next.order = { ...e.order, orderNo: newNo, renumberedFrom: order.orderNo };
+    return next;
+  });
+}
+/* Overlays pending outbox writes on top of the orders we got from the cloud,
+   so queued orders and status changes stay visible until they are replayed. */
+export function applyOutboxToOrders(orders, queue) {
+  const list = Array.isArray(orders) ? [...orders] : [];
+  for (const entry of queue || []) {
+    if (entry.kind === "order_create" && entry.order) {
+      const exists = list.some((o) => outboxMatchesOrder(entry, o));
+      if (!exists) list.unshift(reviveOutboxOrder(entry.order));
+    } else if (entry.kind === "order_update" && entry.patch) {
+      const patch = { ...entry.patch };
+      if (patch.restockedAt) patch.restockedAt = new Date(patch.restockedAt);
+      if (patch.whatsappSentAt) patch.whatsappSentAt = new Date(patch.whatsappSentAt);
+      for (let i = 0; i < list.length; i++) {
+        if (outboxMatchesOrder(entry, list[i])) list[i] = { ...list[i], ...patch };
+      }
+    }
+  }
+  return list;
+}
+/* ---------- Audit log ----------
+   Append-only record of sensitive actions (voids, refunds, unlocks, resets,
+   price edits, bank removals). Each device keeps its own chain: every entry
+   carries a running seq and the hash of the entry before it, so an edited
+   or removed entry shows up as a break. Kept under its own key and synced to
+   its own collection, never inside the big state doc. */
+const AUDIT_LS_KEY = "tux_pos_audit_v1";
+const AUDIT_DEVICE_LS_KEY = "tux_pos_device_id";
+const AUDIT_ACTIONS = {
+  "order.cancel": "Cancel order",
+  "order.return": "Return order",
+  "order.refund": "Refund order",
+  "order.renumber": "Renumber offline order",
+  "inventory.unlock": "Unlock inventory",
+  "inventory.stocktake": "Post stocktake",
+  "price.edit": "Change price",
+  "reconciliations.reset": "Reset reconciliations",
+  "contacts.reset": "Delete all customer contacts",
+  "purchases.reset": "Reset purchases",
+  "bank.remove": "Remove bank transaction",
+  "bank.reset": "Reset bank transactions",
+  "workerLog.reset": "Reset worker log",
+  "usage.reset": "Reset usage history",
+  "reports.reset": "Reset reports",
+  "pin.change": "Change PIN",
+};
+function loadAuditLog() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(AUDIT_LS_KEY) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+function saveAuditLog(entries) {
+  try {
+    localStorage.setItem(AUDIT_LS_KEY, JSON.stringify(entries || []));
+  } catch {}
+}
+function auditDeviceId() {
+  try {
+    let id = localStorage.getItem(AUDIT_DEVICE_LS_KEY);
+    if (!id) {
+      id = `dev_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      localStorage.setItem(AUDIT_DEVICE_LS_KEY, id);
+    }
+    return id;
+  } catch {
+    return "dev_unknown";
+  }
+}
+// JSON with sorted keys, so an entry hashes the same after a cloud round trip.
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map((x) => (x === undefined ? "null" : stableJson(x))).join(",")}]`;
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+// 64-bit digest from two 32-bit lanes. It is not a secret, so it shows edits
+// and gaps in a chain; it can't stop someone rebuilding the whole chain.
+export function hash64(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, "0") + (h1 >>> 0).toString(16).padStart(8, "0");
+}
+function auditEntryDigest(e) {
+  const { device, seq, at, who, role, action, target, before, after, note, prevHash } = e;
+  return hash64(stableJson({ device, seq, at, who, role, action, target, before, after, note, prevHash }));
+}
+// prev is the last entry of this device's chain (or null for the first one).
+export function makeAuditEntry(prev, { device, who = "", role = "", action, target = "", before = null, after = null, note = "" }, at = new Date()) {
+  const seq = prev ? Number(prev.seq || 0) + 1 : 1;
+  const entry = {
+    id: `${device}_${String(seq).padStart(6, "0")}`,
+    device,
+    seq,
+    at: toIso(at),
+    who,
+    role,
+    action,
+    target: String(target ?? ""),
+    before: before ?? null,
+    after: after ?? null,
+    note: String(note ?? ""),
+    prevHash: prev ? prev.hash : "",
+  };
+  return { ...entry, hash: auditEntryDigest(entry) };
+}
+/* Checks every device's chain and returns the problems found:
+   { id, device, seq, problem } where problem is "edited" (the entry no
+   longer matches its hash) or "missing" (entries before it were removed
+   or replaced). An empty list means every chain is intact. */
+export function verifyAuditChain(entries) {
+  const byDevice = {};
+  for (const e of entries || []) (byDevice[e.device] = byDevice[e.device] || []).push(e);
+  const problems = [];
+  for (const device of Object.keys(byDevice)) {
+    const chain = byDevice[device].slice().sort((a, b) => a.seq - b.seq);
+    chain.forEach((e, i) => {
+      const prev = chain[i - 1];
+      if (auditEntryDigest(e) !== e.hash) {
+        problems.push({ id: e.id, device, seq: e.seq, problem: "edited" });
+      } else if (prev ? e.seq !== prev.seq + 1 || e.prevHash !== prev.hash : e.seq !== 1 || e.prevHash !== "") {
+        problems.push({ id: e.id, device, seq: e.seq, problem: "missing" });
+      }
+    });
+  }
+  return problems;
+}
+// Local entries plus whatever other devices synced, newest first.
+export function mergeAuditEntries(...lists) {
+  const byId = new Map();
+  for (const list of lists) for (const e of list || []) if (e?.id) byId.set(e.id, e);
+  return [...byId.values()].sort((a, b) => String(b.at).localeCompare(String(a.at)) || b.seq - a.seq);
+}
+export function auditValueText(v) {
+  if (v == null || v === "") return "—";
+  if (typeof v !== "object") return String(v);
+  return Object.keys(v)
+    .map((k) => `${k}: ${auditValueText(v[k])}`)
+    .join(", ");
+}
+export function auditLogToCsv(entries) {
+  const header = ["At", "Device", "Seq", "Who", "Role", "Action", "Target", "Before", "After", "Note", "Prev hash", "Hash"];
+  const rows = (entries || []).map((e) => [
+    e.at,
+    e.device,
+    e.seq,
+    e.who,
+    e.role,
+    e.action,
+    e.target,
+    e.before == null ? "" : JSON.stringify(e.before),
+    e.after == null ? "" : JSON.stringify(e.after),
+    e.note,
+    e.prevHash,
+    e.hash,
+  ]);
+  return [header, ...rows]
+    .map((cols) =>
+      cols
+        .map((col) => {
+          const text = String(col ?? "");
+          return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\n");
+}
 function escHtml(s) {
   return String(s ?? "")
     .replace(/&/g, "&amp;")
@@ -2721,15 +4467,1273 @@ function findDefByLine(line, defs){
   return null;
 }
 
-function buildReceiptHTML(order, widthMm = 80) {
-  const m = Math.max(0, Math.min(4, 4)); // padding mm
-  const currency = (v) => `E£${Number(v || 0).toFixed(2)}`;
-  const dt = new Date(order.date);
-  const orderDateStr = fmtDate(dt);
-  const orderTimeStr = dt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
-
+// Stamp printed across the top of a copy; first customer/kitchen prints carry none.
+export function receiptStamp(copy) {
+  if (copy === "Reprint") return "REPRINT";
+  if (copy === "Kitchen copy") return "KITCHEN COPY";
+  return "";
+}
+// Printer stations: one receipt printer at the counter plus kitchen printers
+// that only get the menu items routed to them.
+// { id, name, kind: "receipt" | "kitchen", printer, itemIds: [menuId] }
+export const DEFAULT_PRINT_STATIONS = [
+  { id: "front", name: "Front counter", kind: "receipt", printer: "", itemIds: [] },
+  { id: "grill", name: "Grill", kind: "kitchen", printer: "", itemIds: [] },
+  { id: "fryer", name: "Fryer", kind: "kitchen", printer: "", itemIds: [] },
+];
+export function normalizePrintStations(list) {
+  if (!Array.isArray(list)) return DEFAULT_PRINT_STATIONS.map((st) => ({ ...st }));
+  return list
+    .filter((st) => st && typeof st === "object")
+    .map((st, i) => ({
+      id: String(st.id || `st_${i}`),
+      name: String(st.name || "Station"),
+      kind: st.kind === "receipt" ? "receipt" : "kitchen",
+      printer: String(st.printer || ""),
+      itemIds: Array.isArray(st.itemIds) ? st.itemIds.filter((id) => id != null) : [],
+    }));
+}
+// One ticket per kitchen station holding only the lines routed to it. A meal
+// goes whole to a station that lists the meal itself, otherwise its
+// components are split between the stations that list them.
+export function routeKitchenTickets(order, stations) {
+  const tickets = [];
+  for (const station of normalizePrintStations(stations)) {
+    if (station.kind !== "kitchen") continue;
+    const routed = (id) => station.itemIds.some((x) => String(x) === String(id));
+    const lines = [];
+    for (const ci of order?.cart || []) {
+      if (routed(ci.id)) {
+        lines.push(ci);
+        continue;
+      }
+      const components = (ci.components || []).filter((c) => routed(c.id));
+      if (components.length) lines.push({ ...ci, components });
+    }
+    if (lines.length) tickets.push({ station, lines });
+  }
+  return tickets;
+}
+// Receipt language: "en", "ar", or "both" (English with the Arabic beside or
+// under it). Menu items and extras may carry an optional `nameAr`.
+const ARABIC_RX = /[\u0600-\u06FF]/;
+export function hasArabic(s) {
+  return ARABIC_RX.test(String(s ?? ""));
+}
+export function toArabicDigits(s) {
+  return String(s ?? "")
+    .replace(/[0-9]/g, (d) => "٠١٢٣٤٥٦٧٨٩"[d])
+    .replace(/([\u0660-\u0669])\.(?=[\u0660-\u0669])/g, "$1٫");
+}
+const RECEIPT_LABELS = {
+  en: {
+    orderNo: "Order No",
+    date: "Order Date",
+    time: "Time",
+    worker: "Worker",
+    payment: "Payment",
+    type: "Type",
+    table: "Table",
+    scheduledFor: "Scheduled for",
+    note: "Order Note",
+    customer: "Customer",
+    phone: "Phone",
+    address: "Address",
+    item: "Item",
+    qty: "Qty",
+    price: "Price",
+    total: "Total",
+    itemsSubtotal: "Items Subtotal",
+    deliveryFee: "Delivery Fee",
+    grandTotal: "TOTAL",
+    paidBy: "Paid by",
+    cashPortion: "Cash portion",
+    cashReceived: "Cash Received",
+    change: "Change",
+    promo: "Promo",
+    comp: "Comp",
+    discount: "Discount",
+    orderDiscount: "Order discount",
+  },
+  ar: {
+    orderNo: "رقم الطلب",
+    date: "التاريخ",
+    time: "الوقت",
+    worker: "الموظف",
+    payment: "الدفع",
+    type: "النوع",
+    table: "الطاولة",
+    scheduledFor: "موعد الاستلام",
+    note: "ملاحظة الطلب",
+    customer: "العميل",
+    phone: "الهاتف",
+    address: "العنوان",
+    item: "الصنف",
+    qty: "الكمية",
+    price: "السعر",
+    total: "الإجمالي",
+    itemsSubtotal: "إجمالي الأصناف",
+    deliveryFee: "رسوم التوصيل",
+    grandTotal: "الإجمالي",
+    paidBy: "طريقة الدفع",
+    cashPortion: "الجزء النقدي",
+    cashReceived: "المبلغ المستلم",
+    change: "الباقي",
+    promo: "كود خصم",
+    comp: "مجاني",
+    discount: "خصم",
+    orderDiscount: "خصم على الطلب",
+  },
+};
+export function receiptLabel(key, lang = "en") {
+  const en = RECEIPT_LABELS.en[key] || key;
+  if (lang === "ar") return RECEIPT_LABELS.ar[key] || en;
+  if (lang === "both") return `${en} / ${RECEIPT_LABELS.ar[key] || en}`;
+  return en;
+}
+export function receiptMoneyFormatter(lang = "en", arabicDigits = false) {
+  return (v) => {
+    const n = Number(v || 0).toFixed(2);
+    const shown = arabicDigits ? toArabicDigits(n) : n;
+    return lang === "ar" ? `${shown} ج.م` : `E£${shown}`;
+  };
+}
+// { primary, secondary } for a line, extra or component. Only "both" has a
+// secondary (Arabic) name, and only when it differs.
+export function receiptItemName(obj, lang = "en") {
+  const name = String(obj?.name || "");
+  const nameAr = String(obj?.nameAr || "").trim();
+  if (lang === "ar") return { primary: nameAr || name, secondary: "" };
+  if (lang === "both" && nameAr && nameAr !== name) return { primary: name, secondary: nameAr };
+  return { primary: name, secondary: "" };
+}
+// UI language for the POS screens (receipts have their own setting above).
+// Everything here takes the language explicitly; App binds it to the device's
+// choice with uiText(), and module components get it as a `lang` prop.
+export const UI_LANGUAGES = ["en", "ar"];
+const UI_LOCALES = { en: "en-GB", ar: "ar-EG" };
+export function uiDir(lang = "en") {
+  return lang === "ar" ? "rtl" : "ltr";
+}
+function fillPlaceholders(text, args) {
+  return text.replace(/\{(\d+)\}/g, (m, i) => (args[i] != null ? String(args[i]) : ""));
+}
+// tr("Delete \"{0}\"?", [name]) — English text is the key, so a missing
+// translation simply shows the English.
+export function tr(text, args = [], lang = "en") {
+  return fillPlaceholders(uiTemplate(text, lang), args);
+}
+function uiTemplate(text, lang) {
+  const key = String(text ?? "");
+  const catalog = UI_CATALOGS[lang];
+  return catalog && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : key;
+}
+// tr() for sentences with markup in them: trNodes("Started by {0} at {1}", [<b>..</b>, ..])
+// keeps the whole sentence as one key and lets the translation place the elements.
+export function trNodes(text, nodes = [], lang = "en") {
+  return uiTemplate(text, lang)
+    .split(/\{(\d+)\}/)
+    .map((part, i) => <React.Fragment key={i}>{i % 2 ? nodes[Number(part)] ?? "" : part}</React.Fragment>);
+}
+export function uiNumber(v, opts = {}, lang = "en") {
+  return new Intl.NumberFormat(UI_LOCALES[lang] || UI_LOCALES.en, opts).format(Number(v || 0));
+}
+export function uiMoney(v, lang = "en") {
+  const n = uiNumber(v, { minimumFractionDigits: 2, maximumFractionDigits: 2 }, lang);
+  return lang === "ar" ? `${n} ج.م` : `E£${n}`;
+}
+export function uiDate(d, opts = { day: "2-digit", month: "2-digit", year: "2-digit" }, lang = "en") {
+  const dt = d instanceof Date ? d : new Date(d);
+  if (Number.isNaN(+dt)) return "";
+  return new Intl.DateTimeFormat(UI_LOCALES[lang] || UI_LOCALES.en, opts).format(dt);
+}
+export function uiTime(d, lang = "en") {
+  return uiDate(d, { hour: "2-digit", minute: "2-digit" }, lang);
+}
+export function uiDateTime(d, lang = "en") {
+  return uiDate(d, { day: "2-digit", month: "2-digit", year: "2-digit", hour: "2-digit", minute: "2-digit" }, lang);
+}
+function uiClock(d, lang = "en") {
+  return uiDate(d, { day: "2-digit", month: "2-digit", year: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: true }, lang);
+}
+// tr() and the formatters bound to one language; passing a language still
+// overrides it (e.g. English in customer emails).
+export function uiText(lang) {
+  return {
+    tr: (text, args = [], l = lang) => tr(text, args, l),
+    trNodes: (text, nodes = [], l = lang) => trNodes(text, nodes, l),
+    uiNumber: (v, opts, l = lang) => uiNumber(v, opts, l),
+    uiMoney: (v, l = lang) => uiMoney(v, l),
+    uiDate: (d, opts, l = lang) => uiDate(d, opts, l),
+    uiTime: (d, l = lang) => uiTime(d, l),
+    uiDateTime: (d, l = lang) => uiDateTime(d, l),
+    uiClock: (d, l = lang) => uiClock(d, l),
+  };
+}
+const UI_CATALOGS = {
+  ar: {
+    "% Discount": "% خصم",
+    "% off": "% خصم",
+    "(Default: {0})": "(الافتراضي: {0})",
+    "(Starts: {0})": "(يبدأ: {0})",
+    "(Week starts Sunday)": "(الأسبوع يبدأ الأحد)",
+    "(blind)": "(أعمى)",
+    "(empty = general footer)": "(فارغ = التذييل العام)",
+    "(expired)": "(منتهية)",
+    "(in {0} days)": "(بعد {0} أيام)",
+    "(min. shift)": "(الحد الأدنى للوردية)",
+    "(prep)": "(تحضير)",
+    "(recipe)": "(وصفة)",
+    "(today)": "(اليوم)",
+    "+ Add Item": "+ إضافة صنف",
+    "+ Add equipment": "+ إضافة معدّة",
+    "+ Add method": "+ إضافة طريقة",
+    "+ Add station": "+ إضافة محطة",
+    "+ Modifier group": "+ مجموعة إضافات",
+    "+ Open check": "+ فتح حساب",
+    "+ Option": "+ خيار",
+    "+ Round": "+ جولة",
+    "+ Slot": "+ خانة",
+    "+ Split refund": "+ استرداد مقسّم",
+    "0 = no limit": "0 = بلا حد",
+    "0 turns a rule off. Unpaid breaks are left out of the hours; hours past the weekly limit that aren't already daily overtime count as weekly overtime.": "القيمة 0 تُلغي القاعدة. لا تُحتسب الاستراحات غير المدفوعة ضمن الساعات، والساعات التي تتجاوز الحد الأسبوعي ولم تُحتسب إضافيًا يوميًا تُحتسب ساعات إضافية أسبوعية.",
+    "1 failed attempt": "محاولة فاشلة واحدة",
+    "1 item has ingredients without cost/unit values. Update inventory costs to unlock accurate margins.": "صنف واحد به مكونات بدون قيم تكلفة/وحدة. حدّث تكاليف المخزون للحصول على هوامش دقيقة.",
+    "1 new online order": "طلب أونلاين جديد واحد",
+    "1 order": "طلب واحد",
+    "1 round": "جولة واحدة",
+    "A reason is required.": "السبب مطلوب.",
+    "Across all recorded delivery orders": "عبر كل طلبات التوصيل المسجلة",
+    "Action": "الإجراء",
+    "Actions": "إجراءات",
+    "Active": "نشط",
+    "Actual": "الفعلي",
+    "Actual / Counted": "الفعلي / المعدود",
+    "Add": "إضافة",
+    "Add Category": "إضافة فئة",
+    "Add Entry": "إضافة قيد",
+    "Add Expense": "إضافة مصروف",
+    "Add Extra": "إضافة إضافة",
+    "Add Purchase": "إضافة مشتريات",
+    "Add a new worker profile": "إضافة ملف موظف جديد",
+    "Add at least one inventory item first.": "أضف صنف مخزون واحدًا على الأقل أولًا.",
+    "Add bill amount and usage to derive the rate.": "أدخل قيمة الفاتورة والاستهلاك لحساب السعر.",
+    "Add equipment with their energy and water usage to allocate utility costs.": "أضف المعدات مع استهلاكها للكهرباء والمياه لتوزيع تكاليف المرافق.",
+    "Add ingredient…": "إضافة مكوّن…",
+    "Add item": "إضافة صنف",
+    "Add promo": "إضافة كود خصم",
+    "Add to cart": "أضف إلى السلة",
+    "Add zone": "إضافة منطقة",
+    "Adding a round to {0}": "إضافة جولة إلى {0}",
+    "Address": "العنوان",
+    "Adjust Down (-)": "خصم (-)",
+    "Adjust Up (+)": "إضافة (+)",
+    "Admin": "الإدارة",
+    "Admin PIN required": "مطلوب رقم PIN للمدير",
+    "Admin {0}": "المدير {0}",
+    "Admin → Inventory": "الإدارة ← المخزون",
+    "After": "بعد",
+    "All Categories": "كل الفئات",
+    "All actions": "كل الإجراءات",
+    "All below-target items already match their suggested prices.": "كل الأصناف الأقل من المستهدف تطابق أسعارها المقترحة بالفعل.",
+    "All customer contacts cleared.": "تم مسح كل جهات اتصال العملاء.",
+    "All items": "كل الأصناف",
+    "All reconciliations cleared.": "تم مسح كل التسويات.",
+    "All-time Variance": "الفرق الإجمالي",
+    "Amount": "المبلغ",
+    "Amount (E£)": "المبلغ (E£)",
+    "Amount must be > 0.": "يجب أن يكون المبلغ أكبر من 0.",
+    "Apply": "تطبيق",
+    "Apply target-margin pricing to {0} item?": "تطبيق تسعير الهامش المستهدف على {0} صنف؟",
+    "Apply target-margin pricing to {0} items?": "تطبيق تسعير الهامش المستهدف على {0} أصناف؟",
+    "Apply to item": "تطبيق على الصنف",
+    "Arabic address": "العنوان بالعربية",
+    "Arabic footer": "التذييل بالعربية",
+    "Arabic title": "العنوان الرئيسي بالعربية",
+    "Arabic-Indic digits (١٢٣)": "أرقام عربية (١٢٣)",
+    "Arrange": "ترتيب",
+    "Assign roles to workers in Worker Log → PINs. The Owner can always do everything.": "عيّن أدوار الموظفين من سجل الموظفين ← أرقام PIN. يستطيع المالك دائمًا فعل كل شيء.",
+    "Audit": "التدقيق",
+    "Audit entry: {0}": "قيد تدقيق: {0}",
+    "Audit log": "سجل التدقيق",
+    "Auto-print on Checkout": "طباعة تلقائية عند الدفع",
+    "Auto-print on Checkout sends the receipt and kitchen tickets straight to the station printers. If the bridge can't be reached the browser dialog is used instead.": "الطباعة التلقائية عند الدفع ترسل الإيصال وتذاكر المطبخ مباشرة إلى طابعات المحطات. إذا تعذّر الوصول إلى الجسر تُستخدم نافذة المتصفح بدلًا من ذلك.",
+    "Auto-sync Cost/Unit from Purchases": "مزامنة تكلفة الوحدة تلقائيًا من المشتريات",
+    "Average margin": "متوسط الهامش",
+    "Avg Price (E£)": "متوسط السعر (E£)",
+    "Back to counting": "العودة إلى العدّ",
+    "Back to tables": "العودة إلى الطاولات",
+    "Bank": "البنك",
+    "Bank / Cashbox": "البنك / الخزنة",
+    "Batches": "الدفعات",
+    "Before": "قبل",
+    "Below target": "أقل من المستهدف",
+    "Breaks (paid / unpaid min)": "الاستراحات (دقائق مدفوعة / غير مدفوعة)",
+    "Bridge:": "الجسر:",
+    "Browser dialog": "نافذة المتصفح",
+    "Bump ✓": "تم ✓",
+    "Burgers & Items": "البرجر والأصناف",
+    "By": "بواسطة",
+    "CODE": "الكود",
+    "COGS": "تكلفة البضاعة",
+    "COGS Overhead Builder": "منشئ التكاليف غير المباشرة",
+    "COGS: {0}": "تكلفة البضاعة المباعة: {0}",
+    "Cancel": "إلغاء",
+    "Cancel (restock)": "إلغاء (إرجاع للمخزون)",
+    "Cancel / return orders": "إلغاء / إرجاع الطلبات",
+    "Cancel order": "إلغاء طلب",
+    "Cancel order #{0} and restock inventory?": "إلغاء الطلب #{0} وإرجاع المخزون؟",
+    "Cancel pre-order #{0}? Its reserved stock is freed.": "إلغاء الطلب المسبق #{0}؟ سيتم تحرير المخزون المحجوز له.",
+    "Cancel round": "إلغاء الجولة",
+    "Cancelled": "ملغي",
+    "Cancelled at: {0}": "أُلغي في: {0}",
+    "Cancelled in POS (order #{0})": "أُلغي في نقطة البيع (طلب رقم {0})",
+    "Cannot sign out the only on-duty worker. Please End the Day.": "لا يمكن تسجيل خروج الموظف الوحيد المناوب. يرجى إنهاء اليوم.",
+    "Cart": "السلة",
+    "Cart is empty.": "السلة فارغة.",
+    "Cash Drawer — Expected vs Actual": "درج النقدية — المتوقع مقابل الفعلي",
+    "Cash received (for cash part):": "النقد المستلم (للجزء النقدي):",
+    "Cash received / change": "النقد المستلم / الباقي",
+    "Cash received:": "النقد المستلم:",
+    "Cash: {0}": "نقدًا: {0}",
+    "Cashier": "كاشير",
+    "Category name": "اسم الفئة",
+    "Change PIN": "تغيير رقم PIN",
+    "Change on cash part:": "الباقي من الجزء النقدي:",
+    "Change price": "تغيير السعر",
+    "Change:": "الباقي:",
+    "Change: {0}": "الباقي: {0}",
+    "Channel": "القناة",
+    "Checkout": "الدفع",
+    "Choose a category and enter an item name.": "اختر فئة وأدخل اسم الصنف.",
+    "Choose a payment method for every amount.": "اختر طريقة دفع لكل مبلغ.",
+    "Choose a {0} option.": "اختر خيار {0}.",
+    "Choose an item for {0}.": "اختر صنفًا لـ {0}.",
+    "Choose at least one item to refund.": "اختر صنفًا واحدًا على الأقل لاسترداده.",
+    "Choose at least {0} {1} options.": "اختر {0} خيارات {1} على الأقل.",
+    "Choose at most {0} {1} option.": "اختر {0} خيار {1} على الأكثر.",
+    "Choose at most {0} {1} options.": "اختر {0} خيارات {1} على الأكثر.",
+    "Choose the owner PIN (Admin 1)": "اختر رمز المالك (المسؤول 1)",
+    "Close": "إغلاق",
+    "Close Open Sessions": "إغلاق الجلسات المفتوحة",
+    "Close all currently open sessions at the current time": "إغلاق كل الجلسات المفتوحة حاليًا بالوقت الحالي",
+    "Cloud": "السحابة",
+    "Cloud load failed: {0}": "فشل التحميل من السحابة: {0}",
+    "Code": "الكود",
+    "Color": "اللون",
+    "Comp": "مجاني",
+    "Comp items and orders": "جعل الأصناف والطلبات مجانية",
+    "Comp order (admin)": "جعل الطلب مجانيًا (للمدير)",
+    "Comped by {0} — {1}": "مجاني بواسطة {0} — {1}",
+    "Complaint": "شكوى",
+    "Completed in POS (order #{0})": "اكتمل في نقطة البيع (طلب رقم {0})",
+    "Contacts": "جهات الاتصال",
+    "Contacts by Zone": "جهات الاتصال حسب المنطقة",
+    "Cost": "التكلفة",
+    "Cost / Unit (E£)": "تكلفة الوحدة (E£)",
+    "Cost per {0}: {1}": "التكلفة لكل {0}: {1}",
+    "Cost rate: E£{0} {1}": "سعر التكلفة: E£{0} {1}",
+    "Cost/unit": "تكلفة/وحدة",
+    "Costing method": "طريقة حساب التكلفة",
+    "Could not generate PDF. Try again (ensure pop-ups are allowed).": "تعذّر إنشاء ملف PDF. حاول مرة أخرى (تأكد من السماح بالنوافذ المنبثقة).",
+    "Could not generate Purchases PDF. Ensure pop-ups are allowed.": "تعذّر إنشاء ملف PDF للمشتريات. تأكد من السماح بالنوافذ المنبثقة.",
+    "Could not generate the timesheet PDF.": "تعذّر إنشاء ملف PDF لكشف الساعات.",
+    "Could not reach the print bridge: {0}": "تعذّر الوصول إلى جسر الطباعة: {0}",
+    "Could not read that image.": "تعذّرت قراءة هذه الصورة.",
+    "Couldn't check the PIN. Try again.": "تعذر التحقق من رقم PIN. حاول مرة أخرى.",
+    "Count history": "سجل الجرد",
+    "Count what is on the shelves and post the difference.": "اعدد ما هو موجود على الرفوف ورحّل الفرق.",
+    "Counted": "المعدود",
+    "Counters don't see the system quantities until review": "لا يرى القائمون بالعد كميات النظام حتى المراجعة",
+    "Counts with variance": "مرات العدّ مع فرق",
+    "Current Balance:": "الرصيد الحالي:",
+    "Current Qty": "الكمية الحالية",
+    "Current margin: {0} (target {1}%)": "الهامش الحالي: {0} (المستهدف {1}%)",
+    "Current price: {0}": "السعر الحالي: {0}",
+    "Customer Contacts": "جهات اتصال العملاء",
+    "Customer Directory": "دليل العملاء",
+    "Customer cancelled": "ألغى العميل",
+    "Customer name": "اسم العميل",
+    "Customer name (optional)": "اسم العميل (اختياري)",
+    "Customer phone (10 digits)": "هاتف العميل (10 أرقام)",
+    "Customer unreachable": "تعذّر الوصول إلى العميل",
+    "Customer: {0}": "العميل: {0}",
+    "DAY": "اليوم",
+    "DONE (locked)": "تم (مقفل)",
+    "Daily overtime after (h)": "ساعات إضافية يومية بعد (س)",
+    "Daily overtime multiplier": "معامل الساعات الإضافية اليومية",
+    "Date": "التاريخ",
+    "Date / Time": "التاريخ / الوقت",
+    "Day": "اليوم",
+    "Day ended by {0}. Report downloaded and day reset ✅": "أنهى {0} اليوم. تم تنزيل التقرير وإعادة ضبط اليوم ✅",
+    "Default": "افتراضي",
+    "Default unit for this category": "الوحدة الافتراضية لهذه الفئة",
+    "Delete": "حذف",
+    "Delete \"{0}\"?": "حذف \"{0}\"؟",
+    "Delete ALL worker sessions (admin only)": "حذف كل جلسات الموظفين (للمدير فقط)",
+    "Delete ALL worker sessions from the Worker Log? This cannot be undone.": "حذف كل جلسات الموظفين من سجل الموظفين؟ لا يمكن التراجع عن ذلك.",
+    "Delete All Contacts": "حذف كل جهات الاتصال",
+    "Delete all customer contacts": "حذف كل جهات اتصال العملاء",
+    "Delete all saved customer contacts": "حذف كل جهات اتصال العملاء المحفوظة",
+    "Delete category \"{0}\" and ALL its purchases? This cannot be undone.": "حذف الفئة \"{0}\" وكل مشترياتها؟ لا يمكن التراجع عن ذلك.",
+    "Delete customer contacts": "حذف جهات اتصال العملاء",
+    "Delete promo \"{0}\"?": "حذف كود الخصم \"{0}\"؟",
+    "Delete {0}": "حذف {0}",
+    "Delivery (E£)": "التوصيل (E£)",
+    "Delivery Fees:": "رسوم التوصيل:",
+    "Delivery Zones & Fees": "مناطق التوصيل والرسوم",
+    "Delivery failed": "فشل التوصيل",
+    "Delivery fee:": "رسوم التوصيل:",
+    "Delivery info": "بيانات التوصيل",
+    "Delivery: {0}": "التوصيل: {0}",
+    "Deposit (+)": "إيداع (+)",
+    "Derived labor cost: E£{0} per hour (E£{1} per minute)": "تكلفة العمالة المحسوبة: E£{0} في الساعة (E£{1} في الدقيقة)",
+    "Discard": "تجاهل",
+    "Discard count": "تجاهل العدّ",
+    "Discard this count?": "تجاهل هذا العدّ؟",
+    "Discard this unsynced change? It will never reach the cloud.": "تجاهل هذا التغيير غير المتزامن؟ لن يصل إلى السحابة أبدًا.",
+    "Discount": "خصم",
+    "Discount for {0} — enter a percent (e.g. 10%) or an amount in E£ (e.g. 15). Leave empty to remove:": "خصم لـ {0} — أدخل نسبة (مثل 10%) أو مبلغًا بالجنيه (مثل 15). اتركه فارغًا للإزالة:",
+    "Discounts:": "الخصومات:",
+    "Display": "العرض",
+    "Divide the total equally over the rows above": "توزيع الإجمالي بالتساوي على الصفوف أعلاه",
+    "Done": "تم",
+    "Download Purchases PDF": "تنزيل PDF المشتريات",
+    "Download Report PDF": "تنزيل PDF التقرير",
+    "Dropped / burnt": "سقط / احترق",
+    "Due, but not sent to the kitchen yet.": "حان موعده، لكنه لم يُرسل إلى المطبخ بعد.",
+    "Each": "للقطعة",
+    "Each slot is one item in the meal. Tick one item for a fixed slot or several to let the cashier choose. The price above is the meal price; it is split across the picked items by their own prices for reports.": "كل خانة صنف واحد في الوجبة. اختر صنفًا واحدًا لخانة ثابتة أو عدة أصناف ليختار الكاشير. السعر أعلاه هو سعر الوجبة؛ ويُوزَّع على الأصناف المختارة حسب أسعارها للتقارير.",
+    "Edit": "تعديل",
+    "Edit Consumption": "تعديل الاستهلاك",
+    "Edit prices": "تعديل الأسعار",
+    "Electric kW": "كهرباء كيلوواط",
+    "Electricity": "الكهرباء",
+    "Enable cloud autosave (state)": "تفعيل الحفظ التلقائي في السحابة (الحالة)",
+    "End Qty": "الكمية النهائية",
+    "End Qty vs Used (with axes)": "الكمية النهائية مقابل المستخدمة (مع المحاور)",
+    "End the Day": "إنهاء اليوم",
+    "End the Day (requires PDF)": "إنهاء اليوم (يتطلب PDF)",
+    "English": "English",
+    "English + العربية": "English + العربية",
+    "Enter PIN": "أدخل رقم PIN",
+    "Enter PIN (3–6 digits).": "أدخل رقم PIN (من 3 إلى 6 أرقام).",
+    "Enter PIN for Admin {0}:": "أدخل رقم PIN للمدير {0}:",
+    "Enter a discount value.": "أدخل قيمة الخصم.",
+    "Enter a non-zero counted amount for each payment method before saving.": "أدخل مبلغًا معدودًا غير صفري لكل طريقة دفع قبل الحفظ.",
+    "Enter a positive number, optionally followed by %.": "أدخل رقمًا موجبًا، ويمكن أن يتبعه %.",
+    "Enter a promo code.": "أدخل كود الخصم.",
+    "Enter a quantity above 0.": "أدخل كمية أكبر من 0.",
+    "Enter a zone name.": "أدخل اسم المنطقة.",
+    "Enter at least one counted quantity.": "أدخل كمية معدودة واحدة على الأقل.",
+    "Enter at least two payment methods for a split.": "أدخل طريقتي دفع على الأقل للتقسيم.",
+    "Enter category name": "أدخل اسم الفئة",
+    "Enter how many batches to make.": "أدخل عدد الدفعات المطلوب تحضيرها.",
+    "Enter payout and productive hours to derive a labor cost per minute.": "أدخل الأجور وساعات العمل الفعلية لحساب تكلفة العمالة في الدقيقة.",
+    "Enter the counted amount for each payment method before saving.": "أدخل المبلغ المعدود لكل طريقة دفع قبل الحفظ.",
+    "Enter the new PIN again": "أدخل رقم PIN الجديد مرة أخرى",
+    "Enter worker name.": "أدخل اسم الموظف.",
+    "Enter your latest utility bills, labor productivity, and equipment usage to fold operational overhead into every menu item.": "أدخل أحدث فواتير المرافق وإنتاجية العمالة واستخدام المعدات لإضافة التكاليف التشغيلية إلى كل صنف في القائمة.",
+    "Enter your name to END THE DAY:": "أدخل اسمك لإنهاء اليوم:",
+    "Entries can't be edited or deleted here. Each one is linked to the one before it, so changes made elsewhere show up above.": "لا يمكن تعديل القيود أو حذفها هنا. كل قيد مرتبط بالقيد الذي قبله، لذا تظهر أعلاه أي تغييرات تمت في مكان آخر.",
+    "Equipment": "المعدات",
+    "Equipment minutes": "دقائق المعدات",
+    "Equipment name": "اسم المعدّة",
+    "Error: {0}": "خطأ: {0}",
+    "Est. Payout (E£)": "الأجور المقدّرة (E£)",
+    "Estimated Cost (avg/unit)": "التكلفة المقدّرة (متوسط/وحدة)",
+    "Everyone": "الجميع",
+    "Everything on this order has already been refunded.": "تم استرداد كل ما في هذا الطلب بالفعل.",
+    "Expected": "المتوقع",
+    "Expense name required.": "اسم المصروف مطلوب.",
+    "Expenses": "المصروفات",
+    "Expenses (E£)": "المصروفات (E£)",
+    "Expenses (Shift)": "المصروفات (الوردية)",
+    "Expenses:": "المصروفات:",
+    "Expired": "منتهي الصلاحية",
+    "Expires": "تنتهي في",
+    "Expiring soon": "تنتهي صلاحيتها قريبًا",
+    "Export CSV": "تصدير CSV",
+    "Extra": "إضافة",
+    "Extra header line": "سطر إضافي في الترويسة",
+    "Extras": "الإضافات",
+    "Extras Sold": "الإضافات المباعة",
+    "Extras only": "الإضافات فقط",
+    "E£ off": "جنيه خصم",
+    "FIFO": "الوارد أولًا يصرف أولًا",
+    "Fee (E£)": "الرسوم (E£)",
+    "Finish or cancel the check being settled first.": "أنهِ أو ألغِ الحساب الجاري تسويته أولًا.",
+    "Firebase not ready.": "Firebase غير جاهز.",
+    "First order: {0}": "أول طلب: {0}",
+    "First sign-in starts the shift automatically.": "أول تسجيل دخول يبدأ الوردية تلقائيًا.",
+    "First ticked": "أول المختار",
+    "Fix low-margin prices": "تصحيح الأسعار منخفضة الهامش",
+    "Footer": "التذييل",
+    "Footer for {0}": "تذييل {0}",
+    "Footer logo (left)": "شعار التذييل (يسار)",
+    "Footer logo (right)": "شعار التذييل (يمين)",
+    "Fr": "ج",
+    "Free": "مجاني",
+    "From": "من",
+    "Gap to Target": "الفرق عن المستهدف",
+    "Gas": "الغاز",
+    "Gas m³/hr": "غاز م³/ساعة",
+    "Go to Inventory Costs": "الذهاب إلى تكاليف المخزون",
+    "Group name (e.g. Bun)": "اسم المجموعة (مثل الخبز)",
+    "Header logo": "شعار الترويسة",
+    "Held in \"Later\" and released to the kitchen {0} min before.": "يُحفظ في \"لاحقًا\" ويُرسل إلى المطبخ قبل {0} دقيقة.",
+    "Hours": "الساعات",
+    "Ingredient": "المكوّن",
+    "Ingredient cost breakdown": "تفاصيل تكلفة المكونات",
+    "Init (set by margin)": "تهيئة (حسب الهامش)",
+    "Invalid PIN.": "رقم PIN غير صحيح.",
+    "Inventory": "المخزون",
+    "Inventory Costs (E£ / unit)": "تكاليف المخزون (E£ / وحدة)",
+    "Inventory Usage": "استهلاك المخزون",
+    "Inventory Usage data has been reset.": "تمت إعادة ضبط بيانات استهلاك المخزون.",
+    "Inventory end vs used": "المخزون النهائي مقابل المستخدم",
+    "Inventory is already unlocked.": "المخزون مفتوح بالفعل.",
+    "Inventory item": "صنف مخزون",
+    "Inventory unlocked for editing.": "تم فتح المخزون للتعديل.",
+    "Inventory — Start vs Now": "المخزون — البداية مقابل الآن",
+    "Inventory → Lock Inventory (start of day)": "المخزون ← قفل المخزون (بداية اليوم)",
+    "Item": "الصنف",
+    "Item name": "اسم الصنف",
+    "Item with same id exists, use a different name.": "يوجد صنف بنفس المعرّف، استخدم اسمًا مختلفًا.",
+    "Item {0}": "الصنف {0}",
+    "Items (E£)": "الأصناف (E£)",
+    "Items ({0})": "الأصناف ({0})",
+    "Items Sold": "الأصناف المباعة",
+    "Items Tracked": "الأصناف المتتبَّعة",
+    "Items adjusted": "الأصناف المعدّلة",
+    "Items counted": "الأصناف المعدودة",
+    "Kitchen copy": "نسخة المطبخ",
+    "Kitchen stations only get the items ticked for them; a meal's parts are split across stations. Empty printer names use the default printer.": "تستلم محطات المطبخ الأصناف المحددة لها فقط؛ وتُقسَّم مكونات الوجبة على المحطات. أسماء الطابعات الفارغة تستخدم الطابعة الافتراضية.",
+    "Kitchen tickets": "تذاكر المطبخ",
+    "Labor": "العمالة",
+    "Labor productivity": "إنتاجية العمالة",
+    "Last Order": "آخر طلب",
+    "Last load: {0}": "آخر تحميل: {0}",
+    "Last save: {0}": "آخر حفظ: {0}",
+    "Latest purchase": "آخر عملية شراء",
+    "Lifetime Spend": "إجمالي الإنفاق",
+    "Line total": "إجمالي السطر",
+    "Linked to returned order — cannot remove": "مرتبط بطلب مُرتجع — لا يمكن حذفه",
+    "Live Orders Board (realtime)": "لوحة الطلبات المباشرة (فورية)",
+    "Live orders are off — this screen only sees orders taken on this device.": "الطلبات المباشرة متوقفة — هذه الشاشة ترى فقط الطلبات المسجلة على هذا الجهاز.",
+    "Load from Cloud": "تحميل من السحابة",
+    "Loaded from cloud ✔": "تم التحميل من السحابة ✔",
+    "Local HTTP bridge": "جسر HTTP محلي",
+    "Lock Admin": "قفل الإدارة",
+    "Lock Inventory (start of day)": "قفل المخزون (بداية اليوم)",
+    "Lock current Inventory as Start-of-Day snapshot?": "قفل المخزون الحالي كلقطة بداية اليوم؟",
+    "Lock current inventory as Start-of-Day? You won't be able to edit until End the Day or admin unlock.": "قفل المخزون الحالي كبداية لليوم؟ لن تتمكن من التعديل حتى إنهاء اليوم أو فتحه من المدير.",
+    "Locked:": "مقفل:",
+    "Log waste": "تسجيل هدر",
+    "Logged {0} × {1} as waste ({2}).": "تم تسجيل {0} × {1} كهدر ({2}).",
+    "Long wait": "انتظار طويل",
+    "Low Stock": "مخزون منخفض",
+    "Low-margin items": "أصناف منخفضة الهامش",
+    "MONTH": "الشهر",
+    "Made {0} {1} of {2}.": "تم تحضير {0} {1} من {2}.",
+    "Make": "تحضير",
+    "Make batch": "تحضير دفعة",
+    "Make meal": "تحضير وجبة",
+    "Make the online order in POS before cancelling.": "سجّل الطلب الأونلاين في نقطة البيع قبل إلغائه.",
+    "Make the online order in POS before printing.": "سجّل الطلب الأونلاين في نقطة البيع قبل طباعته.",
+    "Make the online order in POS before returning it.": "سجّل الطلب الأونلاين في نقطة البيع قبل إرجاعه.",
+    "Manage staff, roles and PINs": "إدارة الموظفين والأدوار وأرقام PIN",
+    "Manager": "مدير",
+    "Margin %": "الهامش %",
+    "Margin Trend": "اتجاه الهامش",
+    "Margin over time": "الهامش عبر الزمن",
+    "Margin trend (last day)": "اتجاه الهامش (آخر يوم)",
+    "Margin trend (last {0} days)": "اتجاه الهامش (عدد الأيام الأخيرة: {0})",
+    "Margin:": "الهامش:",
+    "Mark DONE (locks)": "تعيين كمكتمل (يقفل)",
+    "Max": "الحد الأقصى",
+    "Max uses (0 = unlimited)": "الحد الأقصى للاستخدام (0 = غير محدود)",
+    "Meal slots": "خانات الوجبة",
+    "Menu": "القائمة",
+    "Menu Items": "أصناف القائمة",
+    "Menu item": "صنف القائمة",
+    "Menu only": "القائمة فقط",
+    "Method": "الطريقة",
+    "Min": "الحد الأدنى",
+    "Min 0 = optional · Max 0 = no limit": "الحد الأدنى 0 = اختياري · الحد الأقصى 0 = بلا حد",
+    "Min Level": "الحد الأدنى للمخزون",
+    "Minimum paid shift (h)": "الحد الأدنى للوردية المدفوعة (س)",
+    "Minutes entered here multiply with the labor and utility rates above to build a fully-loaded COGS for each recipe.": "تُضرب الدقائق المدخلة هنا في أسعار العمالة والمرافق أعلاه لحساب التكلفة الكاملة لكل وصفة.",
+    "Miscount": "خطأ في العدّ",
+    "Missing ingredient costs": "تكاليف مكونات ناقصة",
+    "Mo": "ن",
+    "Modifiers": "الإضافات الاختيارية",
+    "Monitor": "المراقبة",
+    "Month": "الشهر",
+    "Month:": "الشهر:",
+    "Move 1 item to…": "نقل صنف واحد إلى…",
+    "Move down": "تحريك لأسفل",
+    "Move up": "تحريك لأعلى",
+    "Move {0} items to…": "نقل {0} أصناف إلى…",
+    "NEW": "جديد",
+    "Name": "الاسم",
+    "Name is required.": "الاسم مطلوب.",
+    "Name required.": "الاسم مطلوب.",
+    "Net (E£)": "الصافي (E£)",
+    "Net (P−U)": "الصافي (م−م)",
+    "Net variance: {0}": "صافي الفرق: {0}",
+    "New PIN for Admin {0}": "رقم PIN جديد للمدير {0}",
+    "New PIN for {0}": "رقم PIN جديد لـ {0}",
+    "New check on {0} (split)": "حساب جديد على {0} (تقسيم)",
+    "New extra name": "اسم الإضافة الجديدة",
+    "New item name": "اسم الصنف الجديد",
+    "New order #{0}": "طلب جديد #{0}",
+    "New order type": "نوع طلب جديد",
+    "New payment method": "طريقة دفع جديدة",
+    "New worker name": "اسم الموظف الجديد",
+    "Next order #: {0}": "رقم الطلب التالي: {0}",
+    "No COGS data to export.": "لا توجد بيانات تكلفة للتصدير.",
+    "No PIN": "بدون رقم PIN",
+    "No audit entries to export.": "لا توجد قيود تدقيق للتصدير.",
+    "No audit entries yet.": "لا توجد قيود تدقيق بعد.",
+    "No bank entries for the selected period.": "لا توجد قيود بنكية للفترة المحددة.",
+    "No cloud state yet to load.": "لا توجد حالة محفوظة في السحابة بعد.",
+    "No contacts match the current search.": "لا توجد جهات اتصال تطابق البحث الحالي.",
+    "No contacts recorded yet.": "لم تُسجَّل جهات اتصال بعد.",
+    "No contacts yet.": "لا توجد جهات اتصال بعد.",
+    "No data for the selected period.": "لا توجد بيانات للفترة المحددة.",
+    "No data.": "لا توجد بيانات.",
+    "No expenses yet.": "لا توجد مصروفات بعد.",
+    "No extras sold in this period.": "لم تُبع إضافات في هذه الفترة.",
+    "No extras yet.": "لا توجد إضافات بعد.",
+    "No extras. Add some below.": "لا توجد إضافات. أضف بعضها أدناه.",
+    "No ingredients linked yet. Build the recipe in Inventory to see the breakdown.": "لا توجد مكونات مرتبطة بعد. أنشئ الوصفة في المخزون لعرض التفاصيل.",
+    "No inventory items.": "لا توجد أصناف مخزون.",
+    "No inventory snapshot yet. Use {0} to capture start quantities.": "لا توجد لقطة مخزون بعد. استخدم {0} لتسجيل كميات البداية.",
+    "No inventory yet. Add items in {0}.": "لا يوجد مخزون بعد. أضف الأصناف في {0}.",
+    "No items are low in stock": "لا توجد أصناف منخفضة المخزون",
+    "No items match the current filters.": "لا توجد أصناف تطابق الفلاتر الحالية.",
+    "No items sold in this period.": "لم تُبع أصناف في هذه الفترة.",
+    "No items yet.": "لا توجد أصناف بعد.",
+    "No items. Add some below.": "لا توجد أصناف. أضف بعضها أدناه.",
+    "No labor or utility data yet.": "لا توجد بيانات عمالة أو مرافق بعد.",
+    "No lots expiring soon": "لا توجد دفعات تنتهي صلاحيتها قريبًا",
+    "No low-stock items": "لا توجد أصناف منخفضة المخزون",
+    "No menu items yet.": "لا توجد أصناف في القائمة بعد.",
+    "No new online orders": "لا توجد طلبات أونلاين جديدة",
+    "No one is on duty. Ask a worker to sign in (Shift bar).": "لا يوجد أحد في المناوبة. اطلب من موظف تسجيل الدخول (شريط الوردية).",
+    "No online orders yet.": "لا توجد طلبات أونلاين بعد.",
+    "No open orders.": "لا توجد طلبات مفتوحة.",
+    "No order types yet.": "لا توجد أنواع طلبات بعد.",
+    "No orders recorded for the selected period.": "لا توجد طلبات مسجلة للفترة المحددة.",
+    "No orders yet for this item.": "لا توجد طلبات لهذا الصنف بعد.",
+    "No orders yet.": "لا توجد طلبات بعد.",
+    "No payment methods yet.": "لا توجد طرق دفع بعد.",
+    "No promo codes yet.": "لا توجد أكواد خصم بعد.",
+    "No purchases in this period.": "لا توجد مشتريات في هذه الفترة.",
+    "No saved sessions yet.": "لا توجد جلسات محفوظة بعد.",
+    "No sessions yet.": "لا توجد جلسات بعد.",
+    "No stock variances in this period.": "لا توجد فروق مخزون في هذه الفترة.",
+    "No stocktakes posted yet.": "لم يُرحَّل أي جرد بعد.",
+    "No waste logged in this period.": "لم يُسجَّل هدر في هذه الفترة.",
+    "No workers yet.": "لا يوجد موظفون بعد.",
+    "No zones yet. Add your first zone above.": "لا توجد مناطق بعد. أضف أول منطقة أعلاه.",
+    "None of these items are routed to a kitchen station. Set routing in Settings → Printer stations.": "لا يوجد أي من هذه الأصناف موجّهًا إلى محطة مطبخ. اضبط التوجيه من الإعدادات ← محطات الطباعة.",
+    "Not done": "غير مكتمل",
+    "Not enough data to display the margin chart.": "لا توجد بيانات كافية لعرض مخطط الهامش.",
+    "Not enough {0} in stock. Need {1} {2}, have {3} {2} ({4} reserved for pre-orders).": "لا يوجد ما يكفي من {0} في المخزون. المطلوب {1} {2}، المتوفر {3} {2} ({4} محجوز للطلبات المسبقة).",
+    "Not enough {0} in stock. Need {1} {2}, have {3} {2}.": "لا يوجد ما يكفي من {0} في المخزون. المطلوب {1} {2}، المتوفر {3} {2}.",
+    "Not saved yet": "لم يُحفظ بعد",
+    "Note": "ملاحظة",
+    "Note:": "ملاحظة:",
+    "Nothing expires in the next {0} days": "لا شيء تنتهي صلاحيته خلال {0} أيام",
+    "Now instead": "الآن بدلًا من ذلك",
+    "OK": "موافق",
+    "OPEN": "مفتوح",
+    "On duty:": "المناوبون:",
+    "On-site orders": "طلبات داخل المحل",
+    "Online #{0} — {1}": "أونلاين رقم {0} — {1}",
+    "Online orders": "الطلبات الأونلاين",
+    "Only DONE orders can be refunded. Cancel the order instead.": "يمكن استرداد الطلبات المكتملة فقط. ألغِ الطلب بدلًا من ذلك.",
+    "Only roles allowed to manage staff can change PINs and roles.": "يمكن فقط للأدوار المسموح لها بإدارة الموظفين تغيير أرقام PIN والأدوار.",
+    "Open Admin": "فتح الإدارة",
+    "Open cash drawer on cash sales": "فتح درج النقدية عند البيع النقدي",
+    "Open drawer": "فتح الدرج",
+    "Open the customer order-status screen in a new window": "فتح شاشة حالة الطلب للعملاء في نافذة جديدة",
+    "Open the kitchen display in a new window": "فتح شاشة المطبخ في نافذة جديدة",
+    "Opened {0}": "فُتح {0}",
+    "Opened {0} by {1}": "فُتح {0} بواسطة {1}",
+    "Order #{0} was renumbered to #{1}: another till had already used #{0}.": "تم تغيير رقم الطلب #{0} إلى #{1}: جهاز كاشير آخر استخدم الرقم #{0} من قبل.",
+    "Order #{0} — {1}": "طلب رقم {0} — {1}",
+    "Order Ref": "مرجع الطلب",
+    "Order Total (incl. delivery):": "إجمالي الطلب (شامل التوصيل):",
+    "Order Type": "نوع الطلب",
+    "Order Types": "أنواع الطلبات",
+    "Order discount:": "خصم الطلب:",
+    "Order note": "ملاحظة الطلب",
+    "Order notes:": "ملاحظات الطلب:",
+    "Order type already exists.": "نوع الطلب موجود بالفعل.",
+    "Order type required.": "نوع الطلب مطلوب.",
+    "Orders": "الطلبات",
+    "Orders Board": "لوحة الطلبات",
+    "Orders Board (Live)": "لوحة الطلبات (مباشر)",
+    "Orders in Period": "الطلبات في الفترة",
+    "Other": "أخرى",
+    "Other reason (optional if one is picked above)": "سبب آخر (اختياري إذا اخترت سببًا أعلاه)",
+    "Out of stock": "نفد من المخزون",
+    "Over by: {0}": "الزيادة: {0}",
+    "Overhead per item": "التكاليف غير المباشرة لكل صنف",
+    "Overtime (h)": "الساعات الإضافية (س)",
+    "Owner": "المالك",
+    "PDF downloaded.": "تم تنزيل ملف PDF.",
+    "PIN": "PIN",
+    "PIN (3–6 digits)": "PIN (من 3 إلى 6 أرقام)",
+    "PIN for a break": "PIN للاستراحة",
+    "PIN required — {0}": "مطلوب رقم PIN — {0}",
+    "PIN set": "تم تعيين رقم PIN",
+    "PIN to sign in": "PIN لتسجيل الدخول",
+    "PIN to sign out": "PIN لتسجيل الخروج",
+    "PINs": "أرقام PIN",
+    "PINs only work when the app is opened over https or on localhost.": "لا تعمل أرقام PIN إلا عند فتح التطبيق عبر https أو على localhost.",
+    "POS #": "نقطة البيع #",
+    "Paper width (mm):": "عرض الورق (مم):",
+    "Pay (E£)": "الأجر (E£)",
+    "Pay rules": "قواعد الأجر",
+    "Payment": "الدفع",
+    "Payment Methods": "طرق الدفع",
+    "Payment breakdown": "تفاصيل الدفع",
+    "Payment method already exists.": "طريقة الدفع موجودة بالفعل.",
+    "Payment method required.": "طريقة الدفع مطلوبة.",
+    "Payment: {0}": "الدفع: {0}",
+    "Pending": "قيد الانتظار",
+    "Percent cannot exceed 100.": "لا يمكن أن تتجاوز النسبة 100.",
+    "Period unavailable": "الفترة غير متاحة",
+    "Period: {0} → {1}": "الفترة: {0} → {1}",
+    "Permission": "الصلاحية",
+    "Phone": "الهاتف",
+    "Phone Number (10 digits)": "رقم الهاتف (10 أرقام)",
+    "Pick a day:": "اختر يومًا:",
+    "Pick day:": "اختر اليوم:",
+    "Pick month:": "اختر الشهر:",
+    "Pick week:": "اختر الأسبوع:",
+    "Pick what was wasted.": "اختر ما تم هدره.",
+    "Please enter customer name, phone number (10 digits after +20), and address for Delivery.": "يرجى إدخال اسم العميل ورقم الهاتف (10 أرقام بعد +20) والعنوان للتوصيل.",
+    "Post adjustments": "ترحيل التسويات",
+    "Post stocktake": "ترحيل الجرد",
+    "Post stocktake adjustments": "ترحيل تسويات الجرد",
+    "Pre-orders": "الطلبات المسبقة",
+    "Prep & equipment minutes per item": "دقائق التحضير والمعدات لكل صنف",
+    "Prep min": "دقائق التحضير",
+    "Prep recipe for {0}": "وصفة تحضير {0}",
+    "Prep time: {0} min": "وقت التحضير: {0} دقيقة",
+    "Preparing": "قيد التحضير",
+    "Preview as:": "معاينة كـ:",
+    "Price": "السعر",
+    "Price (E£)": "السعر (E£)",
+    "Print": "طباعة",
+    "Print logo": "طباعة الشعار",
+    "Print mode:": "وضع الطباعة:",
+    "Printer name:": "اسم الطابعة:",
+    "Printer stations": "محطات الطباعة",
+    "Printing": "الطباعة",
+    "Processing...": "جارٍ المعالجة...",
+    "Processing… waiting for POS sync.": "جارٍ المعالجة… في انتظار مزامنة نقطة البيع.",
+    "Productive hours": "ساعات العمل الفعلية",
+    "Profit Timeline": "الأرباح عبر الزمن",
+    "Promo Codes": "أكواد الخصم",
+    "Promo code": "كود الخصم",
+    "Promo {0} already exists.": "كود الخصم {0} موجود بالفعل.",
+    "Promo {0} expired on {1}.": "انتهت صلاحية كود الخصم {0} في {1}.",
+    "Promo {0} has reached its usage limit ({1}).": "وصل كود الخصم {0} إلى حد الاستخدام ({1}).",
+    "Promo {0} is disabled.": "كود الخصم {0} معطّل.",
+    "Promo {0} starts on {1}.": "يبدأ كود الخصم {0} في {1}.",
+    "Purchase saved, but units incompatible ({0} vs {1}). Update the inventory unit first.": "تم حفظ المشتريات، لكن الوحدات غير متوافقة ({0} مقابل {1}). حدّث وحدة المخزون أولًا.",
+    "Purchased": "المشترى",
+    "Purchases": "المشتريات",
+    "Purchases (E£)": "المشتريات (E£)",
+    "Purchases PDF downloaded.": "تم تنزيل PDF المشتريات.",
+    "Purchases:": "المشتريات:",
+    "Put the remaining balance on this method": "ضع المبلغ المتبقي على هذه الطريقة",
+    "QZ Tray (websocket)": "QZ Tray (websocket)",
+    "Qty": "الكمية",
+    "Qty:": "الكمية:",
+    "Quality complaint": "شكوى من الجودة",
+    "Rate (E£/h)": "السعر (E£/ساعة)",
+    "Rate (E£/hr)": "السعر (E£/ساعة)",
+    "Rate: {0}/h": "الأجر: {0}/ساعة",
+    "Raw ESC/POS (print bridge)": "ESC/POS مباشر (جسر الطباعة)",
+    "Raw Inflow": "التدفق الخام",
+    "Ready — please collect": "جاهز — يرجى الاستلام",
+    "Reason": "السبب",
+    "Reason (optional)": "السبب (اختياري)",
+    "Reason for CANCEL (restock) — order #{0}:": "سبب الإلغاء (مع إرجاع المخزون) — طلب #{0}:",
+    "Reason for RETURN (no restock) — order #{0}:": "سبب الإرجاع (بدون إرجاع المخزون) — طلب #{0}:",
+    "Reason for comping {0}:": "سبب جعل {0} مجانيًا:",
+    "Reason:": "السبب:",
+    "Reason: {0}": "السبب: {0}",
+    "Receipt designer": "مصمم الإيصال",
+    "Receipt language:": "لغة الإيصال:",
+    "Receipt preview": "معاينة الإيصال",
+    "Receipts": "الإيصالات",
+    "Received": "تاريخ الاستلام",
+    "Recipe": "الوصفة",
+    "Recommended Order": "الطلب المقترح",
+    "Reconcile": "التسوية",
+    "Reconciliation History": "سجل التسويات",
+    "Reconciliation saved ✅": "تم حفظ التسوية ✅",
+    "Refund (admin)": "استرداد (للمدير)",
+    "Refund items": "استرداد أصناف",
+    "Refund methods must add up to E£{0}.": "يجب أن يساوي مجموع طرق الاسترداد E£{0}.",
+    "Refund order": "استرداد طلب",
+    "Refund orders": "استرداد الطلبات",
+    "Refund through": "استرداد عبر",
+    "Refund total: {0}": "إجمالي الاسترداد: {0}",
+    "Refund {0} on {1} by {2}": "استرداد {0} في {1} بواسطة {2}",
+    "Refund — order #{0}": "استرداد — طلب رقم {0}",
+    "Refunds:": "المستردات:",
+    "Regular customer": "عميل دائم",
+    "Release now": "إرسال الآن",
+    "Release to kitchen (min before due):": "الإرسال إلى المطبخ (دقائق قبل الموعد):",
+    "Remaining: {0}": "المتبقي: {0}",
+    "Remove": "إزالة",
+    "Remove bank transaction": "حذف معاملة بنكية",
+    "Remove group": "إزالة المجموعة",
+    "Remove modifier group \"{0}\"?": "إزالة مجموعة الإضافات \"{0}\"؟",
+    "Remove recipe": "إزالة الوصفة",
+    "Remove slot": "إزالة الخانة",
+    "Remove station \"{0}\"?": "إزالة المحطة \"{0}\"؟",
+    "Remove {0} item(s) from {1} and put their stock back?": "إزالة {0} صنف من {1} وإرجاع مخزونها؟",
+    "Renumber offline order": "إعادة ترقيم طلب غير متصل",
+    "Replace the items in the current cart with this check?": "استبدال الأصناف في السلة الحالية بهذا الحساب؟",
+    "Report history and filters have been reset.": "تمت إعادة ضبط سجل التقارير والفلاتر.",
+    "Reports": "التقارير",
+    "Reprint": "إعادة طباعة",
+    "Reserve order number #{0}": "حجز رقم الطلب #{0}",
+    "Reset": "إعادة ضبط",
+    "Reset ALL bank transactions? This cannot be undone.": "إعادة ضبط كل المعاملات البنكية؟ لا يمكن التراجع عن ذلك.",
+    "Reset ALL purchases (cannot be undone)?": "إعادة ضبط كل المشتريات (لا يمكن التراجع)؟",
+    "Reset ALL saved reconciliations and variance totals? This cannot be undone.": "إعادة ضبط كل التسويات المحفوظة وإجماليات الفروق؟ لا يمكن التراجع عن ذلك.",
+    "Reset All Transactions": "إعادة ضبط كل المعاملات",
+    "Reset Purchases": "إعادة ضبط المشتريات",
+    "Reset Usage": "إعادة ضبط الاستهلاك",
+    "Reset Worker Log": "إعادة ضبط سجل الموظفين",
+    "Reset all saved reconciliations": "إعادة ضبط كل التسويات المحفوظة",
+    "Reset bank transactions": "إعادة ضبط المعاملات البنكية",
+    "Reset logs and history": "إعادة ضبط السجلات والتاريخ",
+    "Reset purchases": "إعادة ضبط المشتريات",
+    "Reset reconciliations": "إعادة ضبط التسويات",
+    "Reset reports": "إعادة ضبط التقارير",
+    "Reset the receipt to the default layout?": "إعادة الإيصال إلى التصميم الافتراضي؟",
+    "Reset to default": "إعادة إلى الافتراضي",
+    "Reset usage history": "إعادة ضبط سجل الاستهلاك",
+    "Reset worker log": "إعادة ضبط سجل الموظفين",
+    "Rest": "الباقي",
+    "Restock": "إرجاع للمخزون",
+    "Restock?": "إرجاع للمخزون؟",
+    "Retry now": "إعادة المحاولة الآن",
+    "Return order": "إرجاع طلب",
+    "Returned": "مُرتجع",
+    "Returned, not restocked": "مرتجع، لم يُعد للمخزون",
+    "Revenue (E£)": "الإيرادات (E£)",
+    "Revenue (items only):": "الإيرادات (الأصناف فقط):",
+    "Revenue at risk: {0}": "الإيرادات المعرضة للخطر: {0}",
+    "Review variance": "مراجعة الفرق",
+    "Roles & permissions": "الأدوار والصلاحيات",
+    "Rolled up from the prep recipe": "محسوبة من وصفة التحضير",
+    "SHIFT": "الوردية",
+    "SHOW ALL": "عرض الكل",
+    "Sa": "س",
+    "Save": "حفظ",
+    "Save Reconciliation": "حفظ التسوية",
+    "Saved at {0}": "حُفظ في {0}",
+    "Saved by": "حُفظ بواسطة",
+    "Saved by:": "حُفظ بواسطة:",
+    "Saved on this device only. Receipts follow the receipt language below.": "يُحفظ على هذا الجهاز فقط. تتبع الإيصالات لغة الإيصال أدناه.",
+    "Schedule for (optional):": "جدولة لـ (اختياري):",
+    "Screen language:": "لغة الشاشة:",
+    "Search by name, phone, address, or zone": "ابحث بالاسم أو الهاتف أو العنوان أو المنطقة",
+    "Search name": "ابحث بالاسم",
+    "Search target, values or note": "ابحث في الهدف أو القيم أو الملاحظة",
+    "Select a burger/item first.": "اختر برجر/صنفًا أولًا.",
+    "Select a worker…": "اختر موظفًا…",
+    "Select category": "اختر الفئة",
+    "Select item": "اختر الصنف",
+    "Select method": "اختر الطريقة",
+    "Select or type who saved it (Saved by).": "اختر أو اكتب من قام بالحفظ (حُفظ بواسطة).",
+    "Select order type.": "اختر نوع الطلب.",
+    "Select payment.": "اختر طريقة الدفع.",
+    "Select week": "اختر الأسبوع",
+    "Select worker.": "اختر الموظف.",
+    "Select zone": "اختر المنطقة",
+    "Send ready message via WhatsApp when order is done": "إرسال رسالة الجاهزية عبر واتساب عند اكتمال الطلب",
+    "Send round to {0}": "إرسال الجولة إلى {0}",
+    "Sent {0}": "أُرسل {0}",
+    "Sessions": "الجلسات",
+    "Set \"{0}\" price to E£{1}?": "تعيين سعر \"{0}\" إلى E£{1}؟",
+    "Set PIN": "تعيين رقم PIN",
+    "Set owner PIN": "تعيين رمز المالك",
+    "Set the cost per inventory unit and the Min Level.": "حدد التكلفة لكل وحدة مخزون والحد الأدنى.",
+    "Set your quantities, then:": "حدد الكميات، ثم:",
+    "Settings": "الإعدادات",
+    "Settle": "تسوية",
+    "Settle the open checks on {0} before removing those tables.": "قم بتسوية الحسابات المفتوحة على {0} قبل حذف هذه الطاولات.",
+    "Settling {0} — take payment below": "تسوية {0} — استلم الدفع أدناه",
+    "Shelf life (days)": "مدة الصلاحية (أيام)",
+    "Shift lead": "مشرف الوردية",
+    "Shift not started.": "لم تبدأ الوردية.",
+    "Shift: {0} → {1}": "الوردية: {0} → {1}",
+    "Show category details below": "عرض تفاصيل الفئة أدناه",
+    "Show purchases from all categories AND show all categories in the grid": "عرض المشتريات من كل الفئات وعرض كل الفئات في الجدول",
+    "Showing 1 contact": "عرض جهة اتصال واحدة",
+    "Showing {0} contacts": "عرض {0} جهات اتصال",
+    "Shrinkage": "العجز",
+    "Sign in": "تسجيل الدخول",
+    "Sign out": "تسجيل الخروج",
+    "Slot name (e.g. Side)": "اسم الخانة (مثل الطبق الجانبي)",
+    "Some ingredients are missing cost/unit": "بعض المكونات بدون تكلفة/وحدة",
+    "Sort by COGS": "ترتيب حسب التكلفة",
+    "Sort by gap": "ترتيب حسب الفرق",
+    "Sort by margin": "ترتيب حسب الهامش",
+    "Sort by name": "ترتيب حسب الاسم",
+    "Sort by price": "ترتيب حسب السعر",
+    "Split across methods": "تقسيم على عدة طرق",
+    "Split amounts must equal the total ({0}). Over by: {1}": "يجب أن تساوي المبالغ المقسمة الإجمالي ({0}). الزيادة: {1}",
+    "Split amounts must equal the total ({0}). Remaining: {1}": "يجب أن تساوي المبالغ المقسمة الإجمالي ({0}). المتبقي: {1}",
+    "Split evenly": "تقسيم بالتساوي",
+    "Spoilage": "تلف",
+    "Spoiled": "تالف",
+    "Staff meal": "وجبة موظفين",
+    "Start Qty": "كمية البداية",
+    "Start a paid break, or end the current break": "بدء استراحة مدفوعة، أو إنهاء الاستراحة الحالية",
+    "Start a shift first (Shift → Start Shift) before processing online orders.": "ابدأ الوردية أولًا (الوردية ← بدء الوردية) قبل معالجة الطلبات الأونلاين.",
+    "Start a shift first (Shift → Start Shift).": "ابدأ الوردية أولًا (الوردية ← بدء الوردية).",
+    "Start a shift first.": "ابدأ الوردية أولًا.",
+    "Start an unpaid break, or end the current break": "بدء استراحة غير مدفوعة، أو إنهاء الاستراحة الحالية",
+    "Start blind count": "بدء عدّ أعمى",
+    "Start count with expected": "بدء العدّ مع عرض المتوقع",
+    "Start-of-day captured at {0}. Editing disabled until {1} or admin unlock.": "تم تسجيل بداية اليوم في {0}. التعديل معطّل حتى {1} أو فتح القفل من المدير.",
+    "Start-of-day captured. Editing disabled until {0} or admin unlock.": "تم تسجيل بداية اليوم. التعديل معطّل حتى {0} أو فتح القفل من المدير.",
+    "Started by {0} at {1}": "بدأها {0} في {1}",
+    "Status": "الحالة",
+    "Status: {0}": "الحالة: {0}",
+    "Stock is taken when a round is sent. To split a bill evenly, settle it and use “Split evenly” under payment.": "يُخصم المخزون عند إرسال الجولة. لتقسيم الفاتورة بالتساوي، قم بتسويتها واستخدم “تقسيم بالتساوي” في قسم الدفع.",
+    "Stocktake": "الجرد",
+    "Stocktake posted.": "تم ترحيل الجرد.",
+    "Su": "ح",
+    "Subtotal {0} • Discounts −{1}": "المجموع الفرعي {0} • الخصومات −{1}",
+    "Suggested price (target {0}% margin): {1}": "السعر المقترح (هامش مستهدف {0}%): {1}",
+    "Summary (by inventory item)": "ملخص (حسب صنف المخزون)",
+    "Switch to Dark": "التبديل إلى الوضع الداكن",
+    "Switch to Light": "التبديل إلى الوضع الفاتح",
+    "Sync failed: {0}": "فشلت المزامنة: {0}",
+    "Sync to Cloud": "مزامنة مع السحابة",
+    "Synced to cloud ✔": "تمت المزامنة مع السحابة ✔",
+    "Syncing…": "جارٍ المزامنة…",
+    "Table names (comma separated):": "أسماء الطاولات (مفصولة بفواصل):",
+    "Table: {0}": "الطاولة: {0}",
+    "Tables": "الطاولات",
+    "Tags": "الوسوم",
+    "Target": "الهدف",
+    "Target Margin Price Helper": "مساعد التسعير حسب الهامش المستهدف",
+    "Target margin %": "الهامش المستهدف %",
+    "Test print": "طباعة تجريبية",
+    "Th": "خ",
+    "That check is no longer open.": "هذا الحساب لم يعد مفتوحًا.",
+    "The PINs don't match.": "رقما PIN غير متطابقين.",
+    "The end date is before the start date.": "تاريخ النهاية قبل تاريخ البداية.",
+    "The numbered admin PINs are retired now that a worker has the Owner role. Manage access in Worker Log → PINs and Settings → Roles & permissions.": "تم إيقاف أرقام PIN المرقّمة للمديرين بعد تعيين موظف بدور المالك. أدِر الصلاحيات من سجل الموظفين ← أرقام PIN والإعدادات ← الأدوار والصلاحيات.",
+    "The order hasn't reached the cloud yet. It goes to the kitchen and prints once it syncs.": "لم يصل الطلب إلى السحابة بعد. سيُرسل إلى المطبخ ويُطبع بعد المزامنة.",
+    "The scheduled time must be in the future.": "يجب أن يكون الموعد المجدول في المستقبل.",
+    "Theft": "سرقة",
+    "These admin PINs act as Owner until a worker is given the Owner role.": "تعمل أرقام PIN هذه كمالك إلى أن يُعيَّن موظف بدور المالك.",
+    "This PIN is already used by another worker.": "رقم PIN هذا مستخدم بالفعل لموظف آخر.",
+    "This action is only for non Dine-in / Take-Away orders.": "هذا الإجراء فقط للطلبات غير الصالة / التيك أواي.",
+    "This check has no items.": "لا توجد أصناف في هذا الحساب.",
+    "This expense is linked to a returned order and cannot be removed.": "هذا المصروف مرتبط بطلب مُرتجع ولا يمكن حذفه.",
+    "This field is required.": "هذا الحقل مطلوب.",
+    "This name already exists.": "هذا الاسم موجود بالفعل.",
+    "This order can no longer be refunded.": "لم يعد من الممكن استرداد هذا الطلب.",
+    "This order is DONE and cannot be cancelled.": "هذا الطلب مكتمل ولا يمكن إلغاؤه.",
+    "This order is DONE and cannot be voided.": "هذا الطلب مكتمل ولا يمكن إبطاله.",
+    "This order is already cancelled/returned.": "هذا الطلب ملغي/مُرتجع بالفعل.",
+    "This order is already voided.": "هذا الطلب مُبطل بالفعل.",
+    "This shop still uses the admin PINs the app ships with (1111 to 6666). Choose an owner PIN to retire them.": "لا يزال هذا المتجر يستخدم رموز المسؤول الافتراضية للتطبيق (1111 إلى 6666). اختر رمز المالك لإيقافها.",
+    "This till is offline. The order goes to the kitchen and prints once the cloud is back.": "هذا الجهاز غير متصل. سيُرسل الطلب إلى المطبخ ويُطبع عند عودة الاتصال بالسحابة.",
+    "This transaction cannot be removed": "لا يمكن حذف هذه المعاملة",
+    "This transaction is locked and cannot be removed.": "هذه المعاملة مقفلة ولا يمكن حذفها.",
+    "Tick the items to move first.": "حدد الأصناف المراد نقلها أولًا.",
+    "Tick the items to remove first.": "حدد الأصناف المراد إزالتها أولًا.",
+    "Timesheet PDF": "كشف الساعات PDF",
+    "Title": "العنوان الرئيسي",
+    "To": "إلى",
+    "Today's Balance:": "رصيد اليوم:",
+    "Toggle sort direction": "عكس اتجاه الترتيب",
+    "Too many wrong PINs. Try again in {0} min.": "محاولات خاطئة كثيرة. حاول مرة أخرى بعد {0} دقيقة.",
+    "Top 5 Customers": "أفضل 5 عملاء",
+    "Top Contact": "أبرز جهة اتصال",
+    "Total": "الإجمالي",
+    "Total (E£)": "الإجمالي (E£)",
+    "Total (day):": "الإجمالي (اليوم):",
+    "Total (month):": "الإجمالي (الشهر):",
+    "Total (year):": "الإجمالي (السنة):",
+    "Total Purchases": "إجمالي المشتريات",
+    "Total Spend": "إجمالي الإنفاق",
+    "Total Used (mixed units)": "إجمالي المستخدم (وحدات مختلطة)",
+    "Total Used Cost": "تكلفة إجمالي المستخدم",
+    "Total Variance": "إجمالي الفرق",
+    "Total cost": "التكلفة الإجمالية",
+    "Total payout (E£)": "إجمالي الأجور (E£)",
+    "Total payout: {0}": "إجمالي المستحقات: {0}",
+    "Total:": "الإجمالي:",
+    "Total: {0}": "الإجمالي: {0}",
+    "Totals (by worker)": "الإجماليات (حسب الموظف)",
+    "Tracked Contacts": "جهات الاتصال المتتبَّعة",
+    "Tu": "ث",
+    "Type": "النوع",
+    "Type: {0}": "النوع: {0}",
+    "URL:": "الرابط:",
+    "Undo comp": "إلغاء المجانية",
+    "Undo order comp": "إلغاء مجانية الطلب",
+    "Unit": "الوحدة",
+    "Unit (g, pcs...)": "الوحدة (جم، قطعة...)",
+    "Unit Price": "سعر الوحدة",
+    "Unit Price (E£)": "سعر الوحدة (E£)",
+    "Unknown promo code.": "كود خصم غير معروف.",
+    "Unlock Inventory (Admin PIN)": "فتح المخزون (PIN المدير)",
+    "Unlock inventory": "فتح المخزون",
+    "Unsynced changes: {0}": "تغييرات غير متزامنة: {0}",
+    "Until then the order waits in the board's \"Later\" lane and its stock is only reserved.": "حتى ذلك الحين ينتظر الطلب في مسار \"لاحقًا\" في اللوحة ويكون مخزونه محجوزًا فقط.",
+    "Update order #{0} ({1})": "تحديث الطلب #{0} ({1})",
+    "Updated 1 item to the target margin.": "تم تحديث صنف واحد إلى الهامش المستهدف.",
+    "Updated {0} items to the target margin.": "عدد الأصناف المحدّثة إلى الهامش المستهدف: {0}.",
+    "Use Comp to give an item away for free.": "استخدم \"مجاني\" لتقديم صنف بدون مقابل.",
+    "Use letters, digits, - or _ only.": "استخدم الحروف والأرقام و - أو _ فقط.",
+    "Used": "المستخدم",
+    "Used Cost (E£)": "تكلفة المستخدم (E£)",
+    "Uses": "مرات الاستخدام",
+    "VIP": "VIP",
+    "VIP Customer": "عميل VIP",
+    "Valid": "صالح",
+    "Value": "القيمة",
+    "Variance": "الفرق",
+    "Variance {0}": "الفرق {0}",
+    "View audit log": "عرض سجل التدقيق",
+    "View reports": "عرض التقارير",
+    "Void order #{0} WITHOUT restock and add expense for wasted items (E£{1})?": "إبطال الطلب #{0} بدون إرجاع المخزون وإضافة مصروف للأصناف المهدرة (E£{1})؟",
+    "WEEK": "الأسبوع",
+    "Waited too long": "انتظر طويلًا",
+    "Waiting for a connection. Click to retry now.": "في انتظار الاتصال. اضغط لإعادة المحاولة الآن.",
+    "Waiting for first order.": "في انتظار أول طلب.",
+    "Waiting to sync. Last error: {0}": "في انتظار المزامنة. آخر خطأ: {0}",
+    "Waste": "هدر",
+    "Waste at cost: {0}": "الهدر بالتكلفة: {0}",
+    "Waste by day and reason": "الهدر حسب اليوم والسبب",
+    "Wasted": "المهدر",
+    "Water": "المياه",
+    "Water L/min": "مياه لتر/دقيقة",
+    "We": "ر",
+    "Week": "الأسبوع",
+    "Week {0} • {1} → {2}": "الأسبوع {0} • {1} ← {2}",
+    "Weekly overtime after (h)": "ساعات إضافية أسبوعية بعد (س)",
+    "Weekly overtime multiplier": "معامل الساعات الإضافية الأسبوعية",
+    "Weighted average": "المتوسط المرجّح",
+    "WhatsApp will use {0} for updates.": "سيستخدم واتساب {0} للتحديثات.",
+    "WhatsApp: {0}": "واتساب: {0}",
+    "When": "الوقت",
+    "Who": "بواسطة",
+    "Withdraw (-)": "سحب (-)",
+    "Worked out from purchases; turn off auto-sync to type it in": "محسوبة من المشتريات؛ أوقف المزامنة التلقائية لإدخالها يدويًا",
+    "Worker": "الموظف",
+    "Worker Log": "سجل الموظفين",
+    "Worker Log cleared.": "تم مسح سجل الموظفين.",
+    "Worker already exists.": "الموظف موجود بالفعل.",
+    "Worker name required.": "اسم الموظف مطلوب.",
+    "Worker: {0}": "الموظف: {0}",
+    "Workers": "الموظفون",
+    "Write off": "شطب",
+    "Write off {0} {1} of {2} (expires {3}) as waste at {4}?": "شطب {0} {1} من {2} (تنتهي في {3}) كهدر بقيمة {4}؟",
+    "Wrong item delivered": "تم توصيل صنف خاطئ",
+    "Wrong order": "طلب خاطئ",
+    "Wrong order entered": "تم إدخال طلب خاطئ",
+    "YEAR": "السنة",
+    "Year": "السنة",
+    "Year:": "السنة:",
+    "Yield per batch": "الناتج لكل دفعة",
+    "You must mark all orders as Done or Cancelled before ending the day. Pending orders: {0}.": "يجب تعيين كل الطلبات كمكتملة أو ملغاة قبل إنهاء اليوم. الطلبات المعلقة: {0}.",
+    "You must save a Cash Drawer Reconciliation before ending the day. Go to the Reconcile tab.": "يجب حفظ تسوية درج النقدية قبل إنهاء اليوم. اذهب إلى تبويب التسوية.",
+    "You must settle or close all open checks before ending the day. Open checks: {0}.": "يجب تسوية أو إغلاق كل الحسابات المفتوحة قبل إنهاء اليوم. الحسابات المفتوحة: {0}.",
+    "Your current: {0} mm.": "الحالي: {0} مم.",
+    "Zone": "المنطقة",
+    "Zone name": "اسم المنطقة",
+    "Zone:": "المنطقة:",
+    "Zone: {0}": "المنطقة: {0}",
+    "at": "في",
+    "bridge default": "افتراضي الجسر",
+    "by {0}": "بواسطة {0}",
+    "check": "حساب",
+    "due {0}": "موعده {0}",
+    "e.g. phone or tax number": "مثل رقم الهاتف أو الرقم الضريبي",
+    "e.g., no pickles, extra spicy": "مثل: بدون مخلل، حار زيادة",
+    "e.g., wrong burger": "مثل: برجر خطأ",
+    "none": "لا شيء",
+    "on break": "في استراحة",
+    "printer name": "اسم الطابعة",
+    "queued {0}": "في الانتظار منذ {0}",
+    "ready": "جاهز",
+    "released {0} min before due": "يُرسل قبل الموعد بـ {0} دقيقة",
+    "the check": "الحساب",
+    "{0} (min)": "{0} (دقيقة)",
+    "{0} ({1}) may not: {2}.": "{0} ({1}) غير مسموح له: {2}.",
+    "{0} applied": "تم تطبيق {0}",
+    "{0} bill": "فاتورة {0}",
+    "{0} change(s) have not reached the cloud yet. End the day anyway? They will keep retrying in the background.": "{0} تغيير لم يصل إلى السحابة بعد. إنهاء اليوم على أي حال؟ ستستمر إعادة المحاولة في الخلفية.",
+    "{0} does not use any inventory items.": "{0} لا يستخدم أي أصناف مخزون.",
+    "{0} each": "{0} للقطعة",
+    "{0} failed attempts": "{0} محاولات فاشلة",
+    "{0} is already on duty.": "{0} في المناوبة بالفعل.",
+    "{0} is back from a {1} min break.": "عاد {0} من استراحة مدتها {1} دقيقة.",
+    "{0} is not currently on duty.": "{0} ليس في المناوبة حاليًا.",
+    "{0} item(s)": "{0} صنف",
+    "{0} item(s) low in stock": "{0} صنف منخفض المخزون",
+    "{0} items have ingredients without cost/unit values. Update inventory costs to unlock accurate margins.": "عدد الأصناف التي بها مكونات بدون قيم تكلفة/وحدة: {0}. حدّث تكاليف المخزون للحصول على هوامش دقيقة.",
+    "{0} lot(s) expiring soon": "{0} دفعة تنتهي صلاحيتها قريبًا",
+    "{0} lot(s), {1} expired": "{0} دفعة، منها {1} منتهية",
+    "{0} min": "{0} دقيقة",
+    "{0} new online orders": "طلبات أونلاين جديدة: {0}",
+    "{0} of {1} items counted.": "تم عدّ {0} من {1} صنف.",
+    "{0} orders": "{0} طلبات",
+    "{0} pts": "{0} نقطة",
+    "{0} rounds": "{0} جولات",
+    "{0} total orders": "إجمالي الطلبات: {0}",
+    "{0} was already sent to the kitchen. Take it off the bill and put its stock back?": "تم إرسال {0} إلى المطبخ بالفعل. إزالته من الفاتورة وإرجاع مخزونه؟",
+    "{0} {1} untracked": "{0} {1} غير متتبَّعة",
+    "{0} — COGS E£{1} • Price E£{2}": "{0} — التكلفة E£{1} • السعر E£{2}",
+    "{0} — End Qty: {1} {2}": "{0} — الكمية النهائية: {1} {2}",
+    "{0} — Used: {1} {2}": "{0} — المستخدم: {1} {2}",
+    "{0}: Delete ALL customer contacts? This cannot be undone.": "{0}: حذف كل جهات اتصال العملاء؟ لا يمكن التراجع عن ذلك.",
+    "{0}: Post the count? {1} of {2} items change, variance {3}.": "{0}: ترحيل العدّ؟ يتغير {1} من {2} صنف، والفرق {3}.",
+    "{0}: Reset ALL locally saved report data and filters? This cannot be undone.": "{0}: إعادة ضبط كل بيانات التقارير والفلاتر المحفوظة محليًا؟ لا يمكن التراجع عن ذلك.",
+    "{0}: Unlock inventory for editing? Snapshot will be kept.": "{0}: فتح المخزون للتعديل؟ سيتم الاحتفاظ باللقطة.",
+    "{0}: item is no longer on the menu.": "{0}: الصنف لم يعد في القائمة.",
+    "الاسم بالعربي (optional)": "الاسم بالعربي (اختياري)",
+    "↶ Recall": "↶ استرجاع",
+    "⏰ 1 pre-order due, not sent": "⏰ طلب مسبق واحد حان موعده ولم يُرسل",
+    "⏰ Later ({0})": "⏰ لاحقًا ({0})",
+    "⏰ {0} pre-orders due, not sent": "⏰ {0} طلبات مسبقة حان موعدها ولم تُرسل",
+    "⏳ Expiring": "⏳ قارب على الانتهاء",
+    "⏳ Syncing…": "⏳ جارٍ المزامنة…",
+    "☀ Light": "☀ فاتح",
+    "☕ Paid break": "☕ استراحة مدفوعة",
+    "☕ Unpaid break": "☕ استراحة غير مدفوعة",
+    "⚠ Edited after it was written": "⚠ عُدّل بعد تسجيله",
+    "⚠ Entries before this one are missing": "⚠ توجد قيود مفقودة قبل هذا القيد",
+    "⚠ {0} entries don't match the chain — entries were edited or removed.": "⚠ {0} قيد لا يطابق السلسلة — تم تعديل قيود أو حذفها.",
+    "⚠ {0} unsynced": "⚠ {0} غير متزامن",
+    "⛶ Full screen": "⛶ ملء الشاشة",
+    "✔ Chain intact: {0} entries.": "✔ السلسلة سليمة: {0} قيد.",
+    "＋ Add worker": "＋ إضافة موظف",
+    "🌐 Online Orders": "🌐 الطلبات الأونلاين",
+    "🌙 Dark": "🌙 داكن",
+    "🍔 TUX": "🍔 TUX",
+    "🍔 TUX — Burger Truck POS": "🍔 TUX — نقطة بيع عربة البرجر",
+    "🍳 Kitchen": "🍳 المطبخ",
+    "🍳 Kitchen — {0} open": "🍳 المطبخ — {0} مفتوح",
+    "🍳 Kitchen: {0}/{1} ready": "🍳 المطبخ: {0}/{1} جاهز",
+    "📺 Status": "📺 الحالة",
+    "🔔 Chime on": "🔔 التنبيه يعمل",
+    "🔔 Low Stock": "🔔 مخزون منخفض",
+    "🔕 Chime off": "🔕 التنبيه متوقف",
+  },
+};
+// Receipt layout the shop edits in Settings. Logos are paths under public/ or
+// data URLs from an upload; an empty logo is simply left off.
+export const DEFAULT_RECEIPT_TEMPLATE = {
+  title: "TUX — Burger Truck",
+  titleAr: "",
+  address: "El-Saada St – Zahraa El-Maadi",
+  addressAr: "",
+  headerNote: "",
+  footer: "Thank you for choosing TUX\nSee you soon",
+  footerAr: "",
+  footerByType: {},
+  language: "en",
+  arabicDigits: false,
+  logo: "/tuxlogo.jpg",
+  footerLogoLeft: "/menu-qr.jpg",
+  footerLogoRight: "/delivery-logo.jpg",
+  show: { paymentBreakdown: true, cashBlock: true, deliveryInfo: true, note: true },
+};
+export function normalizeReceiptTemplate(t) {
+  const src = t && typeof t === "object" ? t : {};
+  const str = (k) => (typeof src[k] === "string" ? src[k] : DEFAULT_RECEIPT_TEMPLATE[k]);
+  const show = { ...DEFAULT_RECEIPT_TEMPLATE.show };
+  for (const k of Object.keys(show)) {
+    if (src.show && typeof src.show[k] === "boolean") show[k] = src.show[k];
+  }
+  const footerByType = {};
+  for (const [type, text] of Object.entries(src.footerByType || {})) {
+    if (typeof text === "string" && text.trim()) footerByType[type] = text;
+  }
+  return {
+    title: str("title"),
+    titleAr: str("titleAr"),
+    address: str("address"),
+    addressAr: str("addressAr"),
+    headerNote: str("headerNote"),
+    footer: str("footer"),
+    footerAr: str("footerAr"),
+    footerByType,
+    language: ["ar", "both"].includes(src.language) ? src.language : "en",
+    arabicDigits: src.arabicDigits === true,
+    logo: str("logo"),
+    footerLogoLeft: str("footerLogoLeft"),
+    footerLogoRight: str("footerLogoRight"),
+    show,
+  };
+}
+// The order type's own footer wins over the general one; otherwise the
+// Arabic footer is used (or added) when the receipt language asks for it.
+export function receiptFooterFor(template, orderType) {
+  const t = normalizeReceiptTemplate(template);
+  if (t.footerByType[orderType]) return t.footerByType[orderType];
+  if (t.language === "ar") return t.footerAr || t.footer;
+  if (t.language === "both" && t.footerAr) return `${t.footer}\n${t.footerAr}`;
+  return t.footer;
+}
+// Title/address in the receipt language; "both" returns the English and the
+// Arabic text as separate lines.
+export function receiptHeaderLines(en, ar, lang = "en") {
+  const arText = String(ar || "").trim();
+  if (lang === "ar") return [arText || en].filter(Boolean);
+  if (lang === "both" && arText) return [en, arText].filter(Boolean);
+  return [en].filter(Boolean);
+}
+// Downscales an uploaded logo so the data URL stays small enough for the
+// cloud state document.
+async function readLogoAsDataUrl(file, maxWidth = 480) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const scale = Math.min(1, maxWidth / img.naturalWidth);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL("image/jpeg", 0.85);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+function receiptTotals(order) {
   const itemsSubtotal =
-    order.itemsTotal != null
+    order.itemsSubtotal != null
+      ? Number(order.itemsSubtotal || 0)
+      : order.itemsTotal != null && !Number(order.discountTotal || 0)
       ? Number(order.itemsTotal || 0)
       : (order.cart || []).reduce((sum, line) => {
           const base = Number(line.price || 0);
@@ -2748,8 +5752,45 @@ function buildReceiptHTML(order, widthMm = 80) {
 
   const grandTotal =
     order.total != null ? Number(order.total || 0) : itemsSubtotal + deliveryFee;
+  return { itemsSubtotal, deliveryFee, grandTotal };
+}
+function receiptDiscountLabel(d, lang = "en") {
+  const label =
+    d.kind === "promo"
+      ? `${receiptLabel("promo", lang)} ${d.code || ""}`
+      : d.kind === "comp"
+      ? `${receiptLabel("comp", lang)}${d.label && d.lineIndex != null ? ` — ${d.label}` : ""}`
+      : d.kind === "line"
+      ? `${receiptLabel("discount", lang)} — ${d.label || "item"}`
+      : receiptLabel("orderDiscount", lang);
+  const pct = d.type === "percent" && d.kind !== "comp" ? ` (${Number(d.value || 0)}%)` : "";
+  return label + pct;
+}
+export function buildReceiptHTML(order, widthMm = 80, copy = "Customer", template = DEFAULT_RECEIPT_TEMPLATE) {
+  const t = normalizeReceiptTemplate(template);
+  const lang = t.language;
+  const L = (key) => escHtml(receiptLabel(key, lang));
+  const num = (v) => escHtml(t.arabicDigits ? toArabicDigits(v) : v);
+  const nameHtml = (obj, prefix = "") => {
+    const { primary, secondary } = receiptItemName(obj, lang);
+    return `${prefix}${escHtml(primary)}${secondary ? `<div class="ar" dir="rtl">${escHtml(secondary)}</div>` : ""}`;
+  };
+  const stamp = receiptStamp(copy);
+  const m = Math.max(0, Math.min(4, 4)); // padding mm
+  const currency = receiptMoneyFormatter(lang, t.arabicDigits);
+  const dt = new Date(order.date);
+  const orderDateStr = fmtDate(dt);
+  const orderTimeStr = dt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+  const { itemsSubtotal, deliveryFee, grandTotal } = receiptTotals(order);
+  const discountRowsHtml = (Array.isArray(order.discounts) ? order.discounts : [])
+    .map(
+      (d) =>
+        `<div class="row"><div>${escHtml(receiptDiscountLabel(d, lang))}</div><div>−${currency(d.amount)}</div></div>`
+    )
+    .join("");
   const paymentBreakdownHtml =
-  Array.isArray(order.paymentParts) && order.paymentParts.length
+  t.show.paymentBreakdown && Array.isArray(order.paymentParts) && order.paymentParts.length
     ? order.paymentParts
         .map(
           (pp) => `
@@ -2763,57 +5804,72 @@ function buildReceiptHTML(order, widthMm = 80) {
       const q = Number(ci.qty || 1);
       const base = `
         <div class="tr">
-          <div class="td c-item">${escHtml(ci.name)}</div>
-          <div class="td c-qty">${q}</div>
+          <div class="td c-item">${nameHtml(ci)}</div>
+          <div class="td c-qty">${num(q)}</div>
           <div class="td c-price">${currency(ci.price)}</div>
           <div class="td c-total">${currency(ci.price * q)}</div>
         </div>
       `;
-      const extras = (ci.extras || [])
+      const components = (ci.components || [])
         .map(
-          (ex) => `
+          (c) => `
           <div class="tr">
-            <div class="td c-item extra">+ ${escHtml(ex.name)}</div>
-            <div class="td c-qty">${q}</div>
-            <div class="td c-price">${currency(ex.price)}</div>
-            <div class="td c-total">${currency(ex.price * q)}</div>
+            <div class="td c-item extra">${nameHtml(c, "· ")}</div>
+            <div class="td c-qty">${num(q)}</div>
+            <div class="td c-price"></div>
+            <div class="td c-total"></div>
           </div>
         `
         )
         .join("");
-      return base + extras;
-    })
+      const extras = (ci.extras || [])
+        .map(
+          (ex) => `
+          <div class="tr">
+            <div class="td c-item extra">${nameHtml(ex, "+ ")}</div>
+            <div class="td c-qty">${num(q)}</div>
+            <div class="td c-price">${currency(ex.price)}</div>
+            <div class="td c-total">${currency(ex.price * q)}</div>
+          </div>
+        `
+        )
+        .join("");
+      return base + components + extras;
+    })
     .join("");
 
   const noteBlock =
-    order.note && String(order.note).trim()
+    t.show.note && order.note && String(order.note).trim()
       ? `
     <div class="note">
-      <div class="label">Order Note</div>
+      <div class="label">${L("note")}</div>
       <div class="body">${escHtml(String(order.note).trim())}</div>
     </div>
   `
       : "";
 const deliveryInfoBlock =
-  order.orderType === "Delivery"
+  t.show.deliveryInfo && order.orderType === "Delivery"
     ? `
   <div class="cust">
-    <div class="meta"><strong>Customer:</strong> ${escHtml(order.deliveryName || "")}</div>
-    <div class="meta"><strong>Phone:</strong> ${escHtml(order.deliveryPhone || "")}</div>
-    <div class="meta"><strong>Address:</strong> ${escHtml(order.deliveryAddress || "")}</div>
+    <div class="meta"><strong>${L("customer")}:</strong> ${escHtml(order.deliveryName || "")}</div>
+    <div class="meta"><strong>${L("phone")}:</strong> ${num(order.deliveryPhone || "")}</div>
+    <div class="meta"><strong>${L("address")}:</strong> ${escHtml(order.deliveryAddress || "")}</div>
   </div>
 `
     : "";
 const cashBlock = (() => {
-  if (order.cashReceived == null) return "";
+  if (!t.show.cashBlock || order.cashReceived == null) return "";
+  const parts = Array.isArray(order.paymentParts) ? order.paymentParts : [];
+  const cashPart = parts.length > 1 ? parts.find((pp) => pp.method === "Cash") : null;
   return `
-    <div class="row"><div>Cash Received</div><div>${currency(order.cashReceived)}</div></div>
-    <div class="row"><div>Change</div><div>${currency(order.changeDue || 0)}</div></div>
+    ${cashPart ? `<div class="row"><div>${L("cashPortion")}</div><div>${currency(cashPart.amount)}</div></div>` : ``}
+    <div class="row"><div>${L("cashReceived")}</div><div>${currency(order.cashReceived)}</div></div>
+    <div class="row"><div>${L("change")}</div><div>${currency(order.changeDue || 0)}</div></div>
   `;
 })();
   return `
 <!doctype html>
-<html>
+<html dir="${lang === "ar" ? "rtl" : "ltr"}" lang="${lang === "ar" ? "ar" : "en"}">
 <head>
 <meta charset="utf-8">
 <title>Receipt</title>
@@ -2825,7 +5881,7 @@ const cashBlock = (() => {
   .receipt {
     width: ${widthMm}mm;
     padding: ${m}mm ${m}mm ${m/2}mm ${m}mm;
-    font: 11pt/1.35 "Segoe UI", Arial, sans-serif;
+    font: 11pt/1.35 "Segoe UI", Tahoma, Arial, sans-serif;
     color: #000;
     background: #fff;
   }
@@ -2840,8 +5896,10 @@ const cashBlock = (() => {
   }
 
   .title { font-weight: 700; text-align: center; font-size: 13pt; margin: 1mm 0 .5mm; }
+  .stamp { text-align: center; font-weight: 900; border: 2px solid #000; margin: 1mm 0; letter-spacing: 1px; }
   .meta.address { text-align: center; font-size: 9pt; opacity: .9; }
-  .meta { text-align: left; font-size: 9pt; opacity: .9; }
+  .meta { text-align: start; font-size: 9pt; opacity: .9; }
+  .ar { direction: rtl; text-align: right; }
 
   .sep { border-top: 1px dashed #000; margin: 2mm 0; }
 
@@ -2865,7 +5923,7 @@ const cashBlock = (() => {
     border-bottom: 1px dashed #000; padding-bottom: 1mm;
   }
   .tr { border-bottom: 1px dashed rgba(0,0,0,.6); padding-bottom: 1mm; }
-  .c-qty, .c-price, .c-total { text-align: right; }
+  .c-qty, .c-price, .c-total { text-align: end; }
   .c-item { word-break: break-word; }
   .extra { font-size: 10pt; opacity: .9; }
   .totals { display: grid; gap: 1mm; margin-top: 1mm; }
@@ -2884,49 +5942,108 @@ const cashBlock = (() => {
 </head>
 <body>
   <div class="receipt">
-    <div class="brand"><img src="/tuxlogo.jpg" alt="TUX logo"></div>
-   <div class="title">TUX — Burger Truck</div>
-    <div class="meta address">El-Saada St – Zahraa El-Maadi</div>
+    ${t.logo ? `<div class="brand"><img src="${escHtml(t.logo)}" alt="Logo"></div>` : ""}
+    ${receiptHeaderLines(t.title, t.titleAr, lang).map((l) => `<div class="title">${escHtml(l)}</div>`).join("")}
+    ${receiptHeaderLines(t.address, t.addressAr, lang).map((l) => `<div class="meta address">${escHtml(l)}</div>`).join("")}
+    ${t.headerNote ? `<div class="meta address">${escHtml(t.headerNote)}</div>` : ""}
+    ${stamp ? `<div class="stamp">${escHtml(stamp)}</div>` : ""}
     <!-- Order meta -->
-    <div class="meta">Order No: <strong>#${escHtml(order.orderNo)}</strong></div>
-    <div class="meta">Order Date: <strong>${escHtml(orderDateStr)}</strong> • Time: <strong>${escHtml(orderTimeStr)}</strong></div>
-    <div class="meta">Worker: ${escHtml(order.worker)} • Payment: ${escHtml(order.payment)} • Type: ${escHtml(order.orderType || "")}</div>
+    <div class="meta">${L("orderNo")}: <strong>#${num(order.orderNo)}</strong></div>
+    <div class="meta">${L("date")}: <strong>${num(orderDateStr)}</strong> • ${L("time")}: <strong>${num(orderTimeStr)}</strong></div>
+    <div class="meta">${L("worker")}: ${escHtml(order.worker)} • ${L("payment")}: ${escHtml(order.payment)} • ${L("type")}: ${escHtml(order.orderType || "")}</div>
+    ${order.table ? `<div class="meta">${L("table")}: <strong>${escHtml(order.table)}</strong></div>` : ""}
+    ${order.scheduledFor ? `<div class="meta">${L("scheduledFor")}: <strong>${num(fmtDateTime(order.scheduledFor))}</strong></div>` : ""}
     ${noteBlock}
     ${deliveryInfoBlock}
     <div class="sep"></div>
     <div class="table">
       <div class="thead">
-        <div class="th c-item">Item</div>
-        <div class="th c-qty">Qty</div>
-        <div class="th c-price">Price</div>
-        <div class="th c-total">Total</div>
+        <div class="th c-item">${L("item")}</div>
+        <div class="th c-qty">${L("qty")}</div>
+        <div class="th c-price">${L("price")}</div>
+        <div class="th c-total">${L("total")}</div>
       </div>
       ${rowsHtml}
     </div>
     <div class="sep"></div>
     <div class="totals">
-  <div class="row"><div>Items Subtotal</div><div>${currency(itemsSubtotal)}</div></div>
-  ${deliveryFee > 0 ? `<div class="row"><div>Delivery Fee</div><div>${currency(deliveryFee)}</div></div>` : ``}
-  <div class="row total"><div>TOTAL</div><div>${currency(grandTotal)}</div></div>
-  ${paymentBreakdownHtml ? `<div class="row"><div style="font-weight:700">Paid by</div><div></div></div>` : ``}
+  <div class="row"><div>${L("itemsSubtotal")}</div><div>${currency(itemsSubtotal)}</div></div>
+  ${discountRowsHtml}
+  ${deliveryFee > 0 ? `<div class="row"><div>${L("deliveryFee")}</div><div>${currency(deliveryFee)}</div></div>` : ``}
+  <div class="row total"><div>${L("grandTotal")}</div><div>${currency(grandTotal)}</div></div>
+  ${paymentBreakdownHtml ? `<div class="row"><div style="font-weight:700">${L("paidBy")}</div><div></div></div>` : ``}
   ${paymentBreakdownHtml}
   ${cashBlock}
 </div>
     <div class="footer">
-      <div class="thanks">Thank you for choosing TUX
-See you soon</div>
-      <div class="logos">
-        <img class="menu" src="/menu-qr.jpg" alt="Menu QR">
-        <img class="delivery" src="/delivery-logo.jpg" alt="Delivery">
-      </div>
+      <div class="thanks">${escHtml(receiptFooterFor(t, order.orderType))}</div>
+      ${t.footerLogoLeft || t.footerLogoRight ? `<div class="logos">
+        ${t.footerLogoLeft ? `<img class="menu" src="${escHtml(t.footerLogoLeft)}" alt="">` : "<span></span>"}
+        ${t.footerLogoRight ? `<img class="delivery" src="${escHtml(t.footerLogoRight)}" alt="">` : ""}
+      </div>` : ""}
     </div>
   </div>
 </body>
 </html>
 `;
 }
-function printReceiptHTML(order, widthMm = 80, copy = "Customer", images) {
-  const html = buildReceiptHTML(order, widthMm, copy, images);
+function buildKitchenTicketHTML(order, widthMm = 80, { station, copy = "Kitchen" } = {}) {
+  const m = 3;
+  const dt = new Date(order.date);
+  const timeStr = dt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  const stamp = receiptStamp(copy);
+  const note = String(order.note || "").trim();
+  const linesHtml = (order.cart || [])
+    .map((ci) => {
+      const q = Number(ci.qty || 1);
+      const components = (ci.components || [])
+        .map((c) => `<div class="comp">· ${escHtml(c.name)}</div>`)
+        .join("");
+      const extras = (ci.extras || [])
+        .map((ex) => `<div class="extra">+ ${escHtml(ex.name)}</div>`)
+        .join("");
+      return `<div class="line"><div class="item"><span class="qty">${q}×</span> ${escHtml(ci.name)}</div>${components}${extras}</div>`;
+    })
+    .join("");
+  return `
+<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Kitchen ticket</title>
+<style>
+  @page { size: ${widthMm}mm auto; margin: 0; }
+  html, body { margin: 0; padding: 0; }
+  .ticket { width: ${widthMm}mm; padding: ${m}mm; font: 14pt/1.3 "Segoe UI", Arial, sans-serif; color: #000; background: #fff; box-sizing: border-box; }
+  .stamp { text-align: center; font-weight: 900; border: 2px solid #000; margin-bottom: 2mm; letter-spacing: 1px; }
+  .station { text-align: center; font-size: 12pt; font-weight: 700; text-transform: uppercase; }
+  .no { text-align: center; font-size: 26pt; font-weight: 900; }
+  .meta { text-align: center; font-size: 11pt; }
+  .note { margin: 2mm 0; padding: 1.5mm; border: 2px solid #000; font-weight: 900; font-size: 15pt; white-space: pre-wrap; }
+  .sep { border-top: 2px dashed #000; margin: 2mm 0; }
+  .line { padding: 1.5mm 0; border-bottom: 1px dashed #000; }
+  .item { font-size: 18pt; font-weight: 800; }
+  .qty { display: inline-block; min-width: 10mm; }
+  .comp { font-size: 14pt; padding-left: 10mm; }
+  .extra { font-size: 15pt; font-weight: 900; padding-left: 10mm; text-transform: uppercase; }
+</style>
+</head>
+<body>
+  <div class="ticket">
+    ${stamp ? `<div class="stamp">${escHtml(stamp)}</div>` : ""}
+    <div class="station">${escHtml(station?.name || "Kitchen")}</div>
+    <div class="no">#${escHtml(order.orderNo)}</div>
+    <div class="meta">${escHtml(order.orderType || "")}${order.table ? ` • ${escHtml(order.table)}` : ""} • ${escHtml(timeStr)}</div>
+    ${order.scheduledFor ? `<div class="meta"><strong>Due ${escHtml(fmtDateTime(order.scheduledFor))}</strong></div>` : ""}
+    ${note ? `<div class="note">NOTE: ${escHtml(note)}</div>` : ""}
+    <div class="sep"></div>
+    ${linesHtml}
+  </div>
+</body>
+</html>
+`;
+}
+function printHtmlDocument(html) {
   const ifr = document.createElement("iframe");
   Object.assign(ifr.style, { position:"fixed", right:0, bottom:0, width:0, height:0, border:0 });
   let htmlWritten = false;
@@ -2952,6 +6069,463 @@ function printReceiptHTML(order, widthMm = 80, copy = "Customer", images) {
   htmlWritten = true;
   setTimeout(() => { try { if (document.body.contains(ifr)) ifr.remove(); } catch {} }, 12000);
 }
+function printReceiptHTML(order, widthMm = 80, copy = "Customer", template) {
+  printHtmlDocument(buildReceiptHTML(order, widthMm, copy, template));
+}
+function printKitchenTicketHTML(order, widthMm = 80, opts) {
+  printHtmlDocument(buildKitchenTicketHTML(order, widthMm, opts));
+}
+// ESC/POS raw printing. Bytes go to a local bridge (QZ Tray or the HTTP
+// stand-in in scripts/print-bridge.js) so the browser print dialog never opens.
+export const ESCPOS_DOTS_PER_LINE = { 58: 384, 80: 576 };
+export function escPosColumns(widthMm = 80) {
+  return Number(widthMm) <= 58 ? 32 : 48;
+}
+// Code page 437 covers the few non-ASCII glyphs our receipts use.
+const ESCPOS_CP437 = { "£": 0x9c, "·": 0xfa, "é": 0x82, "°": 0xf8 };
+const ESCPOS_ASCII_FALLBACK = { "—": "-", "–": "-", "−": "-", "•": "*", "×": "x", "’": "'", "“": '"', "”": '"' };
+export function escPosEncodeText(str) {
+  const out = [];
+  for (const ch of String(str ?? "")) {
+    const code = ch.charCodeAt(0);
+    if (code === 0x0a || (code >= 0x20 && code < 0x7f)) out.push(code);
+    else if (ESCPOS_CP437[ch] != null) out.push(ESCPOS_CP437[ch]);
+    else if (ESCPOS_ASCII_FALLBACK[ch]) out.push(ESCPOS_ASCII_FALLBACK[ch].charCodeAt(0));
+    else out.push(0x3f);
+  }
+  return out;
+}
+function escPosWrap(text, width) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const lines = [];
+  let cur = "";
+  for (let w of words) {
+    while (w.length > width) {
+      if (cur) { lines.push(cur); cur = ""; }
+      lines.push(w.slice(0, width));
+      w = w.slice(width);
+    }
+    if (!w) continue;
+    if (!cur) cur = w;
+    else if (cur.length + 1 + w.length <= width) cur += " " + w;
+    else { lines.push(cur); cur = w; }
+  }
+  if (cur) lines.push(cur);
+  return lines.length ? lines : [""];
+}
+// Left text with a right-aligned amount; long names wrap and the amount
+// sits on the last line.
+export function escPosRow(left, right, columns) {
+  const r = String(right || "");
+  const room = Math.max(1, columns - r.length - 1);
+  const lines = escPosWrap(left, room);
+  const last = lines.pop();
+  return [...lines, last + " ".repeat(Math.max(1, columns - last.length - r.length)) + r];
+}
+// GS v 0 raster image from RGBA pixels (canvas ImageData). Transparent pixels
+// count as paper; anything darker than the threshold is burned.
+export function escPosRasterFromPixels({ width, height, data }, threshold = 160) {
+  const bytesPerRow = Math.ceil(width / 8);
+  const out = new Uint8Array(8 + bytesPerRow * height);
+  out.set([0x1d, 0x76, 0x30, 0x00, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8]);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const a = data[i + 3] / 255;
+      const lum = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * a + 255 * (1 - a);
+      if (lum < threshold) out[8 + y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return out;
+}
+export async function loadEscPosLogo(src, widthMm = 80) {
+  const dots = ESCPOS_DOTS_PER_LINE[escPosColumns(widthMm) === 32 ? 58 : 80];
+  const img = new Image();
+  img.src = src;
+  await img.decode();
+  const width = Math.min(img.naturalWidth, Math.floor((dots * 0.68) / 8) * 8);
+  const height = Math.max(1, Math.round((img.naturalHeight * width) / img.naturalWidth));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, width, height);
+  return escPosRasterFromPixels(ctx.getImageData(0, 0, width, height));
+}
+export function buildEscPosReceipt(
+  order,
+  { widthMm = 80, logo = null, openDrawer = false, cut = true, copy = "Customer", template, rasterizeText = null } = {}
+) {
+  const t = normalizeReceiptTemplate(template);
+  const lang = t.language;
+  const L = (key) => receiptLabel(key, lang);
+  const num = (v) => (t.arabicDigits ? toArabicDigits(v) : String(v ?? ""));
+  const cols = escPosColumns(widthMm);
+  const money = receiptMoneyFormatter(lang, t.arabicDigits);
+  const { itemsSubtotal, deliveryFee, grandTotal } = receiptTotals(order);
+  const dt = new Date(order.date);
+  const out = [];
+  const style = { bold: false, big: false, align: 0 };
+  const cmd = (...bytes) => out.push(...bytes);
+  // Arabic has no glyphs in the printer's code page, so lines carrying it are
+  // drawn by `rasterizeText` (a canvas in the browser) and sent as images.
+  const raster = (text, right = "") => {
+    if (!rasterizeText || !(hasArabic(text) || hasArabic(right))) return false;
+    const rtl = lang === "ar" || (!right && !/[A-Za-z]/.test(text));
+    const img = rasterizeText({ text, right, ...style, rtl, widthMm });
+    if (!img) return false;
+    for (const b of img) out.push(b);
+    return true;
+  };
+  const line = (s = "") => {
+    if (!raster(s)) out.push(...escPosEncodeText(s), 0x0a);
+  };
+  const wrapped = (s, width = cols) => {
+    if (!raster(s)) escPosWrap(s, width).forEach((l) => line(l));
+  };
+  const row = (left, right) => {
+    if (!raster(left, right)) escPosRow(left, right, cols).forEach((l) => line(l));
+  };
+  const align = (n) => { style.align = n; cmd(0x1b, 0x61, n); };
+  const bold = (on) => { style.bold = on; cmd(0x1b, 0x45, on ? 1 : 0); };
+  const doubleHeight = (on) => { style.big = on; cmd(0x1d, 0x21, on ? 0x01 : 0x00); };
+  const sep = () => line("-".repeat(cols));
+  const secondary = (obj) => {
+    const { secondary: ar } = receiptItemName(obj, lang);
+    if (ar) wrapped(ar, cols - 4);
+  };
+
+  cmd(0x1b, 0x40, 0x1b, 0x74, 0x00);
+  align(1);
+  if (logo && logo.length) {
+    for (const b of logo) out.push(b);
+    line();
+  }
+  bold(true); doubleHeight(true);
+  receiptHeaderLines(t.title, t.titleAr, lang).forEach((l) => wrapped(l));
+  doubleHeight(false); bold(false);
+  receiptHeaderLines(t.address, t.addressAr, lang).forEach((l) => wrapped(l));
+  if (t.headerNote) wrapped(t.headerNote);
+  const stamp = receiptStamp(copy);
+  if (stamp) { bold(true); cmd(0x1d, 0x42, 1); line(` ${stamp} `); cmd(0x1d, 0x42, 0); bold(false); }
+  align(0);
+  bold(true); line(`${L("orderNo")}: #${num(order.orderNo)}`); bold(false);
+  line(num(`${fmtDate(dt)} ${dt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`));
+  wrapped(`${L("worker")}: ${order.worker || ""} • ${L("payment")}: ${order.payment || ""} • ${L("type")}: ${order.orderType || ""}`);
+  if (order.table) line(`${L("table")}: ${order.table}`);
+  if (order.scheduledFor) { bold(true); wrapped(`${L("scheduledFor")}: ${num(fmtDateTime(order.scheduledFor))}`); bold(false); }
+  const note = t.show.note ? String(order.note || "").trim() : "";
+  if (note) {
+    sep();
+    bold(true); line(L("note")); bold(false);
+    note.split("\n").forEach((p) => wrapped(p));
+  }
+  if (t.show.deliveryInfo && order.orderType === "Delivery") {
+    sep();
+    wrapped(`${L("customer")}: ${order.deliveryName || ""}`);
+    line(`${L("phone")}: ${num(order.deliveryPhone || "")}`);
+    wrapped(`${L("address")}: ${order.deliveryAddress || ""}`);
+  }
+  sep();
+  for (const ci of order.cart || []) {
+    const q = Number(ci.qty || 1);
+    row(`${num(q)} x ${receiptItemName(ci, lang).primary}`, money(Number(ci.price || 0) * q));
+    secondary(ci);
+    for (const c of ci.components || []) {
+      wrapped(`  · ${receiptItemName(c, lang).primary}`);
+      secondary(c);
+    }
+    for (const ex of ci.extras || []) {
+      row(`  + ${receiptItemName(ex, lang).primary}`, money(Number(ex.price || 0) * q));
+      secondary(ex);
+    }
+  }
+  sep();
+  row(L("itemsSubtotal"), money(itemsSubtotal));
+  for (const d of Array.isArray(order.discounts) ? order.discounts : []) {
+    row(receiptDiscountLabel(d, lang), `-${money(d.amount)}`);
+  }
+  if (deliveryFee > 0) row(L("deliveryFee"), money(deliveryFee));
+  bold(true); doubleHeight(true);
+  row(L("grandTotal"), money(grandTotal));
+  doubleHeight(false); bold(false);
+  const parts = Array.isArray(order.paymentParts) ? order.paymentParts : [];
+  if (t.show.paymentBreakdown && parts.length) {
+    bold(true); line(L("paidBy")); bold(false);
+    parts.forEach((pp) => row(pp.method, money(pp.amount)));
+  }
+  if (t.show.cashBlock && order.cashReceived != null) {
+    const cashPart = parts.length > 1 ? parts.find((pp) => pp.method === "Cash") : null;
+    if (cashPart) row(L("cashPortion"), money(cashPart.amount));
+    row(L("cashReceived"), money(order.cashReceived));
+    row(L("change"), money(order.changeDue || 0));
+  }
+  align(1);
+  line();
+  receiptFooterFor(t, order.orderType)
+    .split("\n")
+    .forEach((p) => wrapped(p));
+  align(0);
+  cmd(0x1b, 0x64, 0x04);
+  if (cut) cmd(0x1d, 0x56, 0x42, 0x00);
+  if (openDrawer) cmd(0x1b, 0x70, 0x00, 0x19, 0xfa);
+  return new Uint8Array(out);
+}
+// Browser-side text drawing for Arabic. Lines are drawn at the printer's dot
+// width (ESC/POS raster) or as a PNG sized to the text (PDF cells).
+function wrapCanvasText(ctx, text, maxWidth) {
+  const lines = [];
+  let cur = "";
+  for (const w of String(text || "").split(/\s+/).filter(Boolean)) {
+    const next = cur ? `${cur} ${w}` : w;
+    if (cur && ctx.measureText(next).width > maxWidth) {
+      lines.push(cur);
+      cur = w;
+    } else {
+      cur = next;
+    }
+  }
+  lines.push(cur);
+  return lines;
+}
+function createCanvasTextRasterizer() {
+  const canvas = document.createElement("canvas");
+  return ({ text, right = "", bold, big, align, rtl, widthMm }) => {
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return null;
+    const width = ESCPOS_DOTS_PER_LINE[escPosColumns(widthMm) === 32 ? 58 : 80];
+    const px = big ? 40 : 24;
+    const font = `${bold ? "bold " : ""}${px}px Tahoma, Arial, sans-serif`;
+    ctx.font = font;
+    const room = right ? width - ctx.measureText(right).width - px : width;
+    const lines = wrapCanvasText(ctx, text, room);
+    const lineH = Math.ceil(px * 1.35);
+    canvas.width = width;
+    canvas.height = lineH * lines.length;
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = "#000";
+    ctx.font = font;
+    ctx.textBaseline = "middle";
+    ctx.direction = rtl ? "rtl" : "ltr";
+    lines.forEach((l, i) => {
+      const y = lineH * i + lineH / 2;
+      if (align === 1) {
+        ctx.textAlign = "center";
+        ctx.fillText(l, width / 2, y);
+      } else {
+        ctx.textAlign = rtl ? "right" : "left";
+        ctx.fillText(l, rtl ? width : 0, y);
+      }
+    });
+    if (right) {
+      ctx.direction = "ltr";
+      ctx.textAlign = rtl ? "left" : "right";
+      ctx.fillText(right, rtl ? 0 : width, lineH * (lines.length - 1) + lineH / 2);
+    }
+    return escPosRasterFromPixels(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  };
+}
+function renderTextImage(text, { px = 32, bold = false } = {}) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+  const font = `${bold ? "bold " : ""}${px}px Tahoma, Arial, sans-serif`;
+  ctx.font = font;
+  canvas.width = Math.max(1, Math.ceil(ctx.measureText(text).width) + 4);
+  canvas.height = Math.ceil(px * 1.3);
+  ctx.font = font;
+  ctx.fillStyle = "#000";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, 2, canvas.height / 2);
+  return { dataUrl: canvas.toDataURL("image/png"), width: canvas.width, height: canvas.height };
+}
+// jsPDF's built-in fonts have no Arabic glyphs; autoTable cells holding Arabic
+// are blanked and the text is drawn in as an image instead.
+function pdfArabicCellHooks() {
+  const pending = new Map();
+  return {
+    willDrawCell(data) {
+      const text = (Array.isArray(data.cell.text) ? data.cell.text.join(" ") : String(data.cell.text || "")).trim();
+      if (!hasArabic(text)) return;
+      pending.set(data.cell, text);
+      data.cell.text = [];
+    },
+    didDrawCell(data) {
+      const text = pending.get(data.cell);
+      if (!text) return;
+      pending.delete(data.cell);
+      const img = renderTextImage(text, { bold: data.section === "head" });
+      if (!img) return;
+      const pad = 1.5;
+      const maxW = data.cell.width - pad * 2;
+      let h = Math.min(data.cell.height - pad * 2, 4.5);
+      let w = (img.width / img.height) * h;
+      if (w > maxW) {
+        h = (h * maxW) / w;
+        w = maxW;
+      }
+      data.doc.addImage(img.dataUrl, "PNG", data.cell.x + pad, data.cell.y + (data.cell.height - h) / 2, w, h);
+    },
+  };
+}
+export function buildEscPosKitchenTicket(order, { widthMm = 80, station = null, copy = "Kitchen", cut = true } = {}) {
+  const cols = escPosColumns(widthMm);
+  const wide = Math.floor(cols / 2);
+  const dt = new Date(order.date);
+  const stamp = receiptStamp(copy);
+  const note = String(order.note || "").trim();
+  const out = [];
+  const cmd = (...bytes) => out.push(...bytes);
+  const line = (s = "") => { out.push(...escPosEncodeText(s), 0x0a); };
+  const size = (n) => cmd(0x1d, 0x21, n);
+  const bold = (on) => cmd(0x1b, 0x45, on ? 1 : 0);
+  const reverse = (on) => cmd(0x1d, 0x42, on ? 1 : 0);
+
+  cmd(0x1b, 0x40, 0x1b, 0x74, 0x00);
+  cmd(0x1b, 0x61, 1);
+  if (stamp) { bold(true); reverse(true); line(` ${stamp} `); reverse(false); bold(false); }
+  bold(true); line(String(station?.name || "Kitchen").toUpperCase()); bold(false);
+  size(0x11); bold(true); line(`#${order.orderNo}`); bold(false); size(0);
+  line(`${order.orderType || ""}${order.table ? ` • ${order.table}` : ""} • ${dt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`);
+  if (order.scheduledFor) { bold(true); line(`Due ${fmtDateTime(order.scheduledFor)}`); bold(false); }
+  cmd(0x1b, 0x61, 0);
+  if (note) {
+    line();
+    bold(true); reverse(true); line(" NOTE "); reverse(false);
+    size(0x01);
+    note.split("\n").forEach((p) => escPosWrap(p, cols).forEach((l) => line(l)));
+    size(0); bold(false);
+  }
+  line("=".repeat(cols));
+  for (const ci of order.cart || []) {
+    size(0x11); bold(true);
+    escPosWrap(`${Number(ci.qty || 1)} ${ci.name}`, wide).forEach((l) => line(l));
+    bold(false); size(0x01);
+    for (const c of ci.components || []) escPosWrap(`· ${c.name}`, cols - 3).forEach((l) => line(`   ${l}`));
+    bold(true);
+    for (const ex of ci.extras || []) escPosWrap(`+ ${String(ex.name).toUpperCase()}`, cols - 3).forEach((l) => line(`   ${l}`));
+    bold(false); size(0);
+    line("-".repeat(cols));
+  }
+  cmd(0x1b, 0x64, 0x04);
+  if (cut) cmd(0x1d, 0x56, 0x42, 0x00);
+  return new Uint8Array(out);
+}
+export const ESCPOS_DRAWER_KICK = new Uint8Array([0x1b, 0x40, 0x1b, 0x70, 0x00, 0x19, 0xfa]);
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+// Transports share one shape: { kind, send(bytes) } resolving once the bridge
+// has accepted the job.
+export function createHttpPrintTransport(url, { printer = "" } = {}) {
+  return {
+    kind: "http",
+    async send(bytes) {
+      const headers = { "Content-Type": "application/octet-stream" };
+      if (printer) headers["X-Printer"] = printer;
+      const res = await fetch(url, { method: "POST", headers, body: bytes });
+      if (!res.ok) throw new Error(`Print bridge answered ${res.status}`);
+    },
+  };
+}
+export function createQzTransport(
+  url,
+  { printer = "", certificateUrl = "/qz/digital-certificate.txt", timeoutMs = 10000 } = {}
+) {
+  let socket = null;
+  let uidSeq = 0;
+  const pending = new Map();
+  const request = (ws, payload) =>
+    new Promise((resolve, reject) => {
+      const uid = `tux${Date.now().toString(36)}${uidSeq++}`;
+      const timer = setTimeout(() => {
+        pending.delete(uid);
+        reject(new Error("QZ Tray did not answer in time"));
+      }, timeoutMs);
+      pending.set(uid, { resolve, reject, timer });
+      ws.send(JSON.stringify({ ...payload, uid, timestamp: Date.now() }));
+    });
+  const connect = () => {
+    if (socket) return socket;
+    socket = new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      ws.onmessage = (ev) => {
+        let msg;
+        try { msg = JSON.parse(ev.data); } catch { return; }
+        const p = msg && pending.get(msg.uid);
+        if (!p) return;
+        pending.delete(msg.uid);
+        clearTimeout(p.timer);
+        if (msg.error) p.reject(new Error(String(msg.error)));
+        else p.resolve(msg.result);
+      };
+      ws.onclose = () => {
+        socket = null;
+        for (const p of pending.values()) {
+          clearTimeout(p.timer);
+          p.reject(new Error("QZ Tray connection closed"));
+        }
+        pending.clear();
+        reject(new Error(`Could not connect to QZ Tray at ${url}`));
+      };
+      ws.onopen = async () => {
+        try {
+          const certificate = await fetch(certificateUrl).then((r) => (r.ok ? r.text() : ""));
+          await request(ws, { certificate });
+          resolve(ws);
+        } catch (e) {
+          ws.close();
+          reject(e);
+        }
+      };
+    });
+    return socket;
+  };
+  return {
+    kind: "qz",
+    async send(bytes) {
+      const ws = await connect();
+      await request(ws, {
+        call: "print",
+        params: {
+          printer: { name: printer },
+          options: {},
+          data: [{ type: "raw", format: "command", flavor: "base64", data: bytesToBase64(bytes) }],
+        },
+      });
+    },
+  };
+}
+export const DEFAULT_RAW_PRINTER = {
+  mode: "browser",
+  transport: "http",
+  url: "http://localhost:9101/print",
+  printer: "",
+  drawerKick: true,
+  logo: true,
+};
+export function normalizeRawPrinter(p) {
+  const src = p && typeof p === "object" ? p : {};
+  return {
+    mode: src.mode === "escpos" ? "escpos" : "browser",
+    transport: src.transport === "qz" ? "qz" : "http",
+    url: String(src.url || (src.transport === "qz" ? "wss://localhost:8181" : DEFAULT_RAW_PRINTER.url)),
+    printer: String(src.printer || ""),
+    drawerKick: src.drawerKick !== false,
+    logo: src.logo !== false,
+  };
+}
+export function createPrintTransport(cfg) {
+  const c = normalizeRawPrinter(cfg);
+  return c.transport === "qz"
+    ? createQzTransport(c.url, { printer: c.printer })
+    : createHttpPrintTransport(c.url, { printer: c.printer });
+}
 const normalizePhone = (s) => {
   let digits = String(s || "").replace(/\D/g, "");
   if (digits.startsWith("00")) {
@@ -3218,6 +6792,35 @@ export default function App() {
   const [activeTab, setActiveTab] = useState("orders");
 const [adminSubTab, setAdminSubTab] = useState("inventory"); 
   const [dark, setDark] = useState(false);
+  // per-device; tr() and the ui* formatters used below are bound to it
+  const [uiLang, setUiLang] = useState("en");
+  const { tr, trNodes, uiNumber, uiMoney, uiDate, uiTime, uiDateTime, uiClock } = useMemo(() => uiText(uiLang), [uiLang]);
+  // The kitchen display (?view=kds) and customer status screen (?view=status)
+  // only show orders: they never save the shop state, replay the outbox or
+  // run the effects that rewrite stored data, so a stale kiosk can't overwrite
+  // what the tills hold.
+  const kdsMode = useMemo(() => isKdsLocation(window.location), []);
+  const statusMode = useMemo(() => isStatusLocation(window.location), []);
+  const displayOnly = kdsMode || statusMode;
+  // PIN pad / reason / confirm modal; see AppDialog. A dialog opened while
+  // another is showing waits its turn, so every caller's promise settles.
+  const [dialogQueue, setDialogQueue] = useState([]);
+  const dialog = dialogQueue[0] || null;
+  const dialogSeq = useRef(0);
+  const openDialog = (spec) =>
+    new Promise((resolve) => {
+      dialogSeq.current += 1;
+      const next = { ...spec, id: dialogSeq.current, resolve };
+      setDialogQueue((q) => [...q, next]);
+    });
+  const closeDialog = (answer) => {
+    if (!dialog) return;
+    dialog.resolve(answer);
+    setDialogQueue((q) => q.filter((d) => d.id !== dialog.id));
+  };
+  const askConfirm = (message, opts = {}) => openDialog({ kind: "confirm", message, ...opts });
+  const notify = (message, opts = {}) => openDialog({ kind: "notice", message, ...opts });
+  const askReason = (title, presets = [], opts = {}) => openDialog({ kind: "reason", title, presets, ...opts });
   const [workers, setWorkers] = useState(BASE_WORKERS);
   
 const [newWorker, setNewWorker] = useState("");
@@ -3269,6 +6872,8 @@ const [historicalPurchases, setHistoricalPurchases] = useState(() => {
   const l = loadLocal();
   return l.historicalPurchases || [];
 });
+// How inventory costPerUnit is worked out from purchase history (see costPerUnitFromPurchases)
+const [costingMethod, setCostingMethod] = useState("average");
 const [reportFilter, setReportFilter] = useState("shift");
 const [reportDay, setReportDay] = useState(() => new Date().toISOString().slice(0, 10));
 const [reportMonth, setReportMonth] = useState(() => {
@@ -3300,7 +6905,7 @@ const [newItemPrice, setNewItemPrice] = useState(0);
 const [newItemColor, setNewItemColor] = useState("#ffffff");
   const addMenuFromForm = () => {
   const name = String(newItemName || "").trim();
-  if (!name) return alert("Name required.");
+  if (!name) return alert(tr("Name required."));
   const id = getNextMenuId(menu);
 setMenu((arr) => [
     ...arr,
@@ -3322,6 +6927,20 @@ const [inventory, setInventory] = useState(DEFAULT_INVENTORY);
 const [inventoryLocked, setInventoryLocked] = useState(false);
 const [inventorySnapshot, setInventorySnapshot] = useState([]);
 const [inventoryLockedAt, setInventoryLockedAt] = useState(null);
+// Posted physical counts, newest first: { id, at, by, blind, lines: stocktakeLines() };
+// each line's `expected` is the system qty when that item was counted.
+const [stocktakes, setStocktakes] = useState([]);
+// The count in progress: { blind, reviewing, counts: { [invId]: "qty" }, reasons: { [invId]: reasonId },
+// expected: { [invId]: system qty when the count was entered } }
+const [stocktakeDraft, setStocktakeDraft] = useState(null);
+const [shrinkFrom, setShrinkFrom] = useState(() => toDateInputValue(new Date(Date.now() - 30 * 86400000)));
+const [shrinkTo, setShrinkTo] = useState(() => toDateInputValue(new Date()));
+// Logged waste, newest first: { id, at, by, source: { kind, id, name }, qty, reason, note, lines: wasteLines(), cost }
+const [wasteLog, setWasteLog] = useState([]);
+const [wasteDraft, setWasteDraft] = useState({ kind: "inventory", id: "", qty: "", reason: "dropped", note: "" });
+// Inventory item whose prep recipe is open in the editor, and batches to make per item
+const [recipeEditId, setRecipeEditId] = useState(null);
+const [batchCounts, setBatchCounts] = useState({});
 const [showLowStock, setShowLowStock] = useState(false);
 const [purchaseCategories, setPurchaseCategories] = useState(() =>
   normalizePurchaseCategories(loadLocal().purchaseCategories || [])
@@ -3346,6 +6965,9 @@ const [newPurchase, setNewPurchase] = useState({
   date: new Date().toISOString().slice(0, 10),
   ingredientId: "",
 });
+const [showExpiring, setShowExpiring] = useState(false);
+const expiringItems = useMemo(() => expiringLots(inventory), [inventory]);
+const expiredCount = expiringItems.filter((e) => e.daysLeft < 0).length;
 const lowStockItems = useMemo(() => {
   return (inventory || []).filter(it => {
     const min = Number(it.minQty || 0);
@@ -3506,9 +7128,14 @@ const [usageMonth, setUsageMonth] = useState(() => {
   const l = loadLocal();
   return l?.usageMonth || new Date().toISOString().slice(0, 7);
 });
-const resetUsageViewAdmin = () => {
-  const okAdmin = !!promptAdminAndPin();
-  if (!okAdmin) return;
+const resetUsageViewAdmin = async () => {
+  const who = await requirePermission("resetData");
+  if (!who) return;
+  recordAudit(who, "usage.reset", "Inventory usage", {
+    orders: historicalOrders.length,
+    expenses: historicalExpenses.length,
+    purchases: historicalPurchases.length,
+  }, { orders: 0, expenses: 0, purchases: 0 });
 
   // Reset historical data
   setHistoricalOrders([]);
@@ -3527,13 +7154,14 @@ const resetUsageViewAdmin = () => {
   setUsageWeekDate(new Date().toISOString().slice(0, 10));
   setUsageMonth(new Date().toISOString().slice(0, 7));
 
-  alert("Inventory Usage data has been reset.");
+  notify(tr("Inventory Usage data has been reset."));
 };
 
 const [newWName, setNewWName] = useState("");
 const [newWPin, setNewWPin] = useState("");
 const [newWRate, setNewWRate] = useState("");
 const [workerSessions, setWorkerSessions] = useState([]);
+const [payRules, setPayRules] = useState(DEFAULT_PAY_RULES);
 const workerSessionsRef = useRef(workerSessions);
 useEffect(() => {
   workerSessionsRef.current = workerSessions;
@@ -3550,11 +7178,16 @@ const workerWeekInfo = useMemo(
 );
 const [signInPin, setSignInPin] = useState("");
 const [signOutPin, setSignOutPin] = useState("");
+const [breakPin, setBreakPin] = useState("");
 const activeWorkers = useMemo(() => {
   const open = (workerSessions || []).filter(s => !s.signOutAt);
   const names = [...new Set(open.map(s => s.name))];
   return names;
 }, [workerSessions]);
+const onBreakWorkers = useMemo(
+  () => (workerSessions || []).filter(s => !s.signOutAt && (s.breaks || []).some(b => !b.end)).map(s => s.name),
+  [workerSessions]
+);
 const [orders, setOrders] = useState([]);
 const [onlineFbUser, setOnlineFbUser] = useState(null);const [orderBoardFilter, setOrderBoardFilter] = useState(() => {
   const l = loadLocal();
@@ -3690,12 +7323,16 @@ const allTimeVarianceTotal = useMemo(
   () => Object.values(allTimeVarianceByMethod).reduce((s, v) => s + Number(v || 0), 0),
   [allTimeVarianceByMethod]
 );
-const resetAllReconciliations = () => {
-  const okAdmin = !!promptAdminAndPin();
-  if (!okAdmin) return;
-  if (!window.confirm("Reset ALL saved reconciliations and variance totals? This cannot be undone.")) return;
+const resetAllReconciliations = async () => {
+  const who = await requirePermission("resetReconciliations");
+  if (!who) return;
+  if (!(await askConfirm(tr("Reset ALL saved reconciliations and variance totals? This cannot be undone.")))) return;
+  recordAudit(who, "reconciliations.reset", "Reconciliations", {
+    count: reconHistory.length,
+    variance: Number(allTimeVarianceTotal.toFixed(2)),
+  }, { count: 0, variance: 0 });
   setReconHistory([]);
-  alert("All reconciliations cleared.");
+  notify(tr("All reconciliations cleared."));
 };
 const totalVariance = useMemo(
   () => Object.values(varianceByMethod).reduce((s, v) => s + Number(v || 0), 0),
@@ -3712,17 +7349,17 @@ const hasMeaningfulActualCounts = useMemo(
   [paymentMethods, reconCounts]
 );
 const saveReconciliation = () => {
-  if (!dayMeta.startedAt) return alert("Start a shift first.");
+  if (!dayMeta.startedAt) return alert(tr("Start a shift first."));
   const who = String(reconSavedBy || dayMeta.currentWorker || "").trim();
-  if (!who) return alert("Select or type who saved it (Saved by).");
+  if (!who) return alert(tr("Select or type who saved it (Saved by)."));
   const missingActualMethods = (paymentMethods || []).filter(
     (m) => !Object.prototype.hasOwnProperty.call(reconCounts, m)
   );
   if (missingActualMethods.length) {
-    return alert("Enter the counted amount for each payment method before saving.");
+    return alert(tr("Enter the counted amount for each payment method before saving."));
   }
 if (!hasMeaningfulActualCounts) {
-    return alert("Enter a non-zero counted amount for each payment method before saving.");
+    return alert(tr("Enter a non-zero counted amount for each payment method before saving."));
   }
   const breakdown = {};
   for (const m of paymentMethods || []) {
@@ -3743,7 +7380,7 @@ if (!hasMeaningfulActualCounts) {
   };
   setReconHistory(arr => [rec, ...arr]);
   setDayMeta(d => ({ ...d, reconciledAt: new Date() }));
-  alert("Reconciliation saved ✅");
+  alert(tr("Reconciliation saved ✅"));
 };
   const [menu, setMenu] = useState(BASE_MENU);
   const [extraList, setExtraList] = useState(BASE_EXTRAS);
@@ -3751,19 +7388,51 @@ if (!hasMeaningfulActualCounts) {
   const [defaultDeliveryFee, setDefaultDeliveryFee] = useState(DEFAULT_DELIVERY_FEE);
   const [selectedBurger, setSelectedBurger] = useState(null);
   const [selectedExtras, setSelectedExtras] = useState([]);
+  const [selectedModifiers, setSelectedModifiers] = useState({});
+  const [selectedBundleChoices, setSelectedBundleChoices] = useState({});
   const [selectedQty, setSelectedQty] = useState(1);
   const [cart, setCart] = useState([]);
   const [newCategoryUnit, setNewCategoryUnit] = useState("piece");
   const [worker, setWorker] = useState("");
   const [payment, setPayment] = useState("");
 const [splitPay, setSplitPay] = useState(false);
-const [payA, setPayA] = useState("");
-const [payB, setPayB] = useState("");
-const [amtA, setAmtA] = useState(0);
-const [amtB, setAmtB] = useState(0);
+const emptySplitParts = () => [
+  { method: "", amount: 0 },
+  { method: "", amount: 0 },
+];
+const [splitParts, setSplitParts] = useState(emptySplitParts);
 const [cashReceivedSplit, setCashReceivedSplit] = useState(0);
+const updateSplitPart = (idx, patch) =>
+  setSplitParts((arr) => arr.map((p, i) => (i === idx ? { ...p, ...patch } : p)));
+const addSplitPart = () =>
+  setSplitParts((arr) => [...arr, { method: "", amount: 0 }]);
+const removeSplitPart = (idx) =>
+  setSplitParts((arr) => (arr.length <= 2 ? arr : arr.filter((_, i) => i !== idx)));
+// Table tabs (open checks)
+const [tables, setTables] = useState(DEFAULT_TABLES);
+const [openChecks, setOpenChecks] = useState([]);
+const [roundCheckId, setRoundCheckId] = useState(null);
+const [settlingCheckId, setSettlingCheckId] = useState(null);
+const [checkSelection, setCheckSelection] = useState({});
+// Discounts / promo codes / comps
+const [promoCodes, setPromoCodes] = useState([]);
+const [scheduleLeadMinutes, setScheduleLeadMinutes] = useState(DEFAULT_SCHEDULE_LEAD_MINUTES);
+const [promoCodeInput, setPromoCodeInput] = useState("");
+const [appliedPromoCode, setAppliedPromoCode] = useState("");
+const emptyOrderDiscount = () => ({ type: "percent", value: 0, reason: "" });
+const [orderDiscount, setOrderDiscount] = useState(emptyOrderDiscount);
+const [compInfo, setCompInfo] = useState(null);
+const appliedPromo = useMemo(
+  () => findPromoByCode(promoCodes, appliedPromoCode),
+  [promoCodes, appliedPromoCode]
+);
+const checkoutPricing = useMemo(
+  () => computeOrderDiscounts(cart, { promo: appliedPromo, orderDiscount, comp: compInfo }),
+  [cart, appliedPromo, orderDiscount, compInfo]
+);
 const [newOrderType, setNewOrderType] = useState("");
 const [orderNote, setOrderNote] = useState("");
+const [scheduledForInput, setScheduledForInput] = useState("");
 const [orderType, setOrderType] = useState(orderTypes[0] || "Take-Away");
 const [deliveryFee, setDeliveryFee] = useState(0);
 const [deliveryName, setDeliveryName] = useState("");
@@ -3780,21 +7449,63 @@ const [newZoneName, setNewZoneName] = useState("");
 const [newZoneFee, setNewZoneFee] = useState(0);
 const addZone = () => {
   const nm = String(newZoneName || "").trim();
-  if (!nm) return alert("Enter a zone name.");
+  if (!nm) return alert(tr("Enter a zone name."));
   const fee = Math.max(0, Number(newZoneFee || 0));
   const id = ensureInvIdUnique(slug(nm), deliveryZones);
   setDeliveryZones((z) => [...z, { id, name: nm, fee }]);
   setNewZoneName("");
   setNewZoneFee(0);
 };
-const removeZone = (id) => {
+const removeZone = async (id) => {
   const z = deliveryZones.find((d) => d.id === id);
   if (!z) return;
-  if (!window.confirm(`Delete "${z.name}"?`)) return;
+  if (!(await askConfirm(tr("Delete \"{0}\"?", [z.name])))) return;
   setDeliveryZones((list) => list.filter((d) => d.id !== id));
   // if the current order had this zone selected, clear it
   setDeliveryZoneId((prev) => (prev === id ? "" : prev));
 };
+const emptyPromoForm = () => ({
+  code: "",
+  type: "percent",
+  value: 10,
+  validFrom: "",
+  validTo: "",
+  maxUses: 0,
+});
+const [newPromo, setNewPromo] = useState(emptyPromoForm);
+const addPromoCode = () => {
+  const code = String(newPromo.code || "").trim().toUpperCase();
+  if (!code) return alert(tr("Enter a promo code."));
+  if (!/^[A-Z0-9_-]+$/.test(code)) return alert(tr("Use letters, digits, - or _ only."));
+  if (findPromoByCode(promoCodes, code)) return alert(tr("Promo {0} already exists.", [code]));
+  const value = Number(newPromo.value || 0);
+  if (!(value > 0)) return alert(tr("Enter a discount value."));
+  if (newPromo.type === "percent" && value > 100) return alert(tr("Percent cannot exceed 100."));
+  if (newPromo.validFrom && newPromo.validTo && newPromo.validTo < newPromo.validFrom) {
+    return alert(tr("The end date is before the start date."));
+  }
+  setPromoCodes((arr) => [
+    ...arr,
+    {
+      id: `promo_${Date.now()}`,
+      code,
+      type: newPromo.type,
+      value,
+      validFrom: newPromo.validFrom || "",
+      validTo: newPromo.validTo || "",
+      maxUses: Math.max(0, Math.floor(Number(newPromo.maxUses || 0))),
+      uses: 0,
+      active: true,
+    },
+  ]);
+  setNewPromo(emptyPromoForm());
+};
+const removePromoCode = async (id) => {
+  const promo = promoCodes.find((p) => p.id === id);
+  if (!promo) return;
+  if (!(await askConfirm(tr("Delete promo \"{0}\"?", [promo.code])))) return;
+  setPromoCodes((arr) => arr.filter((p) => p.id !== id));
+};
 
 const [newCategoryName, setNewCategoryName] = useState("");
 const [cashReceived, setCashReceived] = useState(0);
@@ -3802,24 +7513,57 @@ const [newInvName, setNewInvName] = useState("");
 const [newInvUnit, setNewInvUnit] = useState("");
 const [newInvQty, setNewInvQty] = useState(0);
   const [adminPins, setAdminPins] = useState({ ...DEFAULT_ADMIN_PINS });
-const verifyAdminPin = (n) => {
-  const expected = norm(adminPins[n] || "");
-  if (!expected) {
-    alert(`Admin ${n} has no PIN set; add it in Settings → Admin PINs.`);
-    return false;
-  }
-  const entered = window.prompt(`Enter PIN for Admin ${n}:`, "");
-  if (entered == null) return false;
-  return norm(entered) === expected;
+const verifyAdminPin = async (n) => {
+  const res = await openDialog({
+    kind: "pin",
+    title: tr("Enter PIN for Admin {0}:", [n]),
+    admin: n,
+    check: async (pin) => {
+      const locked = pinLockoutMessage(tr);
+      if (locked) return locked;
+      const ok = await pinMatches(adminPins[n], pin);
+      recordPinAttempt(ok);
+      return ok ? "" : pinLockoutMessage(tr) || tr("Invalid PIN.");
+    },
+  });
+  return !!res;
 };
-const lockAdminPin = (n) => {
-  setUnlockedPins((u) => ({ ...u, [n]: false }));
+// Asks for a new PIN twice and resolves to its hash, or null when cancelled.
+// check(pin) may refuse the first entry with a message.
+const askNewPin = async (title, check) => {
+  const first = await openDialog({ kind: "pin", title, check });
+  if (!first) return null;
+  const again = await openDialog({
+    kind: "pin",
+    title: tr("Enter the new PIN again"),
+    check: (pin) => (pin === first.pin ? "" : tr("The PINs don't match.")),
+  });
+  if (!again) return null;
+  try {
+    return await hashPin(again.pin);
+  } catch (e) {
+    console.warn("PIN hashing failed:", e);
+    notify(tr("PINs only work when the app is opened over https or on localhost."));
+    return null;
+  }
+};
+// Offered in Admin while the shop still runs on the shipped admin PINs: the
+// chosen PIN becomes Admin 1 and the shipped ones stop working.
+const setUpOwnerPin = async () => {
+  if (!adminCan("manageStaff")) return;
+  const pin = await askNewPin(tr("Choose the owner PIN (Admin 1)"));
+  if (!pin) return;
+  setAdminPins((p) => ({ ...p, 1: pin }));
+  recordAudit(adminUser, "pin.change", "Admin 1", null, null, "First-run owner PIN setup");
 };
-const unlockAdminPin = (n) => {
-  if (!verifyAdminPin(n)) return;
-  setUnlockedPins((u) => ({ ...u, [n]: true }));
+// The current PIN is asked for, never shown.
+const changeAdminPin = async (n) => {
+  if (adminPins[n] && !(await verifyAdminPin(n))) return;
+  const pin = await askNewPin(tr("New PIN for Admin {0}", [n]));
+  if (!pin) return;
+  setAdminPins((p) => ({ ...p, [n]: pin }));
+  recordAudit(adminUser, "pin.change", `Admin ${n}`);
 };
-  const [unlockedPins, setUnlockedPins] = useState({}); 
   const [nextOrderNo, setNextOrderNo] = useState(1);
   const [expenses, setExpenses] = useState([]);
 const lastLockedRef = useRef([]);
@@ -3862,20 +7606,26 @@ useEffect(() => {
   const [newExpQty, setNewExpQty] = useState(1);
   const [newExpUnitPrice, setNewExpUnitPrice] = useState(0);
   const [newExpNote, setNewExpNote] = useState("");
-const [adminUnlocked, setAdminUnlocked] = useState(false);
+// { name, role } of whoever unlocked the Admin tab, null while it is locked
+const [adminUser, setAdminUser] = useState(null);
 const removeBankTx = (id) => {
-  setBankTx(arr => {
-    const row = arr.find(t => t.id === id);
-    if (!row) return arr;
-    
-    // Prevent removal of payout, purchase, and negative margin transactions
-    if (row.locked || row.source?.includes('auto_day')) {
-      alert("This transaction is locked and cannot be removed.");
-      return arr;
-    }
-    
-    return arr.filter(t => t.id !== id);
+  const row = bankTx.find(t => t.id === id);
+  if (!row) return;
+
+  // Prevent removal of payout, purchase, and negative margin transactions
+  if (row.locked || row.source?.includes('auto_day')) {
+    alert(tr("This transaction is locked and cannot be removed."));
+    return;
+  }
+
+  recordAudit(adminUser, "bank.remove", row.type, {
+    type: row.type,
+    amount: Number(row.amount || 0),
+    worker: row.worker || "",
+    note: row.note || "",
+    date: toIso(row.date),
   });
+  setBankTx(arr => arr.filter(t => t.id !== id));
 };
   const sortBy = "date-desc";
   const [newExtraName, setNewExtraName] = useState("");
@@ -3900,6 +7650,12 @@ const writeSeqRef = useRef(0);
   // Printing preferences (kept)
   const [autoPrintOnCheckout, setAutoPrintOnCheckout] = useState(true);
   const [preferredPaperWidthMm, setPreferredPaperWidthMm] = useState(80);
+  const [rawPrinter, setRawPrinter] = useState(DEFAULT_RAW_PRINTER);
+  const [printStations, setPrintStations] = useState(DEFAULT_PRINT_STATIONS);
+  const [openStationItemsId, setOpenStationItemsId] = useState(null);
+  const [receiptTemplate, setReceiptTemplate] = useState(DEFAULT_RECEIPT_TEMPLATE);
+  const [rolePermissions, setRolePermissions] = useState(DEFAULT_ROLE_PERMISSIONS);
+  const [receiptPreviewType, setReceiptPreviewType] = useState("");
   useEffect(() => {
   if (!dayMeta.startedAt) {
     setReconCounts({}); setReconSavedBy("");
@@ -3987,12 +7743,7 @@ useEffect(() => {
 }, [newPurchase.categoryId, newPurchase.ingredientId, purchaseCategories, inventory]);
   const [localDateTime, setLocalDateTime] = useState(() => {
   const now = new Date();
-  return `${fmtDate(now)} ${now.toLocaleTimeString([], {
-    hour: "2-digit",
-    minute: "2-digit",
-     second: "2-digit", 
-    hour12: true,        
-  })}`;
+  return uiClock(now);
 });
 useEffect(() => {
   if (!newPurchase?.categoryId) return;
@@ -4011,16 +7762,11 @@ useEffect(() => {
   const id = setInterval(() => {
     const now = new Date();
     setLocalDateTime(
-      `${fmtDate(now)} ${now.toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: true,
-      })}`
+      uiClock(now)
     );
   }, 1000);
   return () => clearInterval(id);
-}, []);
+},[uiClock]);
 
   /*hydrate from local*/
 useEffect(() => {
@@ -4036,6 +7782,17 @@ useEffect(() => {
   if (l.utilityBills) setUtilityBills(normalizeUtilityBills(l.utilityBills));
   if (l.laborProfile) setLaborProfile(normalizeLaborProfile(l.laborProfile));
   if (Array.isArray(l.equipmentList)) setEquipmentList(normalizeEquipmentList(l.equipmentList));
+  if (COSTING_METHODS.some((m) => m.id === l.costingMethod)) setCostingMethod(l.costingMethod);
+  if (Array.isArray(l.wasteLog)) setWasteLog(l.wasteLog);
+  if (Array.isArray(l.stocktakes)) setStocktakes(l.stocktakes);
+  if (l.payRules) setPayRules(normalizePayRules(l.payRules));
+  if (l.rolePermissions) setRolePermissions(normalizeRolePermissions(l.rolePermissions));
+  if (l.receiptTemplate) setReceiptTemplate(normalizeReceiptTemplate(l.receiptTemplate));
+  if (Array.isArray(l.printStations)) setPrintStations(normalizePrintStations(l.printStations));
+  if (Array.isArray(l.tables) && l.tables.length) setTables(l.tables);
+  if (Array.isArray(l.openChecks)) setOpenChecks(l.openChecks);
+  if (l.scheduleLeadMinutes != null) setScheduleLeadMinutes(Math.max(0, Number(l.scheduleLeadMinutes) || 0));
+  if (Array.isArray(l.promoCodes)) setPromoCodes(l.promoCodes);
   if (l.adminPins) setAdminPins((prev) => ({ ...prev, ...l.adminPins }));
   if (typeof l.dark === "boolean") setDark(l.dark);
   if (Array.isArray(l.workerProfiles)) setWorkerProfiles(l.workerProfiles);
@@ -4081,6 +7838,8 @@ if (Array.isArray(l.deliveryZones)) setDeliveryZones(l.deliveryZones);
   if (l.inventoryLockedAt) setInventoryLockedAt(new Date(l.inventoryLockedAt));
   if (typeof l.autoPrintOnCheckout === "boolean") setAutoPrintOnCheckout(l.autoPrintOnCheckout);
   if (typeof l.preferredPaperWidthMm === "number") setPreferredPaperWidthMm(l.preferredPaperWidthMm);
+  if (l.rawPrinter) setRawPrinter(normalizeRawPrinter(l.rawPrinter));
+  if (UI_LANGUAGES.includes(l.uiLang)) setUiLang(l.uiLang);
   if (typeof l.cloudEnabled === "boolean") setCloudEnabled(l.cloudEnabled);
   if (typeof l.realtimeOrders === "boolean") setRealtimeOrders(l.realtimeOrders);
 if (typeof l.nextOrderNo === "number") setNextOrderNo(l.nextOrderNo);
@@ -4130,6 +7889,17 @@ useEffect(() => {
 }, [usageFilter, usageWeekDate, usageMonth]);
 useEffect(() => { saveLocalPartial({ customers }); }, [customers]);                  // ⬅️ NEW
 useEffect(() => { saveLocalPartial({ deliveryZones }); }, [deliveryZones]);          // ⬅️ NEW
+useEffect(() => { saveLocalPartial({ costingMethod }); }, [costingMethod]);
+useEffect(() => { saveLocalPartial({ wasteLog }); }, [wasteLog]);
+useEffect(() => { saveLocalPartial({ stocktakes }); }, [stocktakes]);
+useEffect(() => { saveLocalPartial({ payRules }); }, [payRules]);
+useEffect(() => { saveLocalPartial({ rolePermissions }); }, [rolePermissions]);
+useEffect(() => { saveLocalPartial({ receiptTemplate }); }, [receiptTemplate]);
+useEffect(() => { saveLocalPartial({ printStations }); }, [printStations]);
+useEffect(() => { saveLocalPartial({ tables }); }, [tables]);
+useEffect(() => { saveLocalPartial({ openChecks }); }, [openChecks]);
+useEffect(() => { saveLocalPartial({ scheduleLeadMinutes }); }, [scheduleLeadMinutes]);
+useEffect(() => { saveLocalPartial({ promoCodes }); }, [promoCodes]);
 useEffect(() => { saveLocalPartial({ extraList }); }, [extraList]);
 useEffect(() => { saveLocalPartial({ workers }); }, [workers]);
 useEffect(() => { saveLocalPartial({ paymentMethods }); }, [paymentMethods]);
@@ -4171,6 +7941,12 @@ useEffect(() => { saveLocalPartial({ inventorySnapshot }); }, [inventorySnapshot
 useEffect(() => { saveLocalPartial({ inventoryLockedAt }); }, [inventoryLockedAt]);
 useEffect(() => { saveLocalPartial({ autoPrintOnCheckout }); }, [autoPrintOnCheckout]);
 useEffect(() => { saveLocalPartial({ preferredPaperWidthMm }); }, [preferredPaperWidthMm]);
+useEffect(() => { saveLocalPartial({ rawPrinter }); }, [rawPrinter]);
+useEffect(() => { saveLocalPartial({ uiLang }); }, [uiLang]);
+useEffect(() => {
+  document.documentElement.lang = uiLang;
+  document.documentElement.dir = uiDir(uiLang);
+}, [uiLang]);
 useEffect(() => { saveLocalPartial({ cloudEnabled }); }, [cloudEnabled]);
 useEffect(() => { saveLocalPartial({ realtimeOrders }); }, [realtimeOrders]);
 useEffect(() => { saveLocalPartial({ nextOrderNo }); }, [nextOrderNo]);
@@ -4185,10 +7961,10 @@ useEffect(() => {
   menu, extraList, workers, paymentMethods, orderTypes, defaultDeliveryFee,
  inventory, adminPins, dark,
   expenses, bankTx, dayMeta, inventoryLocked, inventorySnapshot, inventoryLockedAt,
-  autoPrintOnCheckout, preferredPaperWidthMm, cloudEnabled, realtimeOrders, nextOrderNo,
+  autoPrintOnCheckout, preferredPaperWidthMm, rawPrinter, uiLang, cloudEnabled, realtimeOrders, nextOrderNo,
    purchases, purchaseCategories, customers, deliveryZones, purchaseFilter, purchaseDay, purchaseMonth,workerProfiles,
  workerSessions,
-  utilityBills, laborProfile, equipmentList,
+  utilityBills, laborProfile, equipmentList, promoCodes, scheduleLeadMinutes, openChecks, tables, printStations, receiptTemplate, rolePermissions, payRules, stocktakes, wasteLog, costingMethod,
 ]);
 useEffect(() => {
   if (!orderTypes.includes(orderType)) {
@@ -4210,14 +7986,27 @@ const [syncCostsFromPurchases, setSyncCostsFromPurchases] = useState(() => {
   return typeof l?.syncCostsFromPurchases === "boolean" ? l.syncCostsFromPurchases : true;
 });
 useEffect(() => { saveLocalPartial({ syncCostsFromPurchases }); }, [syncCostsFromPurchases]);
+// items whose cost the sync effect owns, so the Inventory Costs table shows it read-only
+const costedFromPurchases = useMemo(() => {
+  const allPurchases = [...(historicalPurchases || []), ...(purchases || [])];
+  return new Set(
+    inventory
+      .filter((it) => costPerUnitFromPurchases(it, allPurchases, purchaseCategories, "latest") != null)
+      .map((it) => it.id)
+  );
+}, [inventory, purchases, historicalPurchases, purchaseCategories]);
+// FIFO cost moves with the stock on hand (and its lots); the other methods only with purchases
+const costingOnHandKey =
+  costingMethod === "fifo"
+    ? inventory.map((it) => `${it.id}:${it.qty}:${(it.lots || []).map((l) => l.id).join(",")}`).join("|")
+    : "";
 useEffect(() => {
-  if (!purchases?.length || !syncCostsFromPurchases) return;
+  const allPurchases = [...(historicalPurchases || []), ...(purchases || [])];
+  if (displayOnly || !allPurchases.length || !syncCostsFromPurchases) return;
   setInventory(current => {
     let changed = false;
     const next = current.map(it => {
-      const last = getLatestPurchaseForInv(it, purchases, purchaseCategories);
-      if (!last) return it;
-      const cpu = unitPriceToInventoryCost(last.unitPrice, last.unit, it.unit);
+      const cpu = costPerUnitFromPurchases(it, allPurchases, purchaseCategories, costingMethod);
       if (cpu == null) return it;
       const v = Number(cpu.toFixed(4));
       if (Number(it.costPerUnit || 0) === v) return it;
@@ -4226,7 +8015,7 @@ useEffect(() => {
     });
     return changed ? next : current;
   });
-}, [purchases, purchaseCategories, syncCostsFromPurchases]);
+}, [purchases, historicalPurchases, purchaseCategories, syncCostsFromPurchases, costingMethod, costingOnHandKey, displayOnly]);
 const db = useMemo(() => (fbReady ? ensureFirebase().db : null), [fbReady]);
   const onlineFirebaseApp = useMemo(
     () => (fbReady ? ensureOnlineFirebase() : null),
@@ -4306,6 +8095,301 @@ const onlineOrderCollections = useMemo(() => {
     });
     return () => unsub();
   }, [counterDocRef, fbUser]);
+
+  /* ---------- Offline outbox ---------- */
+  const [outbox, setOutbox] = useState(() => loadOutbox());
+  const [outboxSyncing, setOutboxSyncing] = useState(false);
+  const outboxRef = useRef(outbox);
+  const outboxFlushingRef = useRef(false);
+  useEffect(() => {
+    outboxRef.current = outbox;
+    saveOutbox(outbox);
+  }, [outbox]);
+  const enqueueOutbox = (entry) => {
+    // display screens never replay the outbox, so a write they couldn't make
+    // is dropped; the order listener puts the ticket back as the cloud has it
+    if (displayOnly) return console.warn(`Cloud write (${entry.kind}) failed on a display screen:`, entry);
+    outboxRef.current = [...outboxRef.current, entry];
+    setOutbox(outboxRef.current);
+    // keep the change on screen even when orders come from the cloud listener
+    setOrders((o) => applyOutboxToOrders(o, [entry]));
+  };
+  const hasPendingOutboxFor = (ord) =>
+    outboxRef.current.some(
+      (e) => (e.kind === "order_create" || e.kind === "order_update") && outboxMatchesOrder(e, ord)
+    );
+  const findCloudOrderId = async ({ cloudId, idemKey, orderNo }) => {
+    if (cloudId) return cloudId;
+    if (idemKey) {
+      const ss = await getDocs(query(ordersColRef, where("idemKey", "==", idemKey)));
+      if (!ss.empty) return ss.docs[0].id;
+      return null;
+    }
+    if (orderNo == null) return null;
+    const ss = await getDocs(query(ordersColRef, where("orderNo", "==", orderNo)));
+    return ss.empty ? null : ss.docs[0].id;
+  };
+  const replayOutboxEntry = async (entry) => {
+    if (entry.kind === "counter_reserve") {
+      // entries queued before the idemKey was stored: take it from the order they precede
+      const idemKey =
+        entry.idemKey ||
+        outboxRef.current.find((e) => e.kind === "order_create" && e.orderNo === entry.orderNo)
+          ?.idemKey ||
+        "";
+      const claimRef = idemKey ? fsDoc(db, "shops", SHOP_ID, "orderNoClaims", idemKey) : null;
+      const orderNo = await reserveOrderNoAtomic(db, counterDocRef, entry.orderNo, claimRef);
+      if (orderNo !== Number(entry.orderNo)) {
+        const from = Number(entry.orderNo);
+        const target = { idemKey, orderNo: from };
+        console.warn(`Outbox: order #${from} was already used by another till, renumbered to #${orderNo}.`);
+        outboxRef.current = renumberOutboxOrder(outboxRef.current, target, orderNo);
+        setOutbox(outboxRef.current);
+        setOrders((prev) =>
+          prev.map((o) =>
+            idemKey && o.idemKey === idemKey ? { ...o, orderNo, renumberedFrom: from } : o
+          )
+        );
+        recordAudit(null, "order.renumber", `#${orderNo}`, { orderNo: from }, { orderNo }, "Number already used by another till");
+        notify(tr("Order #{0} was renumbered to #{1}: another till had already used #{0}.", [from, orderNo]));
+      }
+      return;
+    }
+    if (entry.kind === "audit_append") {
+      // the doc id is the entry id, so replaying twice just rewrites the same entry
+      await setDoc(fsDoc(db, "shops", SHOP_ID, "audit", entry.entry.id), entry.entry);
+      return;
+    }
+    if (entry.kind === "order_create") {
+      const order = reviveOutboxOrder(entry.order || {});
+      // idempotency: the first attempt may have reached the server before it timed out
+      const ss = await getDocs(query(ordersColRef, where("idemKey", "==", order.idemKey)));
+      let cloudId = null;
+      if (!ss.empty) {
+        const existing = ss.docs[0];
+        if (existing.metadata.hasPendingWrites) {
+          throw new Error("Earlier write for this order is still pending");
+        }
+        cloudId = existing.id;
+      } else {
+        const ref = await addDoc(ordersColRef, {
+          ...normalizeOrderForCloud(order),
+          createdAt: Timestamp.fromDate(order.date),
+        });
+        cloudId = ref.id;
+      }
+      if (!realtimeOrders) {
+        setOrders((prev) =>
+          prev.map((o) => (o.idemKey === order.idemKey ? { ...o, cloudId } : o))
+        );
+      }
+      return;
+    }
+    if (entry.kind === "order_update") {
+      const targetId = await findCloudOrderId(entry);
+      if (!targetId) {
+        console.warn(`Outbox: order #${entry.orderNo} not found in cloud, dropping update.`);
+        return;
+      }
+      await updateDoc(
+        fsDoc(db, "shops", SHOP_ID, "orders", targetId),
+        sanitizeForFirestore({ ...entry.patch, updatedAt: serverTimestamp() })
+      );
+    }
+  };
+  const flushOutbox = async () => {
+    if (outboxFlushingRef.current || displayOnly) return;
+    if (!cloudEnabled || !db || !ordersColRef || !counterDocRef || !fbUser) return;
+    if (isProbablyOffline()) return;
+    const pending = [...outboxRef.current];
+    if (!pending.length) return;
+    outboxFlushingRef.current = true;
+    setOutboxSyncing(true);
+    try {
+      // strictly in order: stop at the first failure so later writes never overtake it
+      for (const queued of pending) {
+        // an earlier entry may have rewritten this one (a renumbered order)
+        const entry = outboxRef.current.find((e) => e.id === queued.id);
+        if (!entry) continue;
+        try {
+          await withTimeout(replayOutboxEntry(entry));
+          outboxRef.current = outboxRef.current.filter((e) => e.id !== entry.id);
+          setOutbox(outboxRef.current);
+        } catch (e) {
+          console.warn("Outbox replay failed:", e);
+          outboxRef.current = outboxRef.current.map((x) =>
+            x.id === entry.id
+              ? { ...x, attempts: Number(x.attempts || 0) + 1, lastError: String(e?.message || e) }
+              : x
+          );
+          setOutbox(outboxRef.current);
+          break;
+        }
+      }
+    } finally {
+      outboxFlushingRef.current = false;
+      setOutboxSyncing(false);
+    }
+  };
+  const flushOutboxRef = useRef(flushOutbox);
+  flushOutboxRef.current = flushOutbox;
+  useEffect(() => {
+    if (!fbUser || !cloudEnabled || displayOnly) return;
+    flushOutboxRef.current();
+    const onOnline = () => flushOutboxRef.current();
+    window.addEventListener("online", onOnline);
+    const id = setInterval(() => {
+      if (outboxRef.current.length) flushOutboxRef.current();
+    }, 30000);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      clearInterval(id);
+    };
+  }, [fbUser, cloudEnabled, displayOnly]);
+  const discardOutboxEntry = async (id) => {
+    if (!(await askConfirm(tr("Discard this unsynced change? It will never reach the cloud.")))) return;
+    outboxRef.current = outboxRef.current.filter((e) => e.id !== id);
+    setOutbox(outboxRef.current);
+  };
+  // Writes a new order to the cloud, queueing it (and its number) if that is not possible right now.
+  const pushOrderCreateToCloud = async (order, { numberAllocated = true } = {}) => {
+    if (!cloudEnabled) return null;
+    if (!numberAllocated) {
+      enqueueOutbox(
+        makeOutboxEntry("counter_reserve", { orderNo: order.orderNo, idemKey: order.idemKey || "" })
+      );
+    }
+    const canWrite =
+      ordersColRef && fbUser && !isProbablyOffline() && !outboxRef.current.length;
+    if (canWrite) {
+      try {
+        const ref = await withTimeout(addDoc(ordersColRef, normalizeOrderForCloud(order)));
+        return ref.id;
+      } catch (e) {
+        console.warn("Cloud order write failed, queued for retry:", e);
+      }
+    }
+    enqueueOutbox(
+      makeOutboxEntry("order_create", {
+        orderNo: order.orderNo,
+        idemKey: order.idemKey || "",
+        order: serializeOrderForOutbox(order),
+      })
+    );
+    return null;
+  };
+  // patch must be JSON-safe (dates as ISO strings) so it can sit in localStorage.
+  const pushOrderUpdateToCloud = async (ord, patch, label) => {
+    if (!cloudEnabled || !ord) return;
+    const entry = makeOutboxEntry("order_update", {
+      orderNo: ord.orderNo,
+      idemKey: ord.idemKey || "",
+      cloudId: ord.cloudId || "",
+      patch,
+    });
+    if (!ordersColRef || !fbUser || isProbablyOffline() || hasPendingOutboxFor(ord)) {
+      enqueueOutbox(entry);
+      return;
+    }
+    try {
+      const targetId = await withTimeout(findCloudOrderId(entry));
+      if (targetId) {
+        await withTimeout(
+          updateDoc(
+            fsDoc(db, "shops", SHOP_ID, "orders", targetId),
+            sanitizeForFirestore({ ...patch, updatedAt: serverTimestamp() })
+          )
+        );
+      }
+    } catch (e) {
+      console.warn(`Cloud update (${label}) failed, queued for retry:`, e);
+      enqueueOutbox(entry);
+    }
+  };
+
+  /* ---------- Audit log ---------- */
+  const [auditLog, setAuditLog] = useState(() => loadAuditLog());
+  const auditLogRef = useRef(auditLog);
+  const [cloudAuditLog, setCloudAuditLog] = useState([]);
+  const pushAuditEntryToCloud = async (entry) => {
+    const queued = makeOutboxEntry("audit_append", { entry });
+    if (!db || !fbUser || isProbablyOffline() || outboxRef.current.length) {
+      enqueueOutbox(queued);
+      return;
+    }
+    try {
+      await withTimeout(setDoc(fsDoc(db, "shops", SHOP_ID, "audit", entry.id), entry));
+    } catch (e) {
+      console.warn("Cloud audit write failed, queued for retry:", e);
+      enqueueOutbox(queued);
+    }
+  };
+  // who is the { name, role } that authorised the action (see requirePermission).
+  const recordAudit = (who, action, target, before = null, after = null, note = "") => {
+    const chain = auditLogRef.current;
+    const entry = makeAuditEntry(chain[chain.length - 1] || null, {
+      device: auditDeviceId(),
+      who: who?.name || "",
+      role: who?.role || "",
+      action,
+      target,
+      before,
+      after,
+      note,
+    });
+    auditLogRef.current = [...chain, entry];
+    setAuditLog(auditLogRef.current);
+    saveAuditLog(auditLogRef.current);
+    if (cloudEnabled) pushAuditEntryToCloud(entry);
+  };
+  // other devices' entries are only fetched while the Audit tab is open
+  useEffect(() => {
+    if (!cloudEnabled || !db || !fbUser || activeTab !== "admin" || adminSubTab !== "audit") return;
+    const unsub = onSnapshot(
+      query(collection(db, "shops", SHOP_ID, "audit"), orderBy("at", "desc")),
+      (snap) => setCloudAuditLog(snap.docs.map((d) => d.data())),
+      (err) => console.warn("Audit log listener failed:", err)
+    );
+    return () => unsub();
+  }, [cloudEnabled, db, fbUser, activeTab, adminSubTab]);
+  const [auditFilter, setAuditFilter] = useState({ action: "", who: "", from: "", to: "", text: "" });
+  const auditEntries = useMemo(() => mergeAuditEntries(auditLog, cloudAuditLog), [auditLog, cloudAuditLog]);
+  const auditProblems = useMemo(() => verifyAuditChain(auditEntries), [auditEntries]);
+  const auditProblemById = useMemo(
+    () => Object.fromEntries(auditProblems.map((p) => [p.id, p.problem])),
+    [auditProblems]
+  );
+  const auditPeople = useMemo(
+    () => [...new Set(auditEntries.map((e) => e.who).filter(Boolean))].sort(),
+    [auditEntries]
+  );
+  const filteredAuditEntries = useMemo(() => {
+    const { action, who, from, to, text } = auditFilter;
+    const q = text.trim().toLowerCase();
+    return auditEntries.filter((e) => {
+      if (action && e.action !== action) return false;
+      if (who && e.who !== who) return false;
+      const day = String(e.at || "").slice(0, 10);
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      if (!q) return true;
+      return [e.target, e.note, auditValueText(e.before), auditValueText(e.after)]
+        .some((v) => String(v || "").toLowerCase().includes(q));
+    });
+  }, [auditEntries, auditFilter]);
+  const exportAuditCsv = () => {
+    if (!filteredAuditEntries.length) return alert(tr("No audit entries to export."));
+    const blob = new Blob([auditLogToCsv(filteredAuditEntries)], { type: "text/csv;charset=utf-8;" });
+    const url = URL.createObjectURL(blob);
+    const stamp = new Date().toISOString().replace(/[:T]/g, "-").slice(0, 16);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `tux_audit_${stamp}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
   useEffect(() => {
     if (!stateDocRef || !fbUser || hydrated) return;
     (async () => {
@@ -4354,6 +8438,17 @@ const onlineOrderCollections = useMemo(() => {
    setPurchaseCategories(normalizePurchaseCategories(unpacked.purchaseCategories));
 }
         if (unpacked.deliveryZones) setDeliveryZones(unpacked.deliveryZones);
+        if (unpacked.costingMethod) setCostingMethod(unpacked.costingMethod);
+        if (unpacked.wasteLog) setWasteLog(unpacked.wasteLog);
+        if (unpacked.stocktakes) setStocktakes(unpacked.stocktakes);
+        if (unpacked.payRules) setPayRules(normalizePayRules(unpacked.payRules));
+        if (unpacked.rolePermissions) setRolePermissions(normalizeRolePermissions(unpacked.rolePermissions));
+        if (unpacked.receiptTemplate) setReceiptTemplate(normalizeReceiptTemplate(unpacked.receiptTemplate));
+        if (unpacked.printStations) setPrintStations(normalizePrintStations(unpacked.printStations));
+        if (unpacked.tables) setTables(unpacked.tables);
+        if (unpacked.openChecks) setOpenChecks(unpacked.openChecks);
+        if (unpacked.scheduleLeadMinutes != null) setScheduleLeadMinutes(unpacked.scheduleLeadMinutes);
+        if (unpacked.promoCodes) setPromoCodes(unpacked.promoCodes);
           setCloudStatus((s) => ({ ...s, lastLoadAt: new Date(), error: null }));
         }
       } catch (e) {
@@ -4398,6 +8493,17 @@ if (ts && lastLocalEditAt && ts < lastLocalEditAt) return;
       if (unpacked.orderTypes) setOrderTypes(unpacked.orderTypes);
       if (unpacked.defaultDeliveryFee != null) setDefaultDeliveryFee(unpacked.defaultDeliveryFee);
       if (unpacked.expenses) setExpenses(unpacked.expenses);
+      if (unpacked.promoCodes) setPromoCodes(unpacked.promoCodes);
+      if (unpacked.scheduleLeadMinutes != null) setScheduleLeadMinutes(unpacked.scheduleLeadMinutes);
+      if (unpacked.openChecks) setOpenChecks(unpacked.openChecks);
+      if (unpacked.tables) setTables(unpacked.tables);
+      if (unpacked.printStations) setPrintStations(normalizePrintStations(unpacked.printStations));
+      if (unpacked.receiptTemplate) setReceiptTemplate(normalizeReceiptTemplate(unpacked.receiptTemplate));
+      if (unpacked.rolePermissions) setRolePermissions(normalizeRolePermissions(unpacked.rolePermissions));
+      if (unpacked.payRules) setPayRules(normalizePayRules(unpacked.payRules));
+      if (unpacked.stocktakes) setStocktakes(unpacked.stocktakes);
+      if (unpacked.wasteLog) setWasteLog(unpacked.wasteLog);
+      if (unpacked.costingMethod) setCostingMethod(unpacked.costingMethod);
 
       const appliedAt = ts || Date.now();
       setLastAppliedCloudAt(appliedAt);
@@ -4412,10 +8518,10 @@ if (ts && lastLocalEditAt && ts < lastLocalEditAt) return;
 }, [cloudEnabled, stateDocRef, fbUser, dayMeta, lastAppliedCloudAt, lastLocalEditAt]);
   // Manual pull
   const loadFromCloud = async () => {
-    if (!stateDocRef || !fbUser) return alert("Firebase not ready.");
+    if (!stateDocRef || !fbUser) return alert(tr("Firebase not ready."));
     try {
       const snap = await getDoc(stateDocRef);
-      if (!snap.exists()) return alert("No cloud state yet to load.");
+      if (!snap.exists()) return alert(tr("No cloud state yet to load."));
       const data = snap.data() || {};
       const unpacked = unpackStateFromCloud(data, dayMeta);
       if (!realtimeOrders && unpacked.orders) setOrders(unpacked.orders);
@@ -4449,6 +8555,17 @@ if (unpacked.workerSessions) setWorkerSessions(unpacked.workerSessions);
    setPurchaseCategories(normalizePurchaseCategories(unpacked.purchaseCategories));
  }
     if (unpacked.deliveryZones) setDeliveryZones(unpacked.deliveryZones);
+    if (unpacked.costingMethod) setCostingMethod(unpacked.costingMethod);
+    if (unpacked.wasteLog) setWasteLog(unpacked.wasteLog);
+    if (unpacked.stocktakes) setStocktakes(unpacked.stocktakes);
+    if (unpacked.payRules) setPayRules(normalizePayRules(unpacked.payRules));
+    if (unpacked.rolePermissions) setRolePermissions(normalizeRolePermissions(unpacked.rolePermissions));
+    if (unpacked.receiptTemplate) setReceiptTemplate(normalizeReceiptTemplate(unpacked.receiptTemplate));
+    if (unpacked.printStations) setPrintStations(normalizePrintStations(unpacked.printStations));
+    if (unpacked.tables) setTables(unpacked.tables);
+    if (unpacked.openChecks) setOpenChecks(unpacked.openChecks);
+    if (unpacked.scheduleLeadMinutes != null) setScheduleLeadMinutes(unpacked.scheduleLeadMinutes);
+    if (unpacked.promoCodes) setPromoCodes(unpacked.promoCodes);
       if (unpacked.onlineOrdersRaw)
         setOnlineOrdersRaw(unpacked.onlineOrdersRaw);
       if (unpacked.onlineOrderStatus)
@@ -4456,14 +8573,14 @@ if (unpacked.workerSessions) setWorkerSessions(unpacked.workerSessions);
       if (unpacked.lastSeenOnlineOrderTs != null)
         setLastSeenOnlineOrderTs(unpacked.lastSeenOnlineOrderTs);
       setCloudStatus((s) => ({ ...s, lastLoadAt: new Date(), error: null }));
-      alert("Loaded from cloud ✔");
+      alert(tr("Loaded from cloud ✔"));
     } catch (e) {
       setCloudStatus((s) => ({ ...s, error: String(e) }));
-      alert("Cloud load failed: " + e);
+      alert(tr("Cloud load failed: {0}", [e]));
     }
   };
  const saveToCloudNow = async () => {
-  if (!stateDocRef || !fbUser) return alert("Firebase not ready.");
+  if (!stateDocRef || !fbUser) return alert(tr("Firebase not ready."));
   try {
     const bodyBase = packStateForCloud({
       menu,
@@ -4488,6 +8605,17 @@ if (unpacked.workerSessions) setWorkerSessions(unpacked.workerSessions);
       purchaseCategories,
      customers,
       deliveryZones,
+      costingMethod,
+      wasteLog,
+      stocktakes,
+      payRules,
+      rolePermissions,
+      receiptTemplate,
+      printStations,
+      tables,
+      openChecks,
+      scheduleLeadMinutes,
+      promoCodes,
       dayMeta,
       utilityBills,
       laborProfile,
@@ -4511,13 +8639,13 @@ if (unpacked.workerSessions) setWorkerSessions(unpacked.workerSessions);
     setLastAppliedCloudAt(now);
     setCloudStatus((s) => ({ ...s, lastSaveAt: new Date(), error: null }));
 
-    alert("Synced to cloud ✔");
+    alert(tr("Synced to cloud ✔"));
   } catch (e) {
-    alert("Sync failed: " + e);
+    alert(tr("Sync failed: {0}", [e]));
   }
 };
 useEffect(() => {
-  if (!cloudEnabled || !stateDocRef || !fbUser || !hydrated) return undefined;
+  if (displayOnly || !cloudEnabled || !stateDocRef || !fbUser || !hydrated) return undefined;
 
   let cancelled = false;
 
@@ -4543,6 +8671,17 @@ useEffect(() => {
         purchaseCategories,
         customers,
         deliveryZones,
+        costingMethod,
+        wasteLog,
+        stocktakes,
+        payRules,
+        rolePermissions,
+        receiptTemplate,
+        printStations,
+        tables,
+        openChecks,
+        scheduleLeadMinutes,
+        promoCodes,
         utilityBills,
         laborProfile,
         equipmentList,
@@ -4580,6 +8719,7 @@ useEffect(() => {
     cancelled = true;
   };
 }, [
+  displayOnly,
   cloudEnabled,
   stateDocRef,
   fbUser,
@@ -4605,6 +8745,17 @@ useEffect(() => {
   purchaseCategories,
   customers,
   deliveryZones,
+  costingMethod,
+  wasteLog,
+  stocktakes,
+  payRules,
+  rolePermissions,
+  receiptTemplate,
+  printStations,
+  tables,
+  openChecks,
+  scheduleLeadMinutes,
+  promoCodes,
   utilityBills,
   laborProfile,
   equipmentList,
@@ -4636,7 +8787,9 @@ useEffect(() => {
     const unsub = onSnapshot(qy, (snap) => {
       const arr = [];
       snap.forEach((d) => arr.push(orderFromCloudDoc(d.id, d.data())));
-      setOrders(dedupeOrders(arr).map(enrichOrderWithChannel));
+      setOrders(
+        applyOutboxToOrders(dedupeOrders(arr).map(enrichOrderWithChannel), outboxRef.current)
+      );
     });
    return () => unsub();
   }, [realtimeOrders, ordersColRef, fbUser, startedAtMs, endedAtMs]);
@@ -4909,6 +9062,23 @@ useEffect(() => {
         : [...prev, extra]
     );
   };
+  const selectMenuItem = (item) => {
+    setSelectedBurger(item);
+    setSelectedModifiers(defaultModifierSelection(item));
+    setSelectedBundleChoices(defaultBundleChoices(item));
+  };
+  // Single-choice groups swap the pick; multi-choice groups stop at max.
+  const toggleModifier = (group, option) => {
+    setSelectedModifiers((prev) => {
+      const cur = prev[group.id] || [];
+      if (cur.includes(option.id)) {
+        return { ...prev, [group.id]: cur.filter((id) => id !== option.id) };
+      }
+      if (group.max === 1) return { ...prev, [group.id]: [option.id] };
+      if (group.max && cur.length >= group.max) return prev;
+      return { ...prev, [group.id]: [...cur, option.id] };
+    });
+  };
 
 const invById = useMemo(() => {
   const map = {};
@@ -4954,16 +9124,17 @@ const cogsMarginData = useMemo(() => {
     ...extraList.map((d) => ({ ...d, _k: `e-${d.id}`, _type: "extra" })),
   ].map((def) => {
     const price = Number(def.price || 0);
-    const breakdown = computeCostBreakdown(def, invById, cogsCostContext);
+    const costDef = def._type === "menu" && isBundleItem(def) ? bundleCostDef(def, menu) : def;
+    const breakdown = computeCostBreakdown(costDef, invById, cogsCostContext);
     const cogs = breakdown.total;
     const marginPct = price > 0 ? ((price - cogs) / price) * 100 : 0;
     const override = def.targetMarginPctOverride;
     const rowTargetPct = Number(((override ?? targetMarginPct) * 100).toFixed(2));
     const marginGap = rowTargetPct - marginPct;
-    const usesEntries = Object.entries(def.uses || {});
+    const usesEntries = Object.entries(costDef.uses || {});
     const hasMissingCosts =
       usesEntries.length > 0 &&
-      usesEntries.some(([invId]) => !Number(invById[invId]?.costPerUnit));
+      usesEntries.some(([invId]) => !inventoryUnitCost(invId, invById));
     return {
       ...def,
  _price: price,
@@ -5026,7 +9197,7 @@ const { cogsSummaryMetrics, revenueAtRisk } = useMemo(() => {
     {
       label: "Low-margin items",
       value: `${belowRows.length}`,
-      hint: belowRows.length ? `Revenue at risk: E£${revenueAtRisk.toFixed(2)}` : undefined,
+      atRisk: belowRows.length ? revenueAtRisk : undefined,
     },
     {
       label: "Missing ingredient costs",
@@ -5045,9 +9216,11 @@ const marginSummary = totalMarginRows
       : `${lowMarginCount} of ${totalMarginRows} item${totalMarginRows === 1 ? "" : "s"} are below the target margin.`) +
       (revenueAtRisk > 0 ? ` Low-margin revenue at risk: E£${revenueAtRisk.toFixed(2)}.` : ""))
   : "No menu or extra items available yet.";
-const handleApplyTargetMarginToLowItems = () => {
+const handleApplyTargetMarginToLowItems = async () => {
   const rows = cogsMarginData.below || [];
   if (!rows.length) return;
+  const who = adminCan("priceEdit") ? adminUser : await requirePermission("priceEdit");
+  if (!who) return;
   const menuUpdates = [];
   const extraUpdates = [];
   for (const row of rows) {
@@ -5060,24 +9233,28 @@ const handleApplyTargetMarginToLowItems = () => {
       : Math.max(0, Math.round(row._cogs / (1 - safeTarget)));
     if (!Number.isFinite(suggested)) continue;
     if (Math.abs(suggested - Number(row._price || 0)) < 0.001) continue;
+    const upd = { id: row.id, name: row.name, from: Number(row._price || 0), price: suggested };
     if (row._type === "extra") {
-      extraUpdates.push({ id: row.id, price: suggested });
+      extraUpdates.push(upd);
     } else {
-      menuUpdates.push({ id: row.id, price: suggested });
+      menuUpdates.push(upd);
     }
   }
   const menuCount = menuUpdates.length;
   const extraCount = extraUpdates.length;
   if (!menuCount && !extraCount) {
-    alert("All below-target items already match their suggested prices.");
+    alert(tr("All below-target items already match their suggested prices."));
     return;
   }
   const total = menuCount + extraCount;
   const confirmMsg =
-    `Apply target-margin pricing to ${total} item${total === 1 ? "" : "s"}?\n` +
-    (menuCount ? `• Menu: ${menuCount}\n` : "") +
-    (extraCount ? `• Extras: ${extraCount}` : "");
-  if (!window.confirm(confirmMsg.trim())) return;
+    (total === 1 ? tr("Apply target-margin pricing to {0} item?", [total]) : tr("Apply target-margin pricing to {0} items?", [total])) + "\n" +
+    (menuCount ? `• ${tr("Menu")}: ${menuCount}\n` : "") +
+    (extraCount ? `• ${tr("Extras")}: ${extraCount}` : "");
+  if (!(await askConfirm(confirmMsg.trim()))) return;
+  for (const upd of [...menuUpdates, ...extraUpdates]) {
+    recordAudit(who, "price.edit", upd.name, { price: upd.from }, { price: upd.price }, "Target margin");
+  }
   if (menuCount) {
     setMenu((arr) =>
       arr.map((it) => {
@@ -5094,12 +9271,12 @@ const handleApplyTargetMarginToLowItems = () => {
       })
     );
   }
-  alert(`Updated ${total} item${total === 1 ? "" : "s"} to the target margin.`);
+  alert(total === 1 ? tr("Updated 1 item to the target margin.") : tr("Updated {0} items to the target margin.", [total]));
 };
 const handleExportCogsCsv = () => {
   const rows = sortedCogsRows;
   if (!rows.length) {
-    alert("No COGS data to export.");
+    alert(tr("No COGS data to export."));
     return;
   }
   const header = ["Item", "Type", "COGS", "Price", "Margin %", "Target %", "Gap to Target"];
@@ -5134,7 +9311,7 @@ const handleExportCogsCsv = () => {
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 };
-const updateRowPrice = (row, newPrice, { confirm = false } = {}) => {
+const updateRowPrice = async (row, newPrice, { confirm = false } = {}) => {
   if (!row) return;
   const sanitized = Math.max(0, Number(newPrice || 0));
   if (!Number.isFinite(sanitized)) return;
@@ -5144,7 +9321,10 @@ const updateRowPrice = (row, newPrice, { confirm = false } = {}) => {
   const id = Number(idStr);
   if (!id) return;
   const label = row.name || "item";
-  if (confirm && !window.confirm(`Set "${label}" price to E£${sanitized.toFixed(2)}?`)) return;
+  const who = adminCan("priceEdit") ? adminUser : await requirePermission("priceEdit");
+  if (!who) return;
+  if (confirm && !(await askConfirm(tr("Set \"{0}\" price to E£{1}?", [label, sanitized.toFixed(2)])))) return;
+  recordAudit(who, "price.edit", label, { price: current }, { price: sanitized });
   if (kind === "e") {
     setExtraList((arr) =>
       arr.map((it) => (it.id === id ? { ...it, price: sanitized } : it))
@@ -5233,21 +9413,21 @@ const updateEquipmentMinutesForItem = (kind, itemId, equipmentId, minutes) => {
 };
 const renderPrepTable = (kind, list, emptyLabel) => {
   if (!list.length) {
-    return <div style={{ fontSize: 12, opacity: 0.7 }}>{emptyLabel}</div>;
+    return <div style={{ fontSize: 12, opacity: 0.7 }}>{tr(emptyLabel)}</div>;
   }
   return (
     <div style={{ overflowX: "auto" }}>
       <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
         <thead>
           <tr>
-            <th style={{ textAlign: "left", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>Item</th>
-            <th style={{ textAlign: "right", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>Prep min</th>
+            <th style={{ textAlign: "start", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Item")}</th>
+            <th style={{ textAlign: "end", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Prep min")}</th>
             {equipmentList.map((eq) => (
               <th
                 key={eq.id}
-                style={{ textAlign: "right", padding: 6, borderBottom: `1px solid ${cardBorder}` }}
+                style={{ textAlign: "end", padding: 6, borderBottom: `1px solid ${cardBorder}` }}
               >
-                {eq.name || "Equipment"} (min)
+                {tr("{0} (min)", [eq.name || tr("Equipment")])}
               </th>
             ))}
           </tr>
@@ -5256,20 +9436,20 @@ const renderPrepTable = (kind, list, emptyLabel) => {
           {list.map((item) => (
             <tr key={item.id}>
               <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{item.name}</td>
-              <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+              <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
                 <input
                   type="number"
                   min={0}
                   step={0.1}
                   value={Number(item.prepMinutes || 0)}
                   onChange={(e) => updatePrepMinutesForItem(kind, item.id, e.target.value)}
-                  style={{ width: 80, textAlign: "right" }}
+                  style={{ width: 80, textAlign: "end" }}
                 />
               </td>
               {equipmentList.map((eq) => (
                 <td
                   key={`${item.id}-${eq.id}`}
-                  style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}
+                  style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}
                 >
                   <input
                     type="number"
@@ -5277,7 +9457,7 @@ const renderPrepTable = (kind, list, emptyLabel) => {
                     step={0.1}
                     value={Number((item.equipmentMinutes || {})[eq.id] || 0)}
                     onChange={(e) => updateEquipmentMinutesForItem(kind, item.id, eq.id, e.target.value)}
-                    style={{ width: 80, textAlign: "right" }}
+                    style={{ width: 80, textAlign: "end" }}
                   />
                 </td>
               ))}
@@ -5297,7 +9477,11 @@ const marginTrend = useMemo(() => {
   const id = selectedCogsRow.id;
   const type = selectedCogsRow._type;
   if (!id) return [];
-  const unitCogs = computeCOGSForItemDef(selectedCogsRow, invById, cogsCostContext);
+  const unitCogs = computeCOGSForItemDef(
+    type === "menu" && isBundleItem(selectedCogsRow) ? bundleCostDef(selectedCogsRow, menu) : selectedCogsRow,
+    invById,
+    cogsCostContext
+  );
   const map = new Map();
   for (const order of orders || []) {
     const lines = order?.cart || [];
@@ -5309,11 +9493,19 @@ const marginTrend = useMemo(() => {
     let cogs = 0;
     if (type === "menu") {
       for (const line of lines) {
-        if (Number(line?.id) !== id) continue;
         const qty = Math.max(1, Number(line?.qty || 1));
-        const price = Number(line?.price || 0);
-        revenue += price * qty;
-        cogs += unitCogs * qty;
+        if (Number(line?.id) === id) {
+          const price = Number(line?.price || 0);
+          revenue += price * qty;
+          cogs += unitCogs * qty;
+          continue;
+        }
+        // sold inside a meal: count its allocated share of the bundle price
+        for (const c of line?.components || []) {
+          if (Number(c?.id) !== id) continue;
+          revenue += Number(c.allocatedPrice || 0) * qty;
+          cogs += unitCogs * qty;
+        }
       }
     } else {
       for (const line of lines) {
@@ -5346,7 +9538,7 @@ const marginTrend = useMemo(() => {
     })
     .sort((a, b) => a.day.localeCompare(b.day))
     .slice(-10);
-}, [selectedCogsRow, orders, invById, cogsCostContext]);
+}, [selectedCogsRow, orders, menu, invById, cogsCostContext]);
 
    function isWithin(d, start, end) {
   const t = +new Date(d);
@@ -5422,35 +9614,103 @@ function getPeriodRange(kind, dayMeta, dayStr, monthStr, weekStr) {
   return [start, end];
 }
 // === Worker helpers ===
-const normPin = (p) => String(p || "").trim();
-const findWorkerByPin = (pin) => {
-  const p = normPin(pin);
-  if (!p) return null;
-  return (workerProfiles || []).find(w => normPin(w.pin) === p);
+// Sign-in pads count towards the same lockout as the admin PIN pad.
+const checkWorkerPin = async (pin) => {
+  const locked = pinLockoutMessage(tr);
+  if (locked) {
+    alert(locked);
+    return null;
+  }
+  const prof = await findByPin(workerProfiles, pin);
+  recordPinAttempt(!!prof);
+  if (!prof) alert(pinLockoutMessage(tr) || tr("Invalid PIN."));
+  return prof;
+};
+const changeWorkerPin = async (profile) => {
+  if (!adminCan("manageStaff")) return;
+  const pin = await askNewPin(tr("New PIN for {0}", [profile.name]), async (p) =>
+    (await findByPin((workerProfiles || []).filter(w => w.id !== profile.id), p))
+      ? tr("This PIN is already used by another worker.")
+      : ""
+  );
+  if (!pin) return;
+  setWorkerProfiles(list => list.map(x => x.id === profile.id ? { ...x, pin } : x));
+  recordAudit(adminUser, "pin.change", profile.name);
 };
-const addWorkerProfile = () => {
+// PINs saved in plain text by older versions (locally or in the cloud) are
+// hashed as soon as they show up; session rows no longer carry a PIN at all.
+useEffect(() => {
+  const plain = (workerProfiles || []).filter(w => w.pin && !isHashedPin(w.pin));
+  if (displayOnly || !plain.length) return;
+  let live = true;
+  Promise.all(plain.map(w => hashPin(w.pin))).then(hashes => {
+    if (!live) return;
+    const next = new Map(plain.map((w, i) => [w.pin, hashes[i]]));
+    setWorkerProfiles(list => list.map(w => (next.has(w.pin) ? { ...w, pin: next.get(w.pin) } : w)));
+  }).catch(e => console.warn("Hashing plain worker PINs failed:", e));
+  return () => { live = false; };
+}, [workerProfiles, displayOnly]);
+useEffect(() => {
+  const plain = Object.values(adminPins || {}).filter(v => v && !isHashedPin(v));
+  if (displayOnly || !plain.length) return;
+  let live = true;
+  Promise.all(plain.map(v => hashPin(v))).then(hashes => {
+    if (!live) return;
+    const next = new Map(plain.map((v, i) => [v, hashes[i]]));
+    setAdminPins(p => Object.fromEntries(Object.entries(p).map(([n, v]) => [n, next.has(v) ? next.get(v) : v])));
+  }).catch(e => console.warn("Hashing plain admin PINs failed:", e));
+  return () => { live = false; };
+}, [adminPins, displayOnly]);
+// Once the shop has an owner PIN, slots still on the shipped PINs are cleared.
+const [ownerPinSet, setOwnerPinSet] = useState(true);
+useEffect(() => {
+  if (displayOnly) return;
+  let live = true;
+  (async () => {
+    const set = await hasOwnerPin(workerProfiles, adminPins);
+    if (live) setOwnerPinSet(set);
+    const slots = Object.keys(adminPins || {}).filter(n => adminPins[n]);
+    if (!set || !slots.length) return;
+    const hits = await Promise.all(slots.map(n => pinMatches(adminPins[n], shippedAdminPin(n))));
+    const stale = slots.filter((n, i) => hits[i]);
+    if (!live || !stale.length) return;
+    setAdminPins(p => {
+      const next = { ...p };
+      for (const n of stale) if (next[n] === adminPins[n]) next[n] = "";
+      return next;
+    });
+  })().catch(e => console.warn("Owner PIN check failed:", e));
+  return () => { live = false; };
+}, [workerProfiles, adminPins, displayOnly]);
+useEffect(() => {
+  if (!displayOnly && (workerSessions || []).some(s => "pin" in s)) {
+    setWorkerSessions(list => list.map(({ pin, ...rest }) => rest));
+  }
+}, [workerSessions, displayOnly]);
+const addWorkerProfile = async () => {
   const name = String(newWName || "").trim();
   const pin  = String(newWPin || "").trim();
   const rate = Number(newWRate || 0);
-  if (!name) return alert("Enter worker name.");
-  if (!pin || !/^\d{3,6}$/.test(pin)) return alert("Enter PIN (3–6 digits).");
-  if ((workerProfiles || []).some(w => String(w.pin) === pin)) {
-    return alert("This PIN is already used by another worker.");
+  if (!name) return alert(tr("Enter worker name."));
+  if (!pin || !/^\d{3,6}$/.test(pin)) return alert(tr("Enter PIN (3–6 digits)."));
+  if (!pinCryptoAvailable()) return alert(tr("PINs only work when the app is opened over https or on localhost."));
+  if (await findByPin(workerProfiles, pin)) {
+    return alert(tr("This PIN is already used by another worker."));
   }
   if ((workerProfiles || []).some(w => w.name.toLowerCase() === name.toLowerCase())) {
-    return alert("This name already exists.");
+    return alert(tr("This name already exists."));
   }
   const base = `w_${slug(name)}`;
   const ids = new Set((workerProfiles || []).map(w => w.id));
   let id = base, n = 1;
   while (ids.has(id)) id = `${base}_${++n}`;
-  const rec = { id, name, pin, rate: isFinite(rate) ? rate : 0, isActive: false };
+  const rec = { id, name, pin: await hashPin(pin), rate: isFinite(rate) ? rate : 0, role: "cashier", isActive: false };
   setWorkerProfiles(list => [rec, ...list]);
   setWorkers(list => (list.includes(name) ? list : [...list, name]));
   setShowAddWorker(false);
   setNewWName(""); setNewWPin(""); setNewWRate("");
 };
-const startDayIfNeeded = (starterName) => {
+const startDayIfNeeded = async (starterName) => {
   if (dayMeta.startedAt) return;
   setDayMeta({
     startedBy: starterName || "",
@@ -5464,47 +9724,47 @@ const startDayIfNeeded = (starterName) => {
     shiftChanges: [],
   });
   if (!inventoryLocked && inventory.length) {
-    if (window.confirm("Lock current Inventory as Start-of-Day snapshot?")) {
+    if (await askConfirm(tr("Lock current Inventory as Start-of-Day snapshot?"))) {
       lockInventoryForDay();
     }
   }
 };
-const signInByPin = (pin) => {
-  const prof = findWorkerByPin(pin);
-  if (!prof) return alert("Invalid PIN.");
+const signInByPin = async (pin) => {
+  const prof = await checkWorkerPin(pin);
+  if (!prof) return;
   startDayIfNeeded(prof.name);
   const open = (workerSessions || []).find(s => !s.signOutAt && s.name === prof.name);
   if (open) {
-    alert(`${prof.name} is already on duty.`);
+    alert(tr("{0} is already on duty.", [prof.name]));
     return;
   }
   const sess = {
     id: `ws_${Date.now()}_${Math.random().toString(36).slice(2)}`,
     name: prof.name,
-    pin: prof.pin,
     signInAt: new Date(),
     signOutAt: null,
   };
   setWorkerSessions(arr => [sess, ...arr]);
   setDayMeta(d => ({ ...d, currentWorker: prof.name }));
 };
-const signOutByPin = (pin) => {
-  const prof = findWorkerByPin(pin);
-  if (!prof) return alert("Invalid PIN.");
+const signOutByPin = async (pin) => {
+  const prof = await checkWorkerPin(pin);
+  if (!prof) return;
 
   const open = (workerSessions || []).filter(s => !s.signOutAt);
   if (open.length <= 1) {
-    alert("Cannot sign out the only on-duty worker. Please End the Day.");
+    alert(tr("Cannot sign out the only on-duty worker. Please End the Day."));
     return;
   }
   const idx = (workerSessions || []).findIndex(s => !s.signOutAt && s.name === prof.name);
   if (idx < 0) {
-    alert(`${prof.name} is not currently on duty.`);
+    alert(tr("{0} is not currently on duty.", [prof.name]));
     return;
   }
   setWorkerSessions(list => {
     const copy = [...list];
-    copy[idx] = { ...copy[idx], signOutAt: new Date() };
+    const at = new Date();
+    copy[idx] = { ...copy[idx], signOutAt: at, breaks: closeOpenBreaks(copy[idx].breaks, at) };
     return copy;
   });
   const stillOpenNames = open.map(s => s.name).filter(n => n !== prof.name);
@@ -5514,14 +9774,37 @@ const signOutByPin = (pin) => {
     setDayMeta(d => ({ ...d, currentWorker: "" }));
   }
 };
-const closeOpenSessionsAt = useCallback(
+// Starts a break for whoever's PIN this is, or ends the one they are on.
+const toggleBreakByPin = async (pin, paid) => {
+  const prof = await checkWorkerPin(pin);
+  if (!prof) return;
+  const idx = (workerSessions || []).findIndex(s => !s.signOutAt && s.name === prof.name);
+  if (idx < 0) {
+    alert(tr("{0} is not currently on duty.", [prof.name]));
+    return;
+  }
+  const sess = workerSessions[idx];
+  const open = (sess.breaks || []).find(b => !b.end);
+  const now = new Date();
+  const breaks = open
+    ? closeOpenBreaks(sess.breaks, now)
+    : [...(sess.breaks || []), { start: toIso(now), end: null, paid: !!paid }];
+  setWorkerSessions(list => list.map((s, i) => (i === idx ? { ...s, breaks } : s)));
+  if (open) {
+    const mins = Math.round((+now - +new Date(open.start)) / 60000);
+    alert(tr("{0} is back from a {1} min break.", [prof.name, mins]));
+  }
+};
+const closeOpenSessionsAt = useCallback(
   (endTime) => {
     const endStamp = endTime instanceof Date ? endTime : new Date(endTime || Date.now());
     const current = Array.isArray(workerSessionsRef.current)
       ? workerSessionsRef.current
       : [];
     const next = current.map((session) =>
-      session && !session.signOutAt ? { ...session, signOutAt: endStamp } : session
+      session && !session.signOutAt
+        ? { ...session, signOutAt: endStamp, breaks: closeOpenBreaks(session.breaks, endStamp) }
+        : session
     );
     setWorkerSessions(next);
     saveLocalPartial({
@@ -5536,49 +9819,14 @@ const closeOpenSessionsAt = useCallback(
   },
   [setLastLocalEditAt]
 );
-const resetWorkerLog = () => {
-  const okAdmin = !!promptAdminAndPin();
-  if (!okAdmin) return;
-  if (!window.confirm("Delete ALL worker sessions from the Worker Log? This cannot be undone.")) return;
+const resetWorkerLog = async () => {
+  const who = await requirePermission("resetData");
+  if (!who) return;
+  if (!(await askConfirm(tr("Delete ALL worker sessions from the Worker Log? This cannot be undone.")))) return;
+  recordAudit(who, "workerLog.reset", "Worker Log", { sessions: workerSessions.length }, { sessions: 0 });
   setWorkerSessions([]);
-  alert("Worker Log cleared ");
-};
-const sumHoursForWorker = (name, sessions, start, end) => {
-  const rows = (sessions || []).filter(s => s.name === name);
-  let hours = 0;
-  const now = new Date();
-  const periodStart = start instanceof Date ? start : new Date(start || now);
-  const periodEnd   = end   instanceof Date ? end   : new Date(end   || now);
-  for (const s of rows) {
-    const a = s.signInAt instanceof Date ? s.signInAt : new Date(s.signInAt);
-    const b = s.signOutAt
-      ? (s.signOutAt instanceof Date ? s.signOutAt : new Date(s.signOutAt))
-      : now;
-    const toCap = new Date(Math.min(+b, +periodEnd, +now));
-    const from  = new Date(Math.max(+a, +periodStart));
-    if (toCap > from) hours += (toCap - from) / (1000 * 60 * 60);
-  }
-  return Number(hours.toFixed(2));
-};
-  // Hours for a single session, clipped to [start,end] and "now" if still open
-const hoursForSession = (s, start, end) => {
-  if (!s) return 0;
-  const now = new Date();
-  const a = s.signInAt instanceof Date ? s.signInAt : new Date(s.signInAt);
-  const b = s.signOutAt
-    ? (s.signOutAt instanceof Date ? s.signOutAt : new Date(s.signOutAt))
-    : now;
-
-  const periodStart = start instanceof Date ? start : new Date(start || now);
-  const periodEnd   = end   instanceof Date ? end   : new Date(end   || now);
-
-  const toCap = new Date(Math.min(+b, +periodEnd, +now));
-  const from  = new Date(Math.max(+a, +periodStart));
-  if (toCap <= from) return 0;
-
-  return Number(((toCap - from) / (1000 * 60 * 60)).toFixed(2));
+  notify(tr("Worker Log cleared."));
 };
-
 const [wStart, wEnd] = useMemo(() => {
   return getPeriodRange(workerLogFilter, dayMeta, workerLogDay, workerLogMonth, workerLogWeekStart);
 }, [workerLogFilter, workerLogDay, workerLogMonth, workerLogWeekStart, dayMeta]);
@@ -5587,17 +9835,101 @@ const workerNamesKnown = useMemo(() => {
   for (const s of workerSessions || []) set.add(s.name);
   return Array.from(set);
 }, [workerProfiles, workerSessions]);
+// name -> timesheet for the selected period (breaks, overtime and minimum shifts applied)
+const workerTimesheets = useMemo(() => {
+  const out = {};
+  for (const nm of workerNamesKnown) {
+    const prof = (workerProfiles || []).find(p => p.name === nm);
+    out[nm] = workerTimesheet(workerSessions, nm, prof ? Number(prof.rate || 0) : 0, payRules, wStart, wEnd);
+  }
+  return out;
+}, [workerNamesKnown, workerSessions, workerProfiles, payRules, wStart, wEnd]);
 const workerMonthlyStats = useMemo(() => {
   const rows = [];
   for (const nm of workerNamesKnown) {
-    const hrs = sumHoursForWorker(nm, workerSessions, wStart, wEnd);
     const prof = (workerProfiles || []).find(p => p.name === nm);
     const rate = prof ? Number(prof.rate || 0) : 0;
-    const pay  = Number((hrs * rate).toFixed(2));
-    rows.push({ name: nm, hours: hrs, rate, pay });
+    const ts = workerTimesheets[nm];
+    rows.push({ name: nm, hours: ts.hours, overtime: ts.overtime, rate, pay: ts.pay });
   }
   return rows.sort((a,b) => a.name.localeCompare(b.name));
-}, [workerNamesKnown, workerSessions, workerProfiles, wStart, wEnd]);
+}, [workerNamesKnown, workerProfiles, workerTimesheets]);
+const generateTimesheetPDF = (name) => {
+  try {
+    const ts = workerTimesheets[name];
+    if (!ts) return;
+    const prof = (workerProfiles || []).find(p => p.name === name);
+    const rate = prof ? Number(prof.rate || 0) : 0;
+    const rules = normalizePayRules(payRules);
+    const hm = (d) => new Date(d).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const doc = new jsPDF();
+    doc.text(`TUX — Timesheet: ${name}`, 14, 12);
+
+    autoTable(doc, {
+      head: [["Period", "Rate (E£/h)", "Hours", "Overtime (h)", "Pay (E£)"]],
+      body: [[
+        `${fmtDate(wStart)} → ${fmtDate(wEnd)}`,
+        rate.toFixed(2),
+        ts.hours.toFixed(2),
+        ts.overtime.toFixed(2),
+        ts.pay.toFixed(2),
+      ]],
+      startY: 18,
+      theme: "grid",
+      styles: { fontSize: 10 },
+    });
+
+    let y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 8 : 30;
+    doc.text("Shifts", 14, y);
+    autoTable(doc, {
+      head: [["Date", "In", "Out", "Paid break (min)", "Unpaid break (min)", "Hours"]],
+      body: ts.rows.length
+        ? ts.rows.map(r => [
+            fmtDate(r.signInAt),
+            hm(r.signInAt),
+            r.signOutAt ? hm(r.signOutAt) : "OPEN",
+            String(r.breaks.paid),
+            String(r.breaks.unpaid),
+            `${r.hours.toFixed(2)}${r.minApplied ? " (min)" : ""}`,
+          ])
+        : [["—", "—", "—", "0", "0", "0.00"]],
+      startY: y + 4,
+      theme: "grid",
+      styles: { fontSize: 9 },
+    });
+
+    y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 8 : y + 36;
+    doc.text("Days", 14, y);
+    autoTable(doc, {
+      head: [["Date", "Hours", "Regular", `Daily OT (x${rules.dailyOvertimeMultiplier})`, `Weekly OT (x${rules.weeklyOvertimeMultiplier})`]],
+      body: ts.days.length
+        ? ts.days.map(d => [
+            fmtDate(`${d.day}T00:00:00`),
+            d.hours.toFixed(2),
+            d.regular.toFixed(2),
+            d.dailyOvertime.toFixed(2),
+            d.weeklyOvertime.toFixed(2),
+          ])
+        : [["—", "0.00", "0.00", "0.00", "0.00"]],
+      startY: y + 4,
+      theme: "grid",
+      styles: { fontSize: 9 },
+    });
+
+    y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 8 : y + 36;
+    doc.setFontSize(9);
+    doc.text(
+      `Overtime after ${rules.dailyOvertimeHours || "-"} h/day and ${rules.weeklyOvertimeHours || "-"} h/week` +
+        (rules.minShiftHours ? `; shifts paid at least ${rules.minShiftHours} h.` : "."),
+      14,
+      y
+    );
+    doc.save(`tux_timesheet_${slug(name)}.pdf`);
+  } catch (e) {
+    console.error(e);
+    alert(tr("Could not generate the timesheet PDF."));
+  }
+};
   // Quick lookup: name -> hourly rate
 const rateByName = useMemo(() => {
   const m = {};
@@ -5624,55 +9956,47 @@ const workerMonthlyTotalPay = useMemo(
   () => workerMonthlyStats.reduce((s, r) => s + Number(r.pay || 0), 0),
   [workerMonthlyStats]
 );
-  const promptAdminAndPin = () => {
-    const adminStr = window.prompt("Enter Admin number (1 to 6):", "1");
-    if (!adminStr) return null;
-    const n = Number(adminStr);
-    if (![1, 2, 3, 4, 5, 6].includes(n)) {
-      alert("Please enter a number from 1 to 6.");
-      return null;
-    }
-
-
-    const entered = window.prompt(`Enter PIN for Admin ${n}:`, "");
-    if (entered == null) return null;
-
-    const expected = norm(adminPins[n]);
-    const attempt = norm(entered);
-    if (!expected) {
-      alert(
-        `Admin ${n} has no PIN set; set a PIN in Edit → Admin PINs.`
-      );
-      return null;
-    }
-    if (attempt !== expected) {
-      alert("Invalid PIN.");
-      return null;
-    }
-    return n;
+  // Resolves to { name, role } of whoever entered a PIN whose role has the
+  // permission, or null when the pad is cancelled. Other PINs are refused on
+  // the pad itself.
+  const requirePermission = async (permission, title) => {
+    const label = PERMISSIONS.find((p) => p.id === permission)?.label || permission;
+    const res = await openDialog({
+      kind: "pin",
+      title: title || tr("PIN required — {0}", [tr(label)]),
+      check: async (pin) => {
+        const locked = pinLockoutMessage(tr);
+        if (locked) return locked;
+        const who = await pinHolder(pin, workerProfiles, adminPins);
+        recordPinAttempt(!!who);
+        if (!who) return pinLockoutMessage(tr) || tr("Invalid PIN.");
+        if (roleCan(rolePermissions, who.role, permission)) return "";
+        return tr("{0} ({1}) may not: {2}.", [who.name, tr(ROLES.find((r) => r.id === who.role)?.label || who.role), tr(label)]);
+      },
+    });
+    return res ? pinHolder(res.pin, workerProfiles, adminPins) : null;
   };
+  // Whether the person who opened Admin may do this without another PIN.
+  const adminCan = (permission) => !!adminUser && roleCan(rolePermissions, adminUser.role, permission);
 
-  const resetAllCustomerContacts = () => {
-    const adminNum = promptAdminAndPin();
-    if (!adminNum) return;
+  const resetAllCustomerContacts = async () => {
+    const who = await requirePermission("deleteContacts");
+    if (!who) return;
     if (
-      !window.confirm(
-        `Admin ${adminNum}: Delete ALL customer contacts? This cannot be undone.`
-      )
+      !(await askConfirm(tr("{0}: Delete ALL customer contacts? This cannot be undone.", [who.name])))
     )
       return;
+    recordAudit(who, "contacts.reset", "Customer contacts", { count: customers.length }, { count: 0 });
     setCustomers([]);
     saveLocalPartial({ customers: [] });
-    alert("All customer contacts cleared.");
+    notify(tr("All customer contacts cleared."));
   };
 
-  const lockInventoryForDay = () => {
+  const lockInventoryForDay = async () => {
     if (inventoryLocked) return;
-    if (inventory.length === 0) return alert("Add at least one inventory item first.");
+    if (inventory.length === 0) return notify(tr("Add at least one inventory item first."));
     if (
-      !window.confirm(
-        "Lock current inventory as Start-of-Day? You won't be able to edit until End the Day or admin unlock."
-      )
+      !(await askConfirm(tr("Lock current inventory as Start-of-Day? You won't be able to edit until End the Day or admin unlock.")))
     )
       return;
 
@@ -5687,23 +10011,167 @@ const workerMonthlyTotalPay = useMemo(
     setInventoryLockedAt(new Date());
   };
 
-  const unlockInventoryWithPin = () => {
-    if (!inventoryLocked) return alert("Inventory is already unlocked.");
-    const adminNum = promptAdminAndPin();
-    if (!adminNum) return;
-    if (!window.confirm(`Admin ${adminNum}: Unlock inventory for editing? Snapshot will be kept.`))
+  const unlockInventoryWithPin = async () => {
+    if (!inventoryLocked) return notify(tr("Inventory is already unlocked."));
+    const who = await requirePermission("inventoryUnlock");
+    if (!who) return;
+    if (!(await askConfirm(tr("{0}: Unlock inventory for editing? Snapshot will be kept.", [who.name]))))
       return;
+    recordAudit(who, "inventory.unlock", "Inventory", { locked: true, lockedAt: toIso(inventoryLockedAt) }, { locked: false });
     setInventoryLocked(false);
-    alert("Inventory unlocked for editing.");
+    notify(tr("Inventory unlocked for editing."));
   };
 
+  const startStocktake = (blind) =>
+    setStocktakeDraft({ blind: !!blind, reviewing: false, counts: {}, reasons: {}, expected: {} });
 
-const endDay = async () => {
-    if (!dayMeta.startedAt) return alert("Start a shift first.");
+  const reviewStocktake = () => {
+    if (!stocktakeLines(inventory, stocktakeDraft?.counts).length)
+      return notify(tr("Enter at least one counted quantity."));
+    setStocktakeDraft((d) => ({ ...d, reviewing: true }));
+  };
+
+  // Variances are taken against the quantity snapshotted when each count was
+  // entered and posted as a delta on the live qty, so sales rung up between
+  // counting and posting still come off.
+  const postStocktake = async () => {
+    const lines = stocktakeLines(
+      inventory,
+      stocktakeDraft?.counts,
+      stocktakeDraft?.reasons,
+      stocktakeDraft?.expected
+    );
+    if (!lines.length) return notify(tr("Enter at least one counted quantity."));
+    const who = await requirePermission("stocktake");
+    if (!who) return;
+    const changed = lines.filter((l) => l.variance);
+    const value = Number(lines.reduce((s, l) => s + l.value, 0).toFixed(2));
+    if (
+      !(await askConfirm(
+        tr("{0}: Post the count? {1} of {2} items change, variance {3}.", [
+          who.name,
+          changed.length,
+          lines.length,
+          uiMoney(value),
+        ])
+      ))
+    )
+      return;
+    const byId = Object.fromEntries(changed.map((l) => [l.id, l.variance]));
+    setInventory((inv) =>
+      inv.map((it) =>
+        byId[it.id] ? withStockQty(it, Math.max(0, Number(it.qty || 0) + byId[it.id])) : it
+      )
+    );
+    const at = new Date();
+    setStocktakes((arr) => [
+      { id: `st_${at.getTime()}`, at: toIso(at), by: who.name, blind: !!stocktakeDraft.blind, lines },
+      ...(arr || []),
+    ]);
+    recordAudit(
+      who,
+      "inventory.stocktake",
+      "Inventory",
+      Object.fromEntries(changed.map((l) => [l.name, l.expected])),
+      Object.fromEntries(changed.map((l) => [l.name, l.counted])),
+      `Variance E£${value.toFixed(2)}`
+    );
+    setStocktakeDraft(null);
+    notify(tr("Stocktake posted."));
+  };
+
+  const logWaste = () => {
+    const source = wasteDraft.kind === "menu"
+      ? menu.find((m) => String(m.id) === String(wasteDraft.id))
+      : inventory.find((it) => it.id === wasteDraft.id);
+    if (!source) return notify(tr("Pick what was wasted."));
+    const qty = Number(wasteDraft.qty);
+    if (!(qty > 0)) return notify(tr("Enter a quantity above 0."));
+    const lines = wasteLines({ kind: wasteDraft.kind, id: wasteDraft.id }, qty, inventory, menu);
+    if (!lines.length) return notify(tr("{0} does not use any inventory items.", [source.name]));
+    const take = Object.fromEntries(lines.map((l) => [l.invId, l.qty]));
+    setInventory((inv) =>
+      inv.map((it) => (take[it.id] ? withStockQty(it, Math.max(0, Number(it.qty || 0) - take[it.id])) : it))
+    );
+    const entry = recordWaste(
+      { kind: wasteDraft.kind, id: wasteDraft.id, name: source.name },
+      qty,
+      wasteDraft.reason,
+      wasteDraft.note,
+      lines,
+      wasteDraft.by
+    );
+    setWasteDraft((d) => ({ ...d, qty: "", note: "" }));
+    notify(tr("Logged {0} × {1} as waste ({2}).", [qty, source.name, uiMoney(entry.cost)]));
+  };
+  const recordWaste = (source, qty, reason, note, lines, by) => {
+    const at = new Date();
+    const entry = {
+      id: `waste_${at.getTime()}`,
+      at: toIso(at),
+      by: by || dayMeta.currentWorker || activeWorkers[0] || "",
+      source,
+      qty,
+      reason,
+      note: String(note || "").trim(),
+      lines,
+      cost: Number(lines.reduce((s, l) => s + l.cost, 0).toFixed(2)),
+    };
+    setWasteLog((arr) => [entry, ...(arr || [])]);
+    return entry;
+  };
+  // Writes a whole lot off to the waste log at the cost it came in at.
+  const writeOffLot = async (invId, lotId) => {
+    const it = inventory.find((x) => x.id === invId);
+    const lot = (it?.lots || []).find((l) => l.id === lotId);
+    if (!lot) return;
+    const qty = Number(lot.qty || 0);
+    const unitCost = Number(lot.unitCost || 0);
+    const cost = Number((qty * unitCost).toFixed(2));
+    if (
+      !(await askConfirm(
+        tr("Write off {0} {1} of {2} (expires {3}) as waste at {4}?", [qty, it.unit, it.name, lot.expiresAt, uiMoney(cost)])
+      ))
+    )
+      return;
+    setInventory((inv) =>
+      inv.map((x) =>
+        x.id === invId
+          ? { ...x, qty: Math.max(0, Number(x.qty || 0) - qty), lots: (x.lots || []).filter((l) => l.id !== lotId) }
+          : x
+      )
+    );
+    recordWaste(
+      { kind: "inventory", id: invId, name: it.name },
+      qty,
+      "expired",
+      `Lot received ${String(lot.receivedAt).slice(0, 10)}, expires ${lot.expiresAt}`,
+      [{ invId, name: it.name, unit: it.unit, qty, costPerUnit: unitCost, cost }]
+    );
+  };
+
+  const draftLines = useMemo(
+    () => stocktakeLines(inventory, stocktakeDraft?.counts, stocktakeDraft?.reasons, stocktakeDraft?.expected),
+    [inventory, stocktakeDraft]
+  );
+  const shrinkage = useMemo(
+    () => shrinkageReport(stocktakes, new Date(`${shrinkFrom}T00:00:00`), new Date(`${shrinkTo}T23:59:59.999`)),
+    [stocktakes, shrinkFrom, shrinkTo]
+  );
 
-    const who = window.prompt("Enter your name to END THE DAY:", "");
+
+const endDay = async () => {
+    if (!dayMeta.startedAt) return notify(tr("Start a shift first."));
+
+    const who = await openDialog({
+      kind: "text",
+      title: tr("Enter your name to END THE DAY:"),
+      suggestions: activeWorkers,
+      defaultValue: activeWorkers.length === 1 ? activeWorkers[0] : "",
+      required: true,
+    });
     const endBy = norm(who);
-    if (!endBy) return alert("Name is required.");
+    if (!endBy) return;
 
     const pendingOrders = orders.filter((order) => order && !order.done && !order.voided);
     if (pendingOrders.length > 0) {
@@ -5718,14 +10186,30 @@ const endDay = async () => {
             : "an order"
         )
         .join(", ");
-      alert(
-        `You must mark all orders as Done or Cancelled before ending the day. Pending orders: ${pendingList}.`
+      notify(
+        tr("You must mark all orders as Done or Cancelled before ending the day. Pending orders: {0}.", [pendingList])
+      );
+      return;
+    }
+
+    if (openChecks.length > 0) {
+      notify(
+        tr("You must settle or close all open checks before ending the day. Open checks: {0}.", [openChecks
+          .map((c) => c.name)
+          .join(", ")])
       );
       return;
     }
 
+    if (
+      outbox.length > 0 &&
+      !(await askConfirm(tr("{0} change(s) have not reached the cloud yet. End the day anyway? They will keep retrying in the background.", [outbox.length])))
+    ) {
+      return;
+    }
+
     if (!dayMeta.reconciledAt || !dayMeta.startedAt || dayMeta.reconciledAt < dayMeta.startedAt) {
-      alert("You must save a Cash Drawer Reconciliation before ending the day. Go to the Reconcile tab.");
+      notify(tr("You must save a Cash Drawer Reconciliation before ending the day. Go to the Reconcile tab."));
       return;
     }
 
@@ -5756,7 +10240,9 @@ const endDay = async () => {
     const validOrders = orders.filter((o) => !o.voided);
     const revenueExclDelivery = validOrders.reduce(
       (sum, order) =>
-        sum + Number(order.itemsTotal != null ? order.itemsTotal : order.total - (order.deliveryFee || 0)),
+        sum +
+        Number(order.itemsTotal != null ? order.itemsTotal : order.total - (order.deliveryFee || 0)) -
+        orderRefundTotal(order),
       0
     );
     const expensesTotal = expenses.reduce((sum, expense) => sum + Number((expense.qty || 0) * (expense.unitPrice || 0)), 0);
@@ -5852,6 +10338,17 @@ const endDay = async () => {
           purchaseCategories,
           customers,
           deliveryZones,
+          costingMethod,
+          wasteLog,
+          stocktakes,
+          payRules,
+          rolePermissions,
+          receiptTemplate,
+          printStations,
+          tables,
+          openChecks,
+          scheduleLeadMinutes,
+          promoCodes,
           dayMeta: resetMeta,
           utilityBills,
           laborProfile,
@@ -5879,7 +10376,7 @@ const endDay = async () => {
       }
     }
 
-    alert(`Day ended by ${endBy}. Report downloaded and day reset ✅`);
+    notify(tr("Day ended by {0}. Report downloaded and day reset ✅", [endBy]));
   };
   const [isCheckingOut, setIsCheckingOut] = useState(false);
 const multiplyUses = (uses = {}, factor = 1) => {
@@ -5888,20 +10385,32 @@ const multiplyUses = (uses = {}, factor = 1) => {
   return out;
 };
   const addToCart = () => {
-    if (!selectedBurger) return alert("Select a burger/item first.");
+    if (!selectedBurger) return alert(tr("Select a burger/item first."));
+    const modifierError = validateModifierSelection(selectedBurger, selectedModifiers, tr);
+    if (modifierError) return alert(modifierError);
+    const modifierExtras = modifierExtrasFor(selectedBurger, selectedModifiers);
+    const bundle = isBundleItem(selectedBurger)
+      ? buildBundleComponents(selectedBurger, selectedBundleChoices, menu, tr)
+      : null;
+    if (bundle?.error) return alert(bundle.error);
     const qty = Math.max(1, Number(selectedQty || 1));
     const uses = {};
-    const prodUses = selectedBurger.uses || {};
+    const prodUses = bundle
+      ? bundleUnitUses(selectedBurger, bundle.components, menu)
+      : selectedBurger.uses || {};
     for (const k of Object.keys(prodUses))
       uses[k] = (uses[k] || 0) + (prodUses[k] || 0) * qty;
-    for (const ex of selectedExtras) {
+    for (const ex of [...modifierExtras, ...selectedExtras]) {
       const exUses = ex.uses || {};
       for (const k of Object.keys(exUses))
         uses[k] = (uses[k] || 0) + (exUses[k] || 0) * qty;
     }
+    // group definitions stay on the menu, the line only keeps what was picked
+    const { modifierGroups, bundleSlots, ...itemFields } = selectedBurger;
     const line = {
-      ...selectedBurger,
-      extras: [...selectedExtras],
+      ...itemFields,
+      ...(bundle ? { components: bundle.components } : {}),
+      extras: [...modifierExtras, ...selectedExtras],
       price: selectedBurger.price,
       qty,
       uses,
@@ -5909,10 +10418,97 @@ const multiplyUses = (uses = {}, factor = 1) => {
     setCart((c) => [...c, line]);
     setSelectedBurger(null);
     setSelectedExtras([]);
+    setSelectedModifiers({});
+    setSelectedBundleChoices({});
     setSelectedQty(1);
   };
-  const removeFromCart = (i) =>
+  const removeFromCart = async (i) => {
+    const line = cart[i];
+    if (line?.stockTaken) {
+      if (!(await askConfirm(tr("{0} was already sent to the kitchen. Take it off the bill and put its stock back?", [line.name])))) return;
+      restockUses(line.uses);
+      if (settlingCheckId) {
+        setOpenChecks((arr) =>
+          arr.map((c) =>
+            c.id === settlingCheckId ? { ...c, lines: (c.lines || []).filter((l) => l.lineId !== line.lineId) } : c
+          )
+        );
+      }
+    }
     setCart((c) => c.filter((_, idx) => idx !== i));
+  };
+  // "10%" → percent, "15" → fixed E£ amount
+  const parseDiscountInput = (raw) => {
+    const str = String(raw || "").trim();
+    if (!str) return null;
+    const isPercent = str.endsWith("%");
+    const value = Number(str.replace("%", "").trim());
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return { type: isPercent ? "percent" : "fixed", value };
+  };
+  const promptLineDiscount = async (i) => {
+    const line = cart[i];
+    if (!line) return;
+    const current = line.discount && !line.discount.comp
+      ? line.discount.type === "percent" ? `${line.discount.value}%` : String(line.discount.value)
+      : "";
+    const raw = await openDialog({
+      kind: "text",
+      message: tr("Discount for {0} — enter a percent (e.g. 10%) or an amount in E£ (e.g. 15). Leave empty to remove:", [line.name]),
+      defaultValue: current,
+    });
+    if (raw == null) return;
+    const discount = parseDiscountInput(raw);
+    if (String(raw).trim() && !discount) return alert(tr("Enter a positive number, optionally followed by %."));
+    if (discount && discount.type === "percent" && discount.value >= 100) {
+      return alert(tr("Use Comp to give an item away for free."));
+    }
+    if (discount && discount.type === "fixed" && discount.value >= lineGrossTotal(line)) {
+      return alert(tr("Use Comp to give an item away for free."));
+    }
+    setCart((c) => c.map((l, idx) => (idx === i ? { ...l, discount } : l)));
+  };
+  const promptCompReason = async (what) => {
+    const who = await requirePermission("comp");
+    if (!who) return null;
+    const reason = norm(await askReason(tr("Reason for comping {0}:", [what]), COMP_REASONS));
+    if (!reason) return null;
+    return { reason, by: who.name };
+  };
+  const compLine = async (i) => {
+    const line = cart[i];
+    if (!line) return;
+    if (line.discount?.comp) {
+      setCart((c) => c.map((l, idx) => (idx === i ? { ...l, discount: null } : l)));
+      return;
+    }
+    const info = await promptCompReason(line.name);
+    if (!info) return;
+    setCart((c) =>
+      c.map((l, idx) =>
+        idx === i ? { ...l, discount: { type: "percent", value: 100, comp: true, ...info } } : l
+      )
+    );
+  };
+  const toggleOrderComp = async () => {
+    if (compInfo) {
+      setCompInfo(null);
+      return;
+    }
+    const info = await promptCompReason("this order");
+    if (info) setCompInfo(info);
+  };
+  const applyPromoCode = () => {
+    const code = String(promoCodeInput || "").trim();
+    if (!code) {
+      setAppliedPromoCode("");
+      return;
+    }
+    const promo = findPromoByCode(promoCodes, code);
+    const error = validatePromoCode(promo, new Date(), tr);
+    if (error) return alert(error);
+    setAppliedPromoCode(promo.code);
+  };
  const changeQty = (i, delta) =>
   setCart((c) =>
     c.map((line, idx) => {
@@ -5996,22 +10592,117 @@ const recordCustomerFromOrder = (order) => {
     return upsertCustomer(prev, updated);
   });
 };
+// Per-line inventory uses from the current menu / extras definitions.
+const withLineUses = (lines) =>
+  lines.map((line) => {
+    const baseItem = menu.find((m) => m.id === line.id);
+    const unitUses = Array.isArray(line.components) && line.components.length
+      ? bundleUnitUses(baseItem || line, line.components, menu)
+      : { ...(baseItem?.uses || {}) };
+
+    for (const ex of line.extras || []) {
+      const exDef = extraList.find((e) => e.id === ex.id) || ex;
+      const exUses = exDef.uses || {};
+      for (const k of Object.keys(exUses)) {
+        unitUses[k] = (unitUses[k] || 0) + Number(exUses[k] || 0);
+      }
+    }
+
+    const qty = Math.max(1, Number(line.qty || 1));
+    return { ...line, uses: multiplyUses(unitUses, qty) };
+  });
+// Stock left after pre-order reservations; returns the first shortage as a message.
+const stockShortfall = (required) => {
+  for (const k of Object.keys(required)) {
+    const invItem = invById[k];
+    if (!invItem) continue;
+    const reserved = Number(reservedInventory[k] || 0);
+    if ((invItem.qty || 0) - reserved < required[k]) {
+      return (
+        reserved
+          ? tr("Not enough {0} in stock. Need {1} {2}, have {3} {2} ({4} reserved for pre-orders).", [invItem.name, required[k], invItem.unit, invItem.qty, reserved])
+          : tr("Not enough {0} in stock. Need {1} {2}, have {3} {2}.", [invItem.name, required[k], invItem.unit, invItem.qty])
+      );
+    }
+  }
+  return "";
+};
+const deductInventory = (required) =>
+  setInventory((inv) =>
+    inv.map((it) => {
+      const need = Number(required[it.id] || 0);
+      return need ? withStockQty(it, it.qty - need) : it;
+    })
+  );
+// Makes `batches` of a prep item: its ingredients come off stock and the yield
+// goes on as a new lot, so FIFO and expiry cover prep items too. Its cost stays
+// rolled up from the recipe (inventoryUnitCost).
+const produceBatch = (invId, batches) => {
+  const item = invById[invId];
+  if (!isPrepItem(item)) return;
+  const n = Number(batches);
+  if (!(n > 0)) return notify(tr("Enter how many batches to make."));
+  const take = multiplyUses(item.recipe.uses, n);
+  const shortfall = stockShortfall(take);
+  if (shortfall) return notify(shortfall);
+  const made = Number(item.recipe.yield) * n;
+  const lot = prepBatchLot(item, made, inventoryUnitCost(invId, invById));
+  setInventory((inv) =>
+    inv.map((it) => {
+      const need = Number(take[it.id] || 0);
+      if (it.id === invId) return withLotAdded(withStockQty(it, Number(it.qty || 0) - need), lot);
+      return need ? withStockQty(it, it.qty - need) : it;
+    })
+  );
+  notify(tr("Made {0} {1} of {2}.", [made, item.unit, item.name]));
+};
+const updateRecipe = (invId, fn) =>
+  setInventory((inv) =>
+    inv.map((it) => (it.id === invId ? { ...it, recipe: fn(it.recipe || { yield: 1, uses: {} }) } : it))
+  );
+const restockUses = (uses = {}) =>
+  setInventory((inv) =>
+    inv.map((it) => {
+      const back = Number(uses[it.id] || 0);
+      return back ? withStockAdded(it, back) : it;
+    })
+  );
 const checkout = async () => {
   if (isCheckingOut) return;
   setIsCheckingOut(true);
   try {
     if (!dayMeta.startedAt || dayMeta.endedAt)
-      return alert("Start a shift first (Shift → Start Shift).");
-    if (cart.length === 0) return alert("Cart is empty.");
-    if (!worker) return alert("Select worker.");
-    if (!orderType) return alert("Select order type.");
-    if (!splitPay && !payment) return alert("Select payment.");
+      return alert(tr("Start a shift first (Shift → Start Shift)."));
+    if (cart.length === 0) return alert(tr("Cart is empty."));
+    if (!worker) return alert(tr("Select worker."));
+    if (!orderType) return alert(tr("Select order type."));
+    if (appliedPromoCode) {
+      const promoError = validatePromoCode(appliedPromo, new Date(), tr);
+      if (promoError) return alert(promoError);
+    }
+    const settlingCheck = settlingCheckId ? openChecks.find((c) => c.id === settlingCheckId) : null;
+    const scheduledFor = scheduledForInput ? new Date(scheduledForInput) : null;
+    if (scheduledFor && (Number.isNaN(+scheduledFor) || +scheduledFor <= Date.now())) {
+      return alert(tr("The scheduled time must be in the future."));
+    }
+    // pre-orders outside the lead window only reserve stock until released
+    const holdForLater = !!scheduledFor && !isDueForRelease({ scheduledFor }, Date.now(), scheduleLeadMinutes);
+    const pricing = computeOrderDiscounts(cart, {
+      promo: appliedPromoCode ? appliedPromo : null,
+      orderDiscount,
+      comp: compInfo,
+    });
+    const delFee =
+      orderType === "Delivery" ? Math.max(0, Number(deliveryFee || 0)) : 0;
+    const total = Number((pricing.itemsTotal + delFee).toFixed(2));
+    const nothingToPay = total <= 0;
+    if (!nothingToPay && !splitPay && !payment) return alert(tr("Select payment."));
   if (orderType === "Delivery") {
     const n = String(deliveryName || "").trim();
     const p = normalizePhone(deliveryPhone);
     const a = String(deliveryAddress || "").trim();
     if (!n || !/^\d{11}$/.test(p) || !a) {
-        return alert("Please enter customer name, phone number (10 digits after +20), and address for Delivery.");
+        return alert(tr("Please enter customer name, phone number (10 digits after +20), and address for Delivery."));
     }
   }
   const orderCustomerName =
@@ -6022,77 +10713,46 @@ const checkout = async () => {
     orderType === "Delivery"
       ? normalizePhone(deliveryPhone)
       : normalizePhone(customerPhone);
-    const cartWithUses = cart.map((line) => {
-      const baseItem = menu.find((m) => m.id === line.id);
-      const unitUses = { ...(baseItem?.uses || {}) };
-
-      for (const ex of line.extras || []) {
-        const exDef = extraList.find((e) => e.id === ex.id) || ex;
-        const exUses = exDef.uses || {};
-        for (const k of Object.keys(exUses)) {
-          unitUses[k] = (unitUses[k] || 0) + Number(exUses[k] || 0);
-        }
-      }
-
-      const qty = Math.max(1, Number(line.qty || 1));
-      return { ...line, uses: multiplyUses(unitUses, qty) };
-    });
-    const required = {};
-    for (const line of cartWithUses) {
-      for (const k of Object.keys(line.uses || {})) {
-        required[k] = (required[k] || 0) + Number(line.uses[k] || 0);
+    const itemsTotal = pricing.itemsTotal;
+    let paymentLabel = payment;
+    let paymentParts = [];
+    if (nothingToPay) {
+      paymentLabel = "Comp";
+    } else if (splitPay) {
+      if (splitParts.some((p) => Number(p.amount || 0) > 0 && !p.method)) {
+        return alert(tr("Choose a payment method for every amount."));
       }
-    }
-    for (const k of Object.keys(required)) {
-      const invItem = invById[k];
-      if (!invItem) continue;
-      if ((invItem.qty || 0) < required[k]) {
+      paymentParts = collapseTenderParts(splitParts);
+      if (paymentParts.length < 2) return alert(tr("Enter at least two payment methods for a split."));
+      const remaining = tenderRemaining(paymentParts, total);
+      if (remaining !== 0) {
         return alert(
-          `Not enough ${invItem.name} in stock. Need ${required[k]} ${invItem.unit}, have ${invItem.qty} ${invItem.unit}.`
+          remaining > 0
+            ? tr("Split amounts must equal the total ({0}). Remaining: {1}", [uiMoney(total), uiMoney(remaining)])
+            : tr("Split amounts must equal the total ({0}). Over by: {1}", [uiMoney(total), uiMoney(-remaining)])
         );
       }
-    }
-    setInventory((inv) =>
-      inv.map((it) => {
-        const need = Number(required[it.id] || 0);
-        return need ? { ...it, qty: it.qty - need } : it;
-      })
-    );
-
-    const itemsTotal = cartWithUses.reduce((s, b) => {
-      const ex = (b.extras || []).reduce((t, e) => t + Number(e.price || 0), 0);
-      return s + (Number(b.price || 0) + ex) * Number(b.qty || 1);
-    }, 0);
-    const delFee =
-      orderType === "Delivery" ? Math.max(0, Number(deliveryFee || 0)) : 0;
-    const total = itemsTotal + delFee;
-    let paymentLabel = payment;
-    let paymentParts = [];
-    if (splitPay) {
-      if (!payA || !payB) return alert("Choose two payment methods.");
-      if (payA === payB) return alert("Choose two different methods for split.");
-      const a = Math.max(0, Number(amtA || 0));
-      const b = Math.max(0, Number(amtB || 0));
-      const sum = Number((a + b).toFixed(2));
-      if (sum !== Number(total.toFixed(2))) {
-        return alert(`Split amounts must equal total (E£${total.toFixed(2)}).`);
-      }
-    paymentParts = [
-        { method: payA, amount: a },
-        { method: payB, amount: b },
-      ];
       paymentLabel = summarizePaymentParts(paymentParts, paymentLabel);
     } else {
       paymentParts = [{ method: payment || "Unknown", amount: total }];
       paymentLabel = summarizePaymentParts(paymentParts, paymentLabel);
     }
+    // stock only comes off once the payment checks out, so a retry can't take it twice
+    const cartWithUses = withLineUses(cart);
+    // lines settled from an open check already left the shelf when their round was sent
+    const required = computeInventoryRequirement(cartWithUses.filter((line) => !line.stockTaken));
+    const shortfall = stockShortfall(required);
+    if (shortfall) return alert(shortfall);
+    if (!holdForLater) deductInventory(required);
+
     let cashVal = null;
     let changeDue = null;
-    if (splitPay) {
-      const cashPart = paymentParts.find((p) => p.method === "Cash");
-      if (cashPart) {
+    if (nothingToPay) {
+      // fully comped — no tender taken
+    } else if (splitPay) {
+      if (paymentParts.some((p) => p.method === "Cash")) {
         cashVal = Number(cashReceivedSplit || 0);
-        changeDue = Math.max(0, cashVal - Number(cashPart.amount || 0));
+        changeDue = cashChangeForTenders(paymentParts, cashVal).change;
       }
     } else if (payment === "Cash") {
       cashVal = Number(cashReceived || 0);
@@ -6121,9 +10781,15 @@ const checkout = async () => {
       whatsappSentAt: null,
       total,
       itemsTotal,
+      itemsSubtotal: pricing.itemsSubtotal,
+      discounts: pricing.discounts,
+      discountTotal: pricing.discountTotal,
       cashReceived: cashVal,
       changeDue,
       cart: cartWithUses,
+      scheduledFor,
+      releasedAt: scheduledFor && !holdForLater ? new Date() : null,
+      table: settlingCheck ? settlingCheck.name : "",
       done: false,
       voided: false,
       restockedAt: undefined,
@@ -6136,9 +10802,11 @@ const checkout = async () => {
     recordCustomerFromOrder(order);
     setNextOrderNo(optimisticNo + 1);
     let allocatedNo = optimisticNo;
-    if (cloudEnabled && counterDocRef && fbUser && db) {
+    let numberAllocated = false;
+    if (cloudEnabled && counterDocRef && fbUser && db && !isProbablyOffline()) {
       try {
-      allocatedNo = await allocateOrderNoAtomic(db, counterDocRef);
+      allocatedNo = await withTimeout(allocateOrderNoAtomic(db, counterDocRef));
+        numberAllocated = true;
         if (allocatedNo !== optimisticNo) {
           order = {
             ...order,
@@ -6152,24 +10820,19 @@ const checkout = async () => {
       }
     }
     if (!realtimeOrders) setOrders((o) => [order, ...o]);
-    if (cloudEnabled && ordersColRef && fbUser) {
-      try {
-        const ref = await addDoc(ordersColRef, normalizeOrderForCloud(order));
-        if (!realtimeOrders) {
-          setOrders((prev) =>
-            prev.map((oo) =>
-              oo.orderNo === order.orderNo ? { ...oo, cloudId: ref.id } : oo
-            )
-          );
-        }
-      } catch (e) {
-        console.warn("Cloud order write failed:", e);
-      }
+    const cloudId = await pushOrderCreateToCloud(order, { numberAllocated });
+    if (cloudId && !realtimeOrders) {
+      setOrders((prev) =>
+        prev.map((oo) =>
+          oo.orderNo === order.orderNo ? { ...oo, cloudId } : oo
+        )
+      );
     }
     setCart([]);
     setWorker("");
     setPayment("");
     setOrderNote("");
+    setScheduledForInput("");
     const defaultType = orderTypes[0] || "Take-Away";
     setOrderType(defaultType);
     setDeliveryFee(defaultType === "Delivery" ? defaultDeliveryFee : 0);
@@ -6182,17 +10845,130 @@ const checkout = async () => {
     setCustomerPhone("");
     setSyncWhatsappReady(false); 
     setSplitPay(false);
-    setPayA(""); setPayB("");
-    setAmtA(0); setAmtB(0);
+    setSplitParts(emptySplitParts());
     setCashReceivedSplit(0);
+    if (appliedPromo) {
+      setPromoCodes((arr) =>
+        arr.map((p) => (p.id === appliedPromo.id ? { ...p, uses: Number(p.uses || 0) + 1 } : p))
+      );
+    }
+    setAppliedPromoCode("");
+    setPromoCodeInput("");
+    setOrderDiscount(emptyOrderDiscount());
+    setCompInfo(null);
+    if (settlingCheck) {
+      setOpenChecks((arr) => arr.filter((c) => c.id !== settlingCheck.id));
+      setSettlingCheckId(null);
+    }
+    if (autoPrintKitchen) {
+      printOrderReceipt(order, { openDrawer: rawPrinter.drawerKick && order.cashReceived != null });
+      if (!holdForLater) printKitchenTickets(order);
+    }
  } finally {
     setIsCheckingOut(false);
   }
 };
+// ---------- Open checks (table tabs) ----------
+const dineInType = orderTypes.find((t) => /dine/i.test(String(t))) || "Dine-in";
+const newCheckFor = (table, taken = openChecks) => {
+  const onTable = taken.filter((c) => c.table === table).length;
+  return {
+    id: `chk_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    table,
+    name: onTable ? `${table} · ${onTable + 1}` : table,
+    openedAt: new Date().toISOString(),
+    openedBy: worker || dayMeta.currentWorker || "",
+    rounds: 0,
+    lines: [],
+  };
+};
+const openCheckOnTable = (table) => {
+  if (!dayMeta.startedAt || dayMeta.endedAt) return alert(tr("Start a shift first (Shift → Start Shift)."));
+  setOpenChecks((arr) => [...arr, newCheckFor(table, arr)]);
+};
+const startRoundForCheck = (checkId) => {
+  if (settlingCheckId) return alert(tr("Finish or cancel the check being settled first."));
+  setRoundCheckId(checkId);
+  setActiveTab("orders");
+};
+// Sends the cart to the kitchen as the next round of an open check; stock is taken now.
+const sendRoundToCheck = () => {
+  const check = openChecks.find((c) => c.id === roundCheckId);
+  if (!check) {
+    setRoundCheckId(null);
+    return alert(tr("That check is no longer open."));
+  }
+  if (cart.length === 0) return alert(tr("Cart is empty."));
+  const lines = withLineUses(cart);
+  const required = computeInventoryRequirement(lines);
+  const shortfall = stockShortfall(required);
+  if (shortfall) return alert(shortfall);
+  deductInventory(required);
+  const round = Number(check.rounds || 0) + 1;
+  const addedAt = new Date().toISOString();
+  const stamped = lines.map((line, i) => ({
+    ...line,
+    lineId: `cl_${Date.now().toString(36)}_${round}_${i}`,
+    round,
+    addedAt,
+    stockTaken: true,
+  }));
+  setOpenChecks((arr) =>
+    arr.map((c) => (c.id === check.id ? { ...c, rounds: round, lines: [...(c.lines || []), ...stamped] } : c))
+  );
+  setCart([]);
+  setRoundCheckId(null);
+  setActiveTab("tables");
+};
+const toggleCheckLine = (checkId, idx) =>
+  setCheckSelection((sel) => {
+    const cur = sel[checkId] || [];
+    return { ...sel, [checkId]: cur.includes(idx) ? cur.filter((i) => i !== idx) : [...cur, idx] };
+  });
+const moveSelectedCheckLines = (checkId, toId) => {
+  const idxs = checkSelection[checkId] || [];
+  if (!idxs.length) return alert(tr("Tick the items to move first."));
+  setOpenChecks((arr) => {
+    const from = arr.find((c) => c.id === checkId);
+    return toId ? moveCheckLines(arr, checkId, idxs, toId) : moveCheckLines(arr, checkId, idxs, null, newCheckFor(from.table, arr));
+  });
+  setCheckSelection((sel) => ({ ...sel, [checkId]: [] }));
+};
+const removeSelectedCheckLines = async (checkId) => {
+  const check = openChecks.find((c) => c.id === checkId);
+  const idxs = checkSelection[checkId] || [];
+  if (!check || !idxs.length) return alert(tr("Tick the items to remove first."));
+  if (!(await askConfirm(tr("Remove {0} item(s) from {1} and put their stock back?", [idxs.length, check.name])))) return;
+  const lines = (check.lines || []).filter((_, i) => idxs.includes(i));
+  restockUses(computeInventoryRequirement(lines));
+  setOpenChecks((arr) =>
+    arr.map((c) => (c.id === checkId ? { ...c, lines: (c.lines || []).filter((_, i) => !idxs.includes(i)) } : c))
+  );
+  setCheckSelection((sel) => ({ ...sel, [checkId]: [] }));
+};
+const closeEmptyCheck = (checkId) =>
+  setOpenChecks((arr) => arr.filter((c) => !(c.id === checkId && !(c.lines || []).length)));
+// Loads a check into the cart so it is paid through the normal checkout.
+const settleCheck = async (checkId) => {
+  const check = openChecks.find((c) => c.id === checkId);
+  if (!check || !(check.lines || []).length) return alert(tr("This check has no items."));
+  if (cart.length && !settlingCheckId && !(await askConfirm(tr("Replace the items in the current cart with this check?")))) return;
+  setRoundCheckId(null);
+  setCart((check.lines || []).map((line) => ({ ...line })));
+  setOrderType(dineInType);
+  setDeliveryFee(0);
+  setSettlingCheckId(check.id);
+  setActiveTab("orders");
+};
+const cancelSettling = () => {
+  setCart([]);
+  setSettlingCheckId(null);
+  setActiveTab("tables");
+};
 const integrateOnlineOrder = async (onlineOrder) => {
   if (!onlineOrder) return null;
   if (!dayMeta.startedAt || dayMeta.endedAt) {
-    alert("Start a shift first (Shift → Start Shift) before processing online orders.");
+    alert(tr("Start a shift first (Shift → Start Shift) before processing online orders."));
     return null;
   }
   const existing = findPosOrderForOnline(onlineOrder);
@@ -6203,13 +10979,21 @@ const integrateOnlineOrder = async (onlineOrder) => {
   for (const invId of Object.keys(required)) {
     const invItem = invById[invId];
     if (!invItem) continue;
-    if ((invItem.qty || 0) < required[invId]) {
+    const reserved = Number(reservedInventory[invId] || 0);
+    if ((invItem.qty || 0) - reserved < required[invId]) {
       alert(
-        `Not enough ${invItem.name} in stock. Need ${required[invId]} ${invItem.unit}, have ${invItem.qty} ${invItem.unit}.`
+        reserved
+          ? tr("Not enough {0} in stock. Need {1} {2}, have {3} {2} ({4} reserved for pre-orders).", [invItem.name, required[invId], invItem.unit, invItem.qty, reserved])
+          : tr("Not enough {0} in stock. Need {1} {2}, have {3} {2}.", [invItem.name, required[invId], invItem.unit, invItem.qty])
       );
       return null;
     }
   }
+  const scheduledFor =
+    onlineOrder.scheduledFor && +new Date(onlineOrder.scheduledFor) > Date.now()
+      ? new Date(onlineOrder.scheduledFor)
+      : null;
+  const holdForLater = !!scheduledFor && !isDueForRelease({ scheduledFor }, Date.now(), scheduleLeadMinutes);
 
   const key = getOnlineOrderDedupeKey(onlineOrder);
   setOnlineOrderStatus((prev) => {
@@ -6221,14 +11005,16 @@ const integrateOnlineOrder = async (onlineOrder) => {
     return { ...prev, [key]: entry };
   });
 
-  setInventory((inv) =>
-    inv.map((item) => {
-      const need = Number(required[item.id] || 0);
-      if (!need) return item;
-      const nextQty = Number(item.qty || 0) - need;
-      return { ...item, qty: Number(nextQty.toFixed(4)) };
-    })
-  );
+  if (!holdForLater) {
+    setInventory((inv) =>
+      inv.map((item) => {
+        const need = Number(required[item.id] || 0);
+        if (!need) return item;
+        const nextQty = Number(item.qty || 0) - need;
+        return withStockQty(item, Number(nextQty.toFixed(4)));
+      })
+    );
+  }
 
   const deliveryFee = Number(onlineOrder.deliveryFee || 0);
   const computedItemsTotal = cartWithUses.reduce((sum, line) => {
@@ -6252,11 +11038,13 @@ const integrateOnlineOrder = async (onlineOrder) => {
 
   let optimisticNo = nextOrderNo;
   let orderNo = optimisticNo;
+  let numberAllocated = false;
   setNextOrderNo(optimisticNo + 1);
-  if (cloudEnabled && counterDocRef && fbUser && db) {
+  if (cloudEnabled && counterDocRef && fbUser && db && !isProbablyOffline()) {
     try {
-      const allocated = await allocateOrderNoAtomic(db, counterDocRef);
+      const allocated = await withTimeout(allocateOrderNoAtomic(db, counterDocRef));
       orderNo = allocated;
+      numberAllocated = true;
       if (allocated !== optimisticNo) {
         setNextOrderNo(allocated + 1);
       }
@@ -6402,6 +11190,8 @@ const onlineFallbackId =
     cashReceived: null,
     changeDue: null,
     cart: cartWithUses,
+    scheduledFor,
+    releasedAt: scheduledFor && !holdForLater ? new Date() : null,
     done: false,
     voided: false,
     restockedAt: undefined,
@@ -6512,10 +11302,8 @@ const onlineFallbackId =
     const formatMoney = (value) => {
       const num = Number(value);
       if (!Number.isFinite(num)) return "0.00";
-      return num.toLocaleString(undefined, {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
+      // the email template is English, so keep its numbers English too
+      return uiNumber(num, { minimumFractionDigits: 2, maximumFractionDigits: 2 }, "en");
     };
 
     const orderDetailsList = (posOrder.cart || []).map((line) => {
@@ -6557,8 +11345,8 @@ const onlineFallbackId =
         ? placedAtSource
         : new Date(placedAtSource || Date.now());
     const placedAt = Number.isNaN(+placedAtDate)
-      ? new Date().toLocaleString()
-      : placedAtDate.toLocaleString();
+      ? uiDateTime(new Date(), "en")
+      : uiDateTime(placedAtDate, "en");
 
     const templateParams = {
       to_email: targetEmail,
@@ -6625,19 +11413,15 @@ const onlineFallbackId =
   }
 
   if (!realtimeOrders) setOrders((o) => [posOrder, ...o]);
-  if (cloudEnabled && ordersColRef && fbUser) {
-    try {
-      const ref = await addDoc(ordersColRef, normalizeOrderForCloud(posOrder));
-      posOrder.cloudId = ref.id;
-      if (!realtimeOrders) {
-        setOrders((prev) =>
-          prev.map((ord) =>
-            ord.orderNo === posOrder.orderNo ? { ...ord, cloudId: ref.id } : ord
-          )
-        );
-      }
-    } catch (err) {
-      console.warn("Cloud write failed for online order integration:", err);
+  const cloudId = await pushOrderCreateToCloud(posOrder, { numberAllocated });
+  if (cloudId) {
+    posOrder.cloudId = cloudId;
+    if (!realtimeOrders) {
+      setOrders((prev) =>
+        prev.map((ord) =>
+          ord.orderNo === posOrder.orderNo ? { ...ord, cloudId } : ord
+        )
+      );
     }
   }
 
@@ -6661,6 +11445,7 @@ const onlineFallbackId =
     console.warn("Failed to update online order status in source", err);
   }
 
+  if (autoPrintKitchen && !holdForLater) printKitchenTickets(posOrder);
   return posOrder;
 };
 const markOrderDone = async (orderNo) => {
@@ -6676,63 +11461,344 @@ const ord = orders.find((o) => o.orderNo === orderNo);
     notifiedAt = new Date();
     openWhatsappNotification(ord, phoneDigits);
   }
+  const doneAt = new Date();
   // If not live, update locally
   if (!realtimeOrders) {
     setOrders((o) =>
       o.map((ordr) =>
         ordr.orderNo !== orderNo || ordr.done
           ? ordr
-          : { ...ordr, done: true, whatsappSentAt: notifiedAt || ordr.whatsappSentAt || null }
+          : { ...ordr, done: true, doneAt, whatsappSentAt: notifiedAt || ordr.whatsappSentAt || null }
       )
     );
   }
 
-  try {
-    if (!cloudEnabled || !ordersColRef || !fbUser) return;
-    let targetId = orders.find((o) => o.orderNo === orderNo)?.cloudId;
-    if (!targetId) {
-      const ss = await getDocs(query(ordersColRef, where("orderNo", "==", orderNo)));
-      if (!ss.empty) targetId = ss.docs[0].id;
-   }
-    if (targetId) {
-      const payload = {
-        done: true,
-        updatedAt: serverTimestamp(),
-      };
-      if (notifiedAt) {
-        payload.whatsappSentAt = toIso(notifiedAt);
-      }
-      await updateDoc(fsDoc(db, "shops", SHOP_ID, "orders", targetId), payload);
-    }
-  } catch (e) {
-    console.warn("Cloud update (done) failed:", e);
-   }
+  const payload = { done: true, doneAt: toIso(doneAt) };
+  if (notifiedAt) {
+    payload.whatsappSentAt = toIso(notifiedAt);
+  }
+  await pushOrderUpdateToCloud(ord || { orderNo }, payload, "done");
 };
-const markOnlineOrderDone = async (onlineOrder) => {
-  const posOrder = findPosOrderForOnline(onlineOrder) || (await integrateOnlineOrder(onlineOrder));
-  if (!posOrder) return;
-  await markOrderDone(posOrder.orderNo);
-  try {
-    await updateOnlineOrderDoc(onlineOrder, {
-      status: "completed",
-      posCompletedAt: serverTimestamp(),
-    });
-  } catch (err) {
+// ---------- Kitchen display (opened with ?view=kds) ----------
+const [screenNow, setScreenNow] = useState(() => Date.now());
+const [kdsRecallStack, setKdsRecallStack] = useState([]);
+// ---------- Customer status screen (opened with ?view=status) ----------
+const statusReadyMinutes = useMemo(() => {
+  const v = Number(new URLSearchParams(window.location.search).get("ready"));
+  return v > 0 ? v : STATUS_READY_MINUTES;
+}, []);
+const [statusChime, setStatusChime] = useState(
+  () => new URLSearchParams(window.location.search).get("chime") === "1"
+);
+const statusBoard = useMemo(
+  () => buildCustomerStatusBoard(orders, screenNow, statusReadyMinutes),
+  [orders, screenNow, statusReadyMinutes]
+);
+const prevReadyRef = useRef(null);
+useEffect(() => {
+  if (!statusMode) return;
+  const prev = prevReadyRef.current;
+  prevReadyRef.current = statusBoard.ready;
+  if (!prev || !statusChime) return;
+  if (statusBoard.ready.some((key) => !prev.includes(key))) playReadyChime();
+}, [statusMode, statusBoard, statusChime]);
+useEffect(() => {
+  if (!kdsMode && !statusMode) return;
+  const t = setInterval(() => setScreenNow(Date.now()), 15000);
+  return () => clearInterval(t);
+}, [kdsMode, statusMode]);
+const kdsTickets = useMemo(
+  () =>
+    orders
+      .filter((o) => !o.done && !o.voided && !isOrderHeld(o))
+      .sort((a, b) => +new Date(a.date) - +new Date(b.date)),
+  [orders]
+);
+const updateKdsItems = async (ord, kdsItems, extra = {}) => {
+  if (!realtimeOrders) {
+    setOrders((o) =>
+      o.map((x) => (x.orderNo === ord.orderNo ? { ...x, kdsItems, ...extra } : x))
+    );
+  }
+  await pushOrderUpdateToCloud(ord, { kdsItems, ...extra }, "kds");
+};
+const bumpKdsTicket = async (ord, items) => {
+  const at = new Date().toISOString();
+  const ready = (items || kdsItemsFor(ord)).map((it) =>
+    it.state === "ready" ? it : { state: "ready", startedAt: it.startedAt || at, readyAt: at }
+  );
+  await updateKdsItems(ord, ready);
+  setKdsRecallStack((st) => [...st.filter((n) => n !== ord.orderNo), ord.orderNo].slice(-10));
+  await markOrderDone(ord.orderNo);
+};
+const cycleKdsItem = async (ord, idx) => {
+  const items = kdsItemsFor(ord);
+  const next = setKdsItemState(items, idx, nextKdsItemState(items[idx]?.state));
+  if (allKdsItemsReady(next)) {
+    await bumpKdsTicket(ord, next);
+    return;
+  }
+  await updateKdsItems(ord, next);
+};
+// Re-opens the last ticket bumped from this screen; ready items go back to "started".
+const recallKdsTicket = async () => {
+  const orderNo = kdsRecallStack[kdsRecallStack.length - 1];
+  setKdsRecallStack((st) => st.slice(0, -1));
+  const ord = orders.find((o) => o.orderNo === orderNo);
+  if (!ord || ord.voided) return;
+  const items = kdsItemsFor(ord).map((it) => (it.state === "ready" ? { ...it, state: "started", readyAt: null } : it));
+  await updateKdsItems(ord, items, { done: false, doneAt: null });
+};
+// ---------- Pre-orders: release to the kitchen ----------
+const reservedInventory = useMemo(() => computeReservedInventory(orders), [orders]);
+const heldOrders = useMemo(
+  () =>
+    orders
+      .filter((o) => isOrderHeld(o))
+      .sort((a, b) => +new Date(a.scheduledFor) - +new Date(b.scheduledFor)),
+  [orders]
+);
+const releasingRef = useRef(new Set());
+// Why a pre-order can't be released from this till right now ("" when it can).
+// Only the till that claims the cloud order releases it, and that needs the cloud.
+const releaseHoldReason = (ord) => {
+  if (!cloudEnabled) return "";
+  if (!ordersColRef || !fbUser || isProbablyOffline())
+    return tr("This till is offline. The order goes to the kitchen and prints once the cloud is back.");
+  if (hasPendingOutboxFor(ord))
+    return tr("The order hasn't reached the cloud yet. It goes to the kitchen and prints once it syncs.");
+  return "";
+};
+const releaseScheduledOrder = async (ord) => {
+  if (!isOrderHeld(ord) || releasingRef.current.has(ord.orderNo)) return;
+  releasingRef.current.add(ord.orderNo);
+  try {
+    const releasedAt = new Date();
+    if (cloudEnabled) {
+      // only the till that claims the order doc deducts its stock; without the
+      // cloud the claim can't be made, so the next tick tries again (the Later
+      // lane shows the order as due but held meanwhile)
+      if (releaseHoldReason(ord)) return;
+      const targetId = await withTimeout(findCloudOrderId(ord));
+      if (!targetId) return;
+      const claim = await claimOrderRelease(db, fsDoc(db, "shops", SHOP_ID, "orders", targetId), releasedAt);
+      if (!claim.won) {
+        if (!realtimeOrders && claim.releasedAt) {
+          const at = new Date(claim.releasedAt);
+          setOrders((o) => o.map((x) => (x.orderNo === ord.orderNo ? { ...x, releasedAt: at } : x)));
+        }
+        return;
+      }
+    }
+    const required = computeInventoryRequirement(ord.cart || []);
+    setInventory((inv) =>
+      inv.map((it) => {
+        const need = Number(required[it.id] || 0);
+        return need ? withStockQty(it, Number((Number(it.qty || 0) - need).toFixed(4))) : it;
+      })
+    );
+    if (!realtimeOrders) {
+      setOrders((o) => o.map((x) => (x.orderNo === ord.orderNo ? { ...x, releasedAt } : x)));
+    }
+    if (autoPrintKitchen) printKitchenTickets(ord);
+  } catch (e) {
+    console.warn("Pre-order release failed, will retry:", e);
+  } finally {
+    releasingRef.current.delete(ord.orderNo);
+  }
+};
+const [releaseTick, setReleaseTick] = useState(0);
+useEffect(() => {
+  if (kdsMode || statusMode) return;
+  const t = setInterval(() => setReleaseTick((n) => n + 1), 30000);
+  return () => clearInterval(t);
+}, [kdsMode, statusMode]);
+// Only the till releases pre-orders (and deducts their stock), never the kitchen/status screens.
+useEffect(() => {
+  if (kdsMode || statusMode) return;
+  const now = Date.now();
+  for (const o of heldOrders) {
+    if (isDueForRelease(o, now, scheduleLeadMinutes)) releaseScheduledOrder(o);
+  }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+}, [heldOrders, scheduleLeadMinutes, releaseTick, kdsMode, statusMode]);
+// due pre-orders this till can't release yet, so staff see them instead of a silent wait
+const dueHeldOrders = displayOnly
+  ? []
+  : heldOrders.filter((o) => isDueForRelease(o, Date.now(), scheduleLeadMinutes) && releaseHoldReason(o));
+const markOnlineOrderDone = async (onlineOrder) => {
+  const posOrder = findPosOrderForOnline(onlineOrder) || (await integrateOnlineOrder(onlineOrder));
+  if (!posOrder) return;
+  await markOrderDone(posOrder.orderNo);
+  try {
+    await updateOnlineOrderDoc(onlineOrder, {
+      status: "completed",
+      posCompletedAt: serverTimestamp(),
+    });
+  } catch (err) {
     console.warn("Failed to update online order to completed", err);
   }
 };
+const printTransportsRef = useRef({ key: "", byPrinter: {} });
+const rawPrintTransport = (printer = "") => {
+  const key = `${rawPrinter.transport}|${rawPrinter.url}`;
+  if (printTransportsRef.current.key !== key) printTransportsRef.current = { key, byPrinter: {} };
+  const name = printer || rawPrinter.printer;
+  const cache = printTransportsRef.current.byPrinter;
+  if (!cache[name]) cache[name] = createPrintTransport({ ...rawPrinter, printer: name });
+  return cache[name];
+};
+const escPosLogoRef = useRef({ key: "", bytes: null });
+const escPosTextRasterizerRef = useRef(null);
+const escPosLogoFor = async (src, widthMm) => {
+  if (!src) return null;
+  const key = `${widthMm}|${src}`;
+  if (escPosLogoRef.current.key === key) return escPosLogoRef.current.bytes;
+  let bytes = null;
+  try {
+    bytes = await loadEscPosLogo(src, widthMm);
+  } catch (e) {
+    console.warn("Receipt logo could not be rasterized; printing without it.", e);
+  }
+  escPosLogoRef.current = { key, bytes };
+  return bytes;
+};
+const receiptStation = printStations.find((st) => st.kind === "receipt") || null;
+const markOrderPrinted = async (ord) => {
+  const printedAt = new Date();
+  if (!realtimeOrders) {
+    setOrders((o) => o.map((x) => (x.orderNo === ord.orderNo ? { ...x, printedAt } : x)));
+  }
+  await pushOrderUpdateToCloud(ord, { printedAt: toIso(printedAt) }, "printed");
+};
+// The first customer print is stamped on the order; later prints say REPRINT.
+const printOrderReceipt = async (order, { openDrawer = false } = {}) => {
+  const widthMm = Number(preferredPaperWidthMm) || 80;
+  const copy = order.printedAt ? "Reprint" : "Customer";
+  if (rawPrinter.mode !== "escpos") {
+    printReceiptHTML(order, widthMm, copy, receiptTemplate);
+  } else {
+    try {
+      const logo = rawPrinter.logo ? await escPosLogoFor(receiptTemplate.logo, widthMm) : null;
+      if (!escPosTextRasterizerRef.current) escPosTextRasterizerRef.current = createCanvasTextRasterizer();
+      await rawPrintTransport(receiptStation?.printer).send(
+        buildEscPosReceipt(order, {
+          widthMm,
+          logo,
+          openDrawer,
+          copy,
+          template: receiptTemplate,
+          rasterizeText: escPosTextRasterizerRef.current,
+        })
+      );
+    } catch (e) {
+      console.warn("Raw ESC/POS print failed, falling back to the browser dialog.", e);
+      printReceiptHTML(order, widthMm, copy, receiptTemplate);
+    }
+  }
+  // Test prints have no idemKey and are never tracked.
+  if (order.idemKey && !order.printedAt) await markOrderPrinted(order);
+};
+const printKitchenTickets = async (order, { reprint = false } = {}) => {
+  const widthMm = Number(preferredPaperWidthMm) || 80;
+  const tickets = routeKitchenTickets(order, printStations);
+  if (!tickets.length) {
+    if (reprint) alert(tr("None of these items are routed to a kitchen station. Set routing in Settings → Printer stations."));
+    return;
+  }
+  const copy = reprint ? "Kitchen copy" : "Kitchen";
+  for (const { station, lines } of tickets) {
+    const ticket = { ...order, cart: lines };
+    if (rawPrinter.mode !== "escpos") {
+      printKitchenTicketHTML(ticket, widthMm, { station, copy });
+      continue;
+    }
+    try {
+      await rawPrintTransport(station.printer).send(buildEscPosKitchenTicket(ticket, { widthMm, station, copy }));
+    } catch (e) {
+      console.warn(`Kitchen ticket for ${station.name} failed, falling back to the browser dialog.`, e);
+      printKitchenTicketHTML(ticket, widthMm, { station, copy });
+    }
+  }
+};
+const autoPrintKitchen = autoPrintOnCheckout && rawPrinter.mode === "escpos";
+const openCashDrawer = async () => {
+  try {
+    await rawPrintTransport(receiptStation?.printer).send(ESCPOS_DRAWER_KICK);
+  } catch (e) {
+    console.warn("Cash drawer kick failed", e);
+    alert(tr("Could not reach the print bridge: {0}", [e.message || e]));
+  }
+};
+const printTestReceipt = () =>
+  printOrderReceipt({
+    orderNo: "TEST",
+    date: new Date(),
+    worker: "Test",
+    payment: "Cash",
+    orderType: orderTypes[0] || "Take-Away",
+    cart: [{ name: "Test burger", price: 100, qty: 1, extras: [{ name: "Cheese", price: 15 }] }],
+    total: 115,
+  });
+const updateReceiptTemplate = (patch) =>
+  setReceiptTemplate((t) => normalizeReceiptTemplate({ ...t, ...patch }));
+const uploadReceiptLogo = async (field, file) => {
+  if (!file) return;
+  try {
+    updateReceiptTemplate({ [field]: await readLogoAsDataUrl(file) });
+  } catch (e) {
+    console.warn("Logo upload failed", e);
+    alert(tr("Could not read that image."));
+  }
+};
+const receiptPreviewHtml = useMemo(() => {
+  const type = receiptPreviewType || orderTypes[0] || "Take-Away";
+  return buildReceiptHTML(
+    {
+      orderNo: 1024,
+      date: new Date(),
+      worker: "Preview",
+      payment: "Cash",
+      paymentParts: [
+        { method: "Cash", amount: 100 },
+        { method: "Card", amount: 65 },
+      ],
+      orderType: type,
+      note: "Sample note",
+      deliveryName: "Customer",
+      deliveryPhone: "01000000000",
+      deliveryAddress: "Street, building, floor",
+      deliveryFee: type === "Delivery" ? 20 : 0,
+      cart: [
+        {
+          name: "Classic",
+          nameAr: "كلاسيك",
+          price: 100,
+          qty: 1,
+          extras: [{ name: "Cheese", nameAr: "جبنة", price: 15 }],
+        },
+        { name: "Fries", nameAr: "بطاطس", price: 50, qty: 1, extras: [] },
+      ],
+      cashReceived: 100,
+      changeDue: 0,
+    },
+    Number(preferredPaperWidthMm) || 80,
+    "Customer",
+    receiptTemplate
+  );
+}, [receiptTemplate, receiptPreviewType, orderTypes, preferredPaperWidthMm]);
 const printOnlineOrder = (onlineOrder) => {
   const posOrder = findPosOrderForOnline(onlineOrder);
   if (!posOrder) {
-    alert("Make the online order in POS before printing.");
+    alert(tr("Make the online order in POS before printing."));
     return;
   }
-  printReceiptHTML(posOrder, Number(preferredPaperWidthMm) || 80, "Customer");
+  printOrderReceipt(posOrder);
 };
 const voidOnlineOrderAndRestock = async (onlineOrder) => {
   const posOrder = findPosOrderForOnline(onlineOrder);
   if (!posOrder) {
-    alert("Make the online order in POS before cancelling.");
+    alert(tr("Make the online order in POS before cancelling."));
     return;
   }
   await voidOrderAndRestock(posOrder.orderNo);
@@ -6748,7 +11814,7 @@ const voidOnlineOrderAndRestock = async (onlineOrder) => {
 const voidOnlineOrderToExpense = async (onlineOrder) => {
   const posOrder = findPosOrderForOnline(onlineOrder);
   if (!posOrder) {
-    alert("Make the online order in POS before returning it.");
+    alert(tr("Make the online order in POS before returning it."));
     return;
   }
   await voidOrderToExpense(posOrder.orderNo);
@@ -6764,18 +11830,19 @@ const voidOnlineOrderToExpense = async (onlineOrder) => {
 const voidOrderAndRestock = async (orderNo) => {
   const ord = orders.find((o) => o.orderNo === orderNo);
   if (!ord) return;
-  if (ord.done) return alert("This order is DONE and cannot be cancelled.");
-  if (ord.voided) return alert("This order is already cancelled/returned.");
+  if (ord.done) return alert(tr("This order is DONE and cannot be cancelled."));
+  if (ord.voided) return alert(tr("This order is already cancelled/returned."));
 
-  const reasonRaw = window.prompt(
-    `Reason for CANCEL (restock) — order #${orderNo}:`,
-    ""
-  );
+  const who = await requirePermission("void");
+  if (!who) return;
+  const reasonRaw = await askReason(tr("Reason for CANCEL (restock) — order #{0}:", [orderNo]), VOID_REASONS);
   const reason = String(reasonRaw || "").trim();
-  if (!reason) return alert("A reason is required.");
-  if (!window.confirm(`Cancel order #${orderNo} and restock inventory?`)) return;
+  if (!reason) return;
+  const held = isOrderHeld(ord);
+  if (!(await askConfirm(held ? tr("Cancel pre-order #{0}? Its reserved stock is freed.", [orderNo]) : tr("Cancel order #{0} and restock inventory?", [orderNo])))) return;
   const giveBack = {};
-  for (const line of ord.cart) {
+  // a held pre-order never left the shelf, so there is nothing to put back
+  for (const line of held ? [] : ord.cart) {
     const uses = line.uses || {};
     for (const k of Object.keys(uses)) {
       giveBack[k] = (giveBack[k] || 0) + (uses[k] || 0);
@@ -6784,62 +11851,47 @@ const voidOrderAndRestock = async (orderNo) => {
   setInventory((inv) =>
     inv.map((it) => {
       const back = giveBack[it.id] || 0;
-      return back ? { ...it, qty: it.qty + back } : it;
+      return back ? withStockAdded(it, back) : it;
     })
   );
 
   const when = new Date();
+  recordAudit(who, "order.cancel", `#${orderNo}`, { voided: false, total: Number(ord.total || 0) }, { voided: true, restocked: !held }, reason);
   if (!realtimeOrders) {
     setOrders((o) =>
       o.map((x) =>
         x.orderNo === orderNo
-          ? { ...x, voided: true, restockedAt: when, voidReason: reason }
+          ? { ...x, voided: true, restockedAt: when, voidReason: reason, voidedBy: who.name }
           : x
       )
     );
   }
 
-  try {
-    if (!cloudEnabled || !ordersColRef || !fbUser) return;
-    let targetId = ord.cloudId;
-    if (!targetId) {
-      const ss = await getDocs(query(ordersColRef, where("orderNo", "==", orderNo)));
-      if (!ss.empty) targetId = ss.docs[0].id;
-    }
-    if (targetId) {
-      await updateDoc(fsDoc(db, "shops", SHOP_ID, "orders", targetId), {
-        voided: true,
-        voidReason: reason,
-        restockedAt: toIso(when),
-        updatedAt: serverTimestamp(),
-      });
-    }
-  } catch (e) {
-    console.warn("Cloud update (cancel/restock) failed:", e);
-  }
+  await pushOrderUpdateToCloud(
+    ord,
+    { voided: true, voidReason: reason, voidedBy: who.name, restockedAt: toIso(when) },
+    "cancel/restock"
+  );
 };
 const voidOrderToExpense = async (orderNo) => {
   const ord = orders.find((o) => o.orderNo === orderNo);
   if (!ord) return;
-  if (ord.done) return alert("This order is DONE and cannot be voided.");
-  if (ord.voided) return alert("This order is already voided.");
+  if (ord.done) return alert(tr("This order is DONE and cannot be voided."));
+  if (ord.voided) return alert(tr("This order is already voided."));
   if (!isExpenseVoidEligible(ord.orderType)) {
-    return alert("This action is only for non Dine-in / Take-Away orders.");
+    return alert(tr("This action is only for non Dine-in / Take-Away orders."));
   }
-  const reasonRaw = window.prompt(
-    `Reason for RETURN (no restock) — order #${orderNo}:`,
-    ""
-  );
+  const who = await requirePermission("void");
+  if (!who) return;
+  const reasonRaw = await askReason(tr("Reason for RETURN (no restock) — order #{0}:", [orderNo]), RETURN_REASONS);
   const reason = String(reasonRaw || "").trim();
-  if (!reason) return alert("A reason is required.");
+  if (!reason) return;
 
   const itemsOnly = ord.itemsTotal != null
     ? Number(ord.itemsTotal || 0)
     : Math.max(0, Number(ord.total || 0) - Number(ord.deliveryFee || 0));
 
-  const ok = window.confirm(
-    `Void order #${orderNo} WITHOUT restock and add expense for wasted items (E£${itemsOnly.toFixed(2)})?`
-  );
+  const ok = await askConfirm(tr("Void order #{0} WITHOUT restock and add expense for wasted items (E£{1})?", [orderNo, itemsOnly.toFixed(2)]));
   if (!ok) return;
   const expRow = {
     id: `exp_ret_${orderNo}_${Date.now()}`,
@@ -6854,34 +11906,150 @@ const voidOrderToExpense = async (orderNo) => {
     orderNo,
   };
   setExpenses((arr) => [expRow, ...arr]);
+  recordAudit(who, "order.return", `#${orderNo}`, { voided: false, total: Number(ord.total || 0) }, { voided: true, expense: itemsOnly }, reason);
   if (!realtimeOrders) {
     setOrders((o) =>
       o.map((x) =>
         x.orderNo === orderNo
-          ? { ...x, voided: true, restockedAt: undefined, voidReason: reason }
+          ? { ...x, voided: true, restockedAt: undefined, voidReason: reason, voidedBy: who.name }
           : x
       )
     );
   }
 
-  try {
-    if (cloudEnabled && ordersColRef && fbUser) {
-      let targetId = ord.cloudId;
-      if (!targetId) {
-        const ss = await getDocs(query(ordersColRef, where("orderNo", "==", orderNo)));
-        if (!ss.empty) targetId = ss.docs[0].id;
-      }
-      if (targetId) {
-        await updateDoc(fsDoc(db, "shops", SHOP_ID, "orders", targetId), {
-          voided: true,
-          voidReason: reason,
-          updatedAt: serverTimestamp(),
-        });
-      }
+  await pushOrderUpdateToCloud(ord, { voided: true, voidReason: reason, voidedBy: who.name }, "void→expense");
+};
+// Partial refund / item return on a DONE order
+const [refundDraft, setRefundDraft] = useState(null);
+const openRefund = (orderNo) => {
+  const ord = orders.find((o) => o.orderNo === orderNo);
+  if (!ord) return;
+  if (!ord.done) return alert(tr("Only DONE orders can be refunded. Cancel the order instead."));
+  if (ord.voided) return alert(tr("This order is already cancelled/returned."));
+  const already = refundedQtyByLine(ord);
+  const lines = (ord.cart || []).map((line, idx) => ({
+    lineIndex: idx,
+    name: line.name,
+    maxQty: Math.max(0, Number(line.qty || 1) - Number(already[idx] || 0)),
+    unitPrice: lineRefundUnitPrice(ord, idx),
+    qty: 0,
+    restock: true,
+  }));
+  if (!lines.some((l) => l.maxQty > 0)) return alert(tr("Everything on this order has already been refunded."));
+  const firstMethod =
+    (Array.isArray(ord.paymentParts) && ord.paymentParts[0]?.method) ||
+    (paymentMethods.includes(ord.payment) ? ord.payment : paymentMethods[0]) ||
+    "Cash";
+  setRefundDraft({
+    orderNo,
+    lines,
+    reason: "",
+    parts: [{ method: firstMethod, amount: 0 }],
+  });
+};
+const refundDraftTotal = refundDraft
+  ? Number(
+      refundDraft.lines
+        .reduce((s, l) => s + Number(l.qty || 0) * Number(l.unitPrice || 0), 0)
+        .toFixed(2)
+    )
+  : 0;
+const updateRefundLine = (lineIndex, patch) =>
+  setRefundDraft((d) =>
+    d ? { ...d, lines: d.lines.map((l) => (l.lineIndex === lineIndex ? { ...l, ...patch } : l)) } : d
+  );
+const updateRefundPart = (idx, patch) =>
+  setRefundDraft((d) =>
+    d ? { ...d, parts: d.parts.map((p, i) => (i === idx ? { ...p, ...patch } : p)) } : d
+  );
+const confirmRefund = async () => {
+  if (!refundDraft) return;
+  const ord = orders.find((o) => o.orderNo === refundDraft.orderNo);
+  if (!ord || !ord.done || ord.voided) {
+    setRefundDraft(null);
+    return alert(tr("This order can no longer be refunded."));
+  }
+  const lines = refundDraft.lines
+    .map((l) => ({ ...l, qty: Math.min(l.maxQty, Math.floor(Number(l.qty || 0))) }))
+    .filter((l) => l.qty > 0)
+    .map((l) => ({
+      lineIndex: l.lineIndex,
+      name: l.name,
+      qty: l.qty,
+      amount: Number((l.qty * l.unitPrice).toFixed(2)),
+      restock: !!l.restock,
+    }));
+  if (!lines.length) return alert(tr("Choose at least one item to refund."));
+  const reason = norm(refundDraft.reason);
+  if (!reason) return alert(tr("A reason is required."));
+  const amount = Number(lines.reduce((s, l) => s + l.amount, 0).toFixed(2));
+  const parts =
+    refundDraft.parts.length === 1
+      ? collapseTenderParts([{ method: refundDraft.parts[0].method, amount }])
+      : collapseTenderParts(refundDraft.parts);
+  if (amount > 0 && tenderRemaining(parts, amount) !== 0) {
+    return alert(tr("Refund methods must add up to E£{0}.", [amount.toFixed(2)]));
+  }
+  const who = await requirePermission("refund");
+  if (!who) return;
+
+  const giveBack = {};
+  for (const l of lines) {
+    if (!l.restock) continue;
+    const line = ord.cart[l.lineIndex] || {};
+    const perUnit = multiplyUses(line.uses || {}, 1 / Math.max(1, Number(line.qty || 1)));
+    for (const k of Object.keys(perUnit)) {
+      giveBack[k] = (giveBack[k] || 0) + Number(perUnit[k] || 0) * l.qty;
     }
-  } catch (e) {
-    console.warn("Cloud update (void→expense) failed:", e);
   }
+  // items not put back stay out of stock, so their cost goes to the waste log
+  for (const l of lines) {
+    if (l.restock) continue;
+    const line = ord.cart[l.lineIndex] || {};
+    const perUnit = multiplyUses(line.uses || {}, 1 / Math.max(1, Number(line.qty || 1)));
+    const wasted = wasteLinesForUses(multiplyUses(perUnit, l.qty), inventory);
+    if (!wasted.length) continue;
+    recordWaste(
+      { kind: "refund", id: `${ord.orderNo}:${l.lineIndex}`, name: l.name },
+      l.qty,
+      "returned",
+      `Order #${ord.orderNo}: ${reason}`,
+      wasted,
+      who.name
+    );
+  }
+  if (Object.keys(giveBack).length) {
+    setInventory((inv) =>
+      inv.map((it) => {
+        const back = giveBack[it.id] || 0;
+        return back ? withStockAdded(it, back) : it;
+      })
+    );
+  }
+
+  const refund = {
+    id: `rf_${ord.orderNo}_${Date.now()}`,
+    at: new Date().toISOString(),
+    by: who.name,
+    reason,
+    amount,
+    lines,
+    paymentParts: parts,
+  };
+  const refunds = [...(ord.refunds || []), refund];
+  const refundTotal = orderRefundTotal({ refunds });
+  if (!realtimeOrders) {
+    setOrders((o) =>
+      o.map((x) => (x.orderNo === ord.orderNo ? { ...x, refunds, refundTotal } : x))
+    );
+  }
+  setRefundDraft(null);
+  recordAudit(who, "order.refund", `#${ord.orderNo}`, { refundTotal: Number(ord.refundTotal || 0) }, {
+    refundTotal,
+    amount,
+    items: lines.map((l) => `${l.qty}× ${l.name}`).join(", "),
+  }, reason);
+  await pushOrderUpdateToCloud(ord, { refunds, refundTotal }, "refund");
 };
 
 
@@ -6904,16 +12072,15 @@ const voidOrderToExpense = async (orderNo) => {
   }, [reportFilter, reportDay, reportMonth, dayMeta]);
 
 
-  const resetReports = () => {
-    const adminNum = promptAdminAndPin();
-    if (!adminNum) return;
+  const resetReports = async () => {
+    const who = await requirePermission("resetData");
+    if (!who) return;
     if (
-      !window.confirm(
-        `Admin ${adminNum}: Reset ALL locally saved report data and filters? This cannot be undone.`
-      )
+      !(await askConfirm(tr("{0}: Reset ALL locally saved report data and filters? This cannot be undone.", [who.name])))
     ) {
       return;
     }
+    recordAudit(who, "reports.reset", "Reports");
 
     const now = new Date();
     const isoDay = now.toISOString().slice(0, 10);
@@ -6938,7 +12105,7 @@ const voidOrderToExpense = async (orderNo) => {
       historicalPurchases: [],
     });
 
-    alert("Report history and filters have been reset.");
+    notify(tr("Report history and filters have been reset."));
   };
 
 const computeProfitBuckets = useCallback(
@@ -7003,19 +12170,24 @@ const computeProfitBuckets = useCallback(
       // and historical orders, NOT pending online orders.
       const allOrders = mergeRows(orders, historicalOrders);
       
-      for (const order of allOrders) {
-        if (!order || order.voided) continue;
-        const when = toDate(order.date);
-        if (!when || !inRange(when)) continue;
-        const itemsOnly = Number(
-          order.itemsTotal != null
-            ? order.itemsTotal
-            : (order.total || 0) - (order.deliveryFee || 0)
-        );
-        if (!Number.isFinite(itemsOnly)) continue;
-        const bucket = ensureBucket(when);
-        bucket.revenue += itemsOnly;
-      }
+      for (const order of allOrders) {
+        if (!order || order.voided) continue;
+        // refunds are negative revenue on the day they were paid out
+        for (const r of order.refunds || []) {
+          const at = toDate(r?.at);
+          if (at && inRange(at)) ensureBucket(at).revenue -= Number(r.amount || 0);
+        }
+        const when = toDate(order.date);
+        if (!when || !inRange(when)) continue;
+        const itemsOnly = Number(
+          order.itemsTotal != null
+            ? order.itemsTotal
+            : (order.total || 0) - (order.deliveryFee || 0)
+        );
+        if (!Number.isFinite(itemsOnly)) continue;
+        const bucket = ensureBucket(when);
+        bucket.revenue += itemsOnly;
+      }
 
       for (const purchase of mergeRows(purchases, historicalPurchases)) {
         const when = toDate(purchase?.date);
@@ -7145,7 +12317,9 @@ const totals = useMemo(() => {
       const { byPay, byType } = makeEmptyMaps();
       return {
         revenueTotal: 0,
-        deliveryFeesTotal: 0,
+        deliveryFeesTotal: 0,
+        discountsTotal: 0,
+        refundsTotal: 0,
         expensesTotal: 0,
         purchasesTotal: 0,
         margin: 0,
@@ -7160,7 +12334,9 @@ const totals = useMemo(() => {
       const { byPay, byType } = makeEmptyMaps();
       return {
         revenueTotal: 0,
-        deliveryFeesTotal: 0,
+        deliveryFeesTotal: 0,
+        discountsTotal: 0,
+        refundsTotal: 0,
         expensesTotal: 0,
         purchasesTotal: 0,
         margin: 0,
@@ -7211,10 +12387,30 @@ const totals = useMemo(() => {
       0
     );
 
-    const deliveryFeesTotal = filteredOrders.reduce(
-      (sum, order) => sum + Number(order.deliveryFee || 0),
-      0
-    );
+    const deliveryFeesTotal = filteredOrders.reduce(
+      (sum, order) => sum + Number(order.deliveryFee || 0),
+      0
+    );
+
+    // revenue is already net of discounts; this is shown so the give-aways are visible
+    const discountsTotal = filteredOrders.reduce(
+      (sum, order) => sum + Number(order.discountTotal || 0),
+      0
+    );
+
+    // refunds count against the period they were paid out in, whatever the order date
+    const refundRows = [];
+    for (const order of mergeRows(orders, historicalOrders)) {
+      if (!order || order.voided) continue;
+      for (const r of order.refunds || []) {
+        const at = toDate(r?.at);
+        if (at && at >= start && at <= end) refundRows.push({ order, refund: r });
+      }
+    }
+    const refundsTotal = refundRows.reduce(
+      (sum, { refund }) => sum + Number(refund.amount || 0),
+      0
+    );
 
     const { byPay, byType } = makeEmptyMaps();
 
@@ -7243,10 +12439,21 @@ const totals = useMemo(() => {
         byPay[method] += itemsOnly;
       }
 
-      const typeKey = order.orderType || "";
-      if (byType[typeKey] == null) byType[typeKey] = 0;
-      byType[typeKey] += itemsOnly;
-    }
+      const typeKey = order.orderType || "";
+      if (byType[typeKey] == null) byType[typeKey] = 0;
+      byType[typeKey] += itemsOnly;
+    }
+
+    for (const { order, refund } of refundRows) {
+      for (const part of refund.paymentParts || []) {
+        const method = part.method || "Unknown";
+        if (byPay[method] == null) byPay[method] = 0;
+        byPay[method] -= Number(part.amount || 0);
+      }
+      const typeKey = order.orderType || "";
+      if (byType[typeKey] == null) byType[typeKey] = 0;
+      byType[typeKey] -= Number(refund.amount || 0);
+    }
 
     const filteredPurchases = mergeRows(
       purchases,
@@ -7276,12 +12483,15 @@ const totals = useMemo(() => {
       0
     );
 
-    const margin = revenueTotal - purchasesTotal - expensesTotal;
+    const netRevenue = revenueTotal - refundsTotal;
+    const margin = netRevenue - purchasesTotal - expensesTotal;
 
-    return {
-      revenueTotal,
-      deliveryFeesTotal,
-      expensesTotal,
+    return {
+      revenueTotal: netRevenue,
+      deliveryFeesTotal,
+      discountsTotal,
+      refundsTotal,
+      expensesTotal,
       purchasesTotal,
       margin,
       byPay,
@@ -7315,8 +12525,9 @@ const totals = useMemo(() => {
       if (o.voided) continue;
       for (const line of o.cart || []) {
         const q = Number(line.qty || 1);
-        const base = Number(line.price || 0);
-        add(itemMap, line.id, line.name, q, base * q);
+        // meals count as their components at the allocated share of the price
+        for (const part of expandBundleLines([line]))
+          add(itemMap, part.id, part.name, q, Number(part.price || 0) * q);
         for (const ex of line.extras || [])
           add(extraMap, ex.id, ex.name, q, Number(ex.price || 0) * q);
       }
@@ -7496,10 +12707,10 @@ function inferInvUnitFromPurchaseUnit(u) {
 }
 
 const handleAddPurchase = () => {
-  const { categoryId, itemName, unit, qty, unitPrice, date, ingredientId } = newPurchase;
+  const { categoryId, itemName, unit, qty, unitPrice, date, ingredientId, expiresAt } = newPurchase;
   const nameStr = String(itemName || "").trim();
   if (!categoryId || !nameStr) {
-    alert("Choose a category and enter an item name.");
+    alert(tr("Choose a category and enter an item name."));
     return;
   }
   let targetInvId =
@@ -7538,9 +12749,10 @@ const handleAddPurchase = () => {
     );
   } else {
     alert(
-      `Purchase saved, but units incompatible (${unit} vs ${invItem?.unit}). Update the inventory unit first.`
+      tr("Purchase saved, but units incompatible ({0} vs {1}). Update the inventory unit first.", [unit, invItem?.unit])
     );
   }
+const purchaseId = `p_${Date.now()}`;
 const targetItem = nextInventory.find(it => it.id === targetInvId);
 if (targetItem) {
   const cpu = unitPriceToInventoryCost(Number(unitPrice || 0), unit, targetItem.unit);
@@ -7549,10 +12761,24 @@ if (targetItem) {
       it.id === targetInvId ? { ...it, costPerUnit: Number(cpu.toFixed(4)) } : it
     );
   }
+  // every purchase that reached stock becomes a lot
+  const received = Number(targetItem.qty || 0) - Number(invItem?.qty || 0);
+  if (received > 0) {
+    const lot = {
+      id: purchaseId,
+      receivedAt: toIso(date ? new Date(`${date}T${new Date().toTimeString().slice(0, 8)}`) : new Date()),
+      expiresAt: expiresAt || null,
+      qty: received,
+      unitCost: cpu != null ? Number(cpu.toFixed(4)) : Number(targetItem.costPerUnit || 0),
+    };
+    nextInventory = nextInventory.map(it =>
+      it.id === targetInvId ? { ...it, lots: [...(it.lots || []), lot] } : it
+    );
+  }
 }
   setInventory(nextInventory);
   const row = {
-    id: `p_${Date.now()}`,
+    id: purchaseId,
     categoryId,
     itemName: nameStr,
     unit: String(unit || "piece").toLowerCase(),
@@ -7572,11 +12798,12 @@ if (targetItem) {
     date: new Date().toISOString().slice(0, 10),
     ingredientId: "",
     invId: "",
+    expiresAt: "",
   });
 };
   const addPurchaseCategory = () => {
   const nm = String(newCategoryName || "").trim();
-  if (!nm) return alert("Enter category name");
+  if (!nm) return alert(tr("Enter category name"));
   const id = ensureInvIdUnique(slug(nm), purchaseCategories); // reuse your helpers
   setPurchaseCategories(list => [
     ...list,
@@ -7585,17 +12812,21 @@ if (targetItem) {
   setNewCategoryName("");
   setNewCategoryUnit("piece");
 };
-const resetAllPurchases = () => {
-  const okAdmin = !!promptAdminAndPin();
-  if (!okAdmin) return;
-  if (!window.confirm("Reset ALL purchases (cannot be undone)?")) return;
+const resetAllPurchases = async () => {
+  const who = await requirePermission("resetData");
+  if (!who) return;
+  if (!(await askConfirm(tr("Reset ALL purchases (cannot be undone)?")))) return;
+  recordAudit(who, "purchases.reset", "Purchases", {
+    count: purchases.length,
+    total: Number(purchases.reduce((s, p) => s + Number(p.qty || 0) * Number(p.unitPrice || 0), 0).toFixed(2)),
+  }, { count: 0, total: 0 });
   setPurchases([]);
   setPurchaseCatFilterId("");
 };
-const removePurchaseCategory = (catId) => {
+const removePurchaseCategory = async (catId) => {
   const cat = purchaseCategories.find(c => c.id === catId);
   const name = cat?.name || "(unknown)";
-  if (!window.confirm(`Delete category "${name}" and ALL its purchases? This cannot be undone.`)) return;
+  if (!(await askConfirm(tr("Delete category \"{0}\" and ALL its purchases? This cannot be undone.", [name])))) return;
   setPurchaseCategories(list => list.filter(c => c.id !== catId));
   setPurchases(list => list.filter(p => p.categoryId !== catId));
   setPurchaseCatFilterId(prev => (prev === catId ? "" : prev));
@@ -7608,7 +12839,7 @@ const removeExpense = (id) => {
     const row = arr.find((e) => e.id === id);
     if (!row) return arr;
     if (isExpenseLocked(row)) {
-      alert("This expense is linked to a returned order and cannot be removed.");
+      alert(tr("This expense is linked to a returned order and cannot be removed."));
       return arr; // block deletion
     }
     return arr.filter((e) => e.id !== id);
@@ -7620,6 +12851,12 @@ const removeExpense = (id) => {
 
 
   // --------------------------- PDF: REPORT ---------------------------
+  // Report rows only keep the name, so the Arabic name comes from the catalog.
+  const pdfItemName = (catalog, name) => {
+    const def = (catalog || []).find((x) => x.name === name);
+    const { primary, secondary } = receiptItemName(def || { name }, receiptTemplate.language);
+    return secondary ? `${primary} / ${secondary}` : primary;
+  };
   const generatePDF = (silent = false, metaOverride = null) => {
     try {
       const m = metaOverride || dayMeta;
@@ -7680,6 +12917,8 @@ const endedStr   = m.endedAt   ? fmtDateTime(m.endedAt)   : "—";
 
      const totalsBody = [
         ["Revenue (Shift, excl. delivery)", totals.revenueTotal.toFixed(2)],
+        ["Discounts (already deducted from revenue)", totals.discountsTotal.toFixed(2)],
+        ["Refunds (already deducted from revenue)", totals.refundsTotal.toFixed(2)],
         ["Delivery Fees (not in revenue)", totals.deliveryFeesTotal.toFixed(2)],
         ["Purchases (Shift)", totals.purchasesTotal.toFixed(2)],
         ["Expenses (Shift)", totals.expensesTotal.toFixed(2)],
@@ -7730,18 +12969,20 @@ const endedStr   = m.endedAt   ? fmtDateTime(m.endedAt)   : "—";
       doc.text("Items — Times Ordered", 14, y);
       autoTable(doc, {
         head: [["Item", "Times", "Revenue (E£)"]],
-        body: salesStats.items.map((r) => [r.name, String(r.count), r.revenue.toFixed(2)]),
+        body: salesStats.items.map((r) => [pdfItemName(menu, r.name), String(r.count), r.revenue.toFixed(2)]),
         startY: y + 4,
         theme: "grid",
+        ...pdfArabicCellHooks(),
       });
 
       y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 8 : y + 40;
       doc.text("Extras — Times Ordered", 14, y);
       autoTable(doc, {
         head: [["Extra", "Times", "Revenue (E£)"]],
-        body: salesStats.extras.map((r) => [r.name, String(r.count), r.revenue.toFixed(2)]),
+        body: salesStats.extras.map((r) => [pdfItemName(extraList, r.name), String(r.count), r.revenue.toFixed(2)]),
         startY: y + 4,
         theme: "grid",
+        ...pdfArabicCellHooks(),
       });
 
       y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 8 : y + 40;
@@ -7787,18 +13028,94 @@ const endedStr   = m.endedAt   ? fmtDateTime(m.endedAt)   : "—";
         styles: { fontSize: 9 },
       });
 
+      const shiftWaste = wasteSummary(
+        wasteLog,
+        m.startedAt ? new Date(m.startedAt) : new Date(0),
+        m.endedAt ? new Date(m.endedAt) : new Date()
+      );
+      y = doc.lastAutoTable ? doc.lastAutoTable.finalY + 8 : y + 40;
+      doc.text(`Waste (Shift) — E£${shiftWaste.cost.toFixed(2)} at cost`, 14, y);
+      autoTable(doc, {
+        head: [["When", "Item", "Qty", "Reason", "By", "Cost (E£)"]],
+        body: shiftWaste.entries.length
+          ? shiftWaste.entries.map((w) => [
+              fmtDateTime(w.at),
+              w.note ? `${w.source?.name || ""} — ${w.note}` : w.source?.name || "",
+              String(w.qty),
+              WASTE_REASONS.find((r) => r.id === w.reason)?.label || w.reason,
+              w.by || "",
+              Number(w.cost || 0).toFixed(2),
+            ])
+          : [["—", "No waste logged", "", "", "", "0.00"]],
+        startY: y + 4,
+        theme: "grid",
+        styles: { fontSize: 9 },
+      });
+
       setDayMeta((d) => ({ ...d, lastReportAt: new Date() }));
       doc.save("tux_shift_report.pdf");
-      if (!silent) alert("PDF downloaded.");
+      if (!silent) alert(tr("PDF downloaded."));
     } catch (err) {
       console.error(err);
-      alert("Could not generate PDF. Try again (ensure pop-ups are allowed).");
+      alert(tr("Could not generate PDF. Try again (ensure pop-ups are allowed)."));
     }
   };
 
   // ---------- helpers for Edit (reorder + consumption toggles) ----------
   const [openMenuConsId, setOpenMenuConsId] = useState(null);
   const [openExtraConsId, setOpenExtraConsId] = useState(null);
+  const [openMenuModsId, setOpenMenuModsId] = useState(null);
+  const [openMenuBundleId, setOpenMenuBundleId] = useState(null);
+  const updateBundleSlots = (itemId, fn) =>
+    setMenu((arr) =>
+      arr.map((x) =>
+        x.id === itemId
+          ? { ...x, bundleSlots: fn(Array.isArray(x.bundleSlots) ? x.bundleSlots : []) }
+          : x
+      )
+    );
+  const updateBundleSlot = (itemId, slotId, patch) =>
+    updateBundleSlots(itemId, (slots) => slots.map((sl) => (sl.id === slotId ? { ...sl, ...patch } : sl)));
+  const [openModOptionKey, setOpenModOptionKey] = useState(null);
+  const updateModifierGroups = (itemId, fn) =>
+    setMenu((arr) =>
+      arr.map((x) =>
+        x.id === itemId
+          ? { ...x, modifierGroups: fn(Array.isArray(x.modifierGroups) ? x.modifierGroups : []) }
+          : x
+      )
+    );
+  const updateModifierGroup = (itemId, groupId, patch) =>
+    updateModifierGroups(itemId, (groups) =>
+      groups.map((g) => (g.id === groupId ? { ...g, ...patch } : g))
+    );
+  const updateModifierOption = (itemId, groupId, optionId, fn) =>
+    updateModifierGroups(itemId, (groups) =>
+      groups.map((g) =>
+        g.id === groupId
+          ? { ...g, options: (g.options || []).map((o) => (o.id === optionId ? fn(o) : o)) }
+          : g
+      )
+    );
+  const addModifierGroup = (itemId) =>
+    updateModifierGroups(itemId, (groups) => [
+      ...groups,
+      { id: `mg_${Date.now().toString(36)}`, name: "New group", min: 0, max: 1, options: [] },
+    ]);
+  const addModifierOption = (itemId, groupId) =>
+    updateModifierGroups(itemId, (groups) =>
+      groups.map((g) =>
+        g.id === groupId
+          ? {
+              ...g,
+              options: [
+                ...(g.options || []),
+                { id: `mo_${Date.now().toString(36)}`, name: "Option", priceDelta: 0, uses: {}, isDefault: false },
+              ],
+            }
+          : g
+      )
+    );
   const moveByIndex = (arr, idx, dir) => {
     const ni = idx + dir;
     if (ni < 0 || ni >= arr.length) return arr;
@@ -7846,19 +13163,23 @@ const endedStr   = m.endedAt   ? fmtDateTime(m.endedAt)   : "—";
     transition: "background 0.2s ease, color 0.2s ease",
   };
 
-const handleTabClick = (key) => {
+const handleTabClick = async (key) => {
   if (key === "admin") {
-    if (!adminUnlocked) {
-      const ok = !!promptAdminAndPin(); // uses your existing Admin PINs (1..6)
-      if (!ok) return;                  // stay on current tab if PIN fails/cancelled
-      setAdminUnlocked(true);
+    if (!adminUser) {
+      const who = await requirePermission("admin", tr("Admin PIN required"));
+      if (!who) return;                  // stay on current tab if PIN fails/cancelled
+      setAdminUser(who);
     }
   }
   setActiveTab(key);
 };
 
-const handleAdminSubTabClick = (sub) => {
-  setAdminSubTab(sub); // no PIN checks here anymore
+// Sub tabs the signed-in admin's role doesn't cover ask for another PIN.
+const ADMIN_SUBTAB_PERMISSIONS = { reports: "viewReports", audit: "viewAudit", edit: "priceEdit" };
+const handleAdminSubTabClick = async (sub) => {
+  const permission = ADMIN_SUBTAB_PERMISSIONS[sub];
+  if (permission && !adminCan(permission) && !(await requirePermission(permission))) return;
+  setAdminSubTab(sub);
 };
 
 
@@ -7872,7 +13193,7 @@ const handleAdminSubTabClick = (sub) => {
     }, 0);
   }, [bankTx]);
   // Money formatter for Purchases KPI & tables
-const currency = (v) => `E£${Number(v || 0).toFixed(2)}`;
+const currency = (v) => uiMoney(v);
 
 // Date -> YYYY-MM-DD for Purchases tables
 // Date -> dd/mm/yy for Purchases tables
@@ -7888,7 +13209,7 @@ const generatePurchasesPDF = () => {
     doc.text(title, 14, 12);
 
     const periodStr =
-      `${start.toLocaleDateString()} → ${end.toLocaleDateString()}`;
+      `${fmtDate(start)} → ${fmtDate(end)}`;
 
     // Build filtered rows just like the UI
     const within = (purchases || []).filter((p) => {
@@ -7954,7 +13275,7 @@ const generatePurchasesPDF = () => {
         const total = Number(p.qty || 0) * Number(p.unitPrice || 0);
         const d = p?.date instanceof Date ? p.date : new Date(p?.date);
         return [
-          d.toLocaleDateString(),
+          fmtDate(d),
           catName,
           p.itemName || "",
           String(p.unit || ""),
@@ -7973,58 +13294,252 @@ const generatePurchasesPDF = () => {
     });
 
     doc.save("tux_purchases_report.pdf");
-    alert("Purchases PDF downloaded.");
+    alert(tr("Purchases PDF downloaded."));
   } catch (e) {
     console.error(e);
-    alert("Could not generate Purchases PDF. Ensure pop-ups are allowed.");
+    alert(tr("Could not generate Purchases PDF. Ensure pop-ups are allowed."));
   }
 };
 
 
   /* --------------------------- UI --------------------------- */
 
-  return (
-    <div style={containerStyle}>
-   {/* Header */}
-<div
-  style={{
-    display: "flex",
-    justifyContent: "space-between",
-    alignItems: "center",
-    marginBottom: 8,
-    gap: 8,
-    flexWrap: "wrap",
-  }}
->
-  <h1 style={{ margin: 0 }}>🍔 TUX — Burger Truck POS</h1>
+  if (statusMode) {
+    const numberTile = (key, ready) => (
+      <div
+        key={key}
+        style={{
+          padding: "14px 10px",
+          borderRadius: 12,
+          textAlign: "center",
+          fontSize: 40,
+          fontWeight: 800,
+          background: ready ? "#1b5e20" : "#263238",
+          color: "#fff",
+        }}
+      >
+        {key}
+      </div>
+    );
+    return (
+      <div style={{ minHeight: "100vh", background: "#000", color: "#fff", padding: 16, display: "flex", flexDirection: "column" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 16 }}>
+          <h1 style={{ margin: 0, fontSize: 32 }}>{tr("🍔 TUX")}</h1>
+          <div style={{ marginInlineStart: "auto", display: "flex", gap: 8, opacity: 0.6 }}>
+            <button
+              onClick={() => {
+                if (!statusChime) playReadyChime(); // also unlocks audio on this screen
+                setStatusChime((v) => !v);
+              }}
+              style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #444", background: "transparent", color: "#fff" }}
+            >
+              {statusChime ? tr("🔔 Chime on") : tr("🔕 Chime off")}
+            </button>
+            <button
+              onClick={() => document.documentElement.requestFullscreen?.()}
+              style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #444", background: "transparent", color: "#fff" }}
+            >
+              ⛶
+            </button>
+          </div>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24, flex: 1 }}>
+          <div>
+            <h2 style={{ fontSize: 30, margin: "0 0 12px", color: "#90a4ae" }}>{tr("Preparing")}</h2>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))", gap: 10 }}>
+              {statusBoard.preparing.map((key) => numberTile(key, false))}
+            </div>
+          </div>
+          <div>
+            <h2 style={{ fontSize: 30, margin: "0 0 12px", color: "#81c784" }}>{tr("Ready — please collect")}</h2>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))", gap: 10 }}>
+              {statusBoard.ready.map((key) => numberTile(key, true))}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
 
-  {/* Right side: date/time + theme toggle */}
-  <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-    <div style={{ fontSize: 12 }}>{localDateTime}
-</div>
-      {/* Low-stock alert button */}
-     <button
-      onClick={() => setShowLowStock(s => !s)}
-      title={lowStockCount ? `${lowStockCount} item(s) low in stock` : "No low-stock items"}
-      style={{
-        position: "relative",
-        padding: "6px 10px",
-        borderRadius: 6,
-        border: `1px solid ${btnBorder}`,
-        background: lowStockCount ? "#ffebee" : (dark ? "#2c2c2c" : "#f1f1f1"),
-        color: lowStockCount ? "#b71c1c" : (dark ? "#fff" : "#000"),
-        cursor: "pointer",
-        fontWeight: 700,
-      }}
-    >
-     🔔 Low Stock
-    {lowStockCount > 0 && (
-  <span
-    style={{
-      position: "absolute",
-      top: -4,
-      right: -4,
-      minWidth: 16,
+  if (kdsMode) {
+    const levelColor = { ok: "#2e7d32", warn: "#f9a825", late: "#c62828" };
+    const stateStyle = {
+      pending: { background: "#2a2a2a", color: "#eee" },
+      started: { background: "#0d47a1", color: "#fff" },
+      ready: { background: "#1b5e20", color: "#fff", textDecoration: "line-through" },
+    };
+    return (
+      <div style={{ minHeight: "100vh", background: "#111", color: "#eee", padding: 12 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 12, flexWrap: "wrap" }}>
+          <h1 style={{ margin: 0, fontSize: 24 }}>{tr("🍳 Kitchen — {0} open", [kdsTickets.length])}</h1>
+          <span style={{ opacity: 0.7 }}>{localDateTime}</span>
+          {!realtimeOrders && (
+            <span style={{ color: "#ffb74d" }}>{tr("Live orders are off — this screen only sees orders taken on this device.")}</span>
+          )}
+          <div style={{ marginInlineStart: "auto", display: "flex", gap: 8 }}>
+            <button
+              onClick={recallKdsTicket}
+              disabled={!kdsRecallStack.length}
+              style={{ padding: "8px 14px", borderRadius: 8, border: "1px solid #555", background: "#263238", color: "#fff", fontWeight: 700 }}
+            >
+              {tr("↶ Recall")}{kdsRecallStack.length ? ` #${kdsRecallStack[kdsRecallStack.length - 1]}` : ""}
+            </button>
+            <button
+              onClick={() => document.documentElement.requestFullscreen?.()}
+              style={{ padding: "8px 14px", borderRadius: 8, border: "1px solid #555", background: "#263238", color: "#fff" }}
+            >
+              {tr("⛶ Full screen")}
+            </button>
+          </div>
+        </div>
+
+        {kdsTickets.length === 0 && <div style={{ opacity: 0.6, fontSize: 20, marginTop: 40, textAlign: "center" }}>{tr("No open orders.")}</div>}
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))", gap: 12 }}>
+          {kdsTickets.map((o) => {
+            const items = kdsItemsFor(o);
+            const ageMin = Math.max(0, Math.floor((screenNow - +new Date(o.date)) / 60000));
+            const level = kdsAgeLevel(ageMin);
+            return (
+              <div
+                key={o.cloudId || o.orderNo}
+                style={{ border: `3px solid ${levelColor[level]}`, borderRadius: 10, background: "#1c1c1c", display: "flex", flexDirection: "column" }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    padding: "6px 10px",
+                    background: levelColor[level],
+                    color: level === "warn" ? "#000" : "#fff",
+                    fontWeight: 800,
+                  }}
+                >
+                  <span>#{o.orderNo} · {o.orderType}</span>
+                  <span>{tr("{0} min", [ageMin])}</span>
+                </div>
+                <div style={{ padding: 8, flex: 1 }}>
+                  {(o.cart || []).map((ci, idx) => (
+                    <button
+                      key={idx}
+                      onClick={() => cycleKdsItem(o, idx)}
+                      style={{
+                        display: "block",
+                        width: "100%",
+                        textAlign: "start",
+                        marginBottom: 6,
+                        padding: 8,
+                        borderRadius: 6,
+                        border: "1px solid #444",
+                        cursor: "pointer",
+                        ...stateStyle[items[idx]?.state || "pending"],
+                      }}
+                    >
+                      <div style={{ fontWeight: 700, fontSize: 17 }}>
+                        {ci.qty || 1} × {ci.name}
+                        <span style={{ float: "inline-end", fontSize: 12, fontWeight: 400, textDecoration: "none" }}>
+                          {items[idx]?.state === "pending" ? "" : items[idx]?.state}
+                        </span>
+                      </div>
+                      {ci.components?.length > 0 && (
+                        <div style={{ fontSize: 14, opacity: 0.9 }}>{ci.components.map((c) => c.name).join(" · ")}</div>
+                      )}
+                      {(ci.extras || []).map((ex, exIdx) => (
+                        <div key={ex.id || exIdx} style={{ fontSize: 14, opacity: 0.9 }}>+ {ex.name}</div>
+                      ))}
+                    </button>
+                  ))}
+                  {o.note && String(o.note).trim() && (
+                    <div style={{ padding: 8, borderRadius: 6, background: "#fff59d", color: "#000", fontWeight: 700 }}>
+                      📝 {String(o.note).trim()}
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => bumpKdsTicket(o)}
+                  style={{ margin: 8, padding: 12, borderRadius: 8, border: "none", background: "#2e7d32", color: "#fff", fontWeight: 800, fontSize: 16, cursor: "pointer" }}
+                >
+                  {tr("Bump ✓")}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={containerStyle}>
+   {/* Header */}
+<div
+  style={{
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 8,
+    gap: 8,
+    flexWrap: "wrap",
+  }}
+>
+  <h1 style={{ margin: 0 }}>{tr("🍔 TUX — Burger Truck POS")}</h1>
+
+  {/* Right side: date/time + theme toggle */}
+  <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+    <div style={{ fontSize: 12 }}>{localDateTime}
+</div>
+      <button
+        onClick={() => window.open(`${window.location.pathname}?view=kds`, "tux_kds")}
+        title={tr("Open the kitchen display in a new window")}
+        style={{
+          padding: "6px 10px",
+          borderRadius: 6,
+          border: `1px solid ${btnBorder}`,
+          background: dark ? "#2c2c2c" : "#f1f1f1",
+          color: dark ? "#fff" : "#000",
+          cursor: "pointer",
+        }}
+      >
+        {tr("🍳 Kitchen")}
+      </button>
+      <button
+        onClick={() => window.open(`${window.location.pathname}?view=status`, "tux_status")}
+        title={tr("Open the customer order-status screen in a new window")}
+        style={{
+          padding: "6px 10px",
+          borderRadius: 6,
+          border: `1px solid ${btnBorder}`,
+          background: dark ? "#2c2c2c" : "#f1f1f1",
+          color: dark ? "#fff" : "#000",
+          cursor: "pointer",
+        }}
+      >
+        {tr("📺 Status")}
+      </button>
+      {/* Low-stock alert button */}
+     <button
+      onClick={() => setShowLowStock(s => !s)}
+      title={lowStockCount ? tr("{0} item(s) low in stock", [lowStockCount]) : tr("No low-stock items")}
+      style={{
+        position: "relative",
+        padding: "6px 10px",
+        borderRadius: 6,
+        border: `1px solid ${btnBorder}`,
+        background: lowStockCount ? "#ffebee" : (dark ? "#2c2c2c" : "#f1f1f1"),
+        color: lowStockCount ? "#b71c1c" : (dark ? "#fff" : "#000"),
+        cursor: "pointer",
+        fontWeight: 700,
+      }}
+    >
+     {tr("🔔 Low Stock")}
+    {lowStockCount > 0 && (
+  <span
+    style={{
+      position: "absolute",
+      top: -4,
+      insetInlineEnd: -4,
+      minWidth: 16,
       height: 16,
       borderRadius: 8,
       padding: "0 4px",
@@ -8043,6 +13558,21 @@ const generatePurchasesPDF = () => {
   </span>
 )}
 
+    </button>
+     <button
+      onClick={() => setShowExpiring(s => !s)}
+      title={expiringItems.length ? tr("{0} lot(s) expiring soon", [expiringItems.length]) : tr("No lots expiring soon")}
+      style={{
+        padding: "6px 10px",
+        borderRadius: 6,
+        border: `1px solid ${btnBorder}`,
+        background: expiredCount ? "#ffebee" : expiringItems.length ? "#fff8e1" : (dark ? "#2c2c2c" : "#f1f1f1"),
+        color: expiredCount ? "#b71c1c" : expiringItems.length ? "#e65100" : (dark ? "#fff" : "#000"),
+        cursor: "pointer",
+        fontWeight: 700,
+      }}
+    >
+      {tr("⏳ Expiring")}{expiringItems.length > 0 ? ` (${expiringItems.length})` : ""}
     </button>
 
     <button
@@ -8052,8 +13582,10 @@ const generatePurchasesPDF = () => {
       }}
       title={
         newOnlineOrderCount
-          ? `${newOnlineOrderCount} new online order${newOnlineOrderCount === 1 ? "" : "s"}`
-          : "No new online orders"
+          ? newOnlineOrderCount === 1
+            ? tr("1 new online order")
+            : tr("{0} new online orders", [newOnlineOrderCount])
+          : tr("No new online orders")
       }
       style={{
         position: "relative",
@@ -8070,13 +13602,13 @@ const generatePurchasesPDF = () => {
         fontWeight: 700,
       }}
     >
-      🌐 Online Orders
+      {tr("🌐 Online Orders")}
       {newOnlineOrderCount > 0 && (
         <span
           style={{
             position: "absolute",
             top: -4,
-            right: -4,
+            insetInlineEnd: -4,
             minWidth: 16,
             height: 16,
             borderRadius: 8,
@@ -8097,9 +13629,66 @@ const generatePurchasesPDF = () => {
       )}
     </button>
 
+    {cloudEnabled && outbox.length > 0 && (
+      <button
+        onClick={flushOutbox}
+        disabled={outboxSyncing}
+        title={
+          outbox[0]?.lastError
+            ? tr("Waiting to sync. Last error: {0}", [outbox[0].lastError])
+            : tr("Waiting for a connection. Click to retry now.")
+        }
+        style={{
+          padding: "6px 10px",
+          borderRadius: 6,
+          border: `1px solid ${btnBorder}`,
+          background: dark ? "#4e342e" : "#fff3e0",
+          color: dark ? "#ffe0b2" : "#e65100",
+          cursor: "pointer",
+          fontWeight: 700,
+        }}
+      >
+        {outboxSyncing ? tr("⏳ Syncing…") : tr("⚠ {0} unsynced", [outbox.length])}
+      </button>
+    )}
+
+    {dueHeldOrders.length > 0 && (
+      <button
+        onClick={() => setActiveTab("orders")}
+        title={releaseHoldReason(dueHeldOrders[0])}
+        style={{
+          padding: "6px 10px",
+          borderRadius: 6,
+          border: `1px solid ${btnBorder}`,
+          background: dark ? "#4a1f1f" : "#ffebee",
+          color: dark ? "#ffcdd2" : "#c62828",
+          cursor: "pointer",
+          fontWeight: 700,
+        }}
+      >
+        {dueHeldOrders.length === 1
+          ? tr("⏰ 1 pre-order due, not sent")
+          : tr("⏰ {0} pre-orders due, not sent", [dueHeldOrders.length])}
+      </button>
+    )}
+
     <button
       onClick={() => setDark((d) => !d)}
-      title={dark ? "Switch to Light" : "Switch to Dark"}
+      title={dark ? tr("Switch to Light") : tr("Switch to Dark")}
+      style={{
+        padding: "4px 10px",
+        borderRadius: 6,
+        border: `1px solid ${btnBorder}`,
+        background: dark ? "#2c2c2c" : "#f1f1f1",
+        color: dark ? "#fff" : "#000",
+        cursor: "pointer",
+      }}
+    >
+      {dark ? tr("☀ Light") : tr("🌙 Dark")}
+    </button>
+    <button
+      onClick={() => setUiLang((l) => (l === "ar" ? "en" : "ar"))}
+      title={uiLang === "ar" ? "Switch to English" : "التبديل إلى العربية"}
       style={{
         padding: "4px 10px",
         borderRadius: 6,
@@ -8109,7 +13698,7 @@ const generatePurchasesPDF = () => {
         cursor: "pointer",
       }}
     >
-      {dark ? "☀ Light" : "🌙 Dark"}
+      {uiLang === "ar" ? "English" : "العربية"}
     </button>
   </div>
 </div>
@@ -8132,11 +13721,11 @@ const generatePurchasesPDF = () => {
 >
   {!dayMeta.startedAt ? (
     <>
-      <span><b>Shift not started.</b></span>
+      <span><b>{tr("Shift not started.")}</b></span>
       <div style={{ display:"flex", alignItems:"center", gap:8 }}>
         <input
           type="password"
-          placeholder="PIN"
+          placeholder={tr("PIN")}
           value={signInPin}
           onChange={(e) => setSignInPin(e.target.value)}
           style={{ padding:6, border:`1px solid ${btnBorder}`, borderRadius:6, width:140 }}
@@ -8145,27 +13734,29 @@ const generatePurchasesPDF = () => {
           onClick={() => { signInByPin(signInPin); setSignInPin(""); }}
           style={{ background:"#2e7d32", color:"#fff", border:"none", borderRadius:6, padding:"6px 10px", cursor:"pointer" }}
         >
-          Sign in
+          {tr("Sign in")}
         </button>
       </div>
-      <small style={{ opacity:.8 }}>First sign-in starts the shift automatically.</small>
+      <small style={{ opacity:.8 }}>{tr("First sign-in starts the shift automatically.")}</small>
     </>
   ) : (
     <>
       <span>
-        Started by <b>{dayMeta.startedBy || "-"}</b> at <b>{fmtDate(dayMeta.startedAt)}</b>
+        {trNodes("Started by {0} at {1}", [<b>{dayMeta.startedBy || "-"}</b>, <b>{uiDate(dayMeta.startedAt)}</b>])}
       </span>
 
-      <div style={{ marginLeft: 8 }}>
-        <b>On duty:</b>{" "}
-        {activeWorkers.length ? activeWorkers.join(", ") : "—"}
+      <div style={{ marginInlineStart: 8 }}>
+        <b>{tr("On duty:")}</b>{" "}
+        {activeWorkers.length
+          ? activeWorkers.map(n => (onBreakWorkers.includes(n) ? `${n} ☕` : n)).join(", ")
+          : "—"}
       </div>
 
       {/* Sign-in */}
       <div style={{ display:"flex", alignItems:"center", gap:8 }}>
         <input
           type="password"
-          placeholder="PIN to sign in"
+          placeholder={tr("PIN to sign in")}
           value={signInPin}
           onChange={(e) => setSignInPin(e.target.value)}
           style={{ padding:6, border:`1px solid ${btnBorder}`, borderRadius:6, width:140 }}
@@ -8174,7 +13765,7 @@ const generatePurchasesPDF = () => {
           onClick={() => { signInByPin(signInPin); setSignInPin(""); }}
           style={{ background:"#1976d2", color:"#fff", border:"none", borderRadius:6, padding:"6px 10px", cursor:"pointer" }}
         >
-          Sign in
+          {tr("Sign in")}
         </button>
       </div>
 
@@ -8182,7 +13773,7 @@ const generatePurchasesPDF = () => {
       <div style={{ display:"flex", alignItems:"center", gap:8 }}>
         <input
           type="password"
-          placeholder="PIN to sign out"
+          placeholder={tr("PIN to sign out")}
           value={signOutPin}
           onChange={(e) => setSignOutPin(e.target.value)}
           style={{ padding:6, border:`1px solid ${btnBorder}`, borderRadius:6, width:140 }}
@@ -8191,7 +13782,32 @@ const generatePurchasesPDF = () => {
           onClick={() => { signOutByPin(signOutPin); setSignOutPin(""); }}
           style={{ background:"#455a64", color:"#fff", border:"none", borderRadius:6, padding:"6px 10px", cursor:"pointer" }}
         >
-          Sign out
+          {tr("Sign out")}
+        </button>
+      </div>
+
+      {/* Breaks: the same PIN ends the break */}
+      <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+        <input
+          type="password"
+          placeholder={tr("PIN for a break")}
+          value={breakPin}
+          onChange={(e) => setBreakPin(e.target.value)}
+          style={{ padding:6, border:`1px solid ${btnBorder}`, borderRadius:6, width:140 }}
+        />
+        <button
+          onClick={() => { toggleBreakByPin(breakPin, true); setBreakPin(""); }}
+          title={tr("Start a paid break, or end the current break")}
+          style={{ background:"#8d6e63", color:"#fff", border:"none", borderRadius:6, padding:"6px 10px", cursor:"pointer" }}
+        >
+          {tr("☕ Paid break")}
+        </button>
+        <button
+          onClick={() => { toggleBreakByPin(breakPin, false); setBreakPin(""); }}
+          title={tr("Start an unpaid break, or end the current break")}
+          style={{ background:"#6d4c41", color:"#fff", border:"none", borderRadius:6, padding:"6px 10px", cursor:"pointer" }}
+        >
+          {tr("☕ Unpaid break")}
         </button>
       </div>
 
@@ -8199,12 +13815,98 @@ const generatePurchasesPDF = () => {
         onClick={endDay}
         style={{ background:"#e53935", color:"white", border:"none", borderRadius:6, padding:"6px 10px", cursor:"pointer" }}
       >
-        End the Day (requires PDF)
+        {tr("End the Day (requires PDF)")}
       </button>
     </>
   )}
 </div>
 
+{/* Expiring lots slide-down panel */}
+{showExpiring && (
+  <div
+    style={{
+      border: `1px solid ${cardBorder}`,
+      borderRadius: 8,
+      padding: 10,
+      marginBottom: 10,
+      background: softBg,
+    }}
+  >
+    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      <h3 style={{ margin: 0 }}>{tr("Expiring soon")}</h3>
+      <span style={{ opacity: 0.7 }}>
+        {expiringItems.length
+          ? tr("{0} lot(s), {1} expired", [expiringItems.length, expiredCount])
+          : tr("Nothing expires in the next {0} days", [EXPIRY_WARNING_DAYS])}
+      </span>
+      <div style={{ marginInlineStart: "auto" }}>
+        <button
+          onClick={() => setShowExpiring(false)}
+          style={{ padding: "6px 10px", borderRadius: 6, border: `1px solid ${btnBorder}` }}
+        >
+          {tr("Close")}
+        </button>
+      </div>
+    </div>
+
+    {expiringItems.length > 0 && (
+      <div style={{ overflowX: "auto", marginTop: 8 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Item")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Qty")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Received")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Expires")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Value")}</th>
+              <th style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }} />
+            </tr>
+          </thead>
+          <tbody>
+            {expiringItems.map(({ invId, name, unit, lot, daysLeft }) => (
+              <tr key={lot.id}>
+                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{name}</td>
+                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                  {Number(lot.qty || 0)} {unit}
+                </td>
+                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{uiDate(lot.receivedAt)}</td>
+                <td
+                  style={{
+                    padding: 8,
+                    borderBottom: `1px solid ${cardBorder}`,
+                    color: daysLeft < 0 ? "#c62828" : "#e65100",
+                    fontWeight: 600,
+                  }}
+                >
+                  {uiDate(`${lot.expiresAt}T00:00:00`)}{" "}
+                  <small>
+                    {daysLeft < 0
+                      ? tr("(expired)")
+                      : daysLeft === 0
+                      ? tr("(today)")
+                      : tr("(in {0} days)", [daysLeft])}
+                  </small>
+                </td>
+                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                  {uiMoney(Number(lot.qty || 0) * Number(lot.unitCost || 0))}
+                </td>
+                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                  <button
+                    onClick={() => writeOffLot(invId, lot.id)}
+                    style={{ background: "#c62828", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                  >
+                    {tr("Write off")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+)}
+
 {/* Low-stock slide-down panel */}
 {showLowStock && (
   <div
@@ -8217,16 +13919,16 @@ const generatePurchasesPDF = () => {
     }}
   >
     <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-      <h3 style={{ margin: 0 }}>Low Stock</h3>
+      <h3 style={{ margin: 0 }}>{tr("Low Stock")}</h3>
       <span style={{ opacity: 0.7 }}>
-        {lowStockCount ? `${lowStockCount} item(s)` : "No items are low in stock"}
+        {lowStockCount ? tr("{0} item(s)", [lowStockCount]) : tr("No items are low in stock")}
       </span>
-<div style={{ marginLeft: "auto" }}>
+<div style={{ marginInlineStart: "auto" }}>
   <button
     onClick={() => setShowLowStock(false)}
     style={{ padding: "6px 10px", borderRadius: 6, border: `1px solid ${btnBorder}` }}
   >
-    Close
+    {tr("Close")}
   </button>
   </div>
 
@@ -8237,11 +13939,11 @@ const generatePurchasesPDF = () => {
         <table style={{ width: "100%", borderCollapse: "collapse" }}>
  <thead>
             <tr>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Item</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Qty</th>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Unit</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Min</th>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Recommended Order</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Item")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Qty")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Unit")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Min")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Recommended Order")}</th>
             </tr>
           </thead>
           <tbody>
@@ -8251,11 +13953,11 @@ const generatePurchasesPDF = () => {
               return (
                 <tr key={it.id}>
                   <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{it.name}</td>
-                  <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+                  <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
                     {Number(it.qty || 0)}
                   </td>
                   <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{it.unit}</td>
-                  <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+                  <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
                     {Number(it.minQty || 0)}
                   </td>
                   <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
@@ -8264,7 +13966,7 @@ const generatePurchasesPDF = () => {
                         <div style={{ fontWeight: 600 }}>
                           {recQty > 0
                             ? `${recQty.toFixed(1)} ${it.unit || ""}`
-                            : "Monitor"}
+                            : tr("Monitor")}
                         </div>
                         <div style={{ fontSize: 12, opacity: 0.7 }}>
                           {suggestion.rationale}
@@ -8289,6 +13991,7 @@ const generatePurchasesPDF = () => {
   {[
     ["orders", "Orders"],
     ["board", "Orders Board"],
+    ["tables", `${tr("Tables")}${openChecks.length ? ` (${openChecks.length})` : ""}`],
     ["expenses", "Expenses"],
     ["usage", "Inventory Usage"],
      ["reconcile","Reconcile"],
@@ -8306,7 +14009,7 @@ const generatePurchasesPDF = () => {
         cursor: "pointer",
       }}
     >
-      {label}
+      {tr(label)}
     </button>
   ))}
 </div>
@@ -8320,6 +14023,7 @@ const generatePurchasesPDF = () => {
       ["workerlog", "Worker Log"],
       ["contacts", "Customer Contacts"],
       ["reports", "Reports"],
+      ["audit", "Audit"],
       ["edit", "Edit"],
       ["settings", "Settings"],
     ].map(([key, label]) => (
@@ -8335,21 +14039,37 @@ const generatePurchasesPDF = () => {
           cursor: "pointer",
         }}
       >
-        {label}
+        {tr(label)}
       </button>
     ))}
 
     {/* push to the right */}
-    <div style={{ marginLeft: "auto" }}>
+    <div style={{ marginInlineStart: "auto" }}>
       <button
-        onClick={() => { setAdminUnlocked(false); setActiveTab("orders"); }} // optional: kick out of Admin
+        onClick={() => { setAdminUser(null); setActiveTab("orders"); }} // optional: kick out of Admin
         style={{ padding: "6px 10px", borderRadius: 6, border: `1px solid ${btnBorder}` }}
       >
-        Lock Admin
+        {tr("Lock Admin")}
       </button>
     </div>
   </div>
 )}
+{activeTab === "admin" && adminCan("manageStaff") && !ownerPinSet && localHydrated && (!cloudEnabled || hydrated) && (
+  <div
+    role="alert"
+    style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", padding: 10, marginBottom: 12, borderRadius: 8, background: dark ? "#4e342e" : "#fff3e0", border: "1px solid #ffb74d" }}
+  >
+    <span style={{ flex: 1 }}>
+      {tr("This shop still uses the admin PINs the app ships with (1111 to 6666). Choose an owner PIN to retire them.")}
+    </span>
+    <button
+      onClick={setUpOwnerPin}
+      style={{ background: "#ef6c00", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+    >
+      {tr("Set owner PIN")}
+    </button>
+  </div>
+)}
 {/* ───────────────────────────────── COGS TAB ───────────────────────────────── */}
 {activeTab === "admin" && adminSubTab === "cogs" && (
   <div style={{ display: "grid", gap: 14 }}>
@@ -8363,7 +14083,7 @@ const generatePurchasesPDF = () => {
         background: dark ? "#151515" : "#fafafa",
       }}
     >
-      <h3 style={{ marginTop: 0 }}>Target Margin Price Helper</h3>
+      <h3 style={{ marginTop: 0 }}>{tr("Target Margin Price Helper")}</h3>
 
       <div
         style={{
@@ -8375,7 +14095,7 @@ const generatePurchasesPDF = () => {
       >
         {/* Left: one select for both Menu and Extras + current stats */}
         <div>
-          <div style={{ marginBottom: 6, fontWeight: 600 }}>Menu item</div>
+          <div style={{ marginBottom: 6, fontWeight: 600 }}>{tr("Menu item")}</div>
           <select
             value={cogsKey}
             onChange={(e) => setCogsKey(e.target.value)}
@@ -8390,10 +14110,14 @@ const generatePurchasesPDF = () => {
           >
            <optgroup label="Menu">
               {menu.map(def => {
-                const cogs = computeCOGSForItemDef(def, invById, cogsCostContext);
+                const cogs = computeCOGSForItemDef(
+                  isBundleItem(def) ? bundleCostDef(def, menu) : def,
+                  invById,
+                  cogsCostContext
+                );
                 return (
                   <option key={`m-${def.id}`} value={`m-${def.id}`}>
-                    {`${def.name} — COGS E£${cogs.toFixed(2)} • Price E£${Number(def.price||0).toFixed(2)}`}
+                    {tr("{0} — COGS E£{1} • Price E£{2}", [def.name, cogs.toFixed(2), Number(def.price||0).toFixed(2)])}
                   </option>
                 );
               })}
@@ -8403,7 +14127,7 @@ const generatePurchasesPDF = () => {
                 const cogs = computeCOGSForItemDef(def, invById, cogsCostContext);
                 return (
                   <option key={`e-${def.id}`} value={`e-${def.id}`}>
-                    {`${def.name} — COGS E£${cogs.toFixed(2)} • Price E£${Number(def.price||0).toFixed(2)}`}
+                    {tr("{0} — COGS E£{1} • Price E£{2}", [def.name, cogs.toFixed(2), Number(def.price||0).toFixed(2)])}
                   </option>
                 );
               })}
@@ -8417,10 +14141,10 @@ const generatePurchasesPDF = () => {
             const cogs = Number(selectedCogsRow._cogs ?? breakdown.total ?? computeCOGSForItemDef(selectedCogsRow, invById, cogsCostContext));
             const marginPct = selectedCogsRow._marginPct ?? (price > 0 ? ((price - cogs) / price) * 100 : 0);
             const targetPct = Number(selectedCogsRow._targetMarginPct || targetMarginPct * 100);
-            const money = (v) => `E£${Number(v || 0).toFixed(2)}`;
+            const money = (v) => uiMoney(v);
             const ingredients = Object.entries(selectedCogsRow.uses || {}).map(([invId, qty]) => {
               const inv = invById[invId] || {};
-              const unitCost = Number(inv.costPerUnit || 0);
+              const unitCost = inventoryUnitCost(invId, invById);
               const quantity = Number(qty || 0);
               return {
                 id: invId,
@@ -8457,45 +14181,45 @@ const generatePurchasesPDF = () => {
                 }}
               >
                 <div style={{ display: "grid", gap: 4 }}>
-                  <div>Current price: <b>{money(price)}</b></div>
-                  <div>COGS: <b>{money(cogs)}</b></div>
-                  <div>Current margin: <b>{marginPct.toFixed(1)}%</b> (target {targetPct.toFixed(1)}%)</div>
+                  <div>{trNodes("Current price: {0}", [<b>{money(price)}</b>])}</div>
+                  <div>{trNodes("COGS: {0}", [<b>{money(cogs)}</b>])}</div>
+                  <div>{trNodes("Current margin: {0} (target {1}%)", [<b>{marginPct.toFixed(1)}%</b>, targetPct.toFixed(1)])}</div>
                </div>
 
                 <div>
-                  <div style={{ fontWeight: 600, marginBottom: 6 }}>Ingredient cost breakdown</div>
+                  <div style={{ fontWeight: 600, marginBottom: 6 }}>{tr("Ingredient cost breakdown")}</div>
                   {ingredients.length ? (
                     <div style={{ overflowX: "auto" }}>
                       <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
                         <thead>
                           <tr>
-                            <th style={{ textAlign: "left", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>Ingredient</th>
-                            <th style={{ textAlign: "right", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>Qty</th>
-                            <th style={{ textAlign: "left", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>Unit</th>
-                            <th style={{ textAlign: "right", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>Cost/unit</th>
-                            <th style={{ textAlign: "right", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>Total cost</th>
+                            <th style={{ textAlign: "start", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>{tr("Ingredient")}</th>
+                            <th style={{ textAlign: "end", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>{tr("Qty")}</th>
+                            <th style={{ textAlign: "start", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>{tr("Unit")}</th>
+                            <th style={{ textAlign: "end", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>{tr("Cost/unit")}</th>
+                            <th style={{ textAlign: "end", padding: 4, borderBottom: `1px solid ${cardBorder}` }}>{tr("Total cost")}</th>
                           </tr>
                         </thead>
                         <tbody>
                           {ingredients.map((ing) => (
                             <tr key={ing.id}>
                               <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}` }}>{ing.name}</td>
-                              <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>{ing.quantity.toFixed(2)}</td>
+                              <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>{ing.quantity.toFixed(2)}</td>
                               <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}` }}>{ing.unit}</td>
-                              <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>{money(ing.unitCost)}</td>
-                              <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>{money(ing.totalCost)}</td>
+                              <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>{money(ing.unitCost)}</td>
+                              <td style={{ padding: 4, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>{money(ing.totalCost)}</td>
                             </tr>
                           ))}
                         </tbody>
                       </table>
                     </div>
                   ) : (
-                    <div style={{ fontSize: 12, opacity: 0.7 }}>No ingredients linked yet. Build the recipe in Inventory to see the breakdown.</div>
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>{tr("No ingredients linked yet. Build the recipe in Inventory to see the breakdown.")}</div>
               )}
                 </div>
 
                 <div>
-                  <div style={{ fontWeight: 600, marginBottom: 6 }}>Overhead per item</div>
+                  <div style={{ fontWeight: 600, marginBottom: 6 }}>{tr("Overhead per item")}</div>
                   {overheadRows.length ? (
                     <div style={{ display: "grid", gap: 4 }}>
                       {overheadRows.map((row) => (
@@ -8503,24 +14227,24 @@ const generatePurchasesPDF = () => {
                           key={row.key}
                           style={{ display: "flex", justifyContent: "space-between", fontSize: 13 }}
                         >
-                          <span>{row.label}</span>
+                          <span>{tr(row.label)}</span>
                           <span>{money(row.value)}</span>
                         </div>
                       ))}
                     </div>
                   ) : (
-                    <div style={{ fontSize: 12, opacity: 0.7 }}>No labor or utility data yet.</div>
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>{tr("No labor or utility data yet.")}</div>
                   )}
                   <div style={{ fontSize: 12, opacity: 0.7, marginTop: 6 }}>
-                    Prep time: {Number(selectedCogsRow.prepMinutes || 0).toFixed(1)} min
+                    {tr("Prep time: {0} min", [Number(selectedCogsRow.prepMinutes || 0).toFixed(1)])}
                   </div>
                   {equipmentUsage.length > 0 && (
                     <div style={{ fontSize: 12, marginTop: 6 }}>
-                      <div style={{ opacity: 0.7 }}>Equipment minutes</div>
+                      <div style={{ opacity: 0.7 }}>{tr("Equipment minutes")}</div>
                       <ul style={{ margin: "4px 0 0 16px", padding: 0 }}>
                         {equipmentUsage.map((eq) => (
                           <li key={eq.id} style={{ listStyle: "disc" }}>
-                            {eq.name}: {eq.minutes.toFixed(1)} min
+                            {eq.name}: {tr("{0} min", [eq.minutes.toFixed(1)])}
                           </li>
                         ))}
                       </ul>
@@ -8529,7 +14253,7 @@ const generatePurchasesPDF = () => {
                 </div>
 
                 <div>
-                  <div style={{ fontWeight: 600, marginBottom: 6 }}>Margin trend (last {chartPoints.length} day{chartPoints.length === 1 ? "" : "s"})</div>
+                  <div style={{ fontWeight: 600, marginBottom: 6 }}>{chartPoints.length === 1 ? tr("Margin trend (last day)") : tr("Margin trend (last {0} days)", [chartPoints.length])}</div>
                   {chartPoints.length ? (
                     <div style={{ display: "flex", alignItems: "flex-end", gap: 8, minHeight: 120 }}>
                       {chartPoints.map((point) => {
@@ -8539,7 +14263,7 @@ const generatePurchasesPDF = () => {
                           const d = new Date(point.day);
                           return Number.isNaN(+d)
                             ? point.day
-                            : d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+                            : uiDate(d, { month: "short", day: "numeric" });
                         })();
                         return (
                           <div key={point.day} style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 4 }}>
@@ -8561,7 +14285,7 @@ const generatePurchasesPDF = () => {
                       })}
                     </div>
                   ) : (
-                    <div style={{ fontSize: 12, opacity: 0.7 }}>No orders yet for this item.</div>
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>{tr("No orders yet for this item.")}</div>
                   )}
                 </div>
               </div>
@@ -8571,7 +14295,7 @@ const generatePurchasesPDF = () => {
 
         {/* Right: margin slider + suggested price + apply */}
         <div>
-          <div style={{ marginBottom: 6, fontWeight: 600 }}>Target margin %</div>
+          <div style={{ marginBottom: 6, fontWeight: 600 }}>{tr("Target margin %")}</div>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 100px 24px", gap: 12, alignItems: "center" }}>
             <input
               type="range"
@@ -8604,7 +14328,7 @@ const generatePurchasesPDF = () => {
                 fontWeight: 600,
               }}
             />
-            <div style={{ opacity: 0.7, textAlign: "left" }}>%</div>
+            <div style={{ opacity: 0.7, textAlign: "start" }}>%</div>
           </div>
 
                {selectedCogsRow && (() => {
@@ -8616,7 +14340,7 @@ const cogs = Number(
               ? Number(selectedCogsRow._price || selectedCogsRow.price || 0)
               : Math.max(0, Math.round(cogs / (1 - safeM)));
             const targetLabel = Math.round((selectedCogsRow.targetMarginPctOverride ?? targetMarginPct) * 100);
-            const money = (v) => `E£${Number(v || 0).toFixed(2)}`;
+            const money = (v) => uiMoney(v);
             return (
               <div
                 style={{
@@ -8628,7 +14352,7 @@ const cogs = Number(
                   gap: 6,
                 }}
               >
-                <div>Suggested price (target {targetLabel}% margin): <b>{money(suggested)}</b></div>
+                <div>{trNodes("Suggested price (target {0}% margin): {1}", [targetLabel, <b>{money(suggested)}</b>])}</div>
                 <button
                   onClick={() => updateRowPrice(selectedCogsRow, suggested, { confirm: true })}
                   style={{
@@ -8641,7 +14365,7 @@ const cogs = Number(
                     fontWeight: 700,
                   }}
                 >
-                  Apply to item
+                  {tr("Apply to item")}
                 </button>
               </div>
             );
@@ -8662,10 +14386,9 @@ const cogs = Number(
         }}
       >
         <div>
-          <h3 style={{ margin: 0 }}>COGS Overhead Builder</h3>
+          <h3 style={{ margin: 0 }}>{tr("COGS Overhead Builder")}</h3>
           <p style={{ margin: "6px 0 0", opacity: 0.75, fontSize: 13 }}>
-            Enter your latest utility bills, labor productivity, and equipment usage to fold operational overhead into
-            every menu item.
+            {tr("Enter your latest utility bills, labor productivity, and equipment usage to fold operational overhead into every menu item.")}
           </p>
         </div>
 
@@ -8690,7 +14413,7 @@ const cogs = Number(
                   gap: 8,
                 }}
               >
-                <div style={{ fontWeight: 600 }}>{label} bill</div>
+                <div style={{ fontWeight: 600 }}>{tr("{0} bill", [tr(label)])}</div>
                 <label style={{ fontSize: 12, opacity: 0.75 }}>{config.amount}</label>
                 <input
                   type="number"
@@ -8723,8 +14446,8 @@ const cogs = Number(
                 />
                 <div style={{ fontSize: 12, opacity: 0.75 }}>
                   {rate > 0
-                    ? `Cost rate: E£${rate.toFixed(4)} ${config.per}`
-                    : "Add bill amount and usage to derive the rate."}
+                    ? tr("Cost rate: E£{0} {1}", [rate.toFixed(4), config.per])
+                    : tr("Add bill amount and usage to derive the rate.")}
                 </div>
               </div>
             );
@@ -8741,10 +14464,10 @@ const cogs = Number(
             gap: 8,
           }}
         >
-          <div style={{ fontWeight: 600 }}>Labor productivity</div>
+          <div style={{ fontWeight: 600 }}>{tr("Labor productivity")}</div>
           <div style={{ display: "grid", gap: 8, gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))" }}>
             <label style={{ display: "grid", gap: 4 }}>
-              <span style={{ fontSize: 12, opacity: 0.75 }}>Total payout (E£)</span>
+              <span style={{ fontSize: 12, opacity: 0.75 }}>{tr("Total payout (E£)")}</span>
               <input
                 type="number"
                 min={0}
@@ -8763,7 +14486,7 @@ const cogs = Number(
               />
             </label>
             <label style={{ display: "grid", gap: 4 }}>
-              <span style={{ fontSize: 12, opacity: 0.75 }}>Productive hours</span>
+              <span style={{ fontSize: 12, opacity: 0.75 }}>{tr("Productive hours")}</span>
               <input
                 type="number"
                 min={0}
@@ -8787,16 +14510,16 @@ const cogs = Number(
           </div>
           <div style={{ fontSize: 12, opacity: 0.75 }}>
             {laborCostPerMinute > 0
-              ? `Derived labor cost: E£${(laborCostPerMinute * 60).toFixed(2)} per hour (E£${laborCostPerMinute.toFixed(
+              ? tr("Derived labor cost: E£{0} per hour (E£{1} per minute)", [(laborCostPerMinute * 60).toFixed(2), laborCostPerMinute.toFixed(
                   4
-                )} per minute)`
-              : "Enter payout and productive hours to derive a labor cost per minute."}
+                )])
+              : tr("Enter payout and productive hours to derive a labor cost per minute.")}
           </div>
         </div>
 
         <div style={{ borderTop: `1px solid ${cardBorder}`, paddingTop: 12 }}>
           <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12 }}>
-            <h4 style={{ margin: 0 }}>Equipment</h4>
+            <h4 style={{ margin: 0 }}>{tr("Equipment")}</h4>
             <button
               onClick={addEquipment}
               style={{
@@ -8808,7 +14531,7 @@ const cogs = Number(
                 cursor: "pointer",
               }}
             >
-              + Add equipment
+              {tr("+ Add equipment")}
             </button>
           </div>
           {equipmentList.length ? (
@@ -8816,10 +14539,10 @@ const cogs = Number(
               <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
                 <thead>
                   <tr>
-                    <th style={{ textAlign: "left", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>Name</th>
-                    <th style={{ textAlign: "right", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>Electric kW</th>
-                    <th style={{ textAlign: "right", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>Gas m³/hr</th>
-                    <th style={{ textAlign: "right", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>Water L/min</th>
+                    <th style={{ textAlign: "start", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Name")}</th>
+                    <th style={{ textAlign: "end", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Electric kW")}</th>
+                    <th style={{ textAlign: "end", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Gas m³/hr")}</th>
+                    <th style={{ textAlign: "end", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Water L/min")}</th>
                     <th style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }} />
                   </tr>
                 </thead>
@@ -8831,7 +14554,7 @@ const cogs = Number(
                           type="text"
                           value={eq.name || ""}
                           onChange={(e) => updateEquipmentField(eq.id, "name", e.target.value)}
-                          placeholder="Equipment name"
+                          placeholder={tr("Equipment name")}
                           style={{
                             width: "100%",
                             padding: "6px 8px",
@@ -8842,34 +14565,34 @@ const cogs = Number(
                           }}
                         />
                       </td>
-                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
                         <input
                           type="number"
                           min={0}
                           step={0.01}
                           value={Number(eq.electricKw || 0)}
                           onChange={(e) => updateEquipmentField(eq.id, "electricKw", e.target.value)}
-                          style={{ width: 100, textAlign: "right" }}
+                          style={{ width: 100, textAlign: "end" }}
                         />
                       </td>
-                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
                         <input
                           type="number"
                           min={0}
                           step={0.01}
                           value={Number(eq.gasM3PerHour || 0)}
                           onChange={(e) => updateEquipmentField(eq.id, "gasM3PerHour", e.target.value)}
-                          style={{ width: 100, textAlign: "right" }}
+                          style={{ width: 100, textAlign: "end" }}
                         />
                       </td>
-                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
                         <input
                           type="number"
                           min={0}
                           step={0.01}
                           value={Number(eq.waterLPerMin || 0)}
                           onChange={(e) => updateEquipmentField(eq.id, "waterLPerMin", e.target.value)}
-                          style={{ width: 100, textAlign: "right" }}
+                          style={{ width: 100, textAlign: "end" }}
                         />
                       </td>
                       <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "center" }}>
@@ -8884,7 +14607,7 @@ const cogs = Number(
                             cursor: "pointer",
                           }}
                         >
-                          Remove
+                          {tr("Remove")}
                         </button>
                       </td>
                     </tr>
@@ -8894,24 +14617,23 @@ const cogs = Number(
             </div>
           ) : (
             <div style={{ fontSize: 12, opacity: 0.7, marginTop: 8 }}>
-              Add equipment with their energy and water usage to allocate utility costs.
+              {tr("Add equipment with their energy and water usage to allocate utility costs.")}
             </div>
           )}
         </div>
 
         <div style={{ borderTop: `1px solid ${cardBorder}`, paddingTop: 12 }}>
-          <h4 style={{ margin: "0 0 6px" }}>Prep &amp; equipment minutes per item</h4>
+          <h4 style={{ margin: "0 0 6px" }}>{tr("Prep & equipment minutes per item")}</h4>
           <p style={{ margin: 0, fontSize: 12, opacity: 0.75 }}>
-            Minutes entered here multiply with the labor and utility rates above to build a fully-loaded COGS for each
-            recipe.
+            {tr("Minutes entered here multiply with the labor and utility rates above to build a fully-loaded COGS for each recipe.")}
           </p>
           <div style={{ display: "grid", gap: 16, marginTop: 12, gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))" }}>
             <div>
-              <h5 style={{ margin: "0 0 6px" }}>Menu</h5>
+              <h5 style={{ margin: "0 0 6px" }}>{tr("Menu")}</h5>
               {renderPrepTable("menu", menu, "No menu items yet.")}
             </div>
             <div>
-              <h5 style={{ margin: "0 0 6px" }}>Extras</h5>
+              <h5 style={{ margin: "0 0 6px" }}>{tr("Extras")}</h5>
               {renderPrepTable("extra", extraList, "No extras yet.")}
             </div>
           </div>
@@ -8934,9 +14656,11 @@ const cogs = Number(
                   background: dark ? "rgba(255,255,255,0.04)" : "#fff",
                 }}
               >
-                <div style={{ fontSize: 12, opacity: 0.7 }}>{metric.label}</div>
+                <div style={{ fontSize: 12, opacity: 0.7 }}>{tr(metric.label)}</div>
                 <div style={{ fontSize: 20, fontWeight: 700 }}>{metric.value}</div>
-                {metric.hint && <div style={{ fontSize: 11, opacity: 0.7, marginTop: 4 }}>{metric.hint}</div>}
+                {metric.atRisk != null && (
+                  <div style={{ fontSize: 11, opacity: 0.7, marginTop: 4 }}>{tr("Revenue at risk: {0}", [uiMoney(metric.atRisk)])}</div>
+                )}
               </div>
             ))}
           </div>
@@ -8958,7 +14682,10 @@ const cogs = Number(
             }}
           >
             <div>
-              ⚠️ {missingCostRows.length} item{missingCostRows.length === 1 ? "" : "s"} have ingredients without cost/unit values. Update inventory costs to unlock accurate margins.
+              ⚠️{" "}
+              {missingCostRows.length === 1
+                ? tr("1 item has ingredients without cost/unit values. Update inventory costs to unlock accurate margins.")
+                : tr("{0} items have ingredients without cost/unit values. Update inventory costs to unlock accurate margins.", [missingCostRows.length])}
             </div>
             <button
               onClick={() => {
@@ -8974,7 +14701,7 @@ const cogs = Number(
                 cursor: "pointer",
               }}
             >
-              Go to Inventory Costs
+              {tr("Go to Inventory Costs")}
             </button>
           </div>
         )}
@@ -8996,7 +14723,7 @@ const cogs = Number(
                 checked={showLowMarginOnly}
                 onChange={(e) => setShowLowMarginOnly(e.target.checked)}
               />
-              Below target
+              {tr("Below target")}
             </label>
             <select
               value={cogsTypeFilter}
@@ -9009,15 +14736,15 @@ const cogs = Number(
                 color: dark ? "#eee" : "#000",
               }}
             >
-              <option value="all">All items</option>
-              <option value="menu">Menu only</option>
-              <option value="extra">Extras only</option>
+              <option value="all">{tr("All items")}</option>
+              <option value="menu">{tr("Menu only")}</option>
+              <option value="extra">{tr("Extras only")}</option>
             </select>
             <input
               type="search"
               value={cogsSearch}
               onChange={(e) => setCogsSearch(e.target.value)}
-              placeholder="Search name"
+              placeholder={tr("Search name")}
               style={{
                 padding: "6px 10px",
                 borderRadius: 8,
@@ -9039,11 +14766,11 @@ const cogs = Number(
                   color: dark ? "#eee" : "#000",
                 }}
               >
-                <option value="margin">Sort by margin</option>
-                <option value="gap">Sort by gap</option>
-                <option value="price">Sort by price</option>
-                <option value="cogs">Sort by COGS</option>
-                <option value="name">Sort by name</option>
+                <option value="margin">{tr("Sort by margin")}</option>
+                <option value="gap">{tr("Sort by gap")}</option>
+                <option value="price">{tr("Sort by price")}</option>
+                <option value="cogs">{tr("Sort by COGS")}</option>
+                <option value="name">{tr("Sort by name")}</option>
               </select>
               <button
                 onClick={() => setCogsSort((prev) => ({ ...prev, dir: prev.dir === "asc" ? "desc" : "asc" }))}
@@ -9055,7 +14782,7 @@ const cogs = Number(
                   color: dark ? "#fff" : "#000",
                   cursor: "pointer",
                 }}
-                title="Toggle sort direction"
+                title={tr("Toggle sort direction")}
               >
                 {cogsSort.dir === "asc" ? "↑" : "↓"}
               </button>
@@ -9071,7 +14798,7 @@ const cogs = Number(
                 cursor: "pointer",
               }}
             >
-              Export CSV
+              {tr("Export CSV")}
             </button>
             <button
               onClick={handleApplyTargetMarginToLowItems}
@@ -9086,7 +14813,7 @@ const cogs = Number(
                 fontWeight: 600,
               }}
             >
-              Fix low-margin prices
+              {tr("Fix low-margin prices")}
             </button>
           </div>
         </div>
@@ -9095,11 +14822,11 @@ const cogs = Number(
           <table style={{ width: "100%", borderCollapse: "collapse" }}>
             <thead>
               <tr>
-                <th style={{ textAlign: "left", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>Item</th>
-                <th style={{ textAlign: "right", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>COGS</th>
-                <th style={{ textAlign: "right", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>Price</th>
-                <th style={{ textAlign: "right", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>Margin %</th>
-                <th style={{ textAlign: "right", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>Gap to Target</th>
+                <th style={{ textAlign: "start", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>{tr("Item")}</th>
+                <th style={{ textAlign: "end", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>{tr("COGS")}</th>
+                <th style={{ textAlign: "end", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>{tr("Price")}</th>
+                <th style={{ textAlign: "end", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>{tr("Margin %")}</th>
+                <th style={{ textAlign: "end", padding: 10, borderBottom: `1px solid ${cardBorder}` }}>{tr("Gap to Target")}</th>
               </tr>
             </thead>
             <tbody>
@@ -9112,7 +14839,7 @@ const cogs = Number(
                       fontWeight: 600,
                     }
                   : {};
-                const money = (v) => `E£${Number(v || 0).toFixed(2)}`;
+                const money = (v) => uiMoney(v);
                 const baseCellStyle = { padding: 10, borderBottom: `1px solid ${cardBorder}` };
                 const gap = Number(def._marginGap || 0);
                 const gapStyles = gap > 0
@@ -9127,12 +14854,12 @@ const cogs = Number(
                       <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
                         <span>{def.name}</span>
                         {def._hasMissingCosts && (
-                          <span title="Some ingredients are missing cost/unit" style={{ fontSize: 14 }}>⚠️</span>
+                          <span title={tr("Some ingredients are missing cost/unit")} style={{ fontSize: 14 }}>⚠️</span>
                         )}
                       </div>
                     </td>
-                    <td style={{ ...baseCellStyle, textAlign: "right", ...warnStyles }}>{money(def._cogs)}</td>
-                    <td style={{ ...baseCellStyle, textAlign: "right", ...warnStyles }}>
+                    <td style={{ ...baseCellStyle, textAlign: "end", ...warnStyles }}>{money(def._cogs)}</td>
+                    <td style={{ ...baseCellStyle, textAlign: "end", ...warnStyles }}>
                       <input
                         type="number"
                         value={draft ?? def._price}
@@ -9161,19 +14888,19 @@ const cogs = Number(
                           border: `1px solid ${btnBorder}`,
                           background: dark ? "#1f1f1f" : "#fff",
                           color: dark ? "#eee" : "#000",
-                          textAlign: "right",
+                          textAlign: "end",
                         }}
                       />
                     </td>
-                    <td style={{ ...baseCellStyle, textAlign: "right", ...warnStyles }}>{def._marginPct.toFixed(1)}%</td>
-                    <td style={{ ...baseCellStyle, textAlign: "right", ...gapStyles }}>{gap.toFixed(1)} pts</td>
+                    <td style={{ ...baseCellStyle, textAlign: "end", ...warnStyles }}>{def._marginPct.toFixed(1)}%</td>
+                    <td style={{ ...baseCellStyle, textAlign: "end", ...gapStyles }}>{tr("{0} pts", [gap.toFixed(1)])}</td>
                   </tr>
                 );
               })}
               {sortedCogsRows.length === 0 && (
                 <tr>
                   <td colSpan={5} style={{ padding: 12, textAlign: "center", opacity: 0.7 }}>
-                    No items match the current filters.
+                    {tr("No items match the current filters.")}
                   </td>
                 </tr>
               )}
@@ -9193,9 +14920,9 @@ const cogs = Number(
         background: dark ? "#151515" : "#fafafa",
       }}
     >
-      <h3 style={{ marginTop: 0 }}>Inventory Costs (E£ / unit)</h3>
+      <h3 style={{ marginTop: 0 }}>{tr("Inventory Costs (E£ / unit)")}</h3>
       <p style={{ margin: "4px 0 12px", opacity: 0.8 }}>
-        Set the cost per inventory unit and the Min Level.
+        {tr("Set the cost per inventory unit and the Min Level.")}
       </p>
 
       <label style={{ display: "inline-flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
@@ -9204,17 +14931,28 @@ const cogs = Number(
           checked={syncCostsFromPurchases}
           onChange={(e) => setSyncCostsFromPurchases(e.target.checked)}
         />
-        Auto-sync Cost/Unit from Purchases
+        {tr("Auto-sync Cost/Unit from Purchases")}
+      </label>
+      <label style={{ display: "inline-flex", alignItems: "center", gap: 8, marginBottom: 10, marginInlineStart: 16 }}>
+        {tr("Costing method")}
+        <select
+          value={costingMethod}
+          disabled={!syncCostsFromPurchases}
+          onChange={(e) => setCostingMethod(e.target.value)}
+          style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+        >
+          {COSTING_METHODS.map((m) => <option key={m.id} value={m.id}>{tr(m.label)}</option>)}
+        </select>
       </label>
 
       <div style={{ overflowX: "auto" }}>
         <table style={{ width: "100%", borderCollapse: "collapse" }}>
           <thead>
             <tr>
-              <th style={{ textAlign: "left",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Item</th>
-              <th style={{ textAlign: "left",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Unit</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Min Level</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Cost / Unit (E£)</th>
+              <th style={{ textAlign: "start",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Item")}</th>
+              <th style={{ textAlign: "start",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Unit")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Min Level")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Cost / Unit (E£)")}</th>
             </tr>
           </thead>
           <tbody>
@@ -9223,7 +14961,7 @@ const cogs = Number(
                 <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{it.name}</td>
                 <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{it.unit}</td>
 
-                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
                   <input
                     type="number"
                     min="0"
@@ -9233,11 +14971,20 @@ const cogs = Number(
                       const v = Math.max(0, Number(e.target.value || 0));
                       setInventory((arr) => arr.map(x => x.id === it.id ? { ...x, minQty: v } : x));
                     }}
-                    style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "right" }}
+                    style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "end" }}
                   />
                 </td>
 
-                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+                <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                  {isPrepItem(it) ? (
+                    <span title={tr("Rolled up from the prep recipe")}>
+                      {inventoryUnitCost(it.id, invById).toFixed(4)} <small style={{ opacity: 0.7 }}>{tr("(recipe)")}</small>
+                    </span>
+                  ) : syncCostsFromPurchases && costedFromPurchases.has(it.id) ? (
+                    <span title={tr("Worked out from purchases; turn off auto-sync to type it in")}>
+                      {Number(it.costPerUnit || 0).toFixed(4)} <small style={{ opacity: 0.7 }}>{tr(COSTING_METHODS.find((m) => m.id === costingMethod)?.label || "")}</small>
+                    </span>
+                  ) : (
                   <input
                     type="number"
                     min="0"
@@ -9247,15 +14994,16 @@ const cogs = Number(
                       const v = Math.max(0, Number(e.target.value || 0));
                       setInventory((arr) => arr.map((x) => (x.id === it.id ? { ...x, costPerUnit: v } : x)));
                     }}
-                    style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "right" }}
+                    style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "end" }}
                   />
+                  )}
                 </td>
               </tr>
             ))}
             {inventory.length === 0 && (
               <tr>
                 <td colSpan={4} style={{ padding: 8, opacity: 0.7 }}>
-                  No inventory yet. Add items in <b>Admin → Inventory</b>.
+                  {trNodes("No inventory yet. Add items in {0}.", [<b>{tr("Admin → Inventory")}</b>])}
                 </td>
               </tr>
             )}
@@ -9270,34 +15018,159 @@ const cogs = Number(
 
 
 
-      {/* ORDERS */}
-      {activeTab === "orders" && (
+      {/* TABLES (open checks) */}
+      {activeTab === "tables" && (
         <div>
-          <h2>Select item</h2>
-
-          <div style={{ display: "flex", gap: 24, alignItems: "flex-start", flexWrap: "wrap" }}>
-            <div style={{ flex: 1, minWidth: 300 }}>
-              <h3>Burgers & Items</h3>
-              {/* TILE GRID (small icon-like cards) */}
-              <div
-                style={{
-                  display: "grid",
-                  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
-                  gap: 10,
-                }}
-              >
-                {menu.map((item) => {
-                  const isSel = selectedBurger?.id === item.id;
-                  const bg = item.color || (dark ? "#1e1e1e" : "#ffffff");
-                  return (
-                    <button
-                      key={item.id}
-                      onClick={() => setSelectedBurger(item)}
-                      style={{
-                        textAlign: "left",
-                        padding: 12,
-                        border: isSel ? "2px solid #1976d2" : `1px solid ${btnBorder}`,
-                        borderRadius: 10,
+          <h2>{tr("Tables")}</h2>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))", gap: 12 }}>
+            {tables.map((table) => {
+              const checks = openChecks.filter((c) => c.table === table);
+              return (
+                <div
+                  key={table}
+                  style={{
+                    border: `1px solid ${cardBorder}`,
+                    borderRadius: 8,
+                    padding: 10,
+                    background: checks.length ? (dark ? "#2b2418" : "#fff8e1") : softBg,
+                  }}
+                >
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+                    <strong style={{ fontSize: 18 }}>{table}</strong>
+                    <button onClick={() => openCheckOnTable(table)}>{tr("+ Open check")}</button>
+                  </div>
+                  {checks.length === 0 && <small style={{ opacity: 0.7 }}>{tr("Free")}</small>}
+                  {checks.map((c) => {
+                    const sel = checkSelection[c.id] || [];
+                    const others = openChecks.filter((x) => x.id !== c.id);
+                    return (
+                      <div
+                        key={c.id}
+                        style={{
+                          borderTop: `1px solid ${cardBorder}`,
+                          paddingTop: 6,
+                          marginTop: 6,
+                          outline: settlingCheckId === c.id ? "2px solid #43a047" : "none",
+                        }}
+                      >
+                        <div style={{ display: "flex", justifyContent: "space-between", gap: 6 }}>
+                          <strong>{c.name}</strong>
+                          <span>E£{checkTotal(c).toFixed(2)}</span>
+                        </div>
+                        <small style={{ opacity: 0.75 }}>
+                          {c.openedBy
+                            ? tr("Opened {0} by {1}", [uiDateTime(c.openedAt), c.openedBy])
+                            : tr("Opened {0}", [uiDateTime(c.openedAt)])}{" "}
+                          • {c.rounds === 1 ? tr("1 round") : tr("{0} rounds", [c.rounds || 0])}
+                        </small>
+                        <ul style={{ listStyle: "none", padding: 0, margin: "6px 0" }}>
+                          {(c.lines || []).map((line, idx) => (
+                            <li key={line.lineId || idx}>
+                              <label style={{ display: "flex", gap: 6, alignItems: "baseline" }}>
+                                <input type="checkbox" checked={sel.includes(idx)} onChange={() => toggleCheckLine(c.id, idx)} />
+                                <span style={{ flex: 1 }}>
+                                  {line.qty || 1}× {line.name}
+                                  {(line.extras || []).length ? ` (+ ${line.extras.map((e) => e.name).join(", ")})` : ""}
+                                  <small style={{ opacity: 0.6 }}> · R{line.round || 1}</small>
+                                </span>
+                                <span>E£{lineGrossTotal(line).toFixed(2)}</span>
+                              </label>
+                            </li>
+                          ))}
+                        </ul>
+                        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                          <button onClick={() => startRoundForCheck(c.id)}>{tr("+ Round")}</button>
+                          <button
+                            onClick={() => settleCheck(c.id)}
+                            style={{ background: "#43a047", color: "#fff", border: "none", borderRadius: 6, padding: "4px 10px" }}
+                          >
+                            {tr("Settle")}
+                          </button>
+                          {(c.lines || []).length === 0 && <button onClick={() => closeEmptyCheck(c.id)}>{tr("Close")}</button>}
+                        </div>
+                        {sel.length > 0 && (
+                          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+                            <select
+                              value=""
+                              onChange={(e) => e.target.value && moveSelectedCheckLines(c.id, e.target.value === "__new" ? null : e.target.value)}
+                            >
+                              <option value="">{sel.length === 1 ? tr("Move 1 item to…") : tr("Move {0} items to…", [sel.length])}</option>
+                              <option value="__new">{tr("New check on {0} (split)", [table])}</option>
+                              {others.map((x) => (
+                                <option key={x.id} value={x.id}>
+                                  {x.name}
+                                </option>
+                              ))}
+                            </select>
+                            <button onClick={() => removeSelectedCheckLines(c.id)} style={{ color: "#c62828" }}>
+                              {tr("Remove")}
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+          <small style={{ display: "block", marginTop: 10, opacity: 0.75 }}>
+            {tr("Stock is taken when a round is sent. To split a bill evenly, settle it and use “Split evenly” under payment.")}
+          </small>
+        </div>
+      )}
+
+      {/* ORDERS */}
+      {activeTab === "orders" && (
+        <div>
+          {(roundCheckId || settlingCheckId) && (
+            <div
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 10,
+                padding: "8px 12px",
+                marginBottom: 8,
+                borderRadius: 8,
+                background: dark ? "#3e2723" : "#efebe9",
+                border: "1px solid #8d6e63",
+              }}
+            >
+              <strong style={{ flex: 1 }}>
+                {roundCheckId
+                  ? tr("Adding a round to {0}", [openChecks.find((c) => c.id === roundCheckId)?.name || "check"])
+                  : tr("Settling {0} — take payment below", [openChecks.find((c) => c.id === settlingCheckId)?.name || "check"])}
+              </strong>
+              <button onClick={roundCheckId ? () => setRoundCheckId(null) : cancelSettling}>
+                {roundCheckId ? tr("Cancel round") : tr("Back to tables")}
+              </button>
+            </div>
+          )}
+          <h2>{tr("Select item")}</h2>
+
+          <div style={{ display: "flex", gap: 24, alignItems: "flex-start", flexWrap: "wrap" }}>
+            <div style={{ flex: 1, minWidth: 300 }}>
+              <h3>{tr("Burgers & Items")}</h3>
+              {/* TILE GRID (small icon-like cards) */}
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+                  gap: 10,
+                }}
+              >
+                {menu.map((item) => {
+                  const isSel = selectedBurger?.id === item.id;
+                  const bg = item.color || (dark ? "#1e1e1e" : "#ffffff");
+                  return (
+                    <button
+                      key={item.id}
+                      onClick={() => selectMenuItem(item)}
+                      style={{
+                        textAlign: "start",
+                        padding: 12,
+                        border: isSel ? "2px solid #1976d2" : `1px solid ${btnBorder}`,
+                        borderRadius: 10,
                         background: bg,
                         color: dark ? "#eee" : "#000",
                         cursor: "pointer",
@@ -9309,10 +15182,102 @@ const cogs = Number(
                   );
                 })}
               </div>
+
+              {selectedBurger && isBundleItem(selectedBurger) && (
+                <div style={{ marginTop: 12 }}>
+                  {normalizeBundleSlots(selectedBurger.bundleSlots).map((sl) => {
+                    const options = sl.itemIds
+                      .map((id) => menu.find((m) => String(m.id) === String(id)))
+                      .filter(Boolean);
+                    return (
+                      <div key={sl.id} style={{ marginBottom: 10 }}>
+                        <div style={{ fontWeight: 700, marginBottom: 6 }}>{sl.name}</div>
+                        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                          {options.map((m) => {
+                            const on = String(selectedBundleChoices[sl.id]) === String(m.id);
+                            return (
+                              <button
+                                key={m.id}
+                                onClick={() => setSelectedBundleChoices((prev) => ({ ...prev, [sl.id]: m.id }))}
+                                disabled={options.length === 1}
+                                style={{
+                                  padding: "6px 10px",
+                                  borderRadius: 8,
+                                  border: on ? "2px solid #1976d2" : `1px solid ${btnBorder}`,
+                                  background: on ? (dark ? "#0d2a4a" : "#e3f2fd") : dark ? "#1e1e1e" : "#fff",
+                                  color: dark ? "#eee" : "#000",
+                                  cursor: options.length === 1 ? "default" : "pointer",
+                                }}
+                              >
+                                {m.name}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              {selectedBurger && normalizeModifierGroups(selectedBurger.modifierGroups).length > 0 && (
+                <div style={{ marginTop: 12 }}>
+                  {normalizeModifierGroups(selectedBurger.modifierGroups).map((g) => {
+                    const picked = selectedModifiers[g.id] || [];
+                    const rule =
+                      g.min && g.max === g.min
+                        ? `choose ${g.min}`
+                        : g.min
+                        ? `choose ${g.min}${g.max ? `–${g.max}` : "+"}`
+                        : g.max
+                        ? `optional, up to ${g.max}`
+                        : "optional";
+                    return (
+                      <div key={g.id} style={{ marginBottom: 10 }}>
+                        <div style={{ fontWeight: 700, marginBottom: 6 }}>
+                          {g.name}{" "}
+                          <span
+                            style={{
+                              fontWeight: 400,
+                              fontSize: 12,
+                              color: g.min && picked.length < g.min ? "#c62828" : undefined,
+                              opacity: g.min && picked.length < g.min ? 1 : 0.7,
+                            }}
+                          >
+                            ({rule})
+                          </span>
+                        </div>
+                        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                          {g.options.map((o) => {
+                            const on = picked.includes(o.id);
+                            return (
+                              <button
+                                key={o.id}
+                                onClick={() => toggleModifier(g, o)}
+                                style={{
+                                  padding: "6px 10px",
+                                  borderRadius: 8,
+                                  border: on ? "2px solid #1976d2" : `1px solid ${btnBorder}`,
+                                  background: on ? (dark ? "#0d2a4a" : "#e3f2fd") : dark ? "#1e1e1e" : "#fff",
+                                  color: dark ? "#eee" : "#000",
+                                  cursor: "pointer",
+                                }}
+                              >
+                                {o.name}
+                                {o.priceDelta ? ` (${o.priceDelta > 0 ? "+" : "−"}E£${Math.abs(o.priceDelta)})` : ""}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
             </div>
 
             <div style={{ flex: 1, minWidth: 300 }}>
-              <h3>Extras</h3>
+              <h3>{tr("Extras")}</h3>
               {/* TILE GRID (multi-select) */}
               <div
                 style={{
@@ -9329,7 +15294,7 @@ const cogs = Number(
                       key={ex.id}
                       onClick={() => toggleExtra(ex)}
                       style={{
-                        textAlign: "left",
+                        textAlign: "start",
                         padding: 12,
                         border: checked ? "2px solid #1976d2" : `1px solid ${btnBorder}`,
                         borderRadius: 10,
@@ -9347,7 +15312,7 @@ const cogs = Number(
 
               {/* Qty + Add */}
               <div style={{ marginTop: 12, display: "flex", alignItems: "center", gap: 8 }}>
-                <strong>Qty:</strong>
+                <strong>{tr("Qty:")}</strong>
                 <button
                   onClick={() => setSelectedQty((q) => Math.max(1, Number(q || 1) - 1))}
                   style={{ padding: "4px 10px", borderRadius: 6, border: `1px solid ${btnBorder}` }}
@@ -9370,7 +15335,7 @@ const cogs = Number(
                 <button
                   onClick={addToCart}
                   style={{
-                    marginLeft: "auto",
+                    marginInlineStart: "auto",
                     padding: "10px 14px",
                     borderRadius: 6,
                     border: "none",
@@ -9379,15 +15344,15 @@ const cogs = Number(
                     cursor: "pointer",
                   }}
                 >
-                  Add to cart
+                  {tr("Add to cart")}
                 </button>
               </div>
             </div>
           </div>
 
           {/* Cart */}
-          <h3 style={{ marginTop: 16 }}>Cart</h3>
-          {cart.length === 0 && <p>No items yet.</p>}
+          <h3 style={{ marginTop: 16 }}>{tr("Cart")}</h3>
+          {cart.length === 0 && <p>{tr("No items yet.")}</p>}
           <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
             {cart.map((it, idx) => {
               const extrasSum = (it.extras || []).reduce(
@@ -9396,6 +15361,7 @@ const cogs = Number(
               );
               const lineTotal =
                 (Number(it.price || 0) + extrasSum) * Number(it.qty || 1);
+              const lineDiscount = lineDiscountAmount(it);
               return (
                 <li
                   key={idx}
@@ -9413,6 +15379,11 @@ const cogs = Number(
                 >
                   <div style={{ flex: 1 }}>
                     <strong>{it.name}</strong> — E£{it.price}
+                    {it.components?.length > 0 && (
+                      <div style={{ margin: "2px 0 0 16px", fontSize: 13, color: dark ? "#bbb" : "#555" }}>
+                        {it.components.map((c) => c.name).join(" · ")}
+                      </div>
+                    )}
                     {it.extras?.length > 0 && (
                       <ul style={{ margin: "4px 0 0 16px", color: dark ? "#bbb" : "#555" }}>
                         {it.extras.map((e) => (
@@ -9420,6 +15391,32 @@ const cogs = Number(
                         ))}
                       </ul>
                     )}
+                    <div style={{ display: "flex", gap: 6, marginTop: 4, flexWrap: "wrap" }}>
+                      <button
+                        onClick={() => promptLineDiscount(idx)}
+                        disabled={!!it.discount?.comp}
+                        style={{ padding: "2px 8px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+                      >
+                        {tr("% Discount")}
+                      </button>
+                      <button
+                        onClick={() => compLine(idx)}
+                        style={{
+                          padding: "2px 8px",
+                          borderRadius: 6,
+                          border: `1px solid ${btnBorder}`,
+                          background: it.discount?.comp ? "#fff3e0" : undefined,
+                          cursor: "pointer",
+                        }}
+                      >
+                        {it.discount?.comp ? tr("Undo comp") : tr("Comp")}
+                      </button>
+                      {it.discount?.comp && (
+                        <small style={{ color: "#e65100" }}>
+                          {tr("Comped by {0} — {1}", [it.discount.by, it.discount.reason])}
+                        </small>
+                      )}
+                    </div>
                   </div>
 
                   {/* Qty stepper in cart */}
@@ -9452,12 +15449,19 @@ const cogs = Number(
                     </button>
                   </div>
 
-                  <div style={{ minWidth: 120, textAlign: "right" }}>
+                  <div style={{ minWidth: 120, textAlign: "end" }}>
                     <div>
-                      <small>Line total</small>
+                      <small>{tr("Line total")}</small>
                     </div>
                     <div>
-                      <b>E£{lineTotal.toFixed(2)}</b>
+                      {lineDiscount > 0 ? (
+                        <>
+                          <s style={{ opacity: 0.6 }}>E£{lineTotal.toFixed(2)}</s>{" "}
+                          <b>E£{(lineTotal - lineDiscount).toFixed(2)}</b>
+                        </>
+                      ) : (
+                        <b>E£{lineTotal.toFixed(2)}</b>
+                      )}
                     </div>
                   </div>
 
@@ -9472,21 +15476,46 @@ const cogs = Number(
                       cursor: "pointer",
                     }}
                   >
-                    Remove
+                    {tr("Remove")}
                   </button>
                 </li>
               );
             })}
           </ul>
 
+          {/* Pre-order */}
+          <div style={{ margin: "8px 0", display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+            <strong>{tr("Schedule for (optional):")}</strong>
+            <input
+              type="datetime-local"
+              value={scheduledForInput}
+              onChange={(e) => setScheduledForInput(e.target.value)}
+              style={{
+                padding: "6px 8px",
+                borderRadius: 6,
+                border: `1px solid ${btnBorder}`,
+                background: dark ? "#1e1e1e" : "white",
+                color: dark ? "#eee" : "#000",
+              }}
+            />
+            {scheduledForInput && (
+              <>
+                <button onClick={() => setScheduledForInput("")}>{tr("Now instead")}</button>
+                <small style={{ opacity: 0.75 }}>
+                  {tr("Held in \"Later\" and released to the kitchen {0} min before.", [scheduleLeadMinutes])}
+                </small>
+              </>
+            )}
+          </div>
+
           {/* Notes */}
           <div style={{ margin: "8px 0 12px" }}>
             <label>
-              <strong>Order notes:</strong>{" "}
+              <strong>{tr("Order notes:")}</strong>{" "}
               <input
                 type="text"
                 value={orderNote}
-                placeholder="e.g., no pickles, extra spicy"
+                placeholder={tr("e.g., no pickles, extra spicy")}
                 onChange={(e) => setOrderNote(e.target.value)}
                 style={{
                   width: 420,
@@ -9501,6 +15530,86 @@ const cogs = Number(
             </label>
           </div>
 
+          {/* Discounts */}
+          {cart.length > 0 && (
+            <div
+              style={{
+                display: "flex",
+                gap: 12,
+                alignItems: "center",
+                flexWrap: "wrap",
+                margin: "0 0 12px",
+              }}
+            >
+              <label>
+                <strong>{tr("Order discount:")}</strong>{" "}
+                <input
+                  type="number"
+                  min={0}
+                  value={orderDiscount.value}
+                  onChange={(e) =>
+                    setOrderDiscount((d) => ({ ...d, value: Math.max(0, Number(e.target.value || 0)) }))
+                  }
+                  style={{ width: 80 }}
+                />
+              </label>
+              <select
+                value={orderDiscount.type}
+                onChange={(e) => setOrderDiscount((d) => ({ ...d, type: e.target.value }))}
+              >
+                <option value="percent">%</option>
+                <option value="fixed">E£</option>
+              </select>
+              <input
+                type="text"
+                placeholder={tr("Reason (optional)")}
+                value={orderDiscount.reason}
+                onChange={(e) => setOrderDiscount((d) => ({ ...d, reason: e.target.value }))}
+                style={{ width: 160 }}
+              />
+              <span>
+                <input
+                  type="text"
+                  placeholder={tr("Promo code")}
+                  value={promoCodeInput}
+                  onChange={(e) => setPromoCodeInput(e.target.value.toUpperCase())}
+                  style={{ width: 120 }}
+                />{" "}
+                <button onClick={applyPromoCode} style={{ padding: "4px 8px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}>
+                  {tr("Apply")}
+                </button>
+                {appliedPromoCode && (
+                  <small style={{ marginInlineStart: 6, color: "#2e7d32" }}>
+                    {tr("{0} applied", [appliedPromoCode])}{" "}
+                    <button
+                      onClick={() => { setAppliedPromoCode(""); setPromoCodeInput(""); }}
+                      style={{ border: "none", background: "transparent", cursor: "pointer", color: "inherit" }}
+                    >
+                      ✕
+                    </button>
+                  </small>
+                )}
+              </span>
+              <button
+                onClick={toggleOrderComp}
+                style={{
+                  padding: "4px 10px",
+                  borderRadius: 6,
+                  border: `1px solid ${btnBorder}`,
+                  background: compInfo ? "#fff3e0" : undefined,
+                  cursor: "pointer",
+                }}
+              >
+                {compInfo ? tr("Undo order comp") : tr("Comp order (admin)")}
+              </button>
+              {compInfo && (
+                <small style={{ color: "#e65100" }}>
+                  {tr("Comped by {0} — {1}", [compInfo.by, compInfo.reason])}
+                </small>
+              )}
+            </div>
+          )}
+
           {/* Selection groups & Checkout */}
           <div style={{ display: "grid", gap: 12 }}>
             {/* Button groups row */}
@@ -9520,9 +15629,9 @@ const cogs = Number(
     background: dark ? "#191919" : "#fafafa",
   }}
 >
-  <div style={{ fontWeight: 700, marginBottom: 6 }}>Worker</div>
+  <div style={{ fontWeight: 700, marginBottom: 6 }}>{tr("Worker")}</div>
   {!activeWorkers.length ? (
-    <div style={{ opacity:.8 }}>No one is on duty. Ask a worker to sign in (Shift bar).</div>
+    <div style={{ opacity:.8 }}>{tr("No one is on duty. Ask a worker to sign in (Shift bar).")}</div>
   ) : (
     <div style={{ display:"flex", gap:6, flexWrap:"wrap" }}>
       {activeWorkers.map((w) => (
@@ -9554,7 +15663,7 @@ const cogs = Number(
                   background: dark ? "#191919" : "#fafafa",
                 }}
               >
-                <div style={{ fontWeight: 700, marginBottom: 6 }}>Payment</div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>{tr("Payment")}</div>
 <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
   {paymentMethods.map((p) => (
     <button
@@ -9585,57 +15694,89 @@ const cogs = Number(
         if (on) setPayment(""); // ignore single payment when split
       }}
     />{" "}
-    Split into two methods
+    {tr("Split across methods")}
   </label>
 </div>
 
 {/* Split UI */}
-{splitPay && (
-  <div style={{ marginTop: 8, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
-    <div>
-      <div style={{ marginBottom: 4 }}><b>Method A</b></div>
-      <select
-        value={payA}
-        onChange={(e) => setPayA(e.target.value)}
-        style={{ width: "100%", padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
-      >
-        <option value="">Select method</option>
-        {paymentMethods.map((m) => <option key={m} value={m}>{m}</option>)}
-      </select>
-      <input
-        type="number"
-        placeholder="Amount"
-        value={amtA}
-        onChange={(e) => setAmtA(Number(e.target.value || 0))}
-        style={{ width: "100%", marginTop: 6 }}
-      />
-    </div>
-    <div>
-      <div style={{ marginBottom: 4 }}><b>Method B</b></div>
-      <select
-        value={payB}
-        onChange={(e) => setPayB(e.target.value)}
-        style={{ width: "100%", padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
-      >
-        <option value="">Select method</option>
-        {paymentMethods.map((m) => <option key={m} value={m}>{m}</option>)}
-      </select>
-      <input
-        type="number"
-        placeholder="Amount"
-        value={amtB}
-        onChange={(e) => setAmtB(Number(e.target.value || 0))}
-        style={{ width: "100%", marginTop: 6 }}
-      />
+{splitPay && (() => {
+  const orderTotal =
+    checkoutPricing.itemsTotal + (orderType === "Delivery" ? Number(deliveryFee || 0) : 0);
+  const remaining = tenderRemaining(splitParts, orderTotal);
+  return (
+    <div style={{ marginTop: 8 }}>
+      {splitParts.map((part, idx) => (
+        <div
+          key={idx}
+          style={{ display: "grid", gridTemplateColumns: "1fr 1fr auto auto", gap: 6, marginBottom: 6 }}
+        >
+          <select
+            value={part.method}
+            onChange={(e) => updateSplitPart(idx, { method: e.target.value })}
+            style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+          >
+            <option value="">{tr("Select method")}</option>
+            {paymentMethods.map((m) => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <input
+            type="number"
+            placeholder={tr("Amount")}
+            value={part.amount}
+            onChange={(e) => updateSplitPart(idx, { amount: Number(e.target.value || 0) })}
+          />
+          <button
+            onClick={() =>
+              updateSplitPart(idx, {
+                amount: Number(Math.max(0, Number(part.amount || 0) + remaining).toFixed(2)),
+              })
+            }
+            disabled={remaining <= 0}
+            title={tr("Put the remaining balance on this method")}
+            style={{ padding: "4px 8px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+          >
+            {tr("Rest")}
+          </button>
+          <button
+            onClick={() => removeSplitPart(idx)}
+            disabled={splitParts.length <= 2}
+            style={{ padding: "4px 8px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button
+          onClick={addSplitPart}
+          style={{ padding: "4px 10px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+        >
+          {tr("+ Add method")}
+        </button>
+        <button
+          onClick={() => {
+            const shares = splitEvenly(orderTotal, splitParts.length);
+            setSplitParts((arr) => arr.map((p, i) => ({ ...p, amount: shares[i] })));
+          }}
+          title={tr("Divide the total equally over the rows above")}
+          style={{ padding: "4px 10px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+        >
+          {tr("Split evenly")}
+        </button>
+        <small style={{ color: remaining === 0 ? "#2e7d32" : "#c62828", fontWeight: 700 }}>
+          {remaining >= 0
+            ? tr("Remaining: {0}", [uiMoney(remaining)])
+            : tr("Over by: {0}", [uiMoney(-remaining)])}
+        </small>
+      </div>
     </div>
-  </div>
-)}
+  );
+})()}
 
 {/* Cash inputs */}
 {!splitPay && payment === "Cash" && (
   <div style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
     <label>
-      Cash received:&nbsp;
+      {tr("Cash received:")}&nbsp;
       <input
         type="number"
         value={cashReceived}
@@ -9644,17 +15785,14 @@ const cogs = Number(
       />
     </label>
     <small style={{ opacity: 0.8 }}>
-      Change:{" "}
+      {tr("Change:")}{" "}
       <b>
         E£
         {(
           Math.max(
             0,
             Number(cashReceived || 0) -
-              (cart.reduce((s, b) => {
-                const ex = (b.extras || []).reduce((t, e) => t + Number(e.price || 0), 0);
-                return s + (Number(b.price || 0) + ex) * Number(b.qty || 1);
-              }, 0) + (orderType === "Delivery" ? Number(deliveryFee || 0) : 0))
+              (checkoutPricing.itemsTotal + (orderType === "Delivery" ? Number(deliveryFee || 0) : 0))
           ) || 0
         ).toFixed(2)}
       </b>
@@ -9662,10 +15800,10 @@ const cogs = Number(
   </div>
 )}
 
-{splitPay && (payA === "Cash" || payB === "Cash") && (
+{splitPay && splitParts.some((p) => p.method === "Cash") && (
   <div style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
     <label>
-      Cash received (for cash part):&nbsp;
+      {tr("Cash received (for cash part):")}&nbsp;
       <input
         type="number"
         value={cashReceivedSplit}
@@ -9674,13 +15812,9 @@ const cogs = Number(
       />
     </label>
     <small style={{ opacity: 0.8 }}>
-      Change on cash part:{" "}
+      {tr("Change on cash part:")}{" "}
       <b>
-        E£
-        {(() => {
-          const cashAmt = (payA === "Cash" ? amtA : 0) + (payB === "Cash" ? amtB : 0);
-          return Math.max(0, Number(cashReceivedSplit || 0) - Number(cashAmt || 0)).toFixed(2);
-        })()}
+        E£{cashChangeForTenders(splitParts, cashReceivedSplit).change.toFixed(2)}
       </b>
     </small>
   </div>
@@ -9697,7 +15831,7 @@ const cogs = Number(
                   background: dark ? "#191919" : "#fafafa",
                 }}
               >
-                <div style={{ fontWeight: 700, marginBottom: 6 }}>Order Type</div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>{tr("Order Type")}</div>
                 <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
                   {orderTypes.map((t) => (
                     <button
@@ -9723,7 +15857,7 @@ const cogs = Number(
   <div style={{ marginTop: 8, display: "grid", gap: 8 }}>
     <div>
       <label>
-        Delivery fee:&nbsp;
+        {tr("Delivery fee:")}&nbsp;
         <input
           type="number"
           value={deliveryFee}
@@ -9732,12 +15866,12 @@ const cogs = Number(
         />
       </label>
       <small style={{ opacity: 0.75 }}>
-        &nbsp;(Default: E£{Number(defaultDeliveryFee || 0).toFixed(2)})
+        &nbsp;{tr("(Default: {0})", [uiMoney(Number(defaultDeliveryFee || 0))])}
       </small>
     </div>
     <div>  {/* Zone auto-sets fee */}                                    {/* ⬅️ NEW */}
   <label>
-    Zone:&nbsp;
+    {tr("Zone:")}&nbsp;
     <select
       value={deliveryZoneId}
       onChange={(e) => {
@@ -9748,7 +15882,7 @@ const cogs = Number(
       }}
       style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
     >
-      <option value="">Select zone</option>
+      <option value="">{tr("Select zone")}</option>
       {deliveryZones.map(z => <option key={z.id} value={z.id}>{z.name} — E£{Number(z.fee||0).toFixed(2)}</option>)}
     </select>
   </label>
@@ -9771,15 +15905,15 @@ const cogs = Number(
           marginBottom: 4,
         }}
       >
-        <span role="img" aria-label="VIP">
+        <span role="img" aria-label={tr("VIP")}>
           ⭐
         </span>
-        VIP Customer
+        {tr("VIP Customer")}
       </div>
     )}
     <input
       type="text"
-      placeholder="Customer name"
+      placeholder={tr("Customer name")}
       value={deliveryName}
       onChange={(e) => setDeliveryName(e.target.value)}
       style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
@@ -9790,7 +15924,7 @@ const cogs = Number(
         type="tel"
         list="phone-saved"
         inputMode="numeric"
-        placeholder="Phone Number (10 digits)"
+        placeholder={tr("Phone Number (10 digits)")}
         maxLength={10}
         value={extractLocalPhoneDigits(deliveryPhone)}
         onChange={(e) => setDeliveryPhone(toCanonicalLocalPhone(e.target.value))}
@@ -9813,7 +15947,7 @@ const cogs = Number(
     </div>
     <input
       type="text"
-      placeholder="Address"
+      placeholder={tr("Address")}
       value={deliveryAddress}
       onChange={(e) => setDeliveryAddress(e.target.value)}
       style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
@@ -9825,7 +15959,7 @@ const cogs = Number(
                   <div style={{ marginTop: 8, display: "grid", gap: 8 }}>
                     <input
                       type="text"
-                      placeholder="Customer name (optional)"
+                      placeholder={tr("Customer name (optional)")}
                       value={customerName}
                       onChange={(e) => setCustomerName(e.target.value)}
                       style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
@@ -9835,7 +15969,7 @@ const cogs = Number(
                       <input
                         type="tel"
                         inputMode="numeric"
-                        placeholder="Customer phone (10 digits)"
+                        placeholder={tr("Customer phone (10 digits)")}
                         maxLength={10}
                         value={extractLocalPhoneDigits(customerPhone)}
                         onChange={(e) => setCustomerPhone(toCanonicalLocalPhone(e.target.value))}
@@ -9858,7 +15992,7 @@ const cogs = Number(
                     </div>
                     {hasWhatsappNumberLength(customerPhone) && (
                       <small style={{ opacity: 0.7 }}>
-                        WhatsApp will use {formatPhoneForDisplay(customerPhone)} for updates.
+                        {tr("WhatsApp will use {0} for updates.", [formatPhoneForDisplay(customerPhone)])}
                       </small>
                     )}
                     <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
@@ -9868,7 +16002,7 @@ const cogs = Number(
                         onChange={(e) => setSyncWhatsappReady(e.target.checked)}
                         disabled={!hasWhatsappNumberLength(customerPhone)}
                       />
-                      <span>Send ready message via WhatsApp when order is done</span>
+                      <span>{tr("Send ready message via WhatsApp when order is done")}</span>
                     </label>
                   </div>
                 )}
@@ -9887,18 +16021,17 @@ const cogs = Number(
               }}
             >
               <div>
-                <strong>Order Total (incl. delivery):</strong>{" "}
+                {checkoutPricing.discountTotal > 0 && (
+                  <div>
+                    <small>
+                      {tr("Subtotal {0} • Discounts −{1}", [uiMoney(checkoutPricing.itemsSubtotal), uiMoney(checkoutPricing.discountTotal)])}
+                    </small>
+                  </div>
+                )}
+                <strong>{tr("Order Total (incl. delivery):")}</strong>{" "}
                 E£
                 {(
-                  cart.reduce((s, b) => {
-                    const ex = (b.extras || []).reduce(
-                      (t, e) => t + Number(e.price || 0),
-                      0
-                    );
-                    return (
-                      s + (Number(b.price || 0) + ex) * Number(b.qty || 1)
-                    );
-                  }, 0) +
+                  checkoutPricing.itemsTotal +
                   (orderType === "Delivery"
                     ? Number(deliveryFee || 0)
                     : 0)
@@ -9906,6 +16039,22 @@ const cogs = Number(
               </div>
 
               <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                {roundCheckId ? (
+                  <button
+                    onClick={sendRoundToCheck}
+                    style={{
+                      background: "#6d4c41",
+                      color: "white",
+                      border: "none",
+                      borderRadius: 8,
+                      padding: "10px 14px",
+                      cursor: "pointer",
+                      minWidth: 140,
+                    }}
+                  >
+                    {tr("Send round to {0}", [openChecks.find((c) => c.id === roundCheckId)?.name || tr("the check")])}
+                  </button>
+                ) : (
                 <button
                   onClick={checkout}
                   disabled={isCheckingOut}
@@ -9919,10 +16068,11 @@ const cogs = Number(
                     minWidth: 140,
                   }}
                 >
-                  {isCheckingOut ? "Processing..." : "Checkout"}
+                  {isCheckingOut ? tr("Processing...") : tr("Checkout")}
                 </button>
+                )}
                 <small>
-                  Next order #: <b>{nextOrderNo}</b>
+                  {trNodes("Next order #: {0}", [<b>{nextOrderNo}</b>])}
                 </small>
               </div>
             </div>
@@ -9933,7 +16083,7 @@ const cogs = Number(
       {/* ORDERS BOARD */}
      {activeTab === "board" && (
         <div>
-          <h2>Orders Board {realtimeOrders ? "(Live)" : ""}</h2>
+          <h2>{realtimeOrders ? tr("Orders Board (Live)") : tr("Orders Board")}</h2>
           <div
             style={{
               display: "flex",
@@ -9967,13 +16117,13 @@ const cogs = Number(
                   fontWeight: 600,
                 }}
               >
-                {label}
+                {tr(label)}
                 {key === "online" && newOnlineOrderCount > 0 && (
                   <span
                     style={{
                       position: "absolute",
                       top: -4,
-                      right: -4,
+                      insetInlineEnd: -4,
                       minWidth: 16,
                       height: 16,
                       borderRadius: 8,
@@ -9998,7 +16148,7 @@ const cogs = Number(
           {orderBoardFilter === "online" ? (
             <>
               {onlineOrders.length === 0 ? (
-                <p>No online orders yet.</p>
+                <p>{tr("No online orders yet.")}</p>
               ) : (
                 <ul style={{ listStyle: "none", padding: 0 }}>
                    {onlineOrders.map((o) => {
@@ -10083,8 +16233,7 @@ const cogs = Number(
                         >
                           <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
                              <strong>
-                              Online #{o.displayOrderNo || o.orderNo} — E£
-                              {Number(o.total || 0).toFixed(2)}
+                              {tr("Online #{0} — {1}", [o.displayOrderNo || o.orderNo, uiMoney(Number(o.total || 0))])}
                             </strong>
                             {isNew && (
                               <span
@@ -10097,23 +16246,23 @@ const cogs = Number(
                                   fontWeight: 700,
                                 }}
                               >
-                                NEW
+                                {tr("NEW")}
                               </span>
                             )}
                           </div>
-                          <span>{fmtDateTime(placedAt)}</span>
+                          <span>{uiDateTime(placedAt)}</span>
                         </div>
                          <div style={{ color: dark ? "#bbd0ff" : "#1a237e", marginTop: 4 }}>
-                          Payment: {o.payment || "—"} • Type: {o.orderType || "—"} • Status: {" "}
-                          {String(o.status || "pending")}
+                          {tr("Payment: {0}", [o.payment || "—"])} • {tr("Type: {0}", [o.orderType || "—"])} •{" "}
+                          {tr("Status: {0}", [String(o.status || "pending")])}
                           {Number(o.deliveryFee || 0) > 0 && (
-                            <> • Delivery: E£{Number(o.deliveryFee || 0).toFixed(2)}</>
+                            <> • {tr("Delivery: {0}", [uiMoney(Number(o.deliveryFee || 0))])}</>
                           )}
-                          {deliveryZoneDisplay && <> • Zone: {deliveryZoneDisplay}</>}
+                          {deliveryZoneDisplay && <> • {tr("Zone: {0}", [deliveryZoneDisplay])}</>}
                         </div>
                         {(o.deliveryName || o.deliveryPhone || o.deliveryAddress) && (
                           <div style={{ marginTop: 4, color: dark ? "#ddd" : "#555" }}>
-                            Customer: {o.deliveryName || "—"}
+                            {tr("Customer: {0}", [o.deliveryName || "—"])}
                             {o.deliveryPhone
                               ? ` (${formatPhoneForDisplay(o.deliveryPhone)})`
                               : ""}
@@ -10126,9 +16275,9 @@ const cogs = Number(
                               const qty = Number(ci?.qty || ci?.quantity || 0) || 1;
                               const priceEach = Number(ci?.price || 0);
                               return (
-                                <li key={ci.id || idx} style={{ marginLeft: 12 }}>
-                                  • {ci.name || `Item ${idx + 1}`} × {qty} — E£
-                                  {priceEach.toFixed(2)} each
+                                <li key={ci.id || idx} style={{ marginInlineStart: 12 }}>
+                                  • {ci.name || tr("Item {0}", [idx + 1])} × {qty} —{" "}
+                                  {tr("{0} each", [uiMoney(priceEach)])}
                                   {Array.isArray(ci.extras) && ci.extras.length > 0 && (
                                     <ul
                                       style={{
@@ -10140,7 +16289,7 @@ const cogs = Number(
                                         const extraPrice = Number(ex?.price || 0);
                                         return (
                                           <li key={ex.id || exIdx}>
-                                            + {ex.name || "Extra"} (E£{extraPrice.toFixed(2)}) × {qty}
+                                            + {ex.name || tr("Extra")} (E£{extraPrice.toFixed(2)}) × {qty}
                                           </li>
                                         );
                                       })}
@@ -10161,7 +16310,7 @@ const cogs = Number(
                               color: dark ? "#f3e5f5" : "#5d4037",
                             }}
                           >
-                            <strong>Note:</strong> {o.note}
+                            <strong>{tr("Note:")}</strong> {o.note}
                           </div>
                         )}
                         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 8 }}>
@@ -10177,7 +16326,7 @@ const cogs = Number(
                               cursor: isIntegrated || isProcessing ? "not-allowed" : "pointer",
                             }}
                           >
-                            Make
+                            {tr("Make")}
                           </button>
                           <button
                             onClick={() => markOnlineOrderDone(o)}
@@ -10192,7 +16341,7 @@ const cogs = Number(
                                 !isIntegrated || isDone || isVoided ? "not-allowed" : "pointer",
                             }}
                           >
-                            Mark DONE (locks)
+                            {tr("Mark DONE (locks)")}
                           </button>
                           <button
                             onClick={() => printOnlineOrder(o)}
@@ -10206,7 +16355,7 @@ const cogs = Number(
                               cursor: !isIntegrated || isVoided ? "not-allowed" : "pointer",
                             }}
                           >
-                            Print
+                            {tr("Print")}
                           </button>
                           <button
                             onClick={() => voidOnlineOrderAndRestock(o)}
@@ -10222,7 +16371,7 @@ const cogs = Number(
                                 !isIntegrated || isDone || isVoided ? "not-allowed" : "pointer",
                             }}
                           >
-                            Cancel (restock)
+                            {tr("Cancel (restock)")}
                           </button>
                           <button
                             onClick={() => voidOnlineOrderToExpense(o)}
@@ -10253,17 +16402,17 @@ const cogs = Number(
                                   : "pointer",
                             }}
                           >
-                            Returned
+                            {tr("Returned")}
                           </button>
                         </div>
       {(isProcessing || (!isIntegrated && (statusEntry.state === "done" || statusEntry.state === "voided"))) && (
                           <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
-                            {isProcessing && "Processing… waiting for POS sync."}
+                            {isProcessing && tr("Processing… waiting for POS sync.")}
                             {!isIntegrated && statusEntry.state === "done" && (
-                              <>Completed in POS (order #{statusEntry.posOrderNo || "?"})</>
+                              <>{tr("Completed in POS (order #{0})", [statusEntry.posOrderNo || "?"])}</>
                             )}
                             {!isIntegrated && statusEntry.state === "voided" && (
-                              <>Cancelled in POS (order #{statusEntry.posOrderNo || "?"})</>
+                              <>{tr("Cancelled in POS (order #{0})", [statusEntry.posOrderNo || "?"])}</>
                             )}
                           </div>
                         )}
@@ -10275,9 +16424,50 @@ const cogs = Number(
             </>
           ) : (
             <>
-              {orders.length === 0 && <p>No orders yet.</p>}
+              {heldOrders.length > 0 && (
+                <div
+                  style={{
+                    border: `1px dashed ${btnBorder}`,
+                    borderRadius: 8,
+                    padding: 10,
+                    marginBottom: 12,
+                    background: dark ? "#1a2230" : "#e3f2fd",
+                  }}
+                >
+                  <h3 style={{ margin: "0 0 8px" }}>
+                    {tr("⏰ Later ({0})", [heldOrders.length])} <small style={{ fontWeight: 400, opacity: 0.75 }}>{tr("released {0} min before due", [scheduleLeadMinutes])}</small>
+                  </h3>
+                  {heldOrders.map((o) => {
+                    const holdReason = releaseHoldReason(o);
+                    const dueButHeld = dueHeldOrders.includes(o);
+                    return (
+                      <div
+                        key={`${o.cloudId || "local"}_${o.orderNo}`}
+                        style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", padding: "4px 0", borderTop: `1px solid ${cardBorder}` }}
+                      >
+                        <strong>#{o.orderNo}</strong>
+                        <span>{tr("due {0}", [uiDateTime(o.scheduledFor)])}</span>
+                        <span style={{ opacity: 0.8 }}>• {o.orderType} • E£{Number(o.total || 0).toFixed(2)}</span>
+                        <span style={{ opacity: 0.8, flex: 1 }}>
+                          • {(o.cart || []).map((ci) => `${ci.qty || 1}× ${ci.name}`).join(", ")}
+                        </span>
+                        <button onClick={() => (holdReason ? notify(holdReason) : releaseScheduledOrder(o))}>{tr("Release now")}</button>
+                        <button onClick={() => voidOrderAndRestock(o.orderNo)} style={{ color: "#c62828" }}>
+                          {tr("Cancel")}
+                        </button>
+                        {dueButHeld && (
+                          <div style={{ flexBasis: "100%", fontSize: 12, fontWeight: 600, color: "#c62828" }}>
+                            ⚠ {tr("Due, but not sent to the kitchen yet.")} {holdReason}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              {orders.length === 0 && <p>{tr("No orders yet.")}</p>}
               <ul style={{ listStyle: "none", padding: 0 }}>
- {orders.map((o) => {
+ {orders.filter((o) => !isOrderHeld(o)).map((o) => {
                   const rawDeliveryZone = pickFirstTruthyKey(
                     o.deliveryZoneName,
                     o.deliveryZone,
@@ -10353,13 +16543,13 @@ const cogs = Number(
                         }}
                       >
                         <strong>
-                          Order #{o.orderNo} — E£{o.total.toFixed(2)}{" "}
+                          {tr("Order #{0} — {1}", [o.orderNo, uiMoney(o.total)])}{" "}
                           {o.cloudId ? "☁" : ""}
                         </strong>
-                        <span>{fmtDate(o.date)}</span>
+                        <span>{uiDate(o.date)}</span>
                       </div>
                       <div style={{ color: dark ? "#ccc" : "#555", marginTop: 4 }}>
-                        Worker: {o.worker} • Payment: {o.payment}
+                        {tr("Worker: {0}", [o.worker])} • {tr("Payment: {0}", [o.payment])}
                         {Array.isArray(o.paymentParts) && o.paymentParts.length ? (
                           <>
                             (
@@ -10371,16 +16561,17 @@ const cogs = Number(
                             )
                           </>
                         ) : null}
-                        {" "}• Type: {o.orderType || "-"}
+                        {" "}• {tr("Type: {0}", [o.orderType || "-"])}
+                        {o.table && <> • {tr("Table: {0}", [o.table])}</>}
                         {o.orderType === "Delivery" && (
-                          <> • Delivery: E£{Number(o.deliveryFee || 0).toFixed(2)}</>
+                          <> • {tr("Delivery: {0}", [uiMoney(Number(o.deliveryFee || 0))])}</>
                         )}
                         {o.orderType === "Delivery" && deliveryZoneDisplay && (
-                          <> • Zone: {deliveryZoneDisplay}</>
+                          <> • {tr("Zone: {0}", [deliveryZoneDisplay])}</>
                         )}
                         {(o.deliveryName || o.deliveryPhone || o.deliveryAddress) && (
                           <>
-                            {" "}• Customer: {o.deliveryName || "—"}
+                            {" "}• {tr("Customer: {0}", [o.deliveryName || "—"])}
                             {o.deliveryPhone
                               ? ` (${formatPhoneForDisplay(o.deliveryPhone)})`
                               : ""}
@@ -10389,39 +16580,63 @@ const cogs = Number(
                         )}
                         {o.notifyViaWhatsapp && (
                           <>
-                            {" "}• WhatsApp:{" "}
-                            {o.whatsappSentAt
-                              ? `Sent ${fmtDateTime(o.whatsappSentAt)}`
-                              : "Pending"}
+                            {" "}• {tr("WhatsApp: {0}", [
+                            o.whatsappSentAt
+                              ? tr("Sent {0}", [fmtDateTime(o.whatsappSentAt)])
+                              : tr("Pending"),
+                            ])}
                           </>
                         )}
                         {o.payment === "Cash" && o.cashReceived != null && (
-                          <> • Cash: E£{o.cashReceived.toFixed(2)} • Change: E£{(o.changeDue || 0).toFixed(2)}</>
+                          <> • {tr("Cash: {0}", [uiMoney(o.cashReceived)])} • {tr("Change: {0}", [uiMoney(o.changeDue || 0)])}</>
                         )}
-                        {" "}• Status:{" "}
-                        <strong>
-                          {o.voided
-                            ? o.restockedAt
-                              ? "Cancelled"
-                              : "Returned"
-                            : o.done
-                            ? "Done"
-                            : "Not done"}
-                        </strong>
+                        {" "}•{" "}
+                        {trNodes("Status: {0}", [
+                          <strong>
+                            {o.voided
+                              ? o.restockedAt
+                                ? tr("Cancelled")
+                                : tr("Returned")
+                              : o.done
+                              ? tr("Done")
+                              : tr("Not done")}
+                          </strong>,
+                        ])}
                         {o.voided && (
                           <>
                             {o.restockedAt && (
-                              <span> • Cancelled at: {fmtDate(o.restockedAt)}</span>
+                              <span> • {tr("Cancelled at: {0}", [uiDate(o.restockedAt)])}</span>
                             )}
-                            {o.voidReason && <span> • Reason: {o.voidReason}</span>}
+                            {o.voidReason && <span> • {tr("Reason: {0}", [o.voidReason])}</span>}
+                            {o.voidedBy && <span> {tr("by {0}", [o.voidedBy])}</span>}
                           </>
                         )}
+                        {(o.refunds || []).map((r) => (
+                          <div key={r.id} style={{ color: "#8e24aa" }}>
+                            {tr("Refund {0} on {1} by {2}", [uiMoney(Number(r.amount || 0)), uiDateTime(r.at), r.by])} —{" "}
+                            {(r.lines || [])
+                              .map((l) => `${l.name} × ${l.qty}${l.restock ? " (restocked)" : " (waste)"}`)
+                              .join(", ")}
+                            {" "}• {(r.paymentParts || []).map((p) => `${p.method}: E£${Number(p.amount || 0).toFixed(2)}`).join(" + ")}
+                            {r.reason ? <> • {tr("Reason: {0}", [r.reason])}</> : ""}
+                          </div>
+                        ))}
                       </div>
 
+                      {!o.done && !o.voided && (o.kdsItems || []).some((it) => it?.state && it.state !== "pending") && (
+                        <div style={{ fontSize: 12, opacity: 0.8, marginTop: 4 }}>
+                          {tr("🍳 Kitchen: {0}/{1} ready", [kdsItemsFor(o).filter((it) => it.state === "ready").length, (o.cart || []).length])}
+                        </div>
+                      )}
                       <ul style={{ marginTop: 8, marginBottom: 8 }}>
                         {o.cart.map((ci, idx) => (
-                          <li key={idx} style={{ marginLeft: 12 }}>
-                            • {ci.name} × {ci.qty || 1} — E£{ci.price} each
+                          <li key={idx} style={{ marginInlineStart: 12 }}>
+                            • {ci.name} × {ci.qty || 1} — {tr("{0} each", [uiMoney(Number(ci.price || 0))])}
+                            {ci.components?.length > 0 && (
+                              <div style={{ marginInlineStart: 18, fontSize: 13, color: dark ? "#bbb" : "#555" }}>
+                                {ci.components.map((c) => c.name).join(" · ")}
+                              </div>
+                            )}
                             {ci.extras?.length > 0 && (
                               <ul
                                 style={{
@@ -10453,7 +16668,7 @@ const cogs = Number(
                               cursor: "pointer",
                             }}
                           >
-                            Mark DONE (locks)
+                            {tr("Mark DONE (locks)")}
                           </button>
                         )}
                         {o.done && (
@@ -10468,15 +16683,12 @@ const cogs = Number(
                               cursor: "not-allowed",
                             }}
                           >
-                            DONE (locked)
+                            {tr("DONE (locked)")}
                           </button>
                         )}
 
-                        {/* Single Print button (removed all other print options) */}
                         <button
-                          onClick={() =>
-                            printReceiptHTML(o, Number(preferredPaperWidthMm) || 80, "Customer")
-                          }
+                          onClick={() => printOrderReceipt(o)}
                           disabled={o.voided}
                           style={{
                             background: o.voided ? "#039be588" : "#039be5",
@@ -10487,7 +16699,21 @@ const cogs = Number(
                             cursor: "pointer",
                           }}
                         >
-                          Print
+                          {o.printedAt ? tr("Reprint") : tr("Print")}
+                        </button>
+                        <button
+                          onClick={() => printKitchenTickets(o, { reprint: true })}
+                          disabled={o.voided}
+                          style={{
+                            background: o.voided ? "#6d4c4188" : "#6d4c41",
+                            color: "white",
+                            border: "none",
+                            borderRadius: 6,
+                            padding: "6px 10px",
+                            cursor: "pointer",
+                          }}
+                        >
+                          {tr("Kitchen copy")}
                         </button>
 
                         <button
@@ -10502,7 +16728,7 @@ const cogs = Number(
                             cursor: o.done || o.voided ? "not-allowed" : "pointer",
                           }}
                         >
-                          Cancel (restock)
+                          {tr("Cancel (restock)")}
                         </button>
 
                         {!o.done && !o.voided && isExpenseVoidEligible(o.orderType) && (
@@ -10517,7 +16743,23 @@ const cogs = Number(
                               cursor: "pointer",
                             }}
                           >
-                            Returned
+                            {tr("Returned")}
+                          </button>
+                        )}
+
+                        {o.done && !o.voided && (
+                          <button
+                            onClick={() => openRefund(o.orderNo)}
+                            style={{
+                              background: "#8e24aa",
+                              color: "white",
+                              border: "none",
+                              borderRadius: 6,
+                              padding: "6px 10px",
+                              cursor: "pointer",
+                            }}
+                          >
+                            {tr("Refund items")}
                           </button>
                         )}
 
@@ -10535,7 +16777,7 @@ const cogs = Number(
       {/* INVENTORY */}
      {activeTab === "admin" && adminSubTab === "inventory" && (
         <div>
-          <h2>Inventory</h2>
+          <h2>{tr("Inventory")}</h2>
 
           <div
             style={{
@@ -10560,12 +16802,14 @@ const cogs = Number(
                   flexWrap: "wrap",
                 }}
               >
-                <strong>Locked:</strong>
+                <strong>{tr("Locked:")}</strong>
                 <span>
-                  Start-of-day captured{" "}
-                  {inventoryLockedAt ? `at ${fmtDate(inventoryLockedAt)}` : "" }
-
-                  . Editing disabled until <b>End the Day</b> or admin unlock.
+                  {inventoryLockedAt
+                    ? trNodes("Start-of-day captured at {0}. Editing disabled until {1} or admin unlock.", [
+                        fmtDate(inventoryLockedAt),
+                        <b>{tr("End the Day")}</b>,
+                      ])
+                    : trNodes("Start-of-day captured. Editing disabled until {0} or admin unlock.", [<b>{tr("End the Day")}</b>])}
                 </span>
                 <button
                   onClick={unlockInventoryWithPin}
@@ -10578,7 +16822,7 @@ const cogs = Number(
                     cursor: "pointer",
                   }}
                 >
-                  Unlock Inventory (Admin PIN)
+                  {tr("Unlock Inventory (Admin PIN)")}
                 </button>
               </div>
             ) : (
@@ -10590,7 +16834,7 @@ const cogs = Number(
                   flexWrap: "wrap",
                 }}
               >
-                <span>Set your quantities, then:</span>
+                <span>{tr("Set your quantities, then:")}</span>
                 <button
                   onClick={lockInventoryForDay}
                   style={{
@@ -10602,7 +16846,7 @@ const cogs = Number(
                     cursor: "pointer",
                   }}
                 >
-                  Lock Inventory (start of day)
+                  {tr("Lock Inventory (start of day)")}
                 </button>
               </div>
             )}
@@ -10611,25 +16855,38 @@ const cogs = Number(
           <div style={{ marginTop: 8 }}>
             <table style={{ width: "100%", borderCollapse: "collapse" }}>
               <thead>
-                <tr style={{ textAlign: "left" }}>
+                <tr style={{ textAlign: "start" }}>
                   <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>
-                    Item
+                    {tr("Item")}
                   </th>
                   <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>
-                    Unit
+                    {tr("Unit")}
                   </th>
                   <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>
-                    Qty
+                    {tr("Qty")}
                   </th>
                   <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>
-                    Actions
+                    {tr("Actions")}
                   </th>
                 </tr>
               </thead>
               <tbody>
                 {inventory.map((it) => (
-                  <tr key={it.id}>
-                    <td style={{ padding: 6 }}>{it.name}</td>
+                  <React.Fragment key={it.id}>
+                  <tr>
+                    <td style={{ padding: 6 }}>
+                      {it.name}
+                      {isPrepItem(it) && <small style={{ opacity: 0.7 }}> {tr("(prep)")}</small>}
+                      {(it.lots || []).length > 0 && (
+                        <div style={{ fontSize: 12, opacity: 0.75 }}>
+                          {(it.lots || [])
+                            .map((l) => `${Number(l.qty)} ${it.unit}${l.expiresAt ? ` → ${uiDate(`${l.expiresAt}T00:00:00`)}` : ""}`)
+                            .join(" · ")}
+                          {Number(it.qty || 0) - lotsTotal(it.lots) > 1e-6 &&
+                            ` · ${tr("{0} {1} untracked", [Number((Number(it.qty || 0) - lotsTotal(it.lots)).toFixed(3)), it.unit])}`}
+                        </div>
+                      )}
+                    </td>
                     <td style={{ padding: 6 }}>{it.unit}</td>
                     <td style={{ padding: 6 }}>
                       <input
@@ -10640,7 +16897,7 @@ const cogs = Number(
                           const v = Math.max(0, Number(e.target.value || 0));
                           setInventory((inv) =>
                             inv.map((x) =>
-                              x.id === it.id ? { ...x, qty: v } : x
+                              x.id === it.id ? withStockQty(x, v) : x
                             )
                           );
                         }}
@@ -10662,10 +16919,147 @@ const cogs = Number(
                           cursor: inventoryLocked ? "not-allowed" : "pointer",
                         }}
                       >
-                        Remove
+                        {tr("Remove")}
+                      </button>{" "}
+                      <button
+                        onClick={() => setRecipeEditId((cur) => (cur === it.id ? null : it.id))}
+                        style={{
+                          background: recipeEditId === it.id ? "#5d4037" : "#8d6e63",
+                          color: "#fff",
+                          border: "none",
+                          borderRadius: 6,
+                          padding: "6px 10px",
+                          cursor: "pointer",
+                        }}
+                      >
+                        {tr("Recipe")}
                       </button>
+                      {isPrepItem(it) && (
+                        <>
+                          {" "}
+                          <input
+                            type="number"
+                            min="1"
+                            value={batchCounts[it.id] ?? 1}
+                            onChange={(e) => {
+                              const v = e.target.value;
+                              setBatchCounts((m) => ({ ...m, [it.id]: v }));
+                            }}
+                            title={tr("Batches")}
+                            style={{ width: 60 }}
+                          />{" "}
+                          <button
+                            onClick={() => produceBatch(it.id, batchCounts[it.id] ?? 1)}
+                            style={{
+                              background: "#2e7d32",
+                              color: "#fff",
+                              border: "none",
+                              borderRadius: 6,
+                              padding: "6px 10px",
+                              cursor: "pointer",
+                            }}
+                          >
+                            {tr("Make batch")}
+                          </button>
+                        </>
+                      )}
                     </td>
                   </tr>
+                  {recipeEditId === it.id && (
+                    <tr>
+                      <td colSpan={4} style={{ padding: 8, background: dark ? "#1e1e1e" : "#f5f5f5" }}>
+                        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 6 }}>
+                          <b>{tr("Prep recipe for {0}", [it.name])}</b>
+                          <label>
+                            {tr("Yield per batch")}{" "}
+                            <input
+                              type="number"
+                              min="0"
+                              value={it.recipe?.yield ?? ""}
+                              onChange={(e) => {
+                                const v = Math.max(0, Number(e.target.value || 0));
+                                updateRecipe(it.id, (r) => ({ ...r, yield: v }));
+                              }}
+                              style={{ width: 90 }}
+                            />{" "}
+                            {it.unit}
+                          </label>
+                          <label>
+                            {tr("Shelf life (days)")}{" "}
+                            <input
+                              type="number"
+                              min="0"
+                              value={it.recipe?.shelfLifeDays ?? ""}
+                              placeholder="—"
+                              onChange={(e) => {
+                                const v = Math.max(0, Number(e.target.value || 0));
+                                updateRecipe(it.id, (r) => ({ ...r, shelfLifeDays: v || null }));
+                              }}
+                              style={{ width: 60 }}
+                            />
+                          </label>
+                          <span style={{ opacity: 0.8 }}>
+                            {tr("Cost per {0}: {1}", [it.unit, uiMoney(inventoryUnitCost(it.id, invById))])}
+                          </span>
+                        </div>
+                        {Object.entries(it.recipe?.uses || {}).map(([invId, q]) => (
+                          <div key={invId} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 4 }}>
+                            <span style={{ minWidth: 140 }}>{invById[invId]?.name || invId}</span>
+                            <input
+                              type="number"
+                              min="0"
+                              value={q}
+                              onChange={(e) => {
+                                const v = Math.max(0, Number(e.target.value || 0));
+                                updateRecipe(it.id, (r) => ({ ...r, uses: { ...r.uses, [invId]: v } }));
+                              }}
+                              style={{ width: 90 }}
+                            />
+                            <span>{invById[invId]?.unit || ""}</span>
+                            <button
+                              onClick={() =>
+                                updateRecipe(it.id, (r) => {
+                                  const uses = { ...r.uses };
+                                  delete uses[invId];
+                                  return { ...r, uses };
+                                })
+                              }
+                              style={{ background: "transparent", border: "none", color: "#c62828", cursor: "pointer" }}
+                            >
+                              ✕
+                            </button>
+                          </div>
+                        ))}
+                        <select
+                          value=""
+                          onChange={(e) => {
+                            const v = e.target.value;
+                            if (v) updateRecipe(it.id, (r) => ({ ...r, uses: { ...r.uses, [v]: 0 } }));
+                          }}
+                          style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+                        >
+                          <option value="">{tr("Add ingredient…")}</option>
+                          {inventory
+                            .filter((x) => x.id !== it.id && !(it.recipe?.uses || {})[x.id])
+                            .map((x) => (
+                              <option key={x.id} value={x.id}>{x.name}</option>
+                            ))}
+                        </select>{" "}
+                        {it.recipe && (
+                          <button
+                            onClick={() => {
+                              setInventory((inv) => inv.map((x) => (x.id === it.id ? { ...x, recipe: null } : x)));
+                              setRecipeEditId(null);
+                            }}
+                            style={{ padding: "6px 10px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+                          >
+                            {tr("Remove recipe")}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
@@ -10683,21 +17077,21 @@ const cogs = Number(
               >
                 <input
                   type="text"
-                  placeholder="Item name"
+                  placeholder={tr("Item name")}
                   value={newInvName}
                   onChange={(e) => setNewInvName(e.target.value)}
                   style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
                 />
                 <input
                   type="text"
-                  placeholder="Unit (g, pcs...)"
+                  placeholder={tr("Unit (g, pcs...)")}
                   value={newInvUnit}
                   onChange={(e) => setNewInvUnit(e.target.value)}
                   style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 120 }}
                 />
                 <input
                   type="number"
-                  placeholder="Qty"
+                  placeholder={tr("Qty")}
                   value={newInvQty}
                   onChange={(e) => setNewInvQty(Number(e.target.value || 0))}
                   style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 120 }}
@@ -10707,12 +17101,12 @@ const cogs = Number(
                     const name = String(newInvName || "").trim();
                     const unit = String(newInvUnit || "").trim() || "pcs";
                     const qty = Math.max(0, Number(newInvQty || 0));
-                    if (!name) return alert("Name required.");
+                    if (!name) return alert(tr("Name required."));
                     const id =
                             name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-+|-+$)/g, "") ||
                              `inv_${Date.now()}`;
                     if (inventory.some((x) => x.id === id)) {
-                      return alert("Item with same id exists, use a different name.");
+                      return alert(tr("Item with same id exists, use a different name."));
                     }
                     setInventory((inv) => [...inv, { id, name, unit, qty }]);
                     setNewInvName("");
@@ -10728,51 +17122,306 @@ const cogs = Number(
                     cursor: "pointer",
                   }}
                 >
-                  Add item
+                  {tr("Add item")}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Stocktake */}
+          <div
+            style={{
+              marginTop: 16,
+              border: `1px solid ${cardBorder}`,
+              borderRadius: 12,
+              padding: 12,
+              background: dark ? "#151515" : "#fafafa",
+            }}
+          >
+            <h3 style={{ marginTop: 0 }}>{tr("Stocktake")}</h3>
+            {!stocktakeDraft ? (
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <span>{tr("Count what is on the shelves and post the difference.")}</span>
+                <button
+                  onClick={() => startStocktake(true)}
+                  title={tr("Counters don't see the system quantities until review")}
+                  style={{ background: "#1976d2", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                >
+                  {tr("Start blind count")}
+                </button>
+                <button
+                  onClick={() => startStocktake(false)}
+                  style={{ background: "#455a64", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                >
+                  {tr("Start count with expected")}
                 </button>
               </div>
+            ) : (
+              <>
+                {(() => {
+                  const showVariance = !stocktakeDraft.blind || stocktakeDraft.reviewing;
+                  const lineById = Object.fromEntries(draftLines.map((l) => [l.id, l]));
+                  return (
+                    <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                      <thead>
+                        <tr>
+                          <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Item")}</th>
+                          <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Unit")}</th>
+                          {showVariance && (
+                            <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Expected")}</th>
+                          )}
+                          <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Counted")}</th>
+                          {showVariance && (
+                            <>
+                              <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Variance")}</th>
+                              <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Value")}</th>
+                              <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Reason")}</th>
+                            </>
+                          )}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {inventory.map((it) => {
+                          const line = lineById[it.id];
+                          return (
+                            <tr key={it.id}>
+                              <td style={{ padding: 6 }}>{it.name}</td>
+                              <td style={{ padding: 6 }}>{it.unit}</td>
+                              {showVariance && (
+                                <td style={{ padding: 6, textAlign: "end" }}>{line ? line.expected : Number(it.qty || 0)}</td>
+                              )}
+                              <td style={{ padding: 6, textAlign: "end" }}>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={stocktakeDraft.counts[it.id] ?? ""}
+                                  disabled={stocktakeDraft.reviewing}
+                                  onChange={(e) => {
+                                    const v = e.target.value;
+                                    // the system qty as of this count is what it gets compared with
+                                    setStocktakeDraft((d) => {
+                                      const expected = { ...d.expected, [it.id]: Number(it.qty || 0) };
+                                      if (v === "") delete expected[it.id];
+                                      return { ...d, counts: { ...d.counts, [it.id]: v }, expected };
+                                    });
+                                  }}
+                                  style={{ width: 110 }}
+                                />
+                              </td>
+                              {showVariance && (
+                                <>
+                                  <td
+                                    style={{
+                                      padding: 6,
+                                      textAlign: "end",
+                                      color: line?.variance < 0 ? "#c62828" : line?.variance > 0 ? "#2e7d32" : undefined,
+                                    }}
+                                  >
+                                    {line ? Number(line.variance.toFixed(3)) : "—"}
+                                  </td>
+                                  <td style={{ padding: 6, textAlign: "end" }}>{line ? currency(line.value) : "—"}</td>
+                                  <td style={{ padding: 6 }}>
+                                    {line?.variance ? (
+                                      <select
+                                        value={line.reason}
+                                        onChange={(e) => {
+                                          const v = e.target.value;
+                                          setStocktakeDraft((d) => ({ ...d, reasons: { ...d.reasons, [it.id]: v } }));
+                                        }}
+                                      >
+                                        {STOCKTAKE_REASONS.map((r) => (
+                                          <option key={r.id} value={r.id}>{tr(r.label)}</option>
+                                        ))}
+                                      </select>
+                                    ) : (
+                                      "—"
+                                    )}
+                                  </td>
+                                </>
+                              )}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  );
+                })()}
+                <div style={{ marginTop: 10, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                  <span>
+                    {tr("{0} of {1} items counted.", [draftLines.length, inventory.length])}
+                    {(!stocktakeDraft.blind || stocktakeDraft.reviewing) && (
+                      <>
+                        {" "}
+                        <b>
+                          {tr("Variance {0}", [currency(draftLines.reduce((s, l) => s + l.value, 0))])}
+                        </b>
+                      </>
+                    )}
+                  </span>
+                  {stocktakeDraft.blind && !stocktakeDraft.reviewing && (
+                    <button
+                      onClick={reviewStocktake}
+                      style={{ background: "#1976d2", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                    >
+                      {tr("Review variance")}
+                    </button>
+                  )}
+                  {stocktakeDraft.reviewing && (
+                    <button
+                      onClick={() => setStocktakeDraft((d) => ({ ...d, reviewing: false }))}
+                      style={{ padding: "6px 10px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+                    >
+                      {tr("Back to counting")}
+                    </button>
+                  )}
+                  {(!stocktakeDraft.blind || stocktakeDraft.reviewing) && (
+                    <button
+                      onClick={postStocktake}
+                      style={{ background: "#2e7d32", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                    >
+                      {tr("Post adjustments")}
+                    </button>
+                  )}
+                  <button
+                    onClick={async () => {
+                      if (await askConfirm(tr("Discard this count?"))) setStocktakeDraft(null);
+                    }}
+                    style={{ background: "#c62828", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                  >
+                    {tr("Discard count")}
+                  </button>
+                </div>
+              </>
             )}
           </div>
+
+          {/* Shrinkage report (posted stocktakes) */}
+          <div
+            style={{
+              marginTop: 16,
+              border: `1px solid ${cardBorder}`,
+              borderRadius: 12,
+              padding: 12,
+              background: dark ? "#151515" : "#fafafa",
+            }}
+          >
+            <h3 style={{ marginTop: 0 }}>{tr("Shrinkage")}</h3>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+              <label>
+                {tr("From")}{" "}
+                <input type="date" value={shrinkFrom} onChange={(e) => setShrinkFrom(e.target.value)} />
+              </label>
+              <label>
+                {tr("To")}{" "}
+                <input type="date" value={shrinkTo} onChange={(e) => setShrinkTo(e.target.value)} />
+              </label>
+              <b>{tr("Net variance: {0}", [currency(shrinkage.value)])}</b>
+              {STOCKTAKE_REASONS.map((r) => (
+                <span key={r.id} style={{ opacity: 0.8 }}>
+                  {tr(r.label)}: {currency(shrinkage.byReason[r.id] || 0)}
+                </span>
+              ))}
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Item")}</th>
+                  <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Variance")}</th>
+                  <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Value")}</th>
+                  <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Counts with variance")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shrinkage.items.map((r) => (
+                  <tr key={r.id}>
+                    <td style={{ padding: 6 }}>{r.name}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{r.qty} {r.unit}</td>
+                    <td style={{ padding: 6, textAlign: "end", color: r.value < 0 ? "#c62828" : undefined }}>{currency(r.value)}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{r.counts}</td>
+                  </tr>
+                ))}
+                {shrinkage.items.length === 0 && (
+                  <tr>
+                    <td colSpan={4} style={{ padding: 8, opacity: 0.8 }}>{tr("No stock variances in this period.")}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+
+            <h4 style={{ marginBottom: 6 }}>{tr("Count history")}</h4>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Date")}</th>
+                  <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("By")}</th>
+                  <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Items counted")}</th>
+                  <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Items adjusted")}</th>
+                  <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Value")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stocktakes.slice(0, 20).map((st) => (
+                  <tr key={st.id}>
+                    <td style={{ padding: 6 }}>
+                      {uiDateTime(st.at)}
+                      {st.blind && <small style={{ opacity: 0.7 }}> {tr("(blind)")}</small>}
+                    </td>
+                    <td style={{ padding: 6 }}>{st.by}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{(st.lines || []).length}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{(st.lines || []).filter((l) => l.variance).length}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>
+                      {currency((st.lines || []).reduce((s, l) => s + Number(l.value || 0), 0))}
+                    </td>
+                  </tr>
+                ))}
+                {stocktakes.length === 0 && (
+                  <tr>
+                    <td colSpan={5} style={{ padding: 8, opacity: 0.8 }}>{tr("No stocktakes posted yet.")}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
         </div>
       )}
 
       {/* EXPENSES */}
       {activeTab === "expenses" && (
         <div>
-          <h2>Expenses (Shift)</h2>
+          <h2>{tr("Expenses (Shift)")}</h2>
 
           <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 10 }}>
             <input
               type="text"
-              placeholder="Name"
+              placeholder={tr("Name")}
               value={newExpName}
               onChange={(e) => setNewExpName(e.target.value)}
               style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
             />
             <input
               type="text"
-              placeholder="Unit"
+              placeholder={tr("Unit")}
               value={newExpUnit}
               onChange={(e) => setNewExpUnit(e.target.value)}
               style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 120 }}
             />
             <input
               type="number"
-              placeholder="Qty"
+              placeholder={tr("Qty")}
               value={newExpQty}
               onChange={(e) => setNewExpQty(Number(e.target.value || 0))}
               style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 120 }}
             />
             <input
               type="number"
-              placeholder="Unit Price (E£)"
+              placeholder={tr("Unit Price (E£)")}
               value={newExpUnitPrice}
               onChange={(e) => setNewExpUnitPrice(Number(e.target.value || 0))}
               style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 160 }}
             />
             <input
               type="text"
-              placeholder="Note"
+              placeholder={tr("Note")}
               value={newExpNote}
               onChange={(e) => setNewExpNote(e.target.value)}
               style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 220 }}
@@ -10780,7 +17429,7 @@ const cogs = Number(
             <button
               onClick={() => {
                 const name = String(newExpName || "").trim();
-                if (!name) return alert("Expense name required.");
+                if (!name) return alert(tr("Expense name required."));
                 const row = {
                   id: `exp_${Date.now()}`,
                   name,
@@ -10806,21 +17455,21 @@ const cogs = Number(
                 cursor: "pointer",
               }}
             >
-              Add Expense
+              {tr("Add Expense")}
             </button>
           </div>
 
           <table style={{ width: "100%", borderCollapse: "collapse" }}>
             <thead>
               <tr>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Name</th>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Unit</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Qty</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Unit Price</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Total</th>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Date</th>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Note</th>
-                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Actions</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Name")}</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Unit")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Qty")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Unit Price")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Total")}</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Date")}</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Note")}</th>
+                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Actions")}</th>
               </tr>
             </thead>
             <tbody>
@@ -10828,9 +17477,9 @@ const cogs = Number(
                 <tr key={e.id}>
                   <td style={{ padding: 6 }}>{e.name}</td>
                   <td style={{ padding: 6 }}>{e.unit}</td>
-                  <td style={{ padding: 6, textAlign: "right" }}>{e.qty}</td>
-                  <td style={{ padding: 6, textAlign: "right" }}>E£{Number(e.unitPrice || 0).toFixed(2)}</td>
-                  <td style={{ padding: 6, textAlign: "right" }}>
+                  <td style={{ padding: 6, textAlign: "end" }}>{e.qty}</td>
+                  <td style={{ padding: 6, textAlign: "end" }}>E£{Number(e.unitPrice || 0).toFixed(2)}</td>
+                  <td style={{ padding: 6, textAlign: "end" }}>
                     E£{(Number(e.qty || 0) * Number(e.unitPrice || 0)).toFixed(2)}
                   </td>
                   <td style={{ padding: 6 }}>{e.date ? formatDateDDMMYY(e.date) : ""}</td>
@@ -10840,7 +17489,7 @@ const cogs = Number(
   onClick={() => {
     const locked = !!(e?.locked || e?.source === "order_return" || e?.orderNo != null);
     if (locked) {
-      alert("This expense is linked to a returned order and cannot be removed.");
+      alert(tr("This expense is linked to a returned order and cannot be removed."));
       return;
     }
     removeExpense(e.id);
@@ -10848,8 +17497,8 @@ const cogs = Number(
   disabled={!!(e?.locked || e?.source === "order_return" || e?.orderNo != null)}
   title={
     (e?.locked || e?.source === "order_return" || e?.orderNo != null)
-      ? "Linked to returned order — cannot remove"
-      : "Remove"
+      ? tr("Linked to returned order — cannot remove")
+      : tr("Remove")
   }
   style={{
     background: "#c62828",
@@ -10863,7 +17512,7 @@ const cogs = Number(
         : "pointer",
   }}
 >
-  Remove
+  {tr("Remove")}
 </button>
 
                   </td>
@@ -10872,7 +17521,7 @@ const cogs = Number(
               {expenses.length === 0 && (
                 <tr>
                   <td colSpan={8} style={{ padding: 8, opacity: 0.8 }}>
-                    No expenses yet.
+                    {tr("No expenses yet.")}
                   </td>
                 </tr>
               )}
@@ -10884,7 +17533,7 @@ const cogs = Number(
 {/* ───────────────────────── INVENTORY USAGE (top-level) ───────────────────────── */}
 {activeTab === "usage" && (
   <div style={{ display:"grid", gap:14 }}>
-    <h2>Inventory Usage</h2>
+    <h2>{tr("Inventory Usage")}</h2>
  <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
       <button
         onClick={resetUsageViewAdmin}
@@ -10897,9 +17546,9 @@ const cogs = Number(
           cursor: "pointer",
           fontWeight: 700,
         }}
-        title="Admin PIN required"
+        title={tr("Admin PIN required")}
       >
-        Reset Usage
+        {tr("Reset Usage")}
       </button>
     </div>
     {/* Filter row */}
@@ -10908,30 +17557,30 @@ const cogs = Number(
         onClick={() => setUsageFilter("week")}
         style={{ padding:"6px 10px", borderRadius:6, border:`1px solid ${btnBorder}`,
                  background: usageFilter==="week" ? "#ffd54f" : (dark ? "#2c2c2c" : "#f1f1f1"), cursor:"pointer" }}
-      >WEEK</button>
+      >{tr("WEEK")}</button>
       <button
         onClick={() => setUsageFilter("month")}
         style={{ padding:"6px 10px", borderRadius:6, border:`1px solid ${btnBorder}`,
                  background: usageFilter==="month" ? "#ffd54f" : (dark ? "#2c2c2c" : "#f1f1f1"), cursor:"pointer" }}
-      >MONTH</button>
+      >{tr("MONTH")}</button>
 
 {usageFilter === "week" && (
   <>
-    <label><b>Pick a day:</b></label>
+    <label><b>{tr("Pick a day:")}</b></label>
     <input
       type="date"
       value={usageWeekDate}
       onChange={(e)=>setUsageWeekDate(e.target.value)}
       style={{ padding:6, borderRadius:6, border:`1px solid ${btnBorder}` }}
     />
-    <small style={{ opacity:.75, marginLeft:8 }}>(Week starts Sunday)</small>
+    <small style={{ opacity:.75, marginInlineStart:8 }}>{tr("(Week starts Sunday)")}</small>
   </>
 )}
 
 
       {usageFilter === "month" && (
         <>
-          <label><b>Pick month:</b></label>
+          <label><b>{tr("Pick month:")}</b></label>
           <input
             type="month"
             value={usageMonth}
@@ -10941,19 +17590,19 @@ const cogs = Number(
         </>
       )}
 
-      <div style={{ marginLeft:"auto", opacity:.8 }}>
+      <div style={{ marginInlineStart:"auto", opacity:.8 }}>
         {(() => {
           const {start,end} = usageFilter==="week"
             ? getWeekRange(usageWeekDate)
             : getMonthRange(usageMonth);
-          return <>Period: {start.toLocaleDateString()} → {end.toLocaleDateString()}</>;
+          return <>{tr("Period: {0} → {1}", [uiDate(start), uiDate(end)])}</>;
         })()}
       </div>
     </div>
 
     {/* Summary */}
     <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:12, background: dark ? "#151515" : "#fafafa" }}>
-      <h3 style={{ marginTop:0 }}>Summary (by inventory item)</h3>
+      <h3 style={{ marginTop:0 }}>{tr("Summary (by inventory item)")}</h3>
 
 {(() => {
   // 1) Period
@@ -11026,7 +17675,7 @@ const matchInv = (row) => {
   }) || null;
 };
 
-  const money = (v) => `E£${Number(v || 0).toFixed(2)}`;
+  const money = (v) => uiMoney(v);
 
   // 3) ORDERS → Used (same as before)
   const menuById = mapById(menu || []);
@@ -11045,14 +17694,20 @@ const ordersInPeriod = (allOrders || []).filter(o => {
 
       // main item usage
       const defItem = findDefByLine(line, menu || []) || (line?.id != null ? menuById.get(line.id) : null);
-      if (defItem?.uses) {
-        for (const [invId, perUnit] of Object.entries(defItem.uses)) {
+      const itemUses = Array.isArray(line.components) && line.components.length
+        ? bundleUnitUses(defItem, line.components, menu || [])
+        : defItem?.uses;
+      if (itemUses) {
+        for (const [invId, perUnit] of Object.entries(itemUses)) {
           add(used, invId, Number(perUnit || 0) * lineQty);
         }
       }
       // extras usage
       for (const ex of (line.extras || [])) {
-        const defEx = findDefByLine(ex, extraList || []) || (ex?.id != null ? exById.get(ex.id) : null);
+        const defEx =
+          findDefByLine(ex, extraList || []) ||
+          (ex?.id != null ? exById.get(ex.id) : null) ||
+          (ex?.modifier ? ex : null);
         if (defEx?.uses) {
           for (const [invId, perUnit] of Object.entries(defEx.uses)) {
             add(used, invId, Number(perUnit || 0) * lineQty);
@@ -11089,7 +17744,8 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     accum.set(inv.id, prev);
   }
 
-  // avg cost map (period-weighted); fallback to inv.costPerUnit if no purchases
+  // avg cost map (period-weighted); fallback to the item's unit cost if no purchases
+  const invMap = Object.fromEntries(invById);
   const avgCost = new Map();
   for (const [invId, { qtyInv, costTotal }] of accum.entries()) {
     avgCost.set(invId, qtyInv > 0 ? costTotal / qtyInv : 0);
@@ -11103,7 +17759,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     const endQty       = Number(inv.qty || 0);
     const unitCost     = avgCost.has(inv.id)
       ? Number(avgCost.get(inv.id) || 0)
-      : Number(inv.costPerUnit || 0);
+      : inventoryUnitCost(inv.id, invMap);
     const usedCost     = usedQty * unitCost;
     return {
       id: inv.id,
@@ -11117,6 +17773,9 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     };
   });
 
+  // waste is logged straight against inventory, so it is shown next to order usage, not in it
+  const wastedById = new Map(wasteSummary(wasteLog, start, end).items.map((w) => [w.invId, w.qty]));
+
   const totalUsedQty    = rows.reduce((s, r) => s + Number(r.usedQty || 0), 0);
   const totalUsedCost   = rows.reduce((s, r) => s + Number(r.usedCost || 0), 0);
   const itemsTracked    = rows.filter(r => (r.usedQty > 0) || (r.purchasedQty > 0)).length;
@@ -11147,15 +17806,15 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         }}
       >
         <div style={{ padding: 12, borderRadius: 10, border: `1px solid ${cardBorder}`, background: dark ? "#1e1e1e" : "#fff" }}>
-          <div style={{ fontSize: 12, opacity: .8 }}>Total Used (mixed units)</div>
+          <div style={{ fontSize: 12, opacity: .8 }}>{tr("Total Used (mixed units)")}</div>
           <div style={{ fontSize: 22, fontWeight: 800 }}>{Number(totalUsedQty).toFixed(2)}</div>
         </div>
         <div style={{ padding: 12, borderRadius: 10, border: `1px solid ${cardBorder}`, background: dark ? "#1e1e1e" : "#fff" }}>
-          <div style={{ fontSize: 12, opacity: .8 }}>Estimated Cost (avg/unit)</div>
+          <div style={{ fontSize: 12, opacity: .8 }}>{tr("Estimated Cost (avg/unit)")}</div>
           <div style={{ fontSize: 22, fontWeight: 800 }}>{money(totalUsedCost)}</div>
         </div>
         <div style={{ padding: 12, borderRadius: 10, border: `1px solid ${cardBorder}`, background: dark ? "#1e1e1e" : "#fff" }}>
-          <div style={{ fontSize: 12, opacity: .8 }}>Items Tracked</div>
+          <div style={{ fontSize: 12, opacity: .8 }}>{tr("Items Tracked")}</div>
           <div style={{ fontSize: 22, fontWeight: 800 }}>{itemsTracked}</div>
         </div>
       </div>
@@ -11165,34 +17824,36 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         <table style={{ width: "100%", borderCollapse: "collapse" }}>
           <thead>
             <tr>
-              <th style={{ textAlign: "left",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Item</th>
-              <th style={{ textAlign: "left",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Unit</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Used</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Purchased</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Net (P−U)</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>End Qty</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Used Cost (E£)</th>
+              <th style={{ textAlign: "start",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Item")}</th>
+              <th style={{ textAlign: "start",  padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Unit")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Used")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Wasted")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Purchased")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Net (P−U)")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("End Qty")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Used Cost (E£)")}</th>
             </tr>
           </thead>
           <tbody>
             {rows.length === 0 ? (
-              <tr><td colSpan={7} style={{ padding: 8, opacity: .7 }}>No inventory items.</td></tr>
+              <tr><td colSpan={8} style={{ padding: 8, opacity: .7 }}>{tr("No inventory items.")}</td></tr>
             ) : rows.map(r => (
               <tr key={r.id}>
                 <td style={{ padding: 8 }}>{r.name}</td>
                 <td style={{ padding: 8 }}>{r.unit}</td>
-                <td style={{ padding: 8, textAlign: "right" }}>{Number(r.usedQty || 0).toFixed(2)}</td>
-                <td style={{ padding: 8, textAlign: "right" }}>{Number(r.purchasedQty || 0).toFixed(2)}</td>
-                <td style={{ padding: 8, textAlign: "right" }}>{Number(r.net || 0).toFixed(2)}</td>
-                <td style={{ padding: 8, textAlign: "right" }}>{Number(r.endQty || 0).toFixed(2)}</td>
-                <td style={{ padding: 8, textAlign: "right", fontWeight: 700 }}>{money(r.usedCost)}</td>
+                <td style={{ padding: 8, textAlign: "end" }}>{Number(r.usedQty || 0).toFixed(2)}</td>
+                <td style={{ padding: 8, textAlign: "end" }}>{Number(wastedById.get(r.id) || 0).toFixed(2)}</td>
+                <td style={{ padding: 8, textAlign: "end" }}>{Number(r.purchasedQty || 0).toFixed(2)}</td>
+                <td style={{ padding: 8, textAlign: "end" }}>{Number(r.net || 0).toFixed(2)}</td>
+                <td style={{ padding: 8, textAlign: "end" }}>{Number(r.endQty || 0).toFixed(2)}</td>
+                <td style={{ padding: 8, textAlign: "end", fontWeight: 700 }}>{money(r.usedCost)}</td>
               </tr>
             ))}
           </tbody>
           <tfoot>
             <tr>
-              <td colSpan={6} style={{ padding: 8, textAlign: "right", fontWeight: 900 }}>Total Used Cost</td>
-              <td style={{ padding: 8, textAlign: "right", fontWeight: 900 }}>{money(totalUsedCost)}</td>
+              <td colSpan={7} style={{ padding: 8, textAlign: "end", fontWeight: 900 }}>{tr("Total Used Cost")}</td>
+              <td style={{ padding: 8, textAlign: "end", fontWeight: 900 }}>{money(totalUsedCost)}</td>
             </tr>
           </tfoot>
         </table>
@@ -11209,8 +17870,8 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           overflowX: "auto",
         }}
       >
-        <div style={{ fontWeight: 700, marginBottom: 8 }}>End Qty vs Used (with axes)</div>
-        <svg width={W} height={H} role="img" aria-label="Inventory end vs used">
+        <div style={{ fontWeight: 700, marginBottom: 8 }}>{tr("End Qty vs Used (with axes)")}</div>
+        <svg width={W} height={H} role="img" aria-label={tr("Inventory end vs used")}>
           {/* background */}
           <rect x="0" y="0" width={W} height={H} fill={dark ? "#101010" : "#ffffff"} />
           <g transform={`translate(${margin.left},${margin.top})`}>
@@ -11249,7 +17910,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
   rx={4}
   fill={dark ? "#4caf50" : "#81c784"}
 >
-  <title>{`${r.name} — End Qty: ${Number(r.endQty || 0).toFixed(2)} ${r.unit}`}</title>
+  <title>{tr("{0} — End Qty: {1} {2}", [r.name, Number(r.endQty || 0).toFixed(2), r.unit])}</title>
 </rect>
 
 <rect
@@ -11260,7 +17921,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
   rx={4}
   fill={dark ? "#039be5" : "#64b5f6"}
 >
-  <title>{`${r.name} — Used: ${Number(r.usedQty || 0).toFixed(2)} ${r.unit}`}</title>
+  <title>{tr("{0} — Used: {1} {2}", [r.name, Number(r.usedQty || 0).toFixed(2), r.unit])}</title>
 </rect>
 
                   <text
@@ -11300,16 +17961,16 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             textAnchor="middle"
             style={{ fontSize: 10, fill: dark ? "#bbb" : "#666" }}
           >
-            Qty
+            {tr("Qty")}
           </text>
         </svg>
 
         {/* Legend */}
         <div style={{ display: "flex", gap: 12, alignItems: "center", marginTop: 8 }}>
           <span style={{ width: 12, height: 12, borderRadius: 3, background: dark ? "#4caf50" : "#81c784", display: "inline-block" }} />
-          <small>End Qty</small>
-          <span style={{ width: 12, height: 12, borderRadius: 3, background: dark ? "#039be5" : "#64b5f6", display: "inline-block", marginLeft: 12 }} />
-          <small>Used</small>
+          <small>{tr("End Qty")}</small>
+          <span style={{ width: 12, height: 12, borderRadius: 3, background: dark ? "#039be5" : "#64b5f6", display: "inline-block", marginInlineStart: 12 }} />
+          <small>{tr("Used")}</small>
         </div>
       </div>
     </>
@@ -11318,6 +17979,169 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
 
 
     </div>
+
+    {/* Waste */}
+    <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:12, background: dark ? "#151515" : "#fafafa" }}>
+      <h3 style={{ marginTop:0 }}>{tr("Waste")}</h3>
+
+      <div style={{ display:"flex", gap:8, alignItems:"center", flexWrap:"wrap", marginBottom:10 }}>
+        <select
+          value={wasteDraft.kind}
+          onChange={(e) => { const v = e.target.value; setWasteDraft(d => ({ ...d, kind: v, id: "" })); }}
+          style={{ padding:6, borderRadius:6, border:`1px solid ${btnBorder}` }}
+        >
+          <option value="inventory">{tr("Inventory item")}</option>
+          <option value="menu">{tr("Menu item")}</option>
+        </select>
+        <select
+          value={wasteDraft.id}
+          onChange={(e) => { const v = e.target.value; setWasteDraft(d => ({ ...d, id: v })); }}
+          style={{ padding:6, borderRadius:6, border:`1px solid ${btnBorder}`, minWidth:160 }}
+        >
+          <option value="">{tr("Select item")}</option>
+          {(wasteDraft.kind === "menu" ? menu : inventory).map(it => (
+            <option key={it.id} value={it.id}>
+              {it.name}{wasteDraft.kind === "inventory" && it.unit ? ` (${it.unit})` : ""}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          placeholder={tr("Qty")}
+          value={wasteDraft.qty}
+          onChange={(e) => { const v = e.target.value; setWasteDraft(d => ({ ...d, qty: v })); }}
+          style={{ padding:6, borderRadius:6, border:`1px solid ${btnBorder}`, width:100 }}
+        />
+        <select
+          value={wasteDraft.reason}
+          onChange={(e) => { const v = e.target.value; setWasteDraft(d => ({ ...d, reason: v })); }}
+          style={{ padding:6, borderRadius:6, border:`1px solid ${btnBorder}` }}
+        >
+          {WASTE_REASONS.map(r => <option key={r.id} value={r.id}>{tr(r.label)}</option>)}
+        </select>
+        {activeWorkers.length > 1 && (
+          <select
+            value={wasteDraft.by || dayMeta.currentWorker || ""}
+            onChange={(e) => { const v = e.target.value; setWasteDraft(d => ({ ...d, by: v })); }}
+            style={{ padding:6, borderRadius:6, border:`1px solid ${btnBorder}` }}
+          >
+            {activeWorkers.map(w => <option key={w} value={w}>{w}</option>)}
+          </select>
+        )}
+        <input
+          type="text"
+          placeholder={tr("Note")}
+          value={wasteDraft.note}
+          onChange={(e) => { const v = e.target.value; setWasteDraft(d => ({ ...d, note: v })); }}
+          style={{ padding:6, borderRadius:6, border:`1px solid ${btnBorder}`, minWidth:180 }}
+        />
+        <button
+          onClick={logWaste}
+          style={{ background:"#c62828", color:"#fff", border:"none", borderRadius:6, padding:"8px 12px", cursor:"pointer" }}
+        >
+          {tr("Log waste")}
+        </button>
+      </div>
+
+{(() => {
+  const { start, end } = (usageFilter === "week")
+    ? getWeekRange(usageWeekDate)
+    : getMonthRange(usageMonth);
+  const waste = wasteSummary(wasteLog, start, end);
+
+  // stacked bars per day, one segment per reason
+  const maxDay = Math.max(1, ...waste.byDay.map(d => WASTE_REASONS.reduce((s, r) => s + (d[r.id] || 0), 0)));
+  const innerH = 140;
+  const barW = 22;
+  const gap = 10;
+  const left = 46;
+  const W = left + Math.max(1, waste.byDay.length) * (barW + gap) + 12;
+
+  return (
+    <>
+      <div style={{ display:"flex", gap:12, alignItems:"center", flexWrap:"wrap", marginBottom:8 }}>
+        <b>{tr("Waste at cost: {0}", [uiMoney(waste.cost)])}</b>
+        {WASTE_REASONS.map(r => (
+          <span key={r.id} style={{ display:"inline-flex", alignItems:"center", gap:4 }}>
+            <span style={{ width:12, height:12, borderRadius:3, background:r.color, display:"inline-block" }} />
+            <small>{tr(r.label)}: {uiMoney(waste.byReason[r.id] || 0)}</small>
+          </span>
+        ))}
+      </div>
+
+      {waste.byDay.length > 0 && (
+        <div style={{ overflowX:"auto", marginBottom:10 }}>
+          <svg width={W} height={innerH + 40} role="img" aria-label={tr("Waste by day and reason")}>
+            <g transform={`translate(${left},8)`}>
+              {[0, 0.5, 1].map(f => (
+                <g key={f}>
+                  <line x1={0} x2={W - left} y1={innerH * (1 - f)} y2={innerH * (1 - f)} stroke={dark ? "#333" : "#e5e5e5"} strokeDasharray="4 4" />
+                  <text x={-6} y={innerH * (1 - f)} textAnchor="end" dominantBaseline="middle" style={{ fontSize:10, fill: dark ? "#bbb" : "#666" }}>
+                    {(maxDay * f).toFixed(0)}
+                  </text>
+                </g>
+              ))}
+              {waste.byDay.map((d, i) => {
+                let y = innerH;
+                return (
+                  <g key={d.day} transform={`translate(${i * (barW + gap)},0)`}>
+                    {WASTE_REASONS.filter(r => d[r.id]).map(r => {
+                      const h = (d[r.id] / maxDay) * innerH;
+                      y -= h;
+                      return (
+                        <rect key={r.id} x={0} y={y} width={barW} height={h} fill={r.color}>
+                          <title>{`${d.day} — ${tr(r.label)}: ${uiMoney(d[r.id])}`}</title>
+                        </rect>
+                      );
+                    })}
+                    <text x={barW / 2} y={innerH + 14} textAnchor="middle" style={{ fontSize:9, fill: dark ? "#bbb" : "#666" }}>
+                      {d.day.slice(5)}
+                    </text>
+                  </g>
+                );
+              })}
+            </g>
+          </svg>
+        </div>
+      )}
+
+      <table style={{ width:"100%", borderCollapse:"collapse" }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign:"start", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("When")}</th>
+            <th style={{ textAlign:"start", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Item")}</th>
+            <th style={{ textAlign:"end",   padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Qty")}</th>
+            <th style={{ textAlign:"start", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Reason")}</th>
+            <th style={{ textAlign:"start", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("By")}</th>
+            <th style={{ textAlign:"end",   padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Cost")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {waste.entries.length === 0 ? (
+            <tr><td colSpan={6} style={{ padding:8, opacity:.7 }}>{tr("No waste logged in this period.")}</td></tr>
+          ) : waste.entries.map(w => (
+            <tr key={w.id}>
+              <td style={{ padding:8 }}>{uiDateTime(w.at)}</td>
+              <td style={{ padding:8 }}>
+                {w.source?.name}
+                {w.source?.kind !== "inventory" && (
+                  <small style={{ opacity:.7 }}> ({w.lines.map(l => `${Number(l.qty.toFixed(2))} ${l.unit} ${l.name}`).join(", ")})</small>
+                )}
+                {w.note && <small style={{ opacity:.7 }}> — {w.note}</small>}
+              </td>
+              <td style={{ padding:8, textAlign:"end" }}>{w.qty}</td>
+              <td style={{ padding:8 }}>{tr(WASTE_REASONS.find(r => r.id === w.reason)?.label || w.reason)}</td>
+              <td style={{ padding:8 }}>{w.by || "—"}</td>
+              <td style={{ padding:8, textAlign:"end", fontWeight:700 }}>{uiMoney(w.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+})()}
+    </div>
   </div>
 )}
 
@@ -11340,12 +18164,12 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           background: dark ? "#1f1f1f" : "#fff",
         }}
       >
-        <div style={{ fontWeight: 600, opacity: 0.85 }}>Tracked Contacts</div>
+        <div style={{ fontWeight: 600, opacity: 0.85 }}>{tr("Tracked Contacts")}</div>
         <div style={{ fontSize: 28, fontWeight: 800, marginTop: 6 }}>
           {customerRows.length}
         </div>
         <div style={{ opacity: 0.75, marginTop: 4 }}>
-          {totalTrackedOrders} total orders
+          {tr("{0} total orders", [totalTrackedOrders])}
         </div>
       </div>
       <div
@@ -11356,12 +18180,12 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           background: dark ? "#1f1f1f" : "#fff",
         }}
       >
-        <div style={{ fontWeight: 600, opacity: 0.85 }}>Lifetime Spend</div>
+        <div style={{ fontWeight: 600, opacity: 0.85 }}>{tr("Lifetime Spend")}</div>
         <div style={{ fontSize: 28, fontWeight: 800, marginTop: 6 }}>
           {currency(totalContactSpend)}
         </div>
         <div style={{ opacity: 0.75, marginTop: 4 }}>
-          Across all recorded delivery orders
+          {tr("Across all recorded delivery orders")}
         </div>
       </div>
       <div
@@ -11372,21 +18196,22 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           background: dark ? "#1f1f1f" : "#fff",
         }}
       >
-        <div style={{ fontWeight: 600, opacity: 0.85 }}>Top Contact</div>
+        <div style={{ fontWeight: 600, opacity: 0.85 }}>{tr("Top Contact")}</div>
         {topSpenders.length ? (
           <>
             <div style={{ fontSize: 22, fontWeight: 800, marginTop: 6 }}>
               {topSpenders[0].displayName}
             </div>
             <div style={{ opacity: 0.75 }}>
-              {currency(topSpenders[0].totalSpend)} • {topSpenders[0].orderCount} order(s)
+              {currency(topSpenders[0].totalSpend)} •{" "}
+              {topSpenders[0].orderCount === 1 ? tr("1 order") : tr("{0} orders", [topSpenders[0].orderCount])}
             </div>
             <div style={{ marginTop: 8, opacity: 0.65 }}>
-              Zone: {topSpenders[0].zoneName || "—"}
+              {tr("Zone: {0}", [topSpenders[0].zoneName || "—"])}
             </div>
           </>
         ) : (
-          <div style={{ opacity: 0.65, marginTop: 10 }}>No contacts yet.</div>
+          <div style={{ opacity: 0.65, marginTop: 10 }}>{tr("No contacts yet.")}</div>
         )}
       </div>
       <div
@@ -11397,9 +18222,9 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           background: dark ? "#1f1f1f" : "#fff",
         }}
       >
-        <div style={{ fontWeight: 600, opacity: 0.85 }}>Top 5 Customers</div>
+        <div style={{ fontWeight: 600, opacity: 0.85 }}>{tr("Top 5 Customers")}</div>
         {topSpenders.length ? (
-          <ol style={{ margin: "8px 0 0", paddingLeft: 18, lineHeight: 1.5 }}>
+          <ol style={{ margin: "8px 0 0", paddingInlineStart: 18, lineHeight: 1.5 }}>
             {topSpenders.map((row) => (
               <li key={row.id} style={{ marginBottom: 4 }}>
                 <span style={{ fontWeight: 600 }}>{row.displayName}</span>{" "}
@@ -11408,7 +18233,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             ))}
           </ol>
         ) : (
-          <div style={{ opacity: 0.65, marginTop: 10 }}>Waiting for first order.</div>
+          <div style={{ opacity: 0.65, marginTop: 10 }}>{tr("Waiting for first order.")}</div>
         )}
       </div>
     </div>
@@ -11425,7 +18250,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         type="search"
         value={customerSearch}
         onChange={(e) => setCustomerSearch(e.target.value)}
-        placeholder="Search by name, phone, address, or zone"
+        placeholder={tr("Search by name, phone, address, or zone")}
         style={{
           flex: "1 1 260px",
           minWidth: 200,
@@ -11437,11 +18262,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         }}
       />
       <div style={{ fontWeight: 600, opacity: 0.75 }}>
-        Showing {filteredCustomerRows.length} contact(s)
+        {filteredCustomerRows.length === 1
+          ? tr("Showing 1 contact")
+          : tr("Showing {0} contacts", [filteredCustomerRows.length])}
       </div>
       <button
         onClick={resetAllCustomerContacts}
-        title="Delete all saved customer contacts"
+        title={tr("Delete all saved customer contacts")}
         style={{
           padding: "8px 12px",
           borderRadius: 8,
@@ -11452,7 +18279,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           cursor: "pointer",
         }}
       >
-        Delete All Contacts
+        {tr("Delete All Contacts")}
       </button>
     </div>
 
@@ -11464,20 +18291,20 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         padding: 16,
       }}
     >
-      <div style={{ fontWeight: 700, marginBottom: 8 }}>Contacts by Zone</div>
+      <div style={{ fontWeight: 700, marginBottom: 8 }}>{tr("Contacts by Zone")}</div>
       {customerZoneSummary.length ? (
         <div style={{ overflowX: "auto" }}>
           <table style={{ width: "100%", borderCollapse: "collapse", minWidth: 320 }}>
             <thead>
               <tr>
-                <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
-                  Zone
+                <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
+                  {tr("Zone")}
                 </th>
-                <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
-                  Contacts
+                <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
+                  {tr("Contacts")}
                 </th>
-                <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
-                  Lifetime Spend
+                <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
+                  {tr("Lifetime Spend")}
                 </th>
               </tr>
             </thead>
@@ -11487,10 +18314,10 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                   <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
                     {row.zoneName}
                   </td>
-                  <td style={{ padding: 8, textAlign: "right", borderBottom: `1px solid ${cardBorder}` }}>
+                  <td style={{ padding: 8, textAlign: "end", borderBottom: `1px solid ${cardBorder}` }}>
                     {row.count}
                   </td>
-                  <td style={{ padding: 8, textAlign: "right", borderBottom: `1px solid ${cardBorder}` }}>
+                  <td style={{ padding: 8, textAlign: "end", borderBottom: `1px solid ${cardBorder}` }}>
                     {currency(row.totalSpend)}
                   </td>
                 </tr>
@@ -11499,7 +18326,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           </table>
         </div>
       ) : (
-        <div style={{ opacity: 0.7 }}>No contacts recorded yet.</div>
+        <div style={{ opacity: 0.7 }}>{tr("No contacts recorded yet.")}</div>
       )}
     </div>
 
@@ -11511,19 +18338,19 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         padding: 16,
       }}
     >
-      <div style={{ fontWeight: 700, marginBottom: 8 }}>Customer Directory</div>
+      <div style={{ fontWeight: 700, marginBottom: 8 }}>{tr("Customer Directory")}</div>
       <div style={{ overflowX: "auto" }}>
         <table style={{ width: "100%", borderCollapse: "collapse", minWidth: 720 }}>
           <thead>
             <tr>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Name</th>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Phone</th>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Zone</th>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Tags</th>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Last Order</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Total Spend</th>
-              <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Orders</th>
-              <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Address</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Name")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Phone")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Zone")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Tags")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Last Order")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Total Spend")}</th>
+              <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Orders")}</th>
+              <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Address")}</th>
             </tr>
           </thead>
           <tbody>
@@ -11534,7 +18361,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                     <div style={{ fontWeight: 600 }}>{row.displayName}</div>
                     {row.firstOrderAt && (
                       <div style={{ fontSize: 12, opacity: 0.65 }}>
-                        First order: {fmtDate(row.firstOrderAt)}
+                        {tr("First order: {0}", [uiDate(row.firstOrderAt)])}
                       </div>
                     )}
                   </td>
@@ -11550,7 +18377,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                   <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
                     {row.lastOrderAt ? (
                       <div>
-                        <div>{fmtDateTime(row.lastOrderAt)}</div>
+                        <div>{uiDateTime(row.lastOrderAt)}</div>
                         <div style={{ fontSize: 12, opacity: 0.7 }}>
                           {row.lastOrderNo ? `#${row.lastOrderNo}` : ""}{" "}
                           {currency(row.lastOrderTotal)}
@@ -11560,10 +18387,10 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                       <span style={{ opacity: 0.6 }}>—</span>
                     )}
                   </td>
-                  <td style={{ padding: 8, textAlign: "right", borderBottom: `1px solid ${cardBorder}` }}>
+                  <td style={{ padding: 8, textAlign: "end", borderBottom: `1px solid ${cardBorder}` }}>
                     {currency(row.totalSpend)}
                   </td>
-                  <td style={{ padding: 8, textAlign: "right", borderBottom: `1px solid ${cardBorder}` }}>
+                  <td style={{ padding: 8, textAlign: "end", borderBottom: `1px solid ${cardBorder}` }}>
                     {row.orderCount}
                   </td>
                   <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
@@ -11574,7 +18401,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             ) : (
               <tr>
                 <td colSpan={8} style={{ padding: 16, textAlign: "center", opacity: 0.7 }}>
-                  No contacts match the current search.
+                  {tr("No contacts match the current search.")}
                 </td>
               </tr>
             )}
@@ -11590,18 +18417,21 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     {/* Card: Cash Drawer */}
     <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:16, background: dark ? "#151515" : "#fafafa" }}>
       <div style={{ display:"flex", alignItems:"center", gap:8 }}>
-        <h3 style={{ margin:0 }}>Cash Drawer — Expected vs Actual</h3>
+        <h3 style={{ margin:0 }}>{tr("Cash Drawer — Expected vs Actual")}</h3>
         {dayMeta.reconciledAt ? (
-          <span style={{ marginLeft:8, fontSize:12, padding:"2px 8px", borderRadius:999, background:"#e8f5e9", color:"#1b5e20", border:"1px solid #a5d6a7" }}>
-            Saved at {fmtDateTime(dayMeta.reconciledAt)}
+          <span style={{ marginInlineStart:8, fontSize:12, padding:"2px 8px", borderRadius:999, background:"#e8f5e9", color:"#1b5e20", border:"1px solid #a5d6a7" }}>
+            {tr("Saved at {0}", [uiDateTime(dayMeta.reconciledAt)])}
           </span>
         ) : (
-          <span style={{ marginLeft:8, fontSize:12, padding:"2px 8px", borderRadius:999, background:"#fff3e0", color:"#bf360c", border:"1px solid #ffcc80" }}>
-            Not saved yet
+          <span style={{ marginInlineStart:8, fontSize:12, padding:"2px 8px", borderRadius:999, background:"#fff3e0", color:"#bf360c", border:"1px solid #ffcc80" }}>
+            {tr("Not saved yet")}
           </span>
         )}
-        <div style={{ marginLeft:"auto", fontSize:12, opacity:.8 }}>
-          Shift: {dayMeta.startedAt ? fmtDateTime(dayMeta.startedAt) : "—"} → {dayMeta.endedAt ? fmtDateTime(dayMeta.endedAt) : "—"}
+        <div style={{ marginInlineStart:"auto", fontSize:12, opacity:.8 }}>
+          {tr("Shift: {0} → {1}", [
+            dayMeta.startedAt ? uiDateTime(dayMeta.startedAt) : "—",
+            dayMeta.endedAt ? uiDateTime(dayMeta.endedAt) : "—",
+          ])}
         </div>
       </div>
 
@@ -11612,11 +18442,11 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         <table style={{ width:"100%", borderCollapse:"collapse" }}>
           <thead>
             <tr>
-              <th style={{ textAlign:"left", padding:10, borderBottom:`1px solid ${cardBorder}` }}>Method</th>
-              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>Raw Inflow</th>
-              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>Expected</th>
-              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>Actual / Counted</th>
-              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>Variance</th>
+              <th style={{ textAlign:"left", padding:10, borderBottom:`1px solid ${cardBorder}` }}>{tr("Method")}</th>
+              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>{tr("Raw Inflow")}</th>
+              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>{tr("Expected")}</th>
+              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>{tr("Actual / Counted")}</th>
+              <th style={{ textAlign:"right", padding:10, borderBottom:`1px solid ${cardBorder}` }}>{tr("Variance")}</th>
             </tr>
           </thead>
           <tbody>
@@ -11645,7 +18475,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                       style={{
                         padding: 10,
                         borderBottom: `1px solid ${cardBorder}`,
-                        textAlign: "right",
+                        textAlign: "end",
                         fontWeight: 700,
                         color: varc > 0 ? "#1b5e20" : varc < 0 ? "#b71c1c" : (dark ? "#bbb" : "#666"),
                       }}
@@ -11661,7 +18491,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       </div>
     {/* KPIs bar */}
       <div style={{ padding:10, border:`1px solid ${cardBorder}`, borderRadius:10, background:dark?"#1d1d1d":"#fff", marginTop:10 }}>
-        <div style={{ fontSize:12, opacity:.8 }}>Total Variance</div>
+        <div style={{ fontSize:12, opacity:.8 }}>{tr("Total Variance")}</div>
         <div
           style={{
             fontWeight:900,
@@ -11677,13 +18507,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       {/* Save bar */}
       <div style={{ marginTop:12, display:"flex", alignItems:"center", gap:8, flexWrap:"wrap" }}>
      <label style={{ display:"flex", alignItems:"center", gap:8 }}>
-                <span>Saved by</span>
+                <span>{tr("Saved by")}</span>
                 <select
                   value={reconSavedBy}
                   onChange={(e) => setReconSavedBy(e.target.value)}
                   style={{ width:220, padding:"8px 10px", borderRadius:8, border:`1px solid ${btnBorder}`, background:dark?"#1f1f1f":"#fff", color:dark?"#eee":"#000" }}
                 >
-                  <option value="">Select a worker…</option>
+                  <option value="">{tr("Select a worker…")}</option>
                       {[...new Set([...(workers || []), "Ahmed", "Hazem"])].map((w) => (
                         <option key={w} value={w}>{w}</option>
                       ))}
@@ -11693,7 +18523,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           onClick={saveReconciliation}
           disabled={!hasMeaningfulActualCounts}
           style={{
-            marginLeft: "auto",
+            marginInlineStart: "auto",
             padding: "10px 16px",
             borderRadius: 12,
             border: "none",
@@ -11704,7 +18534,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             opacity: !hasMeaningfulActualCounts ? 0.7 : 1,
           }}
         >
-          Save Reconciliation
+          {tr("Save Reconciliation")}
         </button>
       </div>
     </div>
@@ -11719,7 +18549,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         background: softBg,
       }}
     >
-      <h4 style={{ margin: 0 }}>All-time Variance</h4>
+      <h4 style={{ margin: 0 }}>{tr("All-time Variance")}</h4>
   <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 8 }}>
   {(paymentMethods || []).map((m) => {
     const v = Number(allTimeVarianceByMethod?.[m] || 0);
@@ -11759,7 +18589,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         : (dark ? "#bbb" : "#666"),
   }}
 >
-  Total: {allTimeVarianceTotal > 0 ? "+" : ""}E£{allTimeVarianceTotal.toFixed(2)}
+  {tr("Total: {0}", [(allTimeVarianceTotal > 0 ? "+" : "") + uiMoney(allTimeVarianceTotal)])}
 </div>
 
       <div style={{ marginTop: 8 }}>
@@ -11767,35 +18597,35 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           onClick={resetAllReconciliations}
           style={{ padding: "6px 10px", borderRadius: 6, border: `1px solid ${btnBorder}` }}
         >
-          Reset all saved reconciliations
+          {tr("Reset all saved reconciliations")}
         </button>
       </div>
     </div>
 
     {/* History */}
     <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:16, background: dark ? "#151515" : "#fafafa" }}>
-      <h3 style={{ marginTop:0 }}>Reconciliation History</h3>
+      <h3 style={{ marginTop:0 }}>{tr("Reconciliation History")}</h3>
       {!reconHistory.length ? (
-        <div style={{ opacity:.7 }}>No saved sessions yet.</div>
+        <div style={{ opacity:.7 }}>{tr("No saved sessions yet.")}</div>
       ) : (
         <div style={{ display:"grid", gap:12 }}>
           {reconHistory.map(rec => (
             <div key={rec.id} style={{ border:`1px solid ${cardBorder}`, borderRadius:10, padding:12, background:dark?"#1d1d1d":"#fff" }}>
               <div style={{ display:"flex", alignItems:"center", gap:8 }}>
-                <strong>Saved by:</strong> {rec.savedBy}
-                <span style={{ marginLeft:8, opacity:.8 }}>{fmtDateTime(rec.at)}</span>
-                <div style={{ marginLeft:"auto", fontWeight:900, color: rec.totalVariance > 0 ? "#1b5e20" : (rec.totalVariance < 0 ? "#b71c1c" : (dark ? "#aaa" : "#555")) }}>
-                  Total: {rec.totalVariance >= 0 ? "+" : ""}E£{Number(rec.totalVariance || 0).toFixed(2)}
+                <strong>{tr("Saved by:")}</strong> {rec.savedBy}
+                <span style={{ marginInlineStart:8, opacity:.8 }}>{uiDateTime(rec.at)}</span>
+                <div style={{ marginInlineStart:"auto", fontWeight:900, color: rec.totalVariance > 0 ? "#1b5e20" : (rec.totalVariance < 0 ? "#b71c1c" : (dark ? "#aaa" : "#555")) }}>
+                  {tr("Total: {0}", [(rec.totalVariance >= 0 ? "+" : "") + uiMoney(Number(rec.totalVariance || 0))])}
                 </div>
               </div>
               <div style={{ overflowX:"auto", marginTop:8 }}>
                 <table style={{ width:"100%", borderCollapse:"collapse" }}>
                   <thead>
                     <tr>
-                      <th style={{ textAlign:"left", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Method</th>
-                      <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Expected</th>
-                      <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Actual</th>
-                      <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Variance</th>
+                      <th style={{ textAlign:"left", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Method")}</th>
+                      <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Expected")}</th>
+                      <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Actual")}</th>
+                      <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Variance")}</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -11810,7 +18640,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
   style={{
     padding: 8,
     borderBottom: `1px solid ${cardBorder}`,
-    textAlign: "right",
+    textAlign: "end",
     fontWeight: 700,
     color:
       Number(r.variance || 0) > 0
@@ -11842,7 +18672,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
        {/* Purchase Tab */}
 {activeTab === "admin" && adminSubTab === "purchases" && (
   <div>
-    <h2>Purchases</h2>
+    <h2>{tr("Purchases")}</h2>
 
     {/* DAY / MONTH / YEAR buttons under title (right) */}
     <div style={{
@@ -11865,13 +18695,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           }}
           aria-pressed={purchaseFilter === k}
         >
-          {k.toUpperCase()}
+          {tr(k.toUpperCase())}
         </button>
       ))}
 {/* Time pickers for the chosen period */}
 {purchaseFilter === "day" && (
-  <div style={{ display:"flex", alignItems:"center", gap:8, marginLeft:8 }}>
-    <label><b>Pick day:</b> </label>
+  <div style={{ display:"flex", alignItems:"center", gap:8, marginInlineStart:8 }}>
+    <label><b>{tr("Pick day:")}</b> </label>
     <input
       type="date"
       value={purchaseDay}
@@ -11882,8 +18712,8 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
 )}
 
 {purchaseFilter === "month" && (
-  <div style={{ display: "flex", alignItems: "center", gap: 8, marginLeft: 8 }}>
-    <label><b>Pick month:</b></label>
+  <div style={{ display: "flex", alignItems: "center", gap: 8, marginInlineStart: 8 }}>
+    <label><b>{tr("Pick month:")}</b></label>
     <input
       type="month"
       value={purchaseMonth}
@@ -11896,24 +18726,24 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
 
 <button
   onClick={() => { setPurchaseCatFilterId(""); setShowAllCats(true); }}
-  title="Show purchases from all categories AND show all categories in the grid"
+  title={tr("Show purchases from all categories AND show all categories in the grid")}
   style={{ padding:"6px 10px", borderRadius:8, border:`1px solid ${btnBorder}`, background: dark ? "#2b2b2b" : "#f2f2f2", fontWeight:700, cursor:"pointer" }}
 >
-  SHOW ALL
+  {tr("SHOW ALL")}
 </button>
 
  <button
    onClick={resetAllPurchases}
    style={{ padding:"6px 10px", borderRadius:8, border:"none", background:"#c62828", color:"#fff", fontWeight:700, cursor:"pointer" }}
  >
-   Reset Purchases
+   {tr("Reset Purchases")}
  </button>
      {/* === ADD: Purchases PDF === */}
 <button
   onClick={generatePurchasesPDF}
   style={{ padding:"6px 10px", borderRadius:8, border:"none", background:"#7e57c2", color:"#fff", fontWeight:700, cursor:"pointer" }}
 >
-  Download Purchases PDF
+  {tr("Download Purchases PDF")}
 </button>
 
     </div>
@@ -11936,13 +18766,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           border: `1px solid ${cardBorder}`,
         }}
       >
-        <div style={{ fontWeight: 600, opacity: 0.9 }}>Total Purchases</div>
+        <div style={{ fontWeight: 600, opacity: 0.9 }}>{tr("Total Purchases")}</div>
         <div style={{ marginTop: 6, fontSize: 24, fontWeight: 800 }}>
           {currency(totalPurchasesInPeriod)}
         </div>
           {/* Period KPI (total purchases) */}
-<div style={{ marginLeft:"auto", display:"flex", alignItems:"center", gap:8 }}>
-  <span><b>Total ({purchaseFilter}):</b></span>
+<div style={{ marginInlineStart:"auto", display:"flex", alignItems:"center", gap:8 }}>
+  <span><b>{tr({ day: "Total (day):", month: "Total (month):", year: "Total (year):" }[purchaseFilter] || "Total:")}</b></span>
   <span style={{ padding:"4px 8px", borderRadius:6, background: dark ? "#1e1e1e" : "#fff" }}>
     {currency(totalPurchasesInPeriod)}
   </span>
@@ -11972,7 +18802,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       }
       style={{
         position: "relative",                  // ⬅️ add
-        textAlign: "left",
+        textAlign: "start",
         padding: 14,
         borderRadius: 12,
         border: `1px solid ${cardBorder}`,
@@ -11980,12 +18810,12 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         color: dark ? "#eee" : "#000",
         cursor: "pointer",
       }}
-      title="Show category details below"
+      title={tr("Show category details below")}
     >
       {/* tiny X in the top-right */}
       <span
-        title={`Delete ${cat.name}`}
-        aria-label={`Delete ${cat.name}`}
+        title={tr("Delete {0}", [cat.name])}
+        aria-label={tr("Delete {0}", [cat.name])}
         onClick={(e) => {
           e.stopPropagation();   // don't toggle selection
           e.preventDefault();
@@ -11994,7 +18824,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         style={{
           position: "absolute",
           top: 6,
-          right: 6,
+          insetInlineEnd: 6,
           width: 22,
           height: 22,
           display: "inline-flex",
@@ -12063,13 +18893,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     >
       +
     </span>
-    <div style={{ fontWeight: 700 }}>Add Category</div>
+    <div style={{ fontWeight: 700 }}>{tr("Add Category")}</div>
   </div>
 
   <div style={{ display: "flex", gap: 8, marginTop: 10, flexWrap: "wrap" }}>
     <input
       type="text"
-      placeholder="Category name"
+      placeholder={tr("Category name")}
       value={newCategoryName}
       onChange={(e) => setNewCategoryName(e.target.value)}
       onKeyDown={(e) => {
@@ -12097,7 +18927,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         background: dark ? "#121212" : "#fff",
         color: dark ? "#eee" : "#000",
       }}
-      title="Default unit for this category"
+      title={tr("Default unit for this category")}
     >
       {PURCHASE_UNITS.map((u) => (
         <option key={u} value={u}>{u}</option>
@@ -12115,7 +18945,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         cursor: "pointer",
       }}
     >
-      Add
+      {tr("Add")}
     </button>
   </div>
       </div>
@@ -12162,7 +18992,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
   }}
   style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 180 }}
 >
-  <option value="">Select category</option>
+  <option value="">{tr("Select category")}</option>
   {categoriesForGrid.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
 </select>
 
@@ -12171,7 +19001,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
   {/* Item name */}
   <input
     type="text"
-    placeholder="Item name"
+    placeholder={tr("Item name")}
     value={newPurchase.itemName}
     onChange={(e) => setNewPurchase(p => ({ ...p, itemName: e.target.value }))}
     style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 220 }}
@@ -12189,7 +19019,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
   {/* Qty */}
   <input
     type="number"
-    placeholder="Qty"
+    placeholder={tr("Qty")}
     value={newPurchase.qty}
     onChange={(e) => setNewPurchase(p => ({ ...p, qty: Math.max(0, Number(e.target.value || 0)) }))}
     style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 120 }}
@@ -12198,7 +19028,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
   {/* Unit price */}
   <input
     type="number"
-    placeholder="Unit Price (E£)"
+    placeholder={tr("Unit Price (E£)")}
     value={newPurchase.unitPrice}
     onChange={(e) => setNewPurchase(p => ({ ...p, unitPrice: Math.max(0, Number(e.target.value || 0)) }))}
     style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 160 }}
@@ -12212,6 +19042,17 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
   />
 
+  {/* Expiry (perishables) */}
+  <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+    <small>{tr("Expires")}</small>
+    <input
+      type="date"
+      value={newPurchase.expiresAt || ""}
+      onChange={(e) => setNewPurchase(p => ({ ...p, expiresAt: e.target.value }))}
+      style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+    />
+  </label>
+
 <button
   onClick={handleAddPurchase}
   style={{
@@ -12224,7 +19065,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     fontWeight: 700,
   }}
 >
-  Add Purchase
+  {tr("Add Purchase")}
 </button>
 
 </div>
@@ -12235,7 +19076,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
 
     {/* === DETAILS LIST ================================================= */}
     <div style={{ marginTop: 4 }}>
-      <div style={{ fontWeight: 700, marginBottom: 8 }}>All Categories</div>
+      <div style={{ fontWeight: 700, marginBottom: 8 }}>{tr("All Categories")}</div>
 
       {categoriesForGrid.map((cat) => {
         const rows = byCategory.get(cat.id) || [];
@@ -12309,7 +19150,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                   {rows.length === 0 ? (
                     <tr>
                       <td colSpan={6} style={{ padding: 8, opacity: 0.7 }}>
-                        No purchases in this period.
+                        {tr("No purchases in this period.")}
                       </td>
                     </tr>
                   ) : (
@@ -12318,13 +19159,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                         <td style={{ padding: 8 }}>{prettyDate(r.date)}</td>
                         <td style={{ padding: 8 }}>{r.itemName || "-"}</td>
                         <td style={{ padding: 8 }}>{r.unit || "-"}</td>
-                        <td style={{ padding: 8, textAlign: "right" }}>
+                        <td style={{ padding: 8, textAlign: "end" }}>
                           {Number(r.qty || 0)}
                         </td>
-                        <td style={{ padding: 8, textAlign: "right" }}>
+                        <td style={{ padding: 8, textAlign: "end" }}>
                           {currency(r.unitPrice)}
                         </td>
-                        <td style={{ padding: 8, textAlign: "right" }}>
+                        <td style={{ padding: 8, textAlign: "end" }}>
                           {currency(Number(r.qty || 0) * Number(r.unitPrice || 0))}
                         </td>
                       </tr>
@@ -12341,7 +19182,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
 )}
     {activeTab === "admin" && adminSubTab === "bank" && (
   <div>
-    <h2>Bank / Cashbox</h2>
+    <h2>{tr("Bank / Cashbox")}</h2>
     
     {/* Balance Display */}
     <div
@@ -12357,10 +19198,10 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       }}
     >
       <div>
-        <strong>Current Balance:</strong> E£{bankBalance.toFixed(2)}
+        <strong>{tr("Current Balance:")}</strong> E£{bankBalance.toFixed(2)}
       </div>
       <div>
-        <strong>Today's Balance:</strong> E£{filteredBankTx.reduce((sum, t) => {
+        <strong>{tr("Today's Balance:")}</strong> E£{filteredBankTx.reduce((sum, t) => {
           const a = Number(t.amount || 0);
           if (t.type === "deposit" || t.type === "init" || t.type === "adjustUp") return sum + a;
           if (t.type === "withdraw" || t.type === "adjustDown") return sum - a;
@@ -12369,15 +19210,15 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       </div>
       
       {/* Filter Controls */}
-      <div style={{ marginLeft: "auto", display: "flex", gap: 8, alignItems: "center" }}>
+      <div style={{ marginInlineStart: "auto", display: "flex", gap: 8, alignItems: "center" }}>
         <select
           value={bankFilter}
           onChange={(e) => setBankFilter(e.target.value)}
           style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
         >
-          <option value="day">Day</option>
-          <option value="month">Month</option>
-          <option value="year">Year</option>
+          <option value="day">{tr("Day")}</option>
+          <option value="month">{tr("Month")}</option>
+          <option value="year">{tr("Year")}</option>
         </select>
         
         {bankFilter === "day" && (
@@ -12424,10 +19265,11 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       ))}
 {/* Add this reset button */}
       <button
-        onClick={() => {
-          const okAdmin = !!promptAdminAndPin();
-          if (!okAdmin) return;
-          if (!window.confirm("Reset ALL bank transactions? This cannot be undone.")) return;
+        onClick={async () => {
+          const who = await requirePermission("resetData");
+          if (!who) return;
+          if (!(await askConfirm(tr("Reset ALL bank transactions? This cannot be undone.")))) return;
+          recordAudit(who, "bank.reset", "Bank", { count: bankTx.length, balance: Number(bankBalance.toFixed(2)) }, { count: 0, balance: 0 });
           skipLockedBankReinsertRef.current = true;
           lastLockedBankRef.current = [];
           setBankTx([]);
@@ -12441,7 +19283,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           cursor: "pointer"
         }}
       >
-        Reset All Transactions
+        {tr("Reset All Transactions")}
       </button>
     </div>
 
@@ -12460,22 +19302,22 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         onChange={(e) => setBankForm((f) => ({ ...f, type: e.target.value }))}
         style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
       >
-        <option value="deposit">Deposit (+)</option>
-        <option value="withdraw">Withdraw (-)</option>
-        <option value="adjustUp">Adjust Up (+)</option>
-        <option value="adjustDown">Adjust Down (-)</option>
-        <option value="init">Init (set by margin)</option>
+        <option value="deposit">{tr("Deposit (+)")}</option>
+        <option value="withdraw">{tr("Withdraw (-)")}</option>
+        <option value="adjustUp">{tr("Adjust Up (+)")}</option>
+        <option value="adjustDown">{tr("Adjust Down (-)")}</option>
+        <option value="init">{tr("Init (set by margin)")}</option>
       </select>
       <input
         type="number"
-        placeholder="Amount"
+        placeholder={tr("Amount")}
         value={bankForm.amount}
         onChange={(e) => setBankForm((f) => ({ ...f, amount: Number(e.target.value || 0) }))}
         style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 160 }}
       />
       <input
         type="text"
-        placeholder="Worker"
+        placeholder={tr("Worker")}
         list="bank-worker-list"
         value={bankForm.worker}
         onChange={(e) => setBankForm((f) => ({ ...f, worker: e.target.value }))}
@@ -12488,7 +19330,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       </datalist>
       <input
         type="text"
-        placeholder="Note"
+        placeholder={tr("Note")}
         value={bankForm.note}
         onChange={(e) => setBankForm((f) => ({ ...f, note: e.target.value }))}
         style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 240 }}
@@ -12496,7 +19338,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       <button
         onClick={() => {
           const amt = Number(bankForm.amount || 0);
-          if (!amt) return alert("Amount must be > 0.");
+          if (!amt) return alert(tr("Amount must be > 0."));
           const row = {
             id: `tx_${Date.now()}`,
             type: bankForm.type || "deposit",
@@ -12517,7 +19359,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           cursor: "pointer",
         }}
       >
-        Add Entry
+        {tr("Add Entry")}
       </button>
     </div>
 
@@ -12525,12 +19367,12 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
     <table style={{ width: "100%", borderCollapse: "collapse" }}>
       <thead>
         <tr>
-          <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Type</th>
-          <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Amount (E£)</th>
-          <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Worker</th>
-          <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Date</th>
-          <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Note</th>
-          <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Actions</th>
+          <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Type")}</th>
+          <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Amount (E£)")}</th>
+          <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Worker")}</th>
+          <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Date")}</th>
+          <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Note")}</th>
+          <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Actions")}</th>
         </tr>
       </thead>
       <tbody>
@@ -12544,7 +19386,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
               <td style={{ padding: 6 }}>{t.type}</td>
               <td style={{ 
                 padding: 6, 
-                textAlign: "right",
+                textAlign: "end",
                 color: amountColor,
                 fontWeight: "bold"
               }}>
@@ -12557,7 +19399,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 <button
                   onClick={() => removeBankTx(t.id)}
                   disabled={isLocked}
-                  title={isLocked ? "This transaction cannot be removed" : "Remove"}
+                  title={isLocked ? tr("This transaction cannot be removed") : tr("Remove")}
                   style={{
                     background: "#c62828",
                     color: "#fff",
@@ -12568,7 +19410,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                     opacity: isLocked ? 0.6 : 1,
                   }}
                 >
-                  Remove
+                  {tr("Remove")}
                 </button>
               </td>
             </tr>
@@ -12577,7 +19419,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         {filteredBankTx.length === 0 && (
           <tr>
             <td colSpan={6} style={{ padding: 8, opacity: 0.8 }}>
-              No bank entries for the selected period.
+              {tr("No bank entries for the selected period.")}
             </td>
           </tr>
         )}
@@ -12597,12 +19439,12 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       flexWrap: "wrap",
     }}
   >
-    <h3 style={{ margin: 0 }}>Worker Log</h3>
+    <h3 style={{ margin: 0 }}>{tr("Worker Log")}</h3>
 
-    <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+    <div style={{ marginInlineStart: "auto", display: "flex", gap: 8 }}>
       <button
         onClick={() => closeOpenSessionsAt(new Date())}
-        title="Close all currently open sessions at the current time"
+        title={tr("Close all currently open sessions at the current time")}
         style={{
           padding: "6px 10px",
           borderRadius: 6,
@@ -12611,11 +19453,11 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           cursor: "pointer",
         }}
       >
-        Close Open Sessions
+        {tr("Close Open Sessions")}
       </button>
       <button
         onClick={resetWorkerLog}
-        title="Delete ALL worker sessions (admin only)"
+        title={tr("Delete ALL worker sessions (admin only)")}
         style={{
           padding: "6px 10px",
           borderRadius: 6,
@@ -12626,11 +19468,11 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           cursor: "pointer",
         }}
       >
-        Reset Worker Log
+        {tr("Reset Worker Log")}
       </button>
     </div>
   </div>
-    <h2>Worker Log</h2>
+    <h2>{tr("Worker Log")}</h2>
     {/* Filter row */}
     <div style={{ display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
      <button
@@ -12640,7 +19482,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           background: workerLogFilter === "day" ? "#ffd54f" : (dark ? "#2c2c2c" : "#f1f1f1"),
           cursor:"pointer"
         }}
-      >DAY</button>
+      >{tr("DAY")}</button>
       <button
         onClick={() => setWorkerLogFilter("week")}
         style={{
@@ -12648,7 +19490,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           background: workerLogFilter === "week" ? "#ffd54f" : (dark ? "#2c2c2c" : "#f1f1f1"),
           cursor:"pointer"
         }}
-      >WEEK</button>
+      >{tr("WEEK")}</button>
       <button
         onClick={() => setWorkerLogFilter("month")}
         style={{
@@ -12656,10 +19498,10 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           background: workerLogFilter === "month" ? "#ffd54f" : (dark ? "#2c2c2c" : "#f1f1f1"),
           cursor:"pointer"
         }}
-      >MONTH</button>
+      >{tr("MONTH")}</button>
       {workerLogFilter === "day" && (
         <>
-          <label><b>Pick day:</b></label>
+          <label><b>{tr("Pick day:")}</b></label>
           <input
             type="date"
             value={workerLogDay}
@@ -12670,7 +19512,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       )}
        {workerLogFilter === "month" && (
         <>
-          <label><b>Pick month:</b></label>
+          <label><b>{tr("Pick month:")}</b></label>
           <input
             type="month"
             value={workerLogMonth}
@@ -12681,8 +19523,9 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       )}
  {workerLogFilter === "week" && (
         <>
-          <label><b>Pick week:</b></label>
+          <label><b>{tr("Pick week:")}</b></label>
           <SundayWeekPicker
+            lang={uiLang}
             selectedSunday={workerWeekInfo.start}
             onSelect={(weekStart) => {
               if (!weekStart) return;
@@ -12693,36 +19536,38 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           />
           {workerWeekInfo.start && (
             <span style={{ fontSize: 12, opacity: 0.75 }}>
-              (Starts: {formatDateDDMMYY(workerWeekInfo.start)})
+              {tr("(Starts: {0})", [formatDateDDMMYY(workerWeekInfo.start)])}
             </span>
           )}
         </>
       )}
-      <div style={{ marginLeft:"auto", opacity:.8 }}>
-        Period: {formatDateDDMMYY(wStart)} → {formatDateDDMMYY(wEnd)}
+      <div style={{ marginInlineStart:"auto", opacity:.8 }}>
+        {tr("Period: {0} → {1}", [formatDateDDMMYY(wStart), formatDateDDMMYY(wEnd)])}
       </div>
     </div>
 {/* Sessions table */}
 <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:12, background: dark ? "#151515" : "#fafafa" }}>
-  <h3 style={{ marginTop:0 }}>Sessions</h3>
+  <h3 style={{ marginTop:0 }}>{tr("Sessions")}</h3>
   <div style={{ overflowX:"auto" }}>
     <table style={{ width:"100%", borderCollapse:"collapse" }}>
       <thead>
         <tr>
-          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>Date</th>
-          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>Worker</th>
-          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>Sign in</th>
-          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>Sign out</th>
-          <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Hours</th>
-          <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Est. Payout (E£)</th>
+          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Date")}</th>
+          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Worker")}</th>
+          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Sign in")}</th>
+          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Sign out")}</th>
+          <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Breaks (paid / unpaid min)")}</th>
+          <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Hours")}</th>
+          <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Est. Payout (E£)")}</th>
         </tr>
       </thead>
       <tbody>
         {sessionsForPeriod.map((s) => {
           const a = s.signInAt ? new Date(s.signInAt) : null;
           const b = s.signOutAt ? new Date(s.signOutAt) : null;
-          // USE helper: hours for THIS session in [wStart,wEnd]
-          const hrs = hoursForSession(s, wStart, wEnd);
+          // paid hours for THIS session in [wStart,wEnd]: unpaid breaks out, minimum shift applied
+          const row = (workerTimesheets[s.name]?.rows || []).find(r => r.id === s.id);
+          const hrs = row ? row.hours : 0;
           // USE helper: quick hourly rate lookup
           const rate = Number(rateByName[s.name] || 0);
           // live estimated payout
@@ -12731,19 +19576,28 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             <tr key={s.id}>
               <td style={{ padding:8 }}>{a ? formatDateDDMMYY(a) : "—"}</td>
               <td style={{ padding:8 }}>{s.name}</td>
-              <td style={{ padding:8 }}>{a ? a.toLocaleTimeString([], {hour:"2-digit", minute:"2-digit"}) : "—"}</td>
+              <td style={{ padding:8 }}>{a ? uiTime(a) : "—"}</td>
               <td style={{ padding:8 }}>
                 {b
-                  ? b.toLocaleTimeString([], {hour:"2-digit", minute:"2-digit"})
-                  : (s.signOutAt ? "—" : "OPEN")}
+                  ? uiTime(b)
+                  : (s.signOutAt ? "—" : tr("OPEN"))}
+              </td>
+              <td style={{ padding:8 }}>
+                {row && (row.breaks.paid || row.breaks.unpaid)
+                  ? `${Math.round(row.breaks.paid)} / ${Math.round(row.breaks.unpaid)}`
+                  : "—"}
+                {(s.breaks || []).some(b => !b.end) && !s.signOutAt && <b> {tr("on break")}</b>}
+              </td>
+              <td style={{ padding:8, textAlign:"right" }}>
+                {hrs.toFixed(2)}
+                {row?.minApplied && <small style={{ opacity:.7 }}> {tr("(min. shift)")}</small>}
               </td>
-              <td style={{ padding:8, textAlign:"right" }}>{hrs.toFixed(2)}</td>
               <td style={{ padding:8, textAlign:"right", fontWeight:700 }}>E£{estPay.toFixed(2)}</td>
             </tr>
           );
         })}
         {sessionsForPeriod.length === 0 && (
-          <tr><td colSpan={6} style={{ padding:8, opacity:.7 }}>No sessions yet.</td></tr>
+          <tr><td colSpan={7} style={{ padding:8, opacity:.7 }}>{tr("No sessions yet.")}</td></tr>
         )}
       </tbody>
     </table>
@@ -12751,15 +19605,17 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
 </div>
     {/* Totals per worker + rate editor */}
     <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:12, background: dark ? "#151515" : "#fafafa" }}>
-      <h3 style={{ marginTop:0 }}>Totals (by worker)</h3>
+      <h3 style={{ marginTop:0 }}>{tr("Totals (by worker)")}</h3>
       <div style={{ overflowX:"auto" }}>
         <table style={{ width:"100%", borderCollapse:"collapse" }}>
           <thead>
             <tr>
-              <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>Worker</th>
-              <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Hours</th>
-              <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Rate (E£/h)</th>
-              <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>Pay (E£)</th>
+              <th style={{ textAlign:"left",  padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Worker")}</th>
+              <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Hours")}</th>
+              <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Overtime (h)")}</th>
+              <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Rate (E£/h)")}</th>
+              <th style={{ textAlign:"right", padding:8, borderBottom:`1px solid ${cardBorder}` }}>{tr("Pay (E£)")}</th>
+              <th style={{ padding:8, borderBottom:`1px solid ${cardBorder}` }} />
             </tr>
           </thead>
           <tbody>
@@ -12770,6 +19626,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 <tr key={r.name}>
                   <td style={{ padding:8 }}>{r.name}</td>
                   <td style={{ padding:8, textAlign:"right" }}>{r.hours.toFixed(2)}</td>
+                  <td style={{ padding:8, textAlign:"right" }}>{r.overtime.toFixed(2)}</td>
                   <td style={{ padding:8, textAlign:"right" }}>
                     <input
                       type="number"
@@ -12785,38 +19642,94 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                   <td style={{ padding:8, textAlign:"right", fontWeight:700 }}>
                     E£{r.pay.toFixed(2)}
                   </td>
+                  <td style={{ padding:8, textAlign:"right" }}>
+                    <button
+                      onClick={() => generateTimesheetPDF(r.name)}
+                      style={{ padding:"4px 8px", borderRadius:6, border:`1px solid ${btnBorder}`, cursor:"pointer" }}
+                    >
+                      {tr("Timesheet PDF")}
+                    </button>
+                  </td>
                 </tr>
               );
             })}
             {!workerMonthlyStats.length && (
-              <tr><td colSpan={4} style={{ padding:8, opacity:.7 }}>No data.</td></tr>
+              <tr><td colSpan={6} style={{ padding:8, opacity:.7 }}>{tr("No data.")}</td></tr>
             )}
           </tbody>
         </table>
       </div>
       <div style={{ marginTop:8, textAlign:"right", fontWeight:900 }}>
-        Total payout: E£{workerMonthlyTotalPay.toFixed(2)}
+        {tr("Total payout: {0}", [uiMoney(workerMonthlyTotalPay)])}
       </div>
     </div>
-    {/* PIN editor */}
+    {/* Pay rules */}
     <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:12, background: dark ? "#151515" : "#fafafa" }}>
-      <h3 style={{ marginTop:0 }}>PINs</h3>
-      <div style={{ display:"grid", gap:8 }}>
-        {(workerProfiles || []).map(p => (
-          <div key={p.id} style={{ display:"grid", gridTemplateColumns:"1fr 200px 120px", gap:8, alignItems:"center" }}>
-            <div><b>{p.name}</b></div>
+      <h3 style={{ marginTop:0 }}>{tr("Pay rules")}</h3>
+      <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit, minmax(220px, 1fr))", gap:8 }}>
+        {[
+          ["dailyOvertimeHours", "Daily overtime after (h)", "0.5"],
+          ["dailyOvertimeMultiplier", "Daily overtime multiplier", "0.05"],
+          ["weeklyOvertimeHours", "Weekly overtime after (h)", "0.5"],
+          ["weeklyOvertimeMultiplier", "Weekly overtime multiplier", "0.05"],
+          ["minShiftHours", "Minimum paid shift (h)", "0.5"],
+        ].map(([key, label, step]) => (
+          <label key={key} style={{ display:"grid", gap:4 }}>
+            <span>{tr(label)}</span>
             <input
-              type="password"
-              value={p.pin || ""}
+              type="number"
+              min="0"
+              step={step}
+              value={payRules[key]}
+              disabled={!adminCan("manageStaff")}
               onChange={(e) => {
-                const v = String(e.target.value || "").trim();
-                setWorkerProfiles(list => list.map(x => x.id === p.id ? { ...x, pin: v } : x));
+                const v = e.target.value;
+                setPayRules(r => normalizePayRules({ ...r, [key]: v === "" ? 0 : Number(v) }));
               }}
               style={{ padding:6, border:`1px solid ${btnBorder}`, borderRadius:6 }}
-              placeholder="PIN"
             />
-            <div style={{ textAlign:"right", opacity:.7 }}>Rate: E£{Number(p.rate || 0).toFixed(2)}/h</div>
-          </div>
+          </label>
+        ))}
+      </div>
+      <small style={{ display:"block", opacity:.75, marginTop:6 }}>
+        {tr("0 turns a rule off. Unpaid breaks are left out of the hours; hours past the weekly limit that aren't already daily overtime count as weekly overtime.")}
+      </small>
+    </div>
+    {/* PIN editor */}
+    <div style={{ border:`1px solid ${cardBorder}`, borderRadius:12, padding:12, background: dark ? "#151515" : "#fafafa" }}>
+      <h3 style={{ marginTop:0 }}>{tr("PINs")}</h3>
+      {!adminCan("manageStaff") && (
+        <small style={{ display:"block", opacity:.75, marginBottom:8 }}>
+          {tr("Only roles allowed to manage staff can change PINs and roles.")}
+        </small>
+      )}
+      <div style={{ display:"grid", gap:8 }}>
+        {(workerProfiles || []).map(p => (
+          <div key={p.id} style={{ display:"grid", gridTemplateColumns:"1fr 140px 200px 120px", gap:8, alignItems:"center" }}>
+            <div><b>{p.name}</b></div>
+            <select
+              value={workerRole(p)}
+              disabled={!adminCan("manageStaff")}
+              onChange={(e) => {
+                const role = e.target.value;
+                setWorkerProfiles(list => list.map(x => x.id === p.id ? { ...x, role } : x));
+              }}
+              style={{ padding:6, border:`1px solid ${btnBorder}`, borderRadius:6 }}
+            >
+              {ROLES.map(r => <option key={r.id} value={r.id}>{tr(r.label)}</option>)}
+            </select>
+            <div style={{ display:"flex", gap:6, alignItems:"center" }}>
+              <small style={{ opacity:.75 }}>{p.pin ? tr("PIN set") : tr("No PIN")}</small>
+              <button
+                onClick={() => changeWorkerPin(p)}
+                disabled={!adminCan("manageStaff")}
+                style={{ padding:"6px 10px", border:`1px solid ${btnBorder}`, borderRadius:6, cursor:"pointer" }}
+              >
+                {p.pin ? tr("Change PIN") : tr("Set PIN")}
+              </button>
+            </div>
+            <div style={{ textAlign:"right", opacity:.7 }}>{tr("Rate: {0}/h", [uiMoney(Number(p.rate || 0))])}</div>
+          </div>
         ))}
       </div>
           {/* ── Add Worker (inline) — place directly under "Current workers" list/table ── */}
@@ -12833,9 +19746,9 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         cursor: "pointer",
         fontWeight: 700,
       }}
-      title="Add a new worker profile"
+      title={tr("Add a new worker profile")}
     >
-      ＋ Add worker
+      {tr("＋ Add worker")}
     </button>
   ) : (
     <div
@@ -12852,13 +19765,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       }}
     >
       <input
-        placeholder="Name"
+        placeholder={tr("Name")}
         value={newWName}
         onChange={(e) => setNewWName(e.target.value)}
         style={{ padding: 8, border: `1px solid ${btnBorder}`, borderRadius: 6 }}
       />
       <input
-        placeholder="PIN (3–6 digits)"
+        placeholder={tr("PIN (3–6 digits)")}
         value={newWPin}
         onChange={(e) =>
           setNewWPin(e.target.value.replace(/\D/g, "").slice(0, 6))
@@ -12866,7 +19779,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         style={{ padding: 8, border: `1px solid ${btnBorder}`, borderRadius: 6 }}
       />
       <input
-        placeholder="Rate (E£/hr)"
+        placeholder={tr("Rate (E£/hr)")}
         type="number"
         step="0.01"
         value={newWRate}
@@ -12886,7 +19799,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             fontWeight: 800,
           }}
         >
-          Save
+          {tr("Save")}
         </button>
         <button
           onClick={() => {
@@ -12902,7 +19815,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             cursor: "pointer",
           }}
         >
-          Cancel
+          {tr("Cancel")}
         </button>
       </div>
     </div>
@@ -12928,10 +19841,10 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           fontWeight: 'bold'
         }}
       >
-        Download Report PDF
+        {tr("Download Report PDF")}
        </button>
     </div>
-          <h2>Reports</h2>
+          <h2>{tr("Reports")}</h2>
           <div
             style={{
               display: "flex",
@@ -12961,7 +19874,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 fontWeight: 700,
               }}
             >
-              SHIFT
+              {tr("SHIFT")}
             </button>
             <button
               onClick={() => setReportFilter("day")}
@@ -12979,7 +19892,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 fontWeight: 700,
               }}
             >
-              DAY
+              {tr("DAY")}
             </button>
             <button
               onClick={() => setReportFilter("month")}
@@ -12997,11 +19910,11 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 fontWeight: 700,
               }}
             >
-              MONTH
+              {tr("MONTH")}
             </button>
             {reportFilter === "day" && (
               <>
-                <label><b>Pick day:</b></label>
+                <label><b>{tr("Pick day:")}</b></label>
                 <input
                   type="date"
                   value={reportDay}
@@ -13016,7 +19929,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             )}
  {reportFilter === "month" && (
               <>
-                <label><b>Pick month:</b></label>
+                <label><b>{tr("Pick month:")}</b></label>
                 <input
                   type="month"
                   value={reportMonth}
@@ -13040,25 +19953,18 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 fontWeight: 700,
               }}
             >
-              Reset
+              {tr("Reset")}
             </button>
-            <div style={{ marginLeft: "auto", opacity: 0.8 }}>
+            <div style={{ marginInlineStart: "auto", opacity: 0.8 }}>
               {reportStart && reportEnd ? (
                 <>
-            Period: {reportStart.toLocaleDateString("en-GB", {
-                    day: "2-digit",
-                    month: "2-digit",
-                    year: "numeric",
-                  })}
-                  {" "}→ {" "}
-                  {reportEnd.toLocaleDateString("en-GB", {
-                    day: "2-digit",
-                    month: "2-digit",
-                    year: "numeric",
-                  })}
+                  {tr("Period: {0} → {1}", [
+                    uiDate(reportStart, { day: "2-digit", month: "2-digit", year: "numeric" }),
+                    uiDate(reportEnd, { day: "2-digit", month: "2-digit", year: "numeric" }),
+                  ])}
                 </>
               ) : (
-                "Period unavailable"
+                tr("Period unavailable")
               )}
             </div>
           </div>
@@ -13079,6 +19985,12 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
              {[{
                 label: "Revenue (items only):",
                 value: totals.revenueTotal.toFixed(2),
+              }, {
+                label: "Discounts:",
+                value: totals.discountsTotal.toFixed(2),
+              }, {
+                label: "Refunds:",
+                value: (-totals.refundsTotal).toFixed(2),
               }, {
                 label: "Delivery Fees:",
                 value: totals.deliveryFeesTotal.toFixed(2),
@@ -13102,28 +20014,28 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                     whiteSpace: "nowrap",
                   }}
                 >
-                  <span style={{ color: "#000" }}>{label}</span>
+                  <span style={{ color: "#000" }}>{tr(label)}</span>
                   <span style={{ fontWeight: 700 }}>E£{value}</span>
                 </div>
               ))}
             </div>
             <div style={{ marginBottom: 16 }}>
-              <h3 style={{ margin: "16px 0 8px" }}>Orders in Period</h3>
+              <h3 style={{ margin: "16px 0 8px" }}>{tr("Orders in Period")}</h3>
               <div style={{ overflowX: "auto" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse" }}>
                   <thead>
                     <tr>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Date / Time</th>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Order Ref</th>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Channel</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>POS #</th>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Worker</th>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Payment</th>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Type</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Items (E£)</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Delivery (E£)</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Total (E£)</th>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Status</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Date / Time")}</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Order Ref")}</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Channel")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("POS #")}</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Worker")}</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Payment")}</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Type")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Items (E£)")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Delivery (E£)")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Total (E£)")}</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Status")}</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -13169,16 +20081,16 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                         `${order.orderNo || "order"}_${order.idemKey || order.onlineOrderKey || order.onlineOrderId || idx}`;
                       return (
                         <tr key={key}>
-                          <td style={{ padding: 6 }}>{fmtDateTime(order.date)}</td>
+                          <td style={{ padding: 6 }}>{uiDateTime(order.date)}</td>
                           <td style={{ padding: 6 }}>{order.channelOrderNo || formatOnsiteChannelOrderNo(order.orderNo)}</td>
                           <td style={{ padding: 6 }}>{channelLabel}</td>
-                          <td style={{ padding: 6, textAlign: "right" }}>{posDisplay}</td>
+                          <td style={{ padding: 6, textAlign: "end" }}>{posDisplay}</td>
                           <td style={{ padding: 6 }}>{order.worker || "—"}</td>
                           <td style={{ padding: 6 }}>{paymentDisplay}</td>
                           <td style={{ padding: 6 }}>{order.orderType || "—"}</td>
-                          <td style={{ padding: 6, textAlign: "right" }}>{itemsOnly.toFixed(2)}</td>
-                          <td style={{ padding: 6, textAlign: "right" }}>{deliveryFeeValue.toFixed(2)}</td>
-                          <td style={{ padding: 6, textAlign: "right" }}>{totalValue.toFixed(2)}</td>
+                          <td style={{ padding: 6, textAlign: "end" }}>{itemsOnly.toFixed(2)}</td>
+                          <td style={{ padding: 6, textAlign: "end" }}>{deliveryFeeValue.toFixed(2)}</td>
+                          <td style={{ padding: 6, textAlign: "end" }}>{totalValue.toFixed(2)}</td>
                           <td style={{ padding: 6 }}>{statusLabel}</td>
                         </tr>
                       );
@@ -13186,7 +20098,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                     {reportOrdersDetailed.length === 0 && (
                       <tr>
                         <td colSpan={11} style={{ padding: 8, opacity: 0.8 }}>
-                          No orders recorded for the selected period.
+                          {tr("No orders recorded for the selected period.")}
                         </td>
                       </tr>
                     )}
@@ -13204,7 +20116,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                   marginBottom: 8,
                 }}
               >
-                <h3 style={{ margin: 0 }}>Margin Trend</h3>
+                <h3 style={{ margin: 0 }}>{tr("Margin Trend")}</h3>
                  <div
                   style={{
                     display: "flex",
@@ -13236,13 +20148,14 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                         textTransform: "uppercase",
                       }}
                     >
-              {label}
+              {tr(label)}
                     </button>
                   ))}
  {marginChartFilter === "week" && (
                     <>
-                      <label style={{ fontWeight: 600 }}>Pick week:</label>
+                      <label style={{ fontWeight: 600 }}>{tr("Pick week:")}</label>
                       <SundayWeekPicker
+                        lang={uiLang}
                         selectedSunday={marginChartRange.start}
                         onSelect={(weekStart) => {
                           if (!weekStart) return;
@@ -13256,14 +20169,14 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                       />
                       {marginChartRange.start && (
                         <span style={{ fontSize: 12, opacity: 0.75 }}>
-                          (Starts: {formatDateDDMMYY(marginChartRange.start)})
+                          {tr("(Starts: {0})", [formatDateDDMMYY(marginChartRange.start)])}
                         </span>
                       )}
                     </>
                   )}                 
 {marginChartFilter === "month" && (
                     <>
-                      <label style={{ fontWeight: 600 }}>Month:</label>
+                      <label style={{ fontWeight: 600 }}>{tr("Month:")}</label>
                       <input
                         type="month"
                         value={marginChartMonthSelection}
@@ -13280,7 +20193,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                   )}
                   {marginChartFilter === "year" && (
                     <>
-                      <label style={{ fontWeight: 600 }}>Year:</label>
+                      <label style={{ fontWeight: 600 }}>{tr("Year:")}</label>
                       <input
                         type="number"
                         value={marginChartYearSelection}
@@ -13299,14 +20212,13 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                     </>
                   )}
                 </div>
-                <div style={{ marginLeft: "auto", opacity: 0.8 }}>
+                <div style={{ marginInlineStart: "auto", opacity: 0.8 }}>
                   {marginChartRange.start && marginChartRange.end ? (
                     <>
-                      Period: {formatDateDDMMYY(marginChartRange.start)} → {" "}
-                      {formatDateDDMMYY(marginChartRange.end)}
+                      {tr("Period: {0} → {1}", [formatDateDDMMYY(marginChartRange.start), formatDateDDMMYY(marginChartRange.end)])}
                     </>
                   ) : (
-                    "Period unavailable"
+                    tr("Period unavailable")
                   )}
                 </div>
               </div>
@@ -13318,38 +20230,38 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                   background: dark ? "#151515" : "#ffffff",
                 }}
               >
-                <MarginLineChart data={marginChartData} dark={dark} />
+                <MarginLineChart data={marginChartData} dark={dark} lang={uiLang} />
               </div>
             </div>
             <div style={{ marginBottom: 16 }}>
-              <h3 style={{ marginTop: 0 }}>Profit Timeline</h3>
+              <h3 style={{ marginTop: 0 }}>{tr("Profit Timeline")}</h3>
               <div style={{ overflowX: "auto" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse" }}>
                   <thead>
                     <tr>
-                      <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Date</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Revenue (E£)</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Purchases (E£)</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Expenses (E£)</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Net (E£)</th>
-                      <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Margin %</th>
+                      <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Date")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Revenue (E£)")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Purchases (E£)")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Expenses (E£)")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Net (E£)")}</th>
+                      <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Margin %")}</th>
                     </tr>
                   </thead>
                   <tbody>
                     {profitTimeline.map((row) => (
                       <tr key={row.date}>
                         <td style={{ padding: 6 }}>{row.date}</td>
-                        <td style={{ padding: 6, textAlign: "right" }}>{row.revenue.toFixed(2)}</td>
-                        <td style={{ padding: 6, textAlign: "right" }}>{row.purchasesCost.toFixed(2)}</td>
-                        <td style={{ padding: 6, textAlign: "right" }}>{row.expenseCost.toFixed(2)}</td>
-                        <td style={{ padding: 6, textAlign: "right" }}>{row.net.toFixed(2)}</td>
-                        <td style={{ padding: 6, textAlign: "right" }}>{row.marginPct.toFixed(2)}%</td>
+                        <td style={{ padding: 6, textAlign: "end" }}>{row.revenue.toFixed(2)}</td>
+                        <td style={{ padding: 6, textAlign: "end" }}>{row.purchasesCost.toFixed(2)}</td>
+                        <td style={{ padding: 6, textAlign: "end" }}>{row.expenseCost.toFixed(2)}</td>
+                        <td style={{ padding: 6, textAlign: "end" }}>{row.net.toFixed(2)}</td>
+                        <td style={{ padding: 6, textAlign: "end" }}>{row.marginPct.toFixed(2)}%</td>
                       </tr>
                     ))}
                     {!profitTimeline.length && (
                       <tr>
                         <td colSpan={6} style={{ padding: 8, opacity: 0.8 }}>
-                          No data for the selected period.
+                          {tr("No data for the selected period.")}
                         </td>
                       </tr>
                     )}
@@ -13359,14 +20271,14 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             </div>
           </>
           {/* Items summary (old style: name, unit price (avg), qty, total) */}
-          <h3>Items Sold</h3>
+          <h3>{tr("Items Sold")}</h3>
           <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 16 }}>
             <thead>
               <tr>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Item</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Qty</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Avg Price (E£)</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Total (E£)</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Item")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Qty")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Avg Price (E£)")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Total (E£)")}</th>
               </tr>
             </thead>
             <tbody>
@@ -13375,28 +20287,28 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 return (
                   <tr key={r.id}>
                     <td style={{ padding: 6 }}>{r.name}</td>
-                    <td style={{ padding: 6, textAlign: "right" }}>{r.count}</td>
-                    <td style={{ padding: 6, textAlign: "right" }}>{avg.toFixed(2)}</td>
-                    <td style={{ padding: 6, textAlign: "right" }}>{r.revenue.toFixed(2)}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{r.count}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{avg.toFixed(2)}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{r.revenue.toFixed(2)}</td>
                   </tr>
                 );
               })}
        {salesStats.items.length === 0 && (
                 <tr>
-                  <td colSpan={4} style={{ padding: 8, opacity: 0.8 }}>No items sold in this period.</td>
+                  <td colSpan={4} style={{ padding: 8, opacity: 0.8 }}>{tr("No items sold in this period.")}</td>
                 </tr>
               )}
             </tbody>
           </table>
           {/* Extras summary */}
-          <h3>Extras Sold</h3>
+          <h3>{tr("Extras Sold")}</h3>
           <table style={{ width: "100%", borderCollapse: "collapse" }}>
             <thead>
               <tr>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Extra</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Qty</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Avg Price (E£)</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Total (E£)</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Extra")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Qty")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Avg Price (E£)")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Total (E£)")}</th>
               </tr>
             </thead>
             <tbody>
@@ -13405,34 +20317,34 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                 return (
                   <tr key={r.id}>
                     <td style={{ padding: 6 }}>{r.name}</td>
-                    <td style={{ padding: 6, textAlign: "right" }}>{r.count}</td>
-                    <td style={{ padding: 6, textAlign: "right" }}>{avg.toFixed(2)}</td>
-                    <td style={{ padding: 6, textAlign: "right" }}>{r.revenue.toFixed(2)}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{r.count}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{avg.toFixed(2)}</td>
+                    <td style={{ padding: 6, textAlign: "end" }}>{r.revenue.toFixed(2)}</td>
                   </tr>
                 );
               })}
              {salesStats.extras.length === 0 && (
                 <tr>
-                  <td colSpan={4} style={{ padding: 8, opacity: 0.8 }}>No extras sold in this period.</td>
+                  <td colSpan={4} style={{ padding: 8, opacity: 0.8 }}>{tr("No extras sold in this period.")}</td>
                 </tr>
               )}
             </tbody>
           </table>
                 {/* Inventory — Start vs Now */}
-<h3>Inventory — Start vs Now</h3>
+<h3>{tr("Inventory — Start vs Now")}</h3>
 {(!inventorySnapshot || inventorySnapshot.length === 0) ? (
   <p style={{ opacity: 0.8 }}>
-    No inventory snapshot yet. Use <b>Inventory → Lock Inventory (start of day)</b> to capture start quantities.
+    {trNodes("No inventory snapshot yet. Use {0} to capture start quantities.", [<b>{tr("Inventory → Lock Inventory (start of day)")}</b>])}
   </p>
 ) : (
   <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 16 }}>
     <thead>
       <tr>
-        <th style={{ textAlign: "left",  borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Item</th>
-        <th style={{ textAlign: "left",  borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Unit</th>
-        <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Start Qty</th>
-        <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Current Qty</th>
-        <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Used</th>
+        <th style={{ textAlign: "start",  borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Item")}</th>
+        <th style={{ textAlign: "start",  borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Unit")}</th>
+        <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Start Qty")}</th>
+        <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Current Qty")}</th>
+        <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Used")}</th>
       </tr>
     </thead>
     <tbody>
@@ -13440,9 +20352,9 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
         <tr key={r.name}>
           <td style={{ padding: 6 }}>{r.name}</td>
           <td style={{ padding: 6 }}>{r.unit}</td>
-          <td style={{ padding: 6, textAlign: "right" }}>{r.start}</td>
-          <td style={{ padding: 6, textAlign: "right" }}>{r.now}</td>
-          <td style={{ padding: 6, textAlign: "right" }}>{r.used}</td>
+          <td style={{ padding: 6, textAlign: "end" }}>{r.start}</td>
+          <td style={{ padding: 6, textAlign: "end" }}>{r.now}</td>
+          <td style={{ padding: 6, textAlign: "end" }}>{r.used}</td>
         </tr>
       ))}
     </tbody>
@@ -13452,17 +20364,17 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       )}
       {activeTab === "admin" && adminSubTab === "edit" && (
         <div>
-          <h2>Edit</h2>
+          <h2>{tr("Edit")}</h2>
           {/* Items editor */}
-          <h3>Menu Items</h3>
+          <h3>{tr("Menu Items")}</h3>
           <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 12 }}>
             <thead>
               <tr>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Name</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Price (E£)</th>
-                <th style={{ textAlign: "center", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Color</th>
-                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Arrange</th>
-                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Actions</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Name")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Price (E£)")}</th>
+                <th style={{ textAlign: "center", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Color")}</th>
+                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Arrange")}</th>
+                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Actions")}</th>
               </tr>
             </thead>
             <tbody>
@@ -13478,15 +20390,26 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                         }
                         style={{ width: "100%", padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
                       />
+                      <input
+                        type="text"
+                        dir="rtl"
+                        lang="ar"
+                        value={it.nameAr || ""}
+                        placeholder={tr("الاسم بالعربي (optional)")}
+                        onChange={(e) =>
+                          setMenu((arr) => arr.map((x) => (x.id === it.id ? { ...x, nameAr: e.target.value } : x)))
+                        }
+                        style={{ width: "100%", padding: 6, marginTop: 4, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+                      />
                     </td>
-                    <td style={{ padding: 6, textAlign: "right" }}>
+                    <td style={{ padding: 6, textAlign: "end" }}>
                       <input
                         type="number"
                         value={it.price}
                         onChange={(e) =>
                           setMenu((arr) => arr.map((x) => (x.id === it.id ? { ...x, price: Number(e.target.value || 0) } : x)))
                         }
-                        style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "right" }}
+                        style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "end" }}
                       />
                     </td>
                     <td style={{ padding: 6, textAlign: "center" }}>
@@ -13500,7 +20423,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                       />
                     </td>
                     <td style={{ padding: 6, textAlign: "center" }}>
-                      <button onClick={() => moveMenuUp(it.id)} style={{ marginRight: 6 }}>↑</button>
+                      <button onClick={() => moveMenuUp(it.id)} style={{ marginInlineEnd: 6 }}>↑</button>
                       <button onClick={() => moveMenuDown(it.id)}>↓</button>
                     </td>
                     <td style={{ padding: 6 }}>
@@ -13513,10 +20436,38 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                           borderRadius: 6,
                           padding: "6px 10px",
                           cursor: "pointer",
-                          marginRight: 6,
+                          marginInlineEnd: 6,
                         }}
                       >
-                        Edit Consumption
+                        {tr("Edit Consumption")}
+                      </button>
+                      <button
+                        onClick={() => setOpenMenuModsId((v) => (v === it.id ? null : it.id))}
+                        style={{
+                          background: "#5e35b1",
+                          color: "#fff",
+                          border: "none",
+                          borderRadius: 6,
+                          padding: "6px 10px",
+                          cursor: "pointer",
+                          marginInlineEnd: 6,
+                        }}
+                      >
+                        {tr("Modifiers")}{(it.modifierGroups || []).length ? ` (${it.modifierGroups.length})` : ""}
+                      </button>
+                      <button
+                        onClick={() => setOpenMenuBundleId((v) => (v === it.id ? null : it.id))}
+                        style={{
+                          background: "#00838f",
+                          color: "#fff",
+                          border: "none",
+                          borderRadius: 6,
+                          padding: "6px 10px",
+                          cursor: "pointer",
+                          marginInlineEnd: 6,
+                        }}
+                      >
+                        {isBundleItem(it) ? tr("Meal slots") : tr("Make meal")}
                       </button>
                       <button
                         onClick={() => setMenu((arr) => arr.filter((x) => x.id !== it.id))}
@@ -13529,7 +20480,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                           cursor: "pointer",
                         }}
                       >
-                        Remove
+                        {tr("Remove")}
                       </button>
                     </td>
                   </tr>
@@ -13589,11 +20540,248 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                       </td>
                     </tr>
                   )}
+                  {openMenuBundleId === it.id && (
+                    <tr>
+                      <td colSpan={5} style={{ padding: 6, background: dark ? "#151515" : "#fafafa" }}>
+                        <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 6 }}>
+                          {tr("Each slot is one item in the meal. Tick one item for a fixed slot or several to let the cashier choose. The price above is the meal price; it is split across the picked items by their own prices for reports.")}
+                        </div>
+                        {(it.bundleSlots || []).map((sl) => {
+                          const candidates = menu.filter((m) => m.id !== it.id && !isBundleItem(m));
+                          const ids = (sl.itemIds || []).map(String);
+                          return (
+                            <div
+                              key={sl.id}
+                              style={{
+                                border: `1px solid ${btnBorder}`,
+                                borderRadius: 8,
+                                padding: 8,
+                                marginBottom: 8,
+                                background: dark ? "#1e1e1e" : "#fff",
+                              }}
+                            >
+                              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 6 }}>
+                                <input
+                                  type="text"
+                                  value={sl.name}
+                                  placeholder={tr("Slot name (e.g. Side)")}
+                                  onChange={(e) => updateBundleSlot(it.id, sl.id, { name: e.target.value })}
+                                  style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 180 }}
+                                />
+                                <label>
+                                  {tr("Default")}{" "}
+                                  <select
+                                    value={sl.defaultItemId ?? ""}
+                                    onChange={(e) => {
+                                      const hit = candidates.find((m) => String(m.id) === e.target.value);
+                                      updateBundleSlot(it.id, sl.id, { defaultItemId: hit ? hit.id : null });
+                                    }}
+                                  >
+                                    <option value="">{tr("First ticked")}</option>
+                                    {candidates
+                                      .filter((m) => ids.includes(String(m.id)))
+                                      .map((m) => (
+                                        <option key={m.id} value={m.id}>
+                                          {m.name}
+                                        </option>
+                                      ))}
+                                  </select>
+                                </label>
+                                <button
+                                  onClick={() => updateBundleSlots(it.id, (slots) => slots.filter((x) => x.id !== sl.id))}
+                                  style={{ marginInlineStart: "auto", background: "#c62828", color: "#fff", border: "none", borderRadius: 6, padding: "4px 8px", cursor: "pointer" }}
+                                >
+                                  {tr("Remove slot")}
+                                </button>
+                              </div>
+                              <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                                {candidates.map((m) => (
+                                  <label key={m.id} style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+                                    <input
+                                      type="checkbox"
+                                      checked={ids.includes(String(m.id))}
+                                      onChange={(e) =>
+                                        updateBundleSlot(it.id, sl.id, {
+                                          itemIds: e.target.checked
+                                            ? [...(sl.itemIds || []), m.id]
+                                            : (sl.itemIds || []).filter((id) => String(id) !== String(m.id)),
+                                        })
+                                      }
+                                    />
+                                    {m.name} (E£{m.price})
+                                  </label>
+                                ))}
+                              </div>
+                            </div>
+                          );
+                        })}
+                        <button
+                          onClick={() =>
+                            updateBundleSlots(it.id, (slots) => [
+                              ...slots,
+                              { id: `bs_${Date.now().toString(36)}`, name: "Item", itemIds: [], defaultItemId: null },
+                            ])
+                          }
+                          style={{ background: "#00838f", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                        >
+                          {tr("+ Slot")}
+                        </button>
+                      </td>
+                    </tr>
+                  )}
+                  {openMenuModsId === it.id && (
+                    <tr>
+                      <td colSpan={5} style={{ padding: 6, background: dark ? "#151515" : "#fafafa" }}>
+                        {(it.modifierGroups || []).map((g) => (
+                          <div
+                            key={g.id}
+                            style={{
+                              border: `1px solid ${btnBorder}`,
+                              borderRadius: 8,
+                              padding: 8,
+                              marginBottom: 8,
+                              background: dark ? "#1e1e1e" : "#fff",
+                            }}
+                          >
+                            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 6 }}>
+                              <input
+                                type="text"
+                                value={g.name}
+                                placeholder={tr("Group name (e.g. Bun)")}
+                                onChange={(e) => updateModifierGroup(it.id, g.id, { name: e.target.value })}
+                                style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 180 }}
+                              />
+                              <label>
+                                {tr("Min")}{" "}
+                                <input
+                                  type="number"
+                                  min={0}
+                                  value={g.min ?? 0}
+                                  onChange={(e) =>
+                                    updateModifierGroup(it.id, g.id, { min: Math.max(0, Math.floor(Number(e.target.value || 0))) })
+                                  }
+                                  style={{ width: 60 }}
+                                />
+                              </label>
+                              <label title={tr("0 = no limit")}>
+                                {tr("Max")}{" "}
+                                <input
+                                  type="number"
+                                  min={0}
+                                  value={g.max ?? 0}
+                                  onChange={(e) =>
+                                    updateModifierGroup(it.id, g.id, { max: Math.max(0, Math.floor(Number(e.target.value || 0))) })
+                                  }
+                                  style={{ width: 60 }}
+                                />
+                              </label>
+                              <small style={{ opacity: 0.7 }}>{tr("Min 0 = optional · Max 0 = no limit")}</small>
+                              <button
+                                onClick={async () => {
+                                  if (!(await askConfirm(tr("Remove modifier group \"{0}\"?", [g.name])))) return;
+                                  updateModifierGroups(it.id, (groups) => groups.filter((x) => x.id !== g.id));
+                                }}
+                                style={{ marginInlineStart: "auto", background: "#c62828", color: "#fff", border: "none", borderRadius: 6, padding: "4px 8px", cursor: "pointer" }}
+                              >
+                                {tr("Remove group")}
+                              </button>
+                            </div>
+                            {(g.options || []).map((o) => {
+                              const optKey = `${it.id}:${g.id}:${o.id}`;
+                              return (
+                                <div key={o.id} style={{ marginInlineStart: 12, marginBottom: 4 }}>
+                                  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                                    <input
+                                      type="text"
+                                      value={o.name}
+                                      onChange={(e) => updateModifierOption(it.id, g.id, o.id, (x) => ({ ...x, name: e.target.value }))}
+                                      style={{ padding: 4, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 160 }}
+                                    />
+                                    <label>
+                                      ± E£{" "}
+                                      <input
+                                        type="number"
+                                        step="any"
+                                        value={o.priceDelta ?? 0}
+                                        onChange={(e) =>
+                                          updateModifierOption(it.id, g.id, o.id, (x) => ({ ...x, priceDelta: Number(e.target.value || 0) }))
+                                        }
+                                        style={{ width: 80, textAlign: "end" }}
+                                      />
+                                    </label>
+                                    <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+                                      <input
+                                        type="checkbox"
+                                        checked={!!o.isDefault}
+                                        onChange={(e) => updateModifierOption(it.id, g.id, o.id, (x) => ({ ...x, isDefault: e.target.checked }))}
+                                      />
+                                      {tr("Default")}
+                                    </label>
+                                    <button onClick={() => setOpenModOptionKey((v) => (v === optKey ? null : optKey))}>
+                                      {tr("Uses")}{Object.keys(o.uses || {}).length ? ` (${Object.keys(o.uses).length})` : ""}
+                                    </button>
+                                    <button
+                                      onClick={() =>
+                                        updateModifierGroup(it.id, g.id, { options: (g.options || []).filter((x) => x.id !== o.id) })
+                                      }
+                                    >
+                                      ✕
+                                    </button>
+                                  </div>
+                                  {openModOptionKey === optKey && (
+                                    <div
+                                      style={{
+                                        display: "grid",
+                                        gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))",
+                                        gap: 8,
+                                        marginTop: 6,
+                                      }}
+                                    >
+                                      {inventory.map((inv) => (
+                                        <label key={inv.id} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                                          <span style={{ minWidth: 110 }}>{inv.name} ({inv.unit})</span>
+                                          <input
+                                            type="number"
+                                            min={0}
+                                            step="any"
+                                            value={Number((o.uses || {})[inv.id] || 0)}
+                                            onChange={(e) => {
+                                              const v = Math.max(0, Number(e.target.value || 0));
+                                              updateModifierOption(it.id, g.id, o.id, (x) => ({
+                                                ...x,
+                                                uses: v > 0
+                                                  ? { ...(x.uses || {}), [inv.id]: v }
+                                                  : Object.fromEntries(Object.entries(x.uses || {}).filter(([k]) => k !== inv.id)),
+                                              }));
+                                            }}
+                                            style={{ width: 90 }}
+                                          />
+                                        </label>
+                                      ))}
+                                    </div>
+                                  )}
+                                </div>
+                              );
+                            })}
+                            <button onClick={() => addModifierOption(it.id, g.id)} style={{ marginInlineStart: 12, marginTop: 4 }}>
+                              {tr("+ Option")}
+                            </button>
+                          </div>
+                        ))}
+                        <button
+                          onClick={() => addModifierGroup(it.id)}
+                          style={{ background: "#5e35b1", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                        >
+                          {tr("+ Modifier group")}
+                        </button>
+                      </td>
+                    </tr>
+                  )}
                 </React.Fragment>
               ))}
               {menu.length === 0 && (
                 <tr>
-                  <td colSpan={5} style={{ padding: 8, opacity: 0.8 }}>No items. Add some below.</td>
+                  <td colSpan={5} style={{ padding: 8, opacity: 0.8 }}>{tr("No items. Add some below.")}</td>
                 </tr>
               )}
             </tbody>
@@ -13603,20 +20791,20 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
       <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
         <input
           type="text"
-          placeholder="New item name"
+          placeholder={tr("New item name")}
           value={newItemName}
           onChange={(e) => setNewItemName(e.target.value)}
           style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 220 }}
         />
         <input
           type="number"
-          placeholder="Price (E£)"
+          placeholder={tr("Price (E£)")}
           value={newItemPrice}
           onChange={(e) => setNewItemPrice(Number(e.target.value || 0))}
-          style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 160, textAlign: "right" }}
+          style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 160, textAlign: "end" }}
         />
         <label style={{ display: "inline-flex", alignItems: "center", gap: 6 }}>
-          <span style={{ opacity: 0.8 }}>Color</span>
+          <span style={{ opacity: 0.8 }}>{tr("Color")}</span>
           <input
             type="color"
             value={newItemColor}
@@ -13636,7 +20824,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             fontWeight: 700,
           }}
         >
-          + Add Item
+          {tr("+ Add Item")}
         </button>
       </div>
     </td>
@@ -13644,15 +20832,15 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
 </tfoot>
           </table>
           {/* Extras editor */}
-          <h3>Extras</h3>
+          <h3>{tr("Extras")}</h3>
           <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 12 }}>
             <thead>
               <tr>
-                <th style={{ textAlign: "left", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Name</th>
-                <th style={{ textAlign: "right", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Price (E£)</th>
-                <th style={{ textAlign: "center", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Color</th>
-                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Arrange</th>
-                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>Actions</th>
+                <th style={{ textAlign: "start", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Name")}</th>
+                <th style={{ textAlign: "end", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Price (E£)")}</th>
+                <th style={{ textAlign: "center", borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Color")}</th>
+                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Arrange")}</th>
+                <th style={{ borderBottom: `1px solid ${cardBorder}`, padding: 6 }}>{tr("Actions")}</th>
               </tr>
             </thead>
             <tbody>
@@ -13668,15 +20856,26 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                         }
                         style={{ width: "100%", padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
                       />
+                      <input
+                        type="text"
+                        dir="rtl"
+                        lang="ar"
+                        value={ex.nameAr || ""}
+                        placeholder={tr("الاسم بالعربي (optional)")}
+                        onChange={(e) =>
+                          setExtraList((arr) => arr.map((x) => (x.id === ex.id ? { ...x, nameAr: e.target.value } : x)))
+                        }
+                        style={{ width: "100%", padding: 6, marginTop: 4, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+                      />
                     </td>
-                    <td style={{ padding: 6, textAlign: "right" }}>
+                    <td style={{ padding: 6, textAlign: "end" }}>
                       <input
                         type="number"
                         value={ex.price}
                         onChange={(e) =>
                           setExtraList((arr) => arr.map((x) => (x.id === ex.id ? { ...x, price: Number(e.target.value || 0) } : x)))
                         }
-                        style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "right" }}
+                        style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "end" }}
                       />
                     </td>
                     <td style={{ padding: 6, textAlign: "center" }}>
@@ -13690,7 +20889,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                       />
                     </td>
                     <td style={{ padding: 6, textAlign: "center" }}>
-                      <button onClick={() => moveExtraUp(ex.id)} style={{ marginRight: 6 }}>↑</button>
+                      <button onClick={() => moveExtraUp(ex.id)} style={{ marginInlineEnd: 6 }}>↑</button>
                       <button onClick={() => moveExtraDown(ex.id)}>↓</button>
                     </td>
                     <td style={{ padding: 6 }}>
@@ -13703,10 +20902,10 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                           borderRadius: 6,
                           padding: "6px 10px",
                           cursor: "pointer",
-                          marginRight: 6,
+                          marginInlineEnd: 6,
                         }}
                       >
-                        Edit Consumption
+                        {tr("Edit Consumption")}
                       </button>
                           
                       <button
@@ -13720,7 +20919,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
                           cursor: "pointer",
                         }}
                       >
-                        Remove
+                        {tr("Remove")}
                       </button>
                     </td>
                   </tr>
@@ -13791,7 +20990,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
               ))}
               {extraList.length === 0 && (
                 <tr>
-                  <td colSpan={5} style={{ padding: 8, opacity: 0.8 }}>No extras. Add some below.</td>
+                  <td colSpan={5} style={{ padding: 8, opacity: 0.8 }}>{tr("No extras. Add some below.")}</td>
                 </tr>
               )}
             </tbody>
@@ -13801,14 +21000,14 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
           <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 18 }}>
             <input
               type="text"
-              placeholder="New extra name"
+              placeholder={tr("New extra name")}
               value={newExtraName}
               onChange={(e) => setNewExtraName(e.target.value)}
               style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, minWidth: 220 }}
             />
             <input
               type="number"
-              placeholder="Price (E£)"
+              placeholder={tr("Price (E£)")}
               value={newExtraPrice}
               onChange={(e) => setNewExtraPrice(Number(e.target.value || 0))}
               style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, width: 160 }}
@@ -13816,7 +21015,7 @@ const purchasesInPeriod = (allPurchases || []).filter(p => {
             <button
   onClick={() => {
     const name = String(newExtraName || "").trim();
-    if (!name) return alert("Name required.");
+    if (!name) return alert(tr("Name required."));
     const id = Date.now();
 setExtraList((arr) => [
       ...arr,
@@ -13842,7 +21041,7 @@ setExtraList((arr) => [
     cursor: "pointer",
   }}
 >
-  Add Extra
+  {tr("Add Extra")}
 </button>
 <div
   style={{
@@ -13861,7 +21060,7 @@ setExtraList((arr) => [
       background: dark ? "#191919" : "#fafafa",
     }}
   >
-    <div style={{ fontWeight: 700, marginBottom: 8 }}>Workers</div>
+    <div style={{ fontWeight: 700, marginBottom: 8 }}>{tr("Workers")}</div>
 
     <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
       {workers.map((w, idx) => (
@@ -13901,19 +21100,19 @@ setExtraList((arr) => [
     cursor: "pointer",
   }}
 >
-  Remove
+  {tr("Remove")}
 </button>
         </li>
       ))}
       {workers.length === 0 && (
-        <li style={{ opacity: 0.8, padding: 6 }}>No workers yet.</li>
+        <li style={{ opacity: 0.8, padding: 6 }}>{tr("No workers yet.")}</li>
       )}
     </ul>
 
     <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
       <input
         type="text"
-        placeholder="New worker name"
+        placeholder={tr("New worker name")}
         value={newWorker}
         onChange={(e) => setNewWorker(e.target.value)}
         style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, flex: 1 }}
@@ -13921,9 +21120,9 @@ setExtraList((arr) => [
       <button
         onClick={() => {
           const v = String(newWorker || "").trim();
-          if (!v) return alert("Worker name required.");
+          if (!v) return alert(tr("Worker name required."));
           if (workers.some((x) => String(x).trim().toLowerCase() === v.toLowerCase()))
-            return alert("Worker already exists.");
+            return alert(tr("Worker already exists."));
           setWorkers((arr) => [...arr, v]);
           setNewWorker("");
         }}
@@ -13936,7 +21135,7 @@ setExtraList((arr) => [
           cursor: "pointer",
         }}
       >
-        Add
+        {tr("Add")}
       </button>
     </div>
   </div>
@@ -13950,7 +21149,7 @@ setExtraList((arr) => [
       background: dark ? "#191919" : "#fafafa",
     }}
   >
-    <div style={{ fontWeight: 700, marginBottom: 8 }}>Payment Methods</div>
+    <div style={{ fontWeight: 700, marginBottom: 8 }}>{tr("Payment Methods")}</div>
 
     <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
       {paymentMethods.map((p, idx) => (
@@ -13982,18 +21181,18 @@ setExtraList((arr) => [
               cursor: "pointer",
             }}
           >
-            Remove
+            {tr("Remove")}
           </button>
         </li>
       ))}
       {paymentMethods.length === 0 && (
-        <li style={{ opacity: 0.8, padding: 6 }}>No payment methods yet.</li>
+        <li style={{ opacity: 0.8, padding: 6 }}>{tr("No payment methods yet.")}</li>
       )}
     </ul>
     <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
       <input
         type="text"
-        placeholder="New payment method"
+        placeholder={tr("New payment method")}
         value={newPayment}
         onChange={(e) => setNewPayment(e.target.value)}
         style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, flex: 1 }}
@@ -14001,9 +21200,9 @@ setExtraList((arr) => [
       <button
         onClick={() => {
           const v = String(newPayment || "").trim();
-          if (!v) return alert("Payment method required.");
+          if (!v) return alert(tr("Payment method required."));
           if (paymentMethods.some((x) => String(x).trim().toLowerCase() === v.toLowerCase()))
-            return alert("Payment method already exists.");
+            return alert(tr("Payment method already exists."));
           setPaymentMethods((arr) => [...arr, v]);
           setNewPayment("");
         }}
@@ -14016,7 +21215,7 @@ setExtraList((arr) => [
           cursor: "pointer",
         }}
       >
-        Add
+        {tr("Add")}
       </button>
     </div>
   </div>
@@ -14029,7 +21228,7 @@ setExtraList((arr) => [
       background: dark ? "#191919" : "#fafafa",
     }}
   >
-    <div style={{ fontWeight: 700, marginBottom: 8 }}>Order Types</div>
+    <div style={{ fontWeight: 700, marginBottom: 8 }}>{tr("Order Types")}</div>
     <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
       {orderTypes.map((t, idx) => (
         <li
@@ -14060,18 +21259,18 @@ setExtraList((arr) => [
               cursor: "pointer",
             }}
           >
-            Remove
+            {tr("Remove")}
           </button>
         </li>
       ))}
       {orderTypes.length === 0 && (
-        <li style={{ opacity: 0.8, padding: 6 }}>No order types yet.</li>
+        <li style={{ opacity: 0.8, padding: 6 }}>{tr("No order types yet.")}</li>
       )}
     </ul>
     <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
       <input
         type="text"
-        placeholder="New order type"
+        placeholder={tr("New order type")}
         value={newOrderType}
         onChange={(e) => setNewOrderType(e.target.value)}
         style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, flex: 1 }}
@@ -14079,9 +21278,9 @@ setExtraList((arr) => [
       <button
         onClick={() => {
           const v = String(newOrderType || "").trim();
-          if (!v) return alert("Order type required.");
+          if (!v) return alert(tr("Order type required."));
           if (orderTypes.some((x) => String(x).trim().toLowerCase() === v.toLowerCase()))
-            return alert("Order type already exists.");
+            return alert(tr("Order type already exists."));
           setOrderTypes((arr) => [...arr, v]);
           setNewOrderType("");
         }}
@@ -14094,7 +21293,7 @@ setExtraList((arr) => [
           cursor: "pointer",
         }}
       >
-        Add
+        {tr("Add")}
       </button>
     </div>
   </div>
@@ -14109,18 +21308,18 @@ setExtraList((arr) => [
     background: dark ? "#151515" : "#fafafa",
   }}
 >
-  <h3 style={{ marginTop: 0 }}>Delivery Zones & Fees</h3>
+  <h3 style={{ marginTop: 0 }}>{tr("Delivery Zones & Fees")}</h3>
   <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
     <input
       type="text"
-      placeholder="Zone name"
+      placeholder={tr("Zone name")}
       value={newZoneName}
       onChange={(e) => setNewZoneName(e.target.value)}
       style={{ minWidth: 260, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
     />
     <input
       type="number"
-      placeholder="Fee (E£)"
+      placeholder={tr("Fee (E£)")}
       value={newZoneFee}
       onChange={(e) => setNewZoneFee(Number(e.target.value || 0))}
       style={{ width: 140, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
@@ -14129,15 +21328,15 @@ setExtraList((arr) => [
       onClick={addZone}
       style={{ padding: "6px 10px", borderRadius: 6, border: "none", background: "#42a5f5", color: "#fff", cursor: "pointer" }}
     >
-      Add zone
+      {tr("Add zone")}
     </button>
   </div>
   <div style={{ overflowX: "auto" }}>
     <table style={{ width: "100%", borderCollapse: "collapse" }}>
       <thead>
         <tr>
-          <th style={{ textAlign: "left", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Zone</th>
-          <th style={{ textAlign: "right", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>Fee (E£)</th>
+          <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Zone")}</th>
+          <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Fee (E£)")}</th>
           <th style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}></th>
         </tr>
       </thead>
@@ -14156,7 +21355,7 @@ setExtraList((arr) => [
                 style={{ width: "100%", padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
               />
             </td>
-            <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "right" }}>
+            <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
               <input
                 type="number"
                 value={Number(z.fee || 0)}
@@ -14167,7 +21366,7 @@ setExtraList((arr) => [
                     )
                   )
                 }
-                style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "right" }}
+                style={{ width: 120, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}`, textAlign: "end" }}
               />
             </td>
             <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, whiteSpace: "nowrap" }}>
@@ -14175,16 +21374,16 @@ setExtraList((arr) => [
               <button
                 onClick={() => setDeliveryZones((arr) => moveByIndex(arr, idx, -1))}
                 disabled={idx === 0}
-                title="Move up"
-                style={{ marginRight: 6 }}
+                title={tr("Move up")}
+                style={{ marginInlineEnd: 6 }}
               >
                 ↑
               </button>
               <button
                 onClick={() => setDeliveryZones((arr) => moveByIndex(arr, idx, +1))}
                 disabled={idx === deliveryZones.length - 1}
-                title="Move down"
-                style={{ marginRight: 10 }}
+                title={tr("Move down")}
+                style={{ marginInlineEnd: 10 }}
               >
                 ↓
               </button>
@@ -14193,7 +21392,7 @@ setExtraList((arr) => [
                 onClick={() => removeZone(z.id)}
                 style={{ background: "#ef5350", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
               >
-                Delete
+                {tr("Delete")}
               </button>
             </td>
           </tr>
@@ -14202,7 +21401,7 @@ setExtraList((arr) => [
         {deliveryZones.length === 0 && (
           <tr>
             <td colSpan={3} style={{ padding: 10, opacity: 0.7 }}>
-              No zones yet. Add your first zone above.
+              {tr("No zones yet. Add your first zone above.")}
             </td>
           </tr>
         )}
@@ -14210,65 +21409,352 @@ setExtraList((arr) => [
     </table>
   </div>
 </div>
+{/* ── Promo Codes */}
+<div
+  style={{
+    border: `1px solid ${cardBorder}`,
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 12,
+    background: dark ? "#151515" : "#fafafa",
+  }}
+>
+  <h3 style={{ marginTop: 0 }}>{tr("Promo Codes")}</h3>
+  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
+    <input
+      type="text"
+      placeholder={tr("CODE")}
+      value={newPromo.code}
+      onChange={(e) => setNewPromo((p) => ({ ...p, code: e.target.value.toUpperCase() }))}
+      style={{ width: 140, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+    />
+    <input
+      type="number"
+      min={0}
+      value={newPromo.value}
+      onChange={(e) => setNewPromo((p) => ({ ...p, value: Number(e.target.value || 0) }))}
+      style={{ width: 90, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+    />
+    <select
+      value={newPromo.type}
+      onChange={(e) => setNewPromo((p) => ({ ...p, type: e.target.value }))}
+      style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+    >
+      <option value="percent">{tr("% off")}</option>
+      <option value="fixed">{tr("E£ off")}</option>
+    </select>
+    <label>
+      {tr("From")}{" "}
+      <input
+        type="date"
+        value={newPromo.validFrom}
+        onChange={(e) => setNewPromo((p) => ({ ...p, validFrom: e.target.value }))}
+      />
+    </label>
+    <label>
+      {tr("To")}{" "}
+      <input
+        type="date"
+        value={newPromo.validTo}
+        onChange={(e) => setNewPromo((p) => ({ ...p, validTo: e.target.value }))}
+      />
+    </label>
+    <label>
+      {tr("Max uses (0 = unlimited)")}{" "}
+      <input
+        type="number"
+        min={0}
+        value={newPromo.maxUses}
+        onChange={(e) => setNewPromo((p) => ({ ...p, maxUses: Number(e.target.value || 0) }))}
+        style={{ width: 80 }}
+      />
+    </label>
+    <button
+      onClick={addPromoCode}
+      style={{ padding: "6px 10px", borderRadius: 6, border: "none", background: "#42a5f5", color: "#fff", cursor: "pointer" }}
+    >
+      {tr("Add promo")}
+    </button>
+  </div>
+  <div style={{ overflowX: "auto" }}>
+    <table style={{ width: "100%", borderCollapse: "collapse" }}>
+      <thead>
+        <tr>
+          <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Code")}</th>
+          <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Discount")}</th>
+          <th style={{ textAlign: "start", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Valid")}</th>
+          <th style={{ textAlign: "end", padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Used")}</th>
+          <th style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>{tr("Active")}</th>
+          <th style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}></th>
+        </tr>
+      </thead>
+      <tbody>
+        {promoCodes.map((promo) => {
+          const status = validatePromoCode(promo, new Date(), tr);
+          return (
+            <tr key={promo.id}>
+              <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
+                <b>{promo.code}</b>
+                {status && promo.active !== false && (
+                  <div><small style={{ color: "#c62828" }}>{status}</small></div>
+                )}
+              </td>
+              <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                {promo.type === "percent" ? `${promo.value}%` : `E£${Number(promo.value || 0).toFixed(2)}`}
+              </td>
+              <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}` }}>
+                {promo.validFrom || "…"} → {promo.validTo || "…"}
+              </td>
+              <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                {Number(promo.uses || 0)}
+                {Number(promo.maxUses || 0) > 0 ? ` / ${promo.maxUses}` : ""}
+              </td>
+              <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, textAlign: "center" }}>
+                <input
+                  type="checkbox"
+                  checked={promo.active !== false}
+                  onChange={(e) =>
+                    setPromoCodes((arr) =>
+                      arr.map((p) => (p.id === promo.id ? { ...p, active: e.target.checked } : p))
+                    )
+                  }
+                />
+              </td>
+              <td style={{ padding: 8, borderBottom: `1px solid ${cardBorder}`, whiteSpace: "nowrap" }}>
+                <button
+                  onClick={() => removePromoCode(promo.id)}
+                  style={{ background: "#ef5350", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+                >
+                  {tr("Delete")}
+                </button>
+              </td>
+            </tr>
+          );
+        })}
+        {promoCodes.length === 0 && (
+          <tr>
+            <td colSpan={6} style={{ padding: 10, opacity: 0.7 }}>
+              {tr("No promo codes yet.")}
+            </td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  </div>
+</div>
+{(workerProfiles || []).some((w) => workerRole(w) === "owner") ? (
+  <small style={{ display: "block", opacity: 0.75 }}>
+    {tr("The numbered admin PINs are retired now that a worker has the Owner role. Manage access in Worker Log → PINs and Settings → Roles & permissions.")}
+  </small>
+) : (
 <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 8 }}>
-  {[1,2,3,4,5,6].map((n) => {
-    const isUnlocked = !!unlockedPins[n];
-    return (
-      <div key={n} style={{ display: "flex", gap: 8, alignItems: "center" }}>
-        <span style={{ minWidth: 80 }}>Admin {n}</span>
-        <input
-          type="password"
-          value={isUnlocked ? (adminPins[n] || "") : ""}
-          placeholder="••••"
-          disabled={!isUnlocked}
-          onChange={(e) => {
-            // digits only, up to 6 chars
-            const v = (e.target.value || "").replace(/\D/g, "").slice(0, 6);
-            setAdminPins((p) => ({ ...p, [n]: v }));
-          }}
-          style={{ flex: 1, padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
-        />
-        {isUnlocked ? (
-          <button
-            onClick={() => lockAdminPin(n)}
-            style={{ background: "#6d4c41", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
-          >
-            Lock
-          </button>
-        ) : (
-          <button
-            onClick={() => unlockAdminPin(n)}
-            style={{ background: "#1976d2", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+  <small style={{ gridColumn: "1 / -1", opacity: 0.75 }}>
+    {tr("These admin PINs act as Owner until a worker is given the Owner role.")}
+  </small>
+  {[1,2,3,4,5,6].map((n) => (
+    <div key={n} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+      <span style={{ minWidth: 80 }}>{tr("Admin {0}", [n])}</span>
+      <small style={{ flex: 1, opacity: 0.75 }}>{adminPins[n] ? tr("PIN set") : tr("No PIN")}</small>
+      <button
+        onClick={() => changeAdminPin(n)}
+        style={{ background: "#1976d2", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+      >
+        {adminPins[n] ? tr("Change PIN") : tr("Set PIN")}
+      </button>
+    </div>
+  ))}
+</div>
+)}
+          </div>
+        </div>
+      )}
+
+      {/* AUDIT */}
+      {activeTab === "admin" && adminSubTab === "audit" && (
+        <div style={{ display: "grid", gap: 12 }}>
+          <h2 style={{ margin: 0 }}>{tr("Audit log")}</h2>
+          <div
+            style={{
+              padding: 10,
+              borderRadius: 8,
+              border: `1px solid ${auditProblems.length ? "#c62828" : cardBorder}`,
+              background: auditProblems.length ? (dark ? "#3b1f1f" : "#ffebee") : softBg,
+              fontWeight: 600,
+            }}
           >
-            Unlock
-          </button>
-        )}
-      </div>
-    );
-  })}
-            </div>
+            {auditProblems.length
+              ? tr("⚠ {0} entries don't match the chain — entries were edited or removed.", [auditProblems.length])
+              : tr("✔ Chain intact: {0} entries.", [auditEntries.length])}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+            <select
+              value={auditFilter.action}
+              onChange={(e) => setAuditFilter((f) => ({ ...f, action: e.target.value }))}
+              style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+            >
+              <option value="">{tr("All actions")}</option>
+              {Object.keys(AUDIT_ACTIONS).map((k) => (
+                <option key={k} value={k}>{tr(AUDIT_ACTIONS[k])}</option>
+              ))}
+            </select>
+            <select
+              value={auditFilter.who}
+              onChange={(e) => setAuditFilter((f) => ({ ...f, who: e.target.value }))}
+              style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+            >
+              <option value="">{tr("Everyone")}</option>
+              {auditPeople.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <label>
+              {tr("From")}&nbsp;
+              <input
+                type="date"
+                value={auditFilter.from}
+                onChange={(e) => setAuditFilter((f) => ({ ...f, from: e.target.value }))}
+              />
+            </label>
+            <label>
+              {tr("To")}&nbsp;
+              <input
+                type="date"
+                value={auditFilter.to}
+                onChange={(e) => setAuditFilter((f) => ({ ...f, to: e.target.value }))}
+              />
+            </label>
+            <input
+              type="search"
+              value={auditFilter.text}
+              placeholder={tr("Search target, values or note")}
+              onChange={(e) => setAuditFilter((f) => ({ ...f, text: e.target.value }))}
+              style={{ flex: "1 1 200px", padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+            />
+            <button
+              onClick={exportAuditCsv}
+              style={{ background: "#1976d2", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px", cursor: "pointer" }}
+            >
+              {tr("Export CSV")}
+            </button>
+          </div>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  {["When", "Who", "Action", "Target", "Before", "After", "Note"].map((h) => (
+                    <th key={h} style={{ textAlign: "start", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr(h)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {filteredAuditEntries.map((e) => {
+                  const problem = auditProblemById[e.id];
+                  return (
+                    <tr key={e.id} style={problem ? { background: dark ? "#3b1f1f" : "#ffebee" } : undefined}>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, whiteSpace: "nowrap" }}>
+                        {uiDateTime(e.at)}
+                        {problem && (
+                          <div style={{ color: "#c62828", fontSize: 12 }}>
+                            {problem === "edited" ? tr("⚠ Edited after it was written") : tr("⚠ Entries before this one are missing")}
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>
+                        {e.who || "—"}
+                        {e.role && <small style={{ opacity: 0.7 }}> ({tr(ROLES.find((r) => r.id === e.role)?.label || e.role)})</small>}
+                      </td>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr(AUDIT_ACTIONS[e.action] || e.action)}</td>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{e.target || "—"}</td>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{auditValueText(e.before)}</td>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{auditValueText(e.after)}</td>
+                      <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{e.note || "—"}</td>
+                    </tr>
+                  );
+                })}
+                {!filteredAuditEntries.length && (
+                  <tr>
+                    <td colSpan={7} style={{ padding: 10, opacity: 0.7 }}>{tr("No audit entries yet.")}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
           </div>
+          <small style={{ opacity: 0.75 }}>
+            {tr("Entries can't be edited or deleted here. Each one is linked to the one before it, so changes made elsewhere show up above.")}
+          </small>
         </div>
       )}
 
       {/* SETTINGS */}
       {activeTab === "admin" && adminSubTab === "settings" && (
         <div>
-          <h2>Settings</h2>
+          <h2>{tr("Settings")}</h2>
           <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))", gap: 12 }}>
             <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}` }}>
-              <h4 style={{ marginTop: 0 }}>Printing</h4>
+              <h4 style={{ marginTop: 0 }}>{tr("Display")}</h4>
+              <label>
+                {tr("Screen language:")}&nbsp;
+                <select value={uiLang} onChange={(e) => setUiLang(e.target.value)}>
+                  <option value="en">English</option>
+                  <option value="ar">العربية</option>
+                </select>
+              </label>
+              <small style={{ display: "block", opacity: 0.75, marginTop: 6 }}>
+                {tr("Saved on this device only. Receipts follow the receipt language below.")}
+              </small>
+            </div>
+            <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}`, gridColumn: "1 / -1" }}>
+              <h4 style={{ marginTop: 0 }}>{tr("Roles & permissions")}</h4>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <th style={{ textAlign: "start", padding: 6 }}>{tr("Permission")}</th>
+                    {ROLES.map((r) => (
+                      <th key={r.id} style={{ padding: 6 }}>{tr(r.label)}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {PERMISSIONS.map((perm) => (
+                    <tr key={perm.id}>
+                      <td style={{ padding: 6, borderTop: `1px solid ${cardBorder}` }}>{tr(perm.label)}</td>
+                      {ROLES.map((r) => (
+                        <td key={r.id} style={{ padding: 6, borderTop: `1px solid ${cardBorder}`, textAlign: "center" }}>
+                          <input
+                            type="checkbox"
+                            checked={roleCan(rolePermissions, r.id, perm.id)}
+                            disabled={r.id === "owner" || !adminCan("manageStaff")}
+                            onChange={(e) => {
+                              const on = e.target.checked;
+                              setRolePermissions((m) => {
+                                const list = (m[r.id] || []).filter((x) => x !== perm.id);
+                                return normalizeRolePermissions({ ...m, [r.id]: on ? [...list, perm.id] : list });
+                              });
+                            }}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <small style={{ display: "block", opacity: 0.75, marginTop: 6 }}>
+                {tr("Assign roles to workers in Worker Log → PINs. The Owner can always do everything.")}
+              </small>
+            </div>
+            <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}` }}>
+              <h4 style={{ marginTop: 0 }}>{tr("Printing")}</h4>
               <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
                 <input
                   type="checkbox"
                   checked={autoPrintOnCheckout}
                   onChange={(e) => setAutoPrintOnCheckout(e.target.checked)}
                 />
-                Auto-print on Checkout
+                {tr("Auto-print on Checkout")}
               </label>
               <div style={{ marginTop: 8 }}>
                 <label>
-                  Paper width (mm):&nbsp;
+                  {tr("Paper width (mm):")}&nbsp;
                   <input
                     type="number"
                     value={preferredPaperWidthMm}
@@ -14277,20 +21763,420 @@ setExtraList((arr) => [
                   />
                 </label>
                 <small style={{ display: "block", opacity: 0.75 }}>
-                   Your current: {preferredPaperWidthMm} mm.
+                   {tr("Your current: {0} mm.", [preferredPaperWidthMm])}
                 </small>
               </div>
+              <div style={{ marginTop: 8 }}>
+                <label>
+                  {tr("Print mode:")}&nbsp;
+                  <select
+                    value={rawPrinter.mode}
+                    onChange={(e) => setRawPrinter((p) => ({ ...p, mode: e.target.value }))}
+                  >
+                    <option value="browser">{tr("Browser dialog")}</option>
+                    <option value="escpos">{tr("Raw ESC/POS (print bridge)")}</option>
+                  </select>
+                </label>
+              </div>
+              {rawPrinter.mode === "escpos" && (
+                <div style={{ marginTop: 8, display: "grid", gap: 6 }}>
+                  <label>
+                    {tr("Bridge:")}&nbsp;
+                    <select
+                      value={rawPrinter.transport}
+                      onChange={(e) =>
+                        setRawPrinter((p) =>
+                          normalizeRawPrinter({ ...p, transport: e.target.value, url: "" })
+                        )
+                      }
+                    >
+                      <option value="http">{tr("Local HTTP bridge")}</option>
+                      <option value="qz">{tr("QZ Tray (websocket)")}</option>
+                    </select>
+                  </label>
+                  <label>
+                    {tr("URL:")}&nbsp;
+                    <input
+                      type="text"
+                      value={rawPrinter.url}
+                      onChange={(e) => setRawPrinter((p) => ({ ...p, url: e.target.value }))}
+                      style={{ width: 220 }}
+                    />
+                  </label>
+                  <label>
+                    {tr("Printer name:")}&nbsp;
+                    <input
+                      type="text"
+                      value={rawPrinter.printer}
+                      placeholder={tr("bridge default")}
+                      onChange={(e) => setRawPrinter((p) => ({ ...p, printer: e.target.value }))}
+                      style={{ width: 160 }}
+                    />
+                  </label>
+                  <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <input
+                      type="checkbox"
+                      checked={rawPrinter.drawerKick}
+                      onChange={(e) => setRawPrinter((p) => ({ ...p, drawerKick: e.target.checked }))}
+                    />
+                    {tr("Open cash drawer on cash sales")}
+                  </label>
+                  <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <input
+                      type="checkbox"
+                      checked={rawPrinter.logo}
+                      onChange={(e) => setRawPrinter((p) => ({ ...p, logo: e.target.checked }))}
+                    />
+                    {tr("Print logo")}
+                  </label>
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <button onClick={printTestReceipt}>{tr("Test print")}</button>
+                    <button onClick={openCashDrawer}>{tr("Open drawer")}</button>
+                  </div>
+                  <small style={{ opacity: 0.75 }}>
+                    {tr("Auto-print on Checkout sends the receipt and kitchen tickets straight to the station printers. If the bridge can't be reached the browser dialog is used instead.")}
+                  </small>
+                </div>
+              )}
+            </div>
+
+            <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}`, gridColumn: "1 / -1" }}>
+              <h4 style={{ marginTop: 0 }}>{tr("Receipt designer")}</h4>
+              <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-start" }}>
+                <div style={{ flex: "1 1 280px", display: "grid", gap: 8 }}>
+                  <label>
+                    {tr("Title")}
+                    <input
+                      type="text"
+                      value={receiptTemplate.title}
+                      onChange={(e) => updateReceiptTemplate({ title: e.target.value })}
+                      style={{ width: "100%" }}
+                    />
+                  </label>
+                  <label>
+                    {tr("Address")}
+                    <input
+                      type="text"
+                      value={receiptTemplate.address}
+                      onChange={(e) => updateReceiptTemplate({ address: e.target.value })}
+                      style={{ width: "100%" }}
+                    />
+                  </label>
+                  <label>
+                    {tr("Extra header line")}
+                    <input
+                      type="text"
+                      value={receiptTemplate.headerNote}
+                      placeholder={tr("e.g. phone or tax number")}
+                      onChange={(e) => updateReceiptTemplate({ headerNote: e.target.value })}
+                      style={{ width: "100%" }}
+                    />
+                  </label>
+                  <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center" }}>
+                    <label>
+                      {tr("Receipt language:")}&nbsp;
+                      <select
+                        value={receiptTemplate.language}
+                        onChange={(e) => updateReceiptTemplate({ language: e.target.value })}
+                      >
+                        <option value="en">{tr("English")}</option>
+                        <option value="ar">العربية</option>
+                        <option value="both">{tr("English + العربية")}</option>
+                      </select>
+                    </label>
+                    <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                      <input
+                        type="checkbox"
+                        checked={receiptTemplate.arabicDigits}
+                        onChange={(e) => updateReceiptTemplate({ arabicDigits: e.target.checked })}
+                      />
+                      {tr("Arabic-Indic digits (١٢٣)")}
+                    </label>
+                  </div>
+                  <label>
+                    {tr("Footer")}
+                    <textarea
+                      rows={2}
+                      value={receiptTemplate.footer}
+                      onChange={(e) => updateReceiptTemplate({ footer: e.target.value })}
+                      style={{ width: "100%" }}
+                    />
+                  </label>
+                  {receiptTemplate.language !== "en" && (
+                    <>
+                      <label>
+                        {tr("Arabic title")}
+                        <input
+                          type="text"
+                          dir="rtl"
+                          value={receiptTemplate.titleAr}
+                          onChange={(e) => updateReceiptTemplate({ titleAr: e.target.value })}
+                          style={{ width: "100%" }}
+                        />
+                      </label>
+                      <label>
+                        {tr("Arabic address")}
+                        <input
+                          type="text"
+                          dir="rtl"
+                          value={receiptTemplate.addressAr}
+                          onChange={(e) => updateReceiptTemplate({ addressAr: e.target.value })}
+                          style={{ width: "100%" }}
+                        />
+                      </label>
+                      <label>
+                        {tr("Arabic footer")}
+                        <textarea
+                          rows={2}
+                          dir="rtl"
+                          value={receiptTemplate.footerAr}
+                          onChange={(e) => updateReceiptTemplate({ footerAr: e.target.value })}
+                          style={{ width: "100%" }}
+                        />
+                      </label>
+                    </>
+                  )}
+                  {orderTypes.map((type) => (
+                    <label key={type}>
+                      {tr("Footer for {0}", [type])} <small style={{ opacity: 0.7 }}>{tr("(empty = general footer)")}</small>
+                      <textarea
+                        rows={2}
+                        value={receiptTemplate.footerByType[type] || ""}
+                        onChange={(e) =>
+                          setReceiptTemplate((t) => ({
+                            ...t,
+                            footerByType: { ...t.footerByType, [type]: e.target.value },
+                          }))
+                        }
+                        onBlur={() => updateReceiptTemplate({})}
+                        style={{ width: "100%" }}
+                      />
+                    </label>
+                  ))}
+                  <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                    {[
+                      ["paymentBreakdown", "Payment breakdown"],
+                      ["cashBlock", "Cash received / change"],
+                      ["deliveryInfo", "Delivery info"],
+                      ["note", "Order note"],
+                    ].map(([key, label]) => (
+                      <label key={key} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                        <input
+                          type="checkbox"
+                          checked={receiptTemplate.show[key]}
+                          onChange={(e) =>
+                            updateReceiptTemplate({ show: { ...receiptTemplate.show, [key]: e.target.checked } })
+                          }
+                        />
+                        {tr(label)}
+                      </label>
+                    ))}
+                  </div>
+                  {[
+                    ["logo", "Header logo"],
+                    ["footerLogoLeft", "Footer logo (left)"],
+                    ["footerLogoRight", "Footer logo (right)"],
+                  ].map(([field, label]) => (
+                    <div key={field} style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                      <span style={{ minWidth: 130 }}>{tr(label)}</span>
+                      {receiptTemplate[field] ? (
+                        <img src={receiptTemplate[field]} alt="" style={{ height: 32, background: "#fff" }} />
+                      ) : (
+                        <small style={{ opacity: 0.7 }}>{tr("none")}</small>
+                      )}
+                      <input
+                        type="file"
+                        accept="image/*"
+                        onChange={(e) => {
+                          uploadReceiptLogo(field, e.target.files?.[0]);
+                          e.target.value = "";
+                        }}
+                      />
+                      {receiptTemplate[field] && (
+                        <button onClick={() => updateReceiptTemplate({ [field]: "" })}>{tr("Remove")}</button>
+                      )}
+                    </div>
+                  ))}
+                  <div>
+                    <button
+                      onClick={async () => {
+                        if (await askConfirm(tr("Reset the receipt to the default layout?"))) {
+                          setReceiptTemplate(DEFAULT_RECEIPT_TEMPLATE);
+                        }
+                      }}
+                    >
+                      {tr("Reset to default")}
+                    </button>
+                  </div>
+                </div>
+                <div style={{ flex: "0 0 auto" }}>
+                  <label>
+                    {tr("Preview as:")}&nbsp;
+                    <select value={receiptPreviewType} onChange={(e) => setReceiptPreviewType(e.target.value)}>
+                      {orderTypes.map((type) => (
+                        <option key={type} value={type === orderTypes[0] ? "" : type}>
+                          {type}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <iframe
+                    title={tr("Receipt preview")}
+                    srcDoc={receiptPreviewHtml}
+                    style={{
+                      display: "block",
+                      marginTop: 6,
+                      width: `${(Number(preferredPaperWidthMm) || 80) + 12}mm`,
+                      height: 560,
+                      border: `1px solid ${cardBorder}`,
+                      background: "#fff",
+                    }}
+                  />
+                </div>
+              </div>
             </div>
 
             <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}` }}>
-              <h4 style={{ marginTop: 0 }}>Cloud</h4>
+              <h4 style={{ marginTop: 0 }}>{tr("Printer stations")}</h4>
+              {printStations.map((st) => (
+                <div key={st.id} style={{ marginBottom: 8, paddingBottom: 8, borderBottom: `1px dashed ${cardBorder}` }}>
+                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+                    <input
+                      type="text"
+                      value={st.name}
+                      onChange={(e) =>
+                        setPrintStations((arr) => arr.map((x) => (x.id === st.id ? { ...x, name: e.target.value } : x)))
+                      }
+                      style={{ width: 110 }}
+                    />
+                    <select
+                      value={st.kind}
+                      onChange={(e) =>
+                        setPrintStations((arr) => arr.map((x) => (x.id === st.id ? { ...x, kind: e.target.value } : x)))
+                      }
+                    >
+                      <option value="receipt">{tr("Receipts")}</option>
+                      <option value="kitchen">{tr("Kitchen tickets")}</option>
+                    </select>
+                    <input
+                      type="text"
+                      value={st.printer}
+                      placeholder={tr("printer name")}
+                      onChange={(e) =>
+                        setPrintStations((arr) => arr.map((x) => (x.id === st.id ? { ...x, printer: e.target.value } : x)))
+                      }
+                      style={{ width: 110 }}
+                    />
+                    <button
+                      onClick={async () => {
+                        if (!(await askConfirm(tr("Remove station \"{0}\"?", [st.name])))) return;
+                        setPrintStations((arr) => arr.filter((x) => x.id !== st.id));
+                      }}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                  {st.kind === "kitchen" && (
+                    <div style={{ marginTop: 4 }}>
+                      <button onClick={() => setOpenStationItemsId((id) => (id === st.id ? null : st.id))}>
+                        {tr("Items ({0})", [st.itemIds.length])}
+                      </button>
+                      {openStationItemsId === st.id && (
+                        <div style={{ display: "grid", gap: 2, marginTop: 4, maxHeight: 180, overflowY: "auto" }}>
+                          {menu.map((it) => (
+                            <label key={it.id} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                              <input
+                                type="checkbox"
+                                checked={st.itemIds.some((id) => String(id) === String(it.id))}
+                                onChange={(e) =>
+                                  setPrintStations((arr) =>
+                                    arr.map((x) =>
+                                      x.id !== st.id
+                                        ? x
+                                        : {
+                                            ...x,
+                                            itemIds: e.target.checked
+                                              ? [...x.itemIds, it.id]
+                                              : x.itemIds.filter((id) => String(id) !== String(it.id)),
+                                          }
+                                    )
+                                  )
+                                }
+                              />
+                              {it.name}
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+              <button
+                onClick={() =>
+                  setPrintStations((arr) => [
+                    ...arr,
+                    { id: `st_${Date.now()}`, name: "New station", kind: "kitchen", printer: "", itemIds: [] },
+                  ])
+                }
+              >
+                {tr("+ Add station")}
+              </button>
+              <small style={{ display: "block", opacity: 0.75, marginTop: 6 }}>
+                {tr("Kitchen stations only get the items ticked for them; a meal's parts are split across stations. Empty printer names use the default printer.")}
+              </small>
+            </div>
+
+            <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}` }}>
+              <h4 style={{ marginTop: 0 }}>{tr("Pre-orders")}</h4>
+              <label>
+                {tr("Release to kitchen (min before due):")}&nbsp;
+                <input
+                  type="number"
+                  min={0}
+                  value={scheduleLeadMinutes}
+                  onChange={(e) => setScheduleLeadMinutes(Math.max(0, Number(e.target.value || 0)))}
+                  style={{ width: 80 }}
+                />
+              </label>
+              <small style={{ display: "block", opacity: 0.75, marginTop: 6 }}>
+                {tr("Until then the order waits in the board's \"Later\" lane and its stock is only reserved.")}
+              </small>
+            </div>
+
+            <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}` }}>
+              <h4 style={{ marginTop: 0 }}>{tr("Tables")}</h4>
+              <label>
+                {tr("Table names (comma separated):")}
+                <input
+                  type="text"
+                  defaultValue={tables.join(", ")}
+                  onBlur={(e) => {
+                    const names = Array.from(
+                      new Set(e.target.value.split(",").map((t) => t.trim()).filter(Boolean))
+                    );
+                    const busy = openChecks.map((c) => c.table).filter((t) => !names.includes(t));
+                    if (busy.length) {
+                      alert(tr("Settle the open checks on {0} before removing those tables.", [Array.from(new Set(busy)).join(", ")]));
+                      e.target.value = tables.join(", ");
+                      return;
+                    }
+                    if (names.length) setTables(names);
+                  }}
+                  style={{ width: "100%", marginTop: 4 }}
+                />
+              </label>
+            </div>
+
+            <div style={{ padding: 10, borderRadius: 6, border: `1px solid ${cardBorder}` }}>
+              <h4 style={{ marginTop: 0 }}>{tr("Cloud")}</h4>
               <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
                 <input
                   type="checkbox"
                   checked={cloudEnabled}
                   onChange={(e) => setCloudEnabled(e.target.checked)}
                 />
-                Enable cloud autosave (state)
+                {tr("Enable cloud autosave (state)")}
               </label>
               <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
                 <input
@@ -14298,23 +22184,230 @@ setExtraList((arr) => [
                   checked={realtimeOrders}
                   onChange={(e) => setRealtimeOrders(e.target.checked)}
                 />
-                Live Orders Board (realtime)
+                {tr("Live Orders Board (realtime)")}
               </label>
              <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap" }}>
   <button onClick={saveToCloudNow} style={{ background: "#2e7d32", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px" }}>
-    Sync to Cloud
+    {tr("Sync to Cloud")}
   </button>
   <button onClick={loadFromCloud} style={{ background: "#1976d2", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px" }}>
-    Load from Cloud
+    {tr("Load from Cloud")}
   </button>
   <small style={{ opacity: 0.8 }}>
-    Last save: {cloudStatus.lastSaveAt ? cloudStatus.lastSaveAt.toLocaleString() : "—"} • Last load: {cloudStatus.lastLoadAt ? cloudStatus.lastLoadAt.toLocaleString() : "—"}
+    {tr("Last save: {0}", [cloudStatus.lastSaveAt ? uiDateTime(cloudStatus.lastSaveAt) : "—"])} •{" "}
+    {tr("Last load: {0}", [cloudStatus.lastLoadAt ? uiDateTime(cloudStatus.lastLoadAt) : "—"])}
   </small>
   {cloudStatus.error && (
-    <small style={{ color: "#c62828" }}>Error: {String(cloudStatus.error)}</small>
+    <small style={{ color: "#c62828" }}>{tr("Error: {0}", [String(cloudStatus.error)])}</small>
   )}
 </div>
 
+              <div style={{ marginTop: 10 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                  <strong>{tr("Unsynced changes: {0}", [outbox.length])}</strong>
+                  <button
+                    onClick={flushOutbox}
+                    disabled={!outbox.length || outboxSyncing}
+                    style={{ background: "#6d4c41", color: "#fff", border: "none", borderRadius: 6, padding: "6px 10px" }}
+                  >
+                    {outboxSyncing ? tr("Syncing…") : tr("Retry now")}
+                  </button>
+                </div>
+                {outbox.length > 0 && (
+                  <ul style={{ margin: "6px 0 0", paddingInlineStart: 18 }}>
+                    {outbox.map((e) => (
+                      <li key={e.id} style={{ marginBottom: 4 }}>
+                        <small>
+                          {e.kind === "order_create"
+                            ? tr("New order #{0}", [e.orderNo])
+                            : e.kind === "order_update"
+                            ? tr("Update order #{0} ({1})", [e.orderNo, Object.keys(e.patch || {}).join(", ")])
+                            : e.kind === "audit_append"
+                            ? tr("Audit entry: {0}", [tr(AUDIT_ACTIONS[e.entry?.action] || e.entry?.action || "")])
+                            : tr("Reserve order number #{0}", [e.orderNo])}
+                          {" "}• {tr("queued {0}", [uiTime(e.queuedAt)])}
+                          {e.attempts === 1
+                            ? <> • {tr("1 failed attempt")}</>
+                            : e.attempts
+                              ? <> • {tr("{0} failed attempts", [e.attempts])}</>
+                              : ""}
+                          {e.lastError && (
+                            <span style={{ color: "#c62828" }}> • {e.lastError}</span>
+                          )}
+                        </small>
+                        <button
+                          onClick={() => discardOutboxEntry(e.id)}
+                          style={{ marginInlineStart: 6, padding: "1px 6px", borderRadius: 4, border: `1px solid ${btnBorder}`, background: "transparent", color: "inherit", cursor: "pointer" }}
+                        >
+                          {tr("Discard")}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+            </div>
+          </div>
+        </div>
+      )}
+
+      {dialog && <AppDialog key={dialog.id} dialog={dialog} onClose={closeDialog} dark={dark} btnBorder={btnBorder} lang={uiLang} />}
+
+      {refundDraft && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0,0,0,.45)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 1000,
+          }}
+        >
+          <div
+            style={{
+              width: 560,
+              maxWidth: "95vw",
+              maxHeight: "90vh",
+              overflowY: "auto",
+              background: dark ? "#1e1e1e" : "#fff",
+              color: dark ? "#eee" : "#000",
+              borderRadius: 10,
+              padding: 16,
+            }}
+          >
+            <h3 style={{ marginTop: 0 }}>{tr("Refund — order #{0}", [refundDraft.orderNo])}</h3>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: "start", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Item")}</th>
+                  <th style={{ textAlign: "end", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Qty")}</th>
+                  <th style={{ textAlign: "end", padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Each")}</th>
+                  <th style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{tr("Restock?")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {refundDraft.lines.map((l) => (
+                  <tr key={l.lineIndex} style={{ opacity: l.maxQty > 0 ? 1 : 0.5 }}>
+                    <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}` }}>{l.name}</td>
+                    <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                      <input
+                        type="number"
+                        min={0}
+                        max={l.maxQty}
+                        value={l.qty}
+                        disabled={l.maxQty <= 0}
+                        onChange={(e) =>
+                          updateRefundLine(l.lineIndex, {
+                            qty: Math.max(0, Math.min(l.maxQty, Math.floor(Number(e.target.value || 0)))),
+                          })
+                        }
+                        style={{ width: 60, textAlign: "end" }}
+                      />{" "}
+                      / {l.maxQty}
+                    </td>
+                    <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "end" }}>
+                      E£{l.unitPrice.toFixed(2)}
+                    </td>
+                    <td style={{ padding: 6, borderBottom: `1px solid ${cardBorder}`, textAlign: "center" }}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={l.restock}
+                          onChange={(e) => updateRefundLine(l.lineIndex, { restock: e.target.checked })}
+                        />{" "}
+                        {l.restock ? tr("Restock") : tr("Waste")}
+                      </label>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div style={{ marginTop: 10 }}>
+              <strong>{tr("Refund total: {0}", [uiMoney(refundDraftTotal)])}</strong>
+            </div>
+
+            <div style={{ marginTop: 10 }}>
+              <div style={{ fontWeight: 700, marginBottom: 4 }}>{tr("Refund through")}</div>
+              {refundDraft.parts.map((part, idx) => (
+                <div key={idx} style={{ display: "flex", gap: 6, marginBottom: 6 }}>
+                  <select
+                    value={part.method}
+                    onChange={(e) => updateRefundPart(idx, { method: e.target.value })}
+                    style={{ padding: 6, borderRadius: 6, border: `1px solid ${btnBorder}` }}
+                  >
+                    {paymentMethods.map((m) => <option key={m} value={m}>{m}</option>)}
+                  </select>
+                  {refundDraft.parts.length > 1 ? (
+                    <input
+                      type="number"
+                      value={part.amount}
+                      onChange={(e) => updateRefundPart(idx, { amount: Number(e.target.value || 0) })}
+                      style={{ width: 100 }}
+                    />
+                  ) : (
+                    <span style={{ alignSelf: "center" }}>E£{refundDraftTotal.toFixed(2)}</span>
+                  )}
+                  {refundDraft.parts.length > 1 && (
+                    <button
+                      onClick={() =>
+                        setRefundDraft((d) => ({ ...d, parts: d.parts.filter((_, i) => i !== idx) }))
+                      }
+                      style={{ padding: "4px 8px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                onClick={() =>
+                  setRefundDraft((d) => ({
+                    ...d,
+                    parts: [
+                      ...d.parts.map((p) => (d.parts.length === 1 ? { ...p, amount: refundDraftTotal } : p)),
+                      { method: paymentMethods[0] || "Cash", amount: 0 },
+                    ],
+                  }))
+                }
+                style={{ padding: "4px 10px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+              >
+                {tr("+ Split refund")}
+              </button>
+              {refundDraft.parts.length > 1 && (
+                <small style={{ marginInlineStart: 8 }}>
+                  {tr("Remaining: {0}", [uiMoney(tenderRemaining(refundDraft.parts, refundDraftTotal))])}
+                </small>
+              )}
+            </div>
+
+            <label style={{ display: "block", marginTop: 10 }}>
+              {tr("Reason:")}{" "}
+              <input
+                type="text"
+                value={refundDraft.reason}
+                onChange={(e) => setRefundDraft((d) => ({ ...d, reason: e.target.value }))}
+                placeholder={tr("e.g., wrong burger")}
+                style={{ width: "70%" }}
+              />
+            </label>
+
+            <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 14 }}>
+              <button
+                onClick={() => setRefundDraft(null)}
+                style={{ padding: "6px 12px", borderRadius: 6, border: `1px solid ${btnBorder}`, cursor: "pointer" }}
+              >
+                {tr("Close")}
+              </button>
+              <button
+                onClick={confirmRefund}
+                style={{ background: "#8e24aa", color: "#fff", border: "none", borderRadius: 6, padding: "6px 12px", cursor: "pointer" }}
+              >
+                {tr("Refund (admin)")}
+              </button>
             </div>
           </div>
         </div>
@@ -0,0 +1,70 @@
+import {
+  buildEscPosReceipt,
+  buildReceiptHTML,
+  receiptFooterFor,
+  receiptItemName,
+  receiptLabel,
+  receiptMoneyFormatter,
+  toArabicDigits,
+} from "./App";
+
+describe("Arabic receipt helpers", () => {
+  it("converts digits and the decimal point", () => {
+    expect(toArabicDigits("Order 105.50")).toBe("Order ١٠٥٫٥٠");
+    expect(receiptMoneyFormatter("ar", true)(12.5)).toBe("١٢٫٥٠ ج.م");
+    expect(receiptMoneyFormatter("both", false)(12.5)).toBe("E£12.50");
+  });
+
+  it("picks labels and names per language", () => {
+    expect(receiptLabel("change", "en")).toBe("Change");
+    expect(receiptLabel("change", "ar")).toBe("الباقي");
+    expect(receiptLabel("change", "both")).toBe("Change / الباقي");
+    const item = { name: "Fries", nameAr: "بطاطس" };
+    expect(receiptItemName(item, "ar")).toEqual({ primary: "بطاطس", secondary: "" });
+    expect(receiptItemName(item, "both")).toEqual({ primary: "Fries", secondary: "بطاطس" });
+    expect(receiptItemName({ name: "Cola" }, "ar").primary).toBe("Cola");
+  });
+
+  it("uses the Arabic footer unless the order type has its own", () => {
+    const t = { language: "both", footerAr: "شكراً", footerByType: { Delivery: "Rate us" } };
+    expect(receiptFooterFor(t, "Take-Away")).toBe("Thank you for choosing TUX\nSee you soon\nشكراً");
+    expect(receiptFooterFor({ ...t, language: "ar" }, "Take-Away")).toBe("شكراً");
+    expect(receiptFooterFor(t, "Delivery")).toBe("Rate us");
+  });
+});
+
+describe("Arabic receipts", () => {
+  const order = {
+    orderNo: 12,
+    date: new Date(2024, 5, 15, 12, 30),
+    orderType: "Take-Away",
+    cart: [{ name: "Fries", nameAr: "بطاطس", price: 40, qty: 1, extras: [] }],
+    total: 40,
+  };
+
+  it("lays the HTML receipt out right-to-left", () => {
+    const html = buildReceiptHTML(order, 80, "Customer", { language: "ar", arabicDigits: true });
+    expect(html).toContain('<html dir="rtl" lang="ar">');
+    expect(html).toContain("بطاطس");
+    expect(html).toContain("#١٢");
+    expect(buildReceiptHTML(order, 80, "Customer", { language: "both" })).toContain(
+      '<div class="ar" dir="rtl">بطاطس</div>'
+    );
+  });
+
+  it("hands Arabic lines to the rasterizer for ESC/POS", () => {
+    const calls = [];
+    const rasterizeText = (opts) => {
+      calls.push(opts);
+      return new Uint8Array([0x1d, 0x76, 0x30, 0]);
+    };
+    buildEscPosReceipt(order, { template: { language: "ar" }, rasterizeText });
+    const item = calls.find((c) => c.text.includes("بطاطس"));
+    expect(item).toMatchObject({ right: "40.00 ج.م", rtl: true });
+    expect(calls.some((c) => c.text.startsWith("رقم الطلب"))).toBe(true);
+
+    calls.length = 0;
+    buildEscPosReceipt(order, { template: { language: "en" }, rasterizeText });
+    expect(calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,52 @@
+import { auditLogToCsv, auditValueText, makeAuditEntry, mergeAuditEntries, verifyAuditChain } from "./App";
+
+describe("audit log", () => {
+  const at = new Date("2024-06-01T10:00:00Z");
+  const chain = () => {
+    const a = makeAuditEntry(null, { device: "dev1", who: "Admin 1", role: "owner", action: "price.edit", target: "Classic", before: { price: 100 }, after: { price: 120 } }, at);
+    const b = makeAuditEntry(a, { device: "dev1", who: "Warda", role: "manager", action: "order.cancel", target: "#12", note: "Customer cancelled" }, at);
+    const c = makeAuditEntry(b, { device: "dev1", who: "Warda", role: "manager", action: "inventory.unlock", target: "Inventory" }, at);
+    return [a, b, c];
+  };
+
+  it("links each entry to the one before it", () => {
+    const [a, b] = chain();
+    expect(a).toMatchObject({ id: "dev1_000001", seq: 1, prevHash: "", at: "2024-06-01T10:00:00.000Z" });
+    expect(b.seq).toBe(2);
+    expect(b.prevHash).toBe(a.hash);
+    expect(a.hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(verifyAuditChain(chain())).toEqual([]);
+  });
+
+  it("spots edited and removed entries", () => {
+    const [a, b, c] = chain();
+    expect(verifyAuditChain([a, { ...b, after: { price: 1 } }, c])).toEqual([
+      { id: b.id, device: "dev1", seq: 2, problem: "edited" },
+    ]);
+    expect(verifyAuditChain([a, c])).toEqual([{ id: c.id, device: "dev1", seq: 3, problem: "missing" }]);
+    expect(verifyAuditChain([b, c])).toEqual([{ id: b.id, device: "dev1", seq: 2, problem: "missing" }]);
+  });
+
+  it("hashes the same after keys come back in another order", () => {
+    const [a] = chain();
+    const roundTrip = { ...a, before: { price: 100 }, after: { price: 120 } };
+    expect(verifyAuditChain([Object.fromEntries(Object.entries(roundTrip).reverse())])).toEqual([]);
+  });
+
+  it("checks each device's chain on its own and merges newest first", () => {
+    const [a, b] = chain();
+    const other = makeAuditEntry(null, { device: "dev2", who: "Hassan", action: "order.refund" }, new Date("2024-06-02T09:00:00Z"));
+    const merged = mergeAuditEntries([a, b], [b, other]);
+    expect(merged.map((e) => e.id)).toEqual(["dev2_000001", "dev1_000002", "dev1_000001"]);
+    expect(verifyAuditChain(merged)).toEqual([]);
+  });
+
+  it("formats values and exports CSV", () => {
+    const [a, b] = chain();
+    expect(auditValueText({ price: 100, by: null })).toBe("price: 100, by: —");
+    const csv = auditLogToCsv([a, b]).split("\n");
+    expect(csv[0]).toBe("At,Device,Seq,Who,Role,Action,Target,Before,After,Note,Prev hash,Hash");
+    expect(csv[1]).toContain(',"{""price"":100}","{""price"":120}",');
+    expect(csv[2]).toContain(",Customer cancelled,");
+  });
+});
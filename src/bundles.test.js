@@ -0,0 +1,60 @@
+import {
+  allocateBundleRevenue,
+  buildBundleComponents,
+  bundleUnitUses,
+  expandBundleLines,
+} from "./App";
+
+describe("meal bundles", () => {
+  const menu = [
+    { id: 1, name: "Classic", price: 120, uses: { 1: 1, 2: 1 } },
+    { id: 2, name: "Fries", price: 40, uses: { 5: 150 } },
+    { id: 3, name: "Cola", price: 40, uses: { 7: 1 } },
+    { id: 4, name: "Water", price: 20, uses: { 8: 1 } },
+  ];
+  const meal = {
+    id: 10,
+    name: "Classic Meal",
+    price: 170,
+    uses: { 9: 1 },
+    bundleSlots: [
+      { id: "main", name: "Burger", itemIds: [1] },
+      { id: "side", name: "Side", itemIds: [2] },
+      { id: "drink", name: "Drink", itemIds: [3, 4], defaultItemId: 3 },
+    ],
+  };
+
+  it("splits the meal price by the components' own prices", () => {
+    const { components, error } = buildBundleComponents(meal, { drink: 4 }, menu);
+    expect(error).toBe("");
+    expect(components.map((c) => [c.name, c.allocatedPrice])).toEqual([
+      ["Classic", 113.33],
+      ["Fries", 37.78],
+      ["Water", 18.89],
+    ]);
+    expect(allocateBundleRevenue(90, [{ price: 0 }, { price: 0 }]).map((c) => c.allocatedPrice)).toEqual([45, 45]);
+  });
+
+  it("rejects a choice that is not in the slot", () => {
+    expect(buildBundleComponents(meal, { drink: 2 }, menu).error).toMatch(/Drink/);
+  });
+
+  it("deducts every component's uses plus the meal's own", () => {
+    const { components } = buildBundleComponents(meal, {}, menu);
+    expect(bundleUnitUses(meal, components, menu)).toEqual({ 1: 1, 2: 1, 5: 150, 7: 1, 9: 1 });
+  });
+
+  it("reports meals as their components", () => {
+    const { components } = buildBundleComponents(meal, {}, menu);
+    const lines = expandBundleLines([
+      { id: 10, name: "Classic Meal", price: 170, qty: 2, components },
+      { id: 2, name: "Fries", price: 40, qty: 1 },
+    ]);
+    expect(lines.map((l) => [l.name, l.qty, l.price])).toEqual([
+      ["Classic", 2, 102],
+      ["Fries", 2, 34],
+      ["Cola", 2, 34],
+      ["Fries", 1, 40],
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+import { checkTotal, moveCheckLines, splitEvenly } from "./App";
+
+describe("open checks", () => {
+  const checks = [
+    {
+      id: "a",
+      table: "T1",
+      name: "T1",
+      lines: [
+        { name: "Classic", price: 100, qty: 1, extras: [{ name: "Cheese", price: 10 }] },
+        { name: "Fries", price: 40, qty: 2, extras: [] },
+        { name: "Cola", price: 25, qty: 1, extras: [] },
+      ],
+    },
+    { id: "b", table: "T2", name: "T2", lines: [] },
+  ];
+
+  it("totals a check including extras", () => {
+    expect(checkTotal(checks[0])).toBe(215);
+  });
+
+  it("transfers items to another check", () => {
+    const next = moveCheckLines(checks, "a", [1], "b");
+    expect(next[0].lines.map((l) => l.name)).toEqual(["Classic", "Cola"]);
+    expect(next[1].lines.map((l) => l.name)).toEqual(["Fries"]);
+    expect(checks[0].lines).toHaveLength(3);
+  });
+
+  it("splits items off into a new check", () => {
+    const next = moveCheckLines(checks, "a", [0, 2], null, { id: "c", table: "T1", name: "T1 · 2", lines: [] });
+    expect(next).toHaveLength(3);
+    expect(next[2].lines.map((l) => l.name)).toEqual(["Classic", "Cola"]);
+    expect(checkTotal(next[0])).toBe(80);
+  });
+
+  it("divides a bill evenly", () => {
+    expect(splitEvenly(100, 3)).toEqual([33.33, 33.33, 33.34]);
+    expect(splitEvenly(90, 2)).toEqual([45, 45]);
+  });
+});
@@ -0,0 +1,48 @@
+import { costPerUnitFromPurchases, purchaseLayersForInv } from "./App";
+
+const categories = [{ id: "meat-cat", name: "Meat" }];
+const purchases = [
+  { date: new Date(2024, 5, 1), categoryId: "meat-cat", unit: "kg", qty: 2, unitPrice: 300 },
+  { date: new Date(2024, 5, 8), categoryId: "meat-cat", unit: "kg", qty: 1, unitPrice: 360 },
+  { date: new Date(2024, 5, 5), ingredientId: "meat", unit: "g", qty: 1000, unitPrice: 0.33 },
+  { date: new Date(2024, 5, 9), ingredientId: "buns", unit: "piece", qty: 50, unitPrice: 2 },
+];
+const meat = (qty) => ({ id: "meat", name: "Meat", unit: "g", qty });
+
+describe("costing methods", () => {
+  it("turns matching purchases into layers in inventory units, oldest first", () => {
+    expect(purchaseLayersForInv(meat(0), purchases, categories).map((l) => [l.qty, l.unitCost])).toEqual([
+      [2000, 0.3],
+      [1000, 0.33],
+      [1000, 0.36],
+    ]);
+  });
+
+  it("weights the average by quantity", () => {
+    expect(costPerUnitFromPurchases(meat(0), purchases, categories, "average")).toBeCloseTo(0.3225);
+  });
+
+  it("costs FIFO at the oldest layer still on hand", () => {
+    expect(costPerUnitFromPurchases(meat(800), purchases, categories, "fifo")).toBeCloseTo(0.36);
+    expect(costPerUnitFromPurchases(meat(1500), purchases, categories, "fifo")).toBeCloseTo(0.33);
+    expect(costPerUnitFromPurchases(meat(3500), purchases, categories, "fifo")).toBeCloseTo(0.3);
+    expect(costPerUnitFromPurchases(meat(0), purchases, categories, "fifo")).toBeCloseTo(0.36);
+  });
+
+  it("costs FIFO from the oldest lot once untracked stock is used up", () => {
+    const lots = [
+      { id: "p_2", receivedAt: "2024-06-08T09:00:00.000Z", qty: 1000, unitCost: 0.36 },
+      { id: "p_1", receivedAt: "2024-06-05T09:00:00.000Z", qty: 200, unitCost: 0.33 },
+    ];
+    expect(costPerUnitFromPurchases({ ...meat(1200), lots }, purchases, categories, "fifo")).toBeCloseTo(0.33);
+    expect(costPerUnitFromPurchases({ ...meat(1000), lots: lots.slice(0, 1) }, purchases, categories, "fifo")).toBeCloseTo(0.36);
+    // 2500 g beyond the lot is older stock and goes first, so it sets the cost
+    expect(costPerUnitFromPurchases({ ...meat(3500), lots: lots.slice(0, 1) }, purchases, categories, "fifo")).toBeCloseTo(0.3);
+    expect(costPerUnitFromPurchases({ ...meat(3500), lots: [] }, purchases, categories, "fifo")).toBeCloseTo(0.3);
+  });
+
+  it("keeps the latest-purchase price as an option and skips items never bought", () => {
+    expect(costPerUnitFromPurchases(meat(0), purchases, categories, "latest")).toBeCloseTo(0.36);
+    expect(costPerUnitFromPurchases({ id: "cheese", name: "Cheese", unit: "slices" }, purchases, categories)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+jest.mock("jspdf", () => jest.fn().mockImplementation(() => ({})));
+jest.mock("jspdf-autotable", () => jest.fn());
+
+const App = require("./App").default;
+
+describe("admin PIN pad", () => {
+  afterEach(() => localStorage.clear());
+  const pressDigits = (digits) =>
+    digits.split("").forEach((d) => fireEvent.click(screen.getByRole("button", { name: d })));
+  const submitPin = async (digits) => {
+    pressDigits(digits);
+    fireEvent.click(screen.getByRole("button", { name: "OK" }));
+    await waitFor(() => expect(screen.getByRole("button", { name: "OK" })).toBeEnabled());
+  };
+  const openAdmin = async (pin) => {
+    fireEvent.click(screen.getByRole("button", { name: "Admin" }));
+    expect(await screen.findByRole("dialog")).toHaveTextContent("Admin PIN required");
+    pressDigits(pin);
+    fireEvent.click(screen.getByRole("button", { name: "OK" }));
+    return screen.findByRole("button", { name: "Lock Admin" });
+  };
+
+  it("masks the PIN and only unlocks Admin for a role allowed to open it", async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole("button", { name: "Admin" }));
+    expect(await screen.findByRole("dialog")).toHaveTextContent("Admin PIN required");
+
+    pressDigits("9999");
+    expect(screen.getByLabelText("PIN")).toHaveTextContent("••••");
+    fireEvent.click(screen.getByRole("button", { name: "OK" }));
+    await waitFor(() => expect(screen.getByRole("dialog")).toHaveTextContent("Invalid PIN."));
+
+    pressDigits("1111");
+    fireEvent.click(screen.getByRole("button", { name: "OK" }));
+    expect(await screen.findByRole("button", { name: "Lock Admin" })).toBeInTheDocument();
+    expect(screen.queryByRole("dialog")).toBeNull();
+  }, 20000);
+
+  it("locks PIN entry after repeated wrong PINs", async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole("button", { name: "Admin" }));
+    await screen.findByRole("dialog");
+    for (let i = 0; i < 5; i++) await submitPin("999");
+    expect(screen.getByRole("dialog")).toHaveTextContent("Too many wrong PINs. Try again in 5 min.");
+    await submitPin("1111");
+    expect(screen.getByRole("dialog")).toHaveTextContent("Too many wrong PINs.");
+  }, 30000);
+
+  it("offers owner setup in Admin and retires the shipped PINs once it is done", async () => {
+    localStorage.setItem("tux_pos_local_state_v1", JSON.stringify({ cloudEnabled: false }));
+    render(<App />);
+    await openAdmin("1111");
+    fireEvent.click(await screen.findByRole("button", { name: "Set owner PIN" }));
+    await submitPin("2580");
+    expect(await screen.findByRole("dialog")).toHaveTextContent("Enter the new PIN again");
+    pressDigits("2580");
+    fireEvent.click(screen.getByRole("button", { name: "OK" }));
+    await waitFor(() => expect(screen.queryByRole("button", { name: "Set owner PIN" })).toBeNull());
+
+    fireEvent.click(screen.getByRole("button", { name: "Lock Admin" }));
+    fireEvent.click(screen.getByRole("button", { name: "Admin" }));
+    await screen.findByRole("dialog");
+    await submitPin("2222");
+    expect(screen.getByRole("dialog")).toHaveTextContent("Invalid PIN.");
+    fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(await openAdmin("2580")).toBeInTheDocument();
+  }, 30000);
+
+  it("shows an error instead of hanging when the PIN can't be checked", async () => {
+    const webcrypto = global.crypto;
+    // plain http pages have no crypto.subtle, so hashed PINs can't be compared
+    Object.defineProperty(global, "crypto", { value: {}, configurable: true });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      localStorage.setItem("tux_pos_local_state_v1", JSON.stringify({ adminPins: { 1: "pbkdf2$100000$00$00" } }));
+      render(<App />);
+      fireEvent.click(screen.getByRole("button", { name: "Admin" }));
+      await screen.findByRole("dialog");
+      await submitPin("9999");
+      expect(screen.getByRole("dialog")).toHaveTextContent("PINs only work when the app is opened over https or on localhost.");
+    } finally {
+      Object.defineProperty(global, "crypto", { value: webcrypto, configurable: true });
+      console.warn.mockRestore();
+    }
+  });
+
+  it("resolves to nothing when cancelled", async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole("button", { name: "Admin" }));
+    await screen.findByRole("dialog");
+    fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(await screen.findByRole("button", { name: "Orders" })).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Lock Admin" })).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+import { computeOrderDiscounts, validatePromoCode } from "./App";
+
+describe("order discounts", () => {
+  const cart = [
+    { name: "Classic", price: 100, qty: 2, extras: [{ name: "Cheese", price: 10 }] },
+    { name: "Fries", price: 40, qty: 1, extras: [], discount: { type: "fixed", value: 15 } },
+  ];
+
+  it("applies line, promo and order discounts in turn", () => {
+    const result = computeOrderDiscounts(cart, {
+      promo: { code: "TUX10", type: "percent", value: 10 },
+      orderDiscount: { type: "fixed", value: 20, reason: "regular" },
+    });
+    expect(result.itemsSubtotal).toBe(260);
+    expect(result.discounts.map((d) => [d.kind, d.amount])).toEqual([
+      ["line", 15],
+      ["promo", 24.5],
+      ["order", 20],
+    ]);
+    expect(result.discountTotal).toBe(59.5);
+    expect(result.itemsTotal).toBe(200.5);
+  });
+
+  it("comps whatever is left and never goes negative", () => {
+    const result = computeOrderDiscounts(cart, {
+      orderDiscount: { type: "fixed", value: 1000 },
+      comp: { reason: "complaint", by: "Admin 1" },
+    });
+    expect(result.itemsTotal).toBe(0);
+    expect(result.discountTotal).toBe(260);
+    expect(result.discounts.find((d) => d.kind === "comp")).toBeUndefined();
+  });
+});
+
+describe("promo code validation", () => {
+  const now = new Date(2024, 5, 15, 12, 0, 0);
+
+  it("checks dates, usage limits and the active flag", () => {
+    const base = { code: "SUMMER", type: "percent", value: 10, uses: 0, maxUses: 2 };
+    expect(validatePromoCode({ ...base, validFrom: "2024-06-01", validTo: "2024-06-30" }, now)).toBe("");
+    expect(validatePromoCode({ ...base, validFrom: "2024-06-16" }, now)).toMatch(/starts/);
+    expect(validatePromoCode({ ...base, validTo: "2024-06-14" }, now)).toMatch(/expired/);
+    expect(validatePromoCode({ ...base, uses: 2 }, now)).toMatch(/usage limit/);
+    expect(validatePromoCode({ ...base, active: false }, now)).toMatch(/disabled/);
+    expect(validatePromoCode(null, now)).toMatch(/Unknown/);
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  buildEscPosReceipt,
+  createHttpPrintTransport,
+  escPosEncodeText,
+  escPosRasterFromPixels,
+  escPosRow,
+} from "./App";
+
+const has = (bytes, seq) => {
+  outer: for (let i = 0; i <= bytes.length - seq.length; i++) {
+    for (let j = 0; j < seq.length; j++) if (bytes[i + j] !== seq[j]) continue outer;
+    return true;
+  }
+  return false;
+};
+
+describe("ESC/POS receipt", () => {
+  const order = {
+    orderNo: 42,
+    date: new Date(2024, 5, 15, 12, 30),
+    worker: "Sara",
+    payment: "Cash",
+    orderType: "Take-Away",
+    cart: [{ name: "Classic", price: 100, qty: 2, extras: [{ name: "Cheese", price: 10 }] }],
+    discounts: [{ kind: "promo", code: "TUX10", type: "percent", value: 10, amount: 22 }],
+    total: 198,
+    cashReceived: 200,
+    changeDue: 2,
+  };
+
+  it("renders bold, double-height total, cut and drawer kick", () => {
+    const bytes = buildEscPosReceipt(order, { widthMm: 58, openDrawer: true });
+    expect(Array.from(bytes.slice(0, 2))).toEqual([0x1b, 0x40]);
+    expect(has(bytes, [0x1b, 0x45, 1])).toBe(true);
+    expect(has(bytes, [0x1d, 0x21, 0x01, ...escPosEncodeText("TOTAL")])).toBe(true);
+    expect(has(bytes, [0x1d, 0x56, 0x42, 0x00])).toBe(true);
+    expect(Array.from(bytes.slice(-5))).toEqual([0x1b, 0x70, 0x00, 0x19, 0xfa]);
+    const text = String.fromCharCode(...bytes);
+    expect(text).toContain("Promo TUX10 (10%)");
+    expect(text).toContain("Change");
+  });
+
+  it("skips the drawer kick unless asked", () => {
+    const bytes = buildEscPosReceipt(order);
+    expect(has(bytes, [0x1b, 0x70])).toBe(false);
+  });
+
+  it("lays rows out to the paper's column count", () => {
+    expect(escPosRow("2 x Classic", "E£200.00", 32)).toEqual([
+      "2 x Classic" + " ".repeat(13) + "E£200.00",
+    ]);
+    const wrapped = escPosRow("Double smash burger with extra pickles", "E£1.00", 32);
+    expect(wrapped).toHaveLength(2);
+    wrapped.forEach((l) => expect(l.length).toBeLessThanOrEqual(32));
+    expect(escPosEncodeText("E£ — ok")).toEqual([0x45, 0x9c, 0x20, 0x2d, 0x20, 0x6f, 0x6b]);
+  });
+});
+
+describe("ESC/POS raster logo", () => {
+  it("packs dark pixels MSB-first with a GS v 0 header", () => {
+    // 10×1: black, white, transparent black, then black again at x=9
+    const px = [
+      [0, 0, 0, 255],
+      [255, 255, 255, 255],
+      [0, 0, 0, 0],
+      ...Array(6).fill([255, 255, 255, 255]),
+      [0, 0, 0, 255],
+    ];
+    const bytes = escPosRasterFromPixels({ width: 10, height: 1, data: px.flat() });
+    expect(Array.from(bytes)).toEqual([0x1d, 0x76, 0x30, 0, 2, 0, 1, 0, 0x80, 0x40]);
+  });
+});
+
+describe("print transports", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it("POSTs raw bytes to the HTTP bridge and surfaces failures", async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    const bytes = new Uint8Array([0x1b, 0x40]);
+    await createHttpPrintTransport("http://localhost:9101/print", { printer: "front" }).send(bytes);
+    expect(global.fetch).toHaveBeenCalledWith("http://localhost:9101/print", {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream", "X-Printer": "front" },
+      body: bytes,
+    });
+
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+    await expect(createHttpPrintTransport("http://x/print").send(bytes)).rejects.toThrow(/503/);
+  });
+});
@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import { render } from "@testing-library/react";
+import { buildBundleComponents, tr, trNodes, uiDate, uiDir, uiMoney, uiText, validateModifierSelection, validatePromoCode } from "./App";
+
+describe("UI translations", () => {
+  it("looks up the English text and fills placeholders", () => {
+    expect(tr("Delete \"{0}\"?", ["Zone A"])).toBe('Delete "Zone A"?');
+    expect(tr("Cart", [], "ar")).toBe("السلة");
+    expect(tr("Delete \"{0}\"?", ["Zone A"], "ar")).toBe('حذف "Zone A"؟');
+    expect(tr("Not in the catalog", [], "ar")).toBe("Not in the catalog");
+    expect(uiDir("ar")).toBe("rtl");
+    expect(uiDir()).toBe("ltr");
+  });
+
+  it("has helpers build their messages with the caller's tr", () => {
+    const ar = uiText("ar");
+    const now = new Date(2024, 5, 15);
+    expect(validatePromoCode({ code: "SUMMER", validTo: "2024-06-14" }, now, ar.tr)).toBe(
+      "انتهت صلاحية كود الخصم SUMMER في 2024-06-14."
+    );
+    const item = {
+      modifierGroups: [{ id: "s", name: "Sauce", min: 0, max: 2, options: [{ id: "a" }, { id: "b" }, { id: "c" }] }],
+    };
+    expect(validateModifierSelection(item, { s: ["a", "b", "c"] }, ar.tr)).toBe("اختر 2 خيارات Sauce على الأكثر.");
+    expect(validateModifierSelection(item, { s: ["a", "b", "c"] })).toBe("Choose at most 2 Sauce options.");
+    const meal = { bundleSlots: [{ id: "d", name: "Drink", itemIds: [1], defaultItemId: 1 }] };
+    expect(buildBundleComponents(meal, {}, [], ar.tr).error).toBe(tr("{0}: item is no longer on the menu.", ["Drink"], "ar"));
+  });
+
+  it("formats money and dates for the chosen locale", () => {
+    expect(uiMoney(1234.5)).toBe("E£1,234.50");
+    expect(uiDate(new Date(2024, 5, 3))).toBe("03/06/24");
+    expect(uiMoney(12.5, "ar")).toBe("١٢٫٥٠ ج.م");
+    expect(uiText("ar").uiDate(new Date(2024, 5, 3))).toMatch(/^[٠-٩/‏]+$/);
+    expect(uiText("ar").uiDateTime(new Date(2024, 5, 3), "en")).toMatch(/^03\/06\/24/);
+  });
+
+  it("has an Arabic entry for every literal passed to tr in App.js", () => {
+    const src = fs.readFileSync(path.join(__dirname, "App.js"), "utf8");
+    const same = ["English", "English + العربية", "PIN", "QZ Tray (websocket)", "VIP", "🍔 TUX"];
+    const missing = trLiterals(src).filter((key) => !same.includes(key) && tr(key, [], "ar") === key);
+    expect(missing).toEqual([]);
+  });
+
+  it("keeps every key a whole sentence instead of a fragment glued to values", () => {
+    const src = fs.readFileSync(path.join(__dirname, "App.js"), "utf8");
+    const fragments = trLiterals(src).filter(
+      (key) =>
+        key !== key.trim() ||
+        /^[.,;:•]/.test(key) ||
+        /(\(|E£)$/.test(key) ||
+        key.split("(").length !== key.split(")").length
+    );
+    expect(fragments).toEqual([]);
+  });
+
+  it("lets the translation place the elements of a trNodes sentence", () => {
+    const { container } = render(<p>{trNodes("Started by {0} at {1}", [<b key="w">Mona</b>, <b key="t">09:00</b>], "ar")}</p>);
+    expect(container.innerHTML).toBe("<p>بدأها <b>Mona</b> في <b>09:00</b></p>");
+  });
+});
+
+function trLiterals(src) {
+  return [...src.matchAll(/\bt(?:r(?:Nodes)?)?\(("(?:[^"\\]|\\.)*")/g)].map((m) => JSON.parse(m[1]));
+}
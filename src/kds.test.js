@@ -0,0 +1,36 @@
+import {
+  allKdsItemsReady,
+  isKdsLocation,
+  kdsAgeLevel,
+  kdsItemsFor,
+  nextKdsItemState,
+  setKdsItemState,
+} from "./App";
+
+describe("kitchen display helpers", () => {
+  it("recognises the kitchen route", () => {
+    expect(isKdsLocation({ search: "?view=kds", hash: "" })).toBe(true);
+    expect(isKdsLocation({ search: "", hash: "#kds" })).toBe(true);
+    expect(isKdsLocation({ search: "?view=board", hash: "" })).toBe(false);
+  });
+
+  it("walks items through pending → started → ready", () => {
+    const order = { cart: [{ name: "Classic" }, { name: "Fries" }], kdsItems: [{ state: "started", startedAt: "t0" }] };
+    let items = kdsItemsFor(order);
+    expect(items.map((it) => it.state)).toEqual(["started", "pending"]);
+    expect(nextKdsItemState("ready")).toBe("pending");
+
+    const now = new Date("2024-03-01T12:00:00.000Z");
+    items = setKdsItemState(items, 0, "ready", now);
+    expect(items[0]).toEqual({ state: "ready", startedAt: "t0", readyAt: now.toISOString() });
+    expect(allKdsItemsReady(items)).toBe(false);
+    items = setKdsItemState(items, 1, "ready", now);
+    expect(allKdsItemsReady(items)).toBe(true);
+  });
+
+  it("colours tickets by age", () => {
+    expect(kdsAgeLevel(2)).toBe("ok");
+    expect(kdsAgeLevel(8)).toBe("warn");
+    expect(kdsAgeLevel(20)).toBe("late");
+  });
+});
@@ -0,0 +1,57 @@
+import { consumeLotsFifo, expiringLots, lotsTotal, trimLotsToQty, withStockAdded, withStockQty } from "./App";
+
+const lots = [
+  { id: "b", receivedAt: "2024-06-05T09:00:00.000Z", expiresAt: "2024-06-12", qty: 500, unitCost: 0.32 },
+  { id: "a", receivedAt: "2024-06-01T09:00:00.000Z", expiresAt: "2024-06-08", qty: 300, unitCost: 0.3 },
+];
+
+describe("inventory lots", () => {
+  it("consumes the oldest lot first and drops emptied lots", () => {
+    const { lots: left, taken } = consumeLotsFifo(lots, 400);
+    expect(taken).toEqual([
+      { id: "a", qty: 300, unitCost: 0.3 },
+      { id: "b", qty: 100, unitCost: 0.32 },
+    ]);
+    expect(left).toEqual([expect.objectContaining({ id: "b", qty: 400 })]);
+  });
+
+  it("trims lots down to the item qty and leaves untracked stock alone", () => {
+    expect(lotsTotal(trimLotsToQty({ qty: 650, lots }))).toBe(650);
+    expect(trimLotsToQty({ qty: 650, lots }).map((l) => [l.id, l.qty])).toEqual([
+      ["a", 150],
+      ["b", 500],
+    ]);
+    expect(trimLotsToQty({ qty: 1000, lots })).toBe(lots);
+  });
+
+  it("takes a deduction off the oldest lots when setting the qty", () => {
+    const item = { id: "meat", qty: 800, lots };
+    expect(withStockQty(item, 700).lots.map((l) => [l.id, l.qty])).toEqual([
+      ["a", 200],
+      ["b", 500],
+    ]);
+    expect(withStockQty(item, 900).lots).toBe(lots);
+    expect(withStockQty({ id: "buns", qty: 5 }, 3)).toEqual({ id: "buns", qty: 3 });
+  });
+
+  it("puts restocked qty back onto the newest lot", () => {
+    const item = { id: "meat", qty: 700, lots: [{ ...lots[0], qty: 400 }, { ...lots[1], qty: 300 }] };
+    const back = withStockAdded(item, 100);
+    expect(back.qty).toBe(800);
+    expect(back.lots.map((l) => [l.id, l.qty])).toEqual([
+      ["b", 500],
+      ["a", 300],
+    ]);
+    expect(withStockAdded({ id: "buns", qty: 3 }, 2)).toEqual({ id: "buns", qty: 5 });
+  });
+
+  it("lists lots expiring within the warning window, soonest first", () => {
+    const inventory = [{ id: "meat", name: "Meat", unit: "g", lots }];
+    const soon = expiringLots(inventory, new Date(2024, 5, 9), 3);
+    expect(soon.map((e) => [e.lot.id, e.daysLeft])).toEqual([
+      ["a", -1],
+      ["b", 3],
+    ]);
+    expect(expiringLots(inventory, new Date(2024, 5, 1), 3)).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  defaultModifierSelection,
+  mapOnlineModifiers,
+  modifierExtrasFor,
+  validateModifierSelection,
+} from "./App";
+
+describe("modifier groups", () => {
+  const burger = {
+    id: 1,
+    name: "Classic",
+    price: 100,
+    modifierGroups: [
+      {
+        id: "bun",
+        name: "Bun",
+        min: 1,
+        max: 1,
+        options: [
+          { id: "brioche", name: "Brioche", priceDelta: 0, uses: { 3: 1 }, isDefault: true },
+          { id: "lettuce", name: "Lettuce wrap", priceDelta: -5, uses: { 9: 2 } },
+        ],
+      },
+      {
+        id: "sauce",
+        name: "Sauces",
+        min: 0,
+        max: 2,
+        options: [
+          { id: "bbq", name: "BBQ", priceDelta: 5 },
+          { id: "mayo", name: "Garlic mayo", priceDelta: 5 },
+          { id: "hot", name: "Hot", priceDelta: 5 },
+        ],
+      },
+    ],
+  };
+
+  it("starts from defaults and enforces min/max", () => {
+    expect(defaultModifierSelection(burger)).toEqual({ bun: ["brioche"], sauce: [] });
+    expect(validateModifierSelection(burger, { bun: ["brioche"] })).toBe("");
+    expect(validateModifierSelection(burger, { bun: [] })).toMatch(/Bun/);
+    expect(validateModifierSelection(burger, { bun: ["brioche"], sauce: ["bbq", "mayo", "hot"] })).toMatch(
+      /at most 2/
+    );
+    expect(validateModifierSelection({ name: "Fries" }, {})).toBe("");
+  });
+
+  it("turns picks into priced extras carrying their own uses", () => {
+    const extras = modifierExtrasFor(burger, { bun: ["lettuce"], sauce: ["bbq"] });
+    expect(extras.map((e) => [e.name, e.price])).toEqual([
+      ["Bun: Lettuce wrap", -5],
+      ["Sauces: BBQ", 5],
+    ]);
+    expect(extras[0].uses).toEqual({ 9: 2 });
+    expect(extras[0].modifier).toEqual({ groupId: "bun", optionId: "lettuce" });
+  });
+
+  it("maps online options onto groups and fills required defaults", () => {
+    const { selection, prices, unmatched } = mapOnlineModifiers(burger, [
+      { name: "bbq", price: 6 },
+      { name: "Sauces: Hot" },
+      { name: "Extra cheese", price: 15 },
+    ]);
+    expect(selection).toEqual({ sauce: ["bbq", "hot"], bun: ["brioche"] });
+    expect(prices).toEqual({ "sauce:bbq": 6, "bun:brioche": 0 });
+    expect(unmatched).toEqual([{ name: "Extra cheese", price: 15 }]);
+  });
+});
@@ -0,0 +1,77 @@
+import { applyOutboxToOrders, renumberOutboxOrder } from "./App";
+
+describe("offline outbox overlay", () => {
+  it("adds queued orders and applies queued updates in order", () => {
+    const cloudOrders = [
+      { orderNo: 1, idemKey: "idk_a", done: false, voided: false, cart: [] },
+    ];
+    const queue = [
+      {
+        id: "ob_1",
+        kind: "order_create",
+        orderNo: 2,
+        idemKey: "idk_b",
+        order: {
+          orderNo: 2,
+          idemKey: "idk_b",
+          date: "2024-02-03T04:05:06.000Z",
+          done: false,
+          voided: false,
+          cart: [],
+        },
+      },
+      { id: "ob_2", kind: "order_update", orderNo: 1, idemKey: "idk_a", patch: { done: true } },
+      {
+        id: "ob_3",
+        kind: "order_update",
+        orderNo: 2,
+        idemKey: "idk_b",
+        patch: { voided: true, restockedAt: "2024-02-03T05:00:00.000Z" },
+      },
+      { id: "ob_4", kind: "counter_reserve", orderNo: 2 },
+    ];
+
+    const result = applyOutboxToOrders(cloudOrders, queue);
+
+    expect(result).toHaveLength(2);
+    expect(result[0].orderNo).toBe(2);
+    expect(result[0].date).toBeInstanceOf(Date);
+    expect(result[0].voided).toBe(true);
+    expect(result[0].restockedAt).toBeInstanceOf(Date);
+    expect(result[1].done).toBe(true);
+    expect(cloudOrders[0].done).toBe(false);
+  });
+
+  it("does not duplicate an order the cloud already has", () => {
+    const cloudOrders = [{ orderNo: 5, idemKey: "idk_x", cart: [] }];
+    const queue = [
+      {
+        id: "ob_1",
+        kind: "order_create",
+        orderNo: 5,
+        idemKey: "idk_x",
+        order: { orderNo: 5, idemKey: "idk_x", date: "2024-02-03T04:05:06.000Z", cart: [] },
+      },
+    ];
+    expect(applyOutboxToOrders(cloudOrders, queue)).toHaveLength(1);
+  });
+
+  it("moves the queued writes of a renumbered order to its new number", () => {
+    const queue = [
+      { id: "ob_1", kind: "counter_reserve", orderNo: 7, idemKey: "idk_a" },
+      {
+        id: "ob_2",
+        kind: "order_create",
+        orderNo: 7,
+        idemKey: "idk_a",
+        order: { orderNo: 7, idemKey: "idk_a", cart: [] },
+      },
+      { id: "ob_3", kind: "order_update", orderNo: 7, idemKey: "idk_b", patch: { done: true } },
+      { id: "ob_4", kind: "order_update", orderNo: 7, idemKey: "idk_a", patch: { done: true } },
+    ];
+    const out = renumberOutboxOrder(queue, { idemKey: "idk_a", orderNo: 7 }, 12);
+    expect(out.map((e) => e.orderNo)).toEqual([7, 12, 7, 12]);
+    expect(out[1].order).toMatchObject({ orderNo: 12, renumberedFrom: 7 });
+    expect(queue[1].order.orderNo).toBe(7);
+  });
+});
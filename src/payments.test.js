@@ -0,0 +1,38 @@
+import { cashChangeForTenders, collapseTenderParts, tenderRemaining } from "./App";
+
+describe("split tender helpers", () => {
+  it("merges repeated methods and drops empty rows", () => {
+    const parts = collapseTenderParts([
+      { method: "Cash", amount: 50 },
+      { method: "Card", amount: 30.5 },
+      { method: "", amount: 10 },
+      { method: "Instapay", amount: 0 },
+      { method: "Cash", amount: 20 },
+    ]);
+    expect(parts).toEqual([
+      { method: "Cash", amount: 70 },
+      { method: "Card", amount: 30.5 },
+    ]);
+  });
+
+  it("reports the remaining balance for three or more tenders", () => {
+    const parts = [
+      { method: "Cash", amount: 40 },
+      { method: "Card", amount: 35 },
+      { method: "Instapay", amount: 20 },
+    ];
+    expect(tenderRemaining(parts, 120)).toBe(25);
+    expect(tenderRemaining(parts, 95)).toBe(0);
+    expect(tenderRemaining(parts, 90)).toBe(-5);
+  });
+
+  it("gives change on the cash portion only", () => {
+    const parts = [
+      { method: "Card", amount: 60 },
+      { method: "Cash", amount: 40 },
+      { method: "Instapay", amount: 20 },
+    ];
+    expect(cashChangeForTenders(parts, 50)).toEqual({ cashPortion: 40, change: 10 });
+    expect(cashChangeForTenders(parts, 30).change).toBe(0);
+  });
+});
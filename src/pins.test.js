@@ -0,0 +1,43 @@
+import {
+  PIN_LOCKOUT_MS,
+  PIN_MAX_FAILURES,
+  hashPin,
+  isHashedPin,
+  nextPinLock,
+  pinHolder,
+  pinMatches,
+} from "./App";
+
+describe("PIN storage", () => {
+  it("stores salted PBKDF2 hashes that still match the PIN", async () => {
+    const a = await hashPin("1234");
+    const b = await hashPin("1234");
+    expect(isHashedPin(a)).toBe(true);
+    expect(a).not.toContain("1234");
+    expect(a).toMatch(/^pbkdf2\$100000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    expect(a).not.toBe(b);
+    expect(await pinMatches(a, "1234")).toBe(true);
+    expect(await pinMatches(b, " 1234 ")).toBe(true);
+    expect(await pinMatches(a, "4321")).toBe(false);
+    expect(await pinMatches("", "")).toBe(false);
+  });
+
+  it("still accepts plain PINs that haven't been migrated yet", async () => {
+    expect(isHashedPin("1234")).toBe(false);
+    expect(await pinMatches("1234", "1234")).toBe(true);
+    const staff = [{ name: "Warda", pin: await hashPin("3456"), role: "manager" }];
+    expect(await pinHolder("3456", staff, { 1: "2580" })).toEqual({ name: "Warda", role: "manager" });
+    expect(await pinHolder("2580", staff, { 1: await hashPin("2580") })).toEqual({ name: "Admin 1", role: "owner" });
+  });
+
+  it("locks out after repeated failures and resets on success", () => {
+    let lock = {};
+    for (let i = 1; i < PIN_MAX_FAILURES; i++) {
+      lock = nextPinLock(lock, false, 1000);
+      expect(lock).toEqual({ failures: i, lockedUntil: 0 });
+    }
+    lock = nextPinLock(lock, false, 1000);
+    expect(lock).toEqual({ failures: 0, lockedUntil: 1000 + PIN_LOCKOUT_MS });
+    expect(nextPinLock({ failures: 3, lockedUntil: 0 }, true)).toEqual({ failures: 0, lockedUntil: 0 });
+  });
+});
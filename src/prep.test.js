@@ -0,0 +1,47 @@
+import { computeCostBreakdown, inventoryUnitCost, isPrepItem, prepBatchLot, withLotAdded, withStockQty } from "./App";
+
+const inv = {
+  mayo: { id: "mayo", unit: "g", costPerUnit: 0.05 },
+  garlic: { id: "garlic", unit: "g", costPerUnit: 0.2 },
+  meat: { id: "meat", unit: "g", costPerUnit: 0.3 },
+  // 1000 g mayo + 50 g garlic -> 1000 g sauce
+  sauce: { id: "sauce", unit: "g", costPerUnit: 0, recipe: { yield: 1000, uses: { mayo: 1000, garlic: 50 } } },
+  // 10 patties from 1500 g meat and 100 g sauce
+  patty: { id: "patty", unit: "pcs", costPerUnit: 0, recipe: { yield: 10, uses: { meat: 1500, sauce: 100 } } },
+};
+
+describe("prep recipes", () => {
+  it("only treats items with a yield and ingredients as prep items", () => {
+    expect(isPrepItem(inv.sauce)).toBe(true);
+    expect(isPrepItem(inv.meat)).toBe(false);
+    expect(isPrepItem({ recipe: { yield: 0, uses: { meat: 1 } } })).toBe(false);
+  });
+
+  it("rolls ingredient costs up through nested prep items", () => {
+    expect(inventoryUnitCost("sauce", inv)).toBeCloseTo(0.06);
+    expect(inventoryUnitCost("patty", inv)).toBeCloseTo(45.6);
+    const burger = computeCostBreakdown({ uses: { patty: 1, sauce: 20 } }, inv);
+    expect(burger.ingredients).toBe(46.8);
+  });
+
+  it("falls back to the stored cost when a recipe loops", () => {
+    const loop = {
+      a: { id: "a", costPerUnit: 1, recipe: { yield: 1, uses: { b: 1 } } },
+      b: { id: "b", costPerUnit: 2, recipe: { yield: 1, uses: { a: 1 } } },
+    };
+    expect(inventoryUnitCost("a", loop)).toBe(1);
+  });
+
+  it("puts a batch on stock as its own lot, costed and dated from the recipe", () => {
+    const made = new Date(2024, 5, 10, 9, 0);
+    const sauce = { ...inv.sauce, qty: 200, recipe: { ...inv.sauce.recipe, shelfLifeDays: 3 } };
+    const lot = prepBatchLot(sauce, 1000, inventoryUnitCost("sauce", inv), made);
+    expect(lot).toMatchObject({ qty: 1000, unitCost: 0.06, expiresAt: "2024-06-13", receivedAt: made.toISOString() });
+    expect(prepBatchLot(inv.sauce, 1000, 0.06, made).expiresAt).toBeNull();
+
+    const stocked = withLotAdded(withStockQty(sauce, 200), lot);
+    expect(stocked.qty).toBe(1200);
+    // the 200 g made before lots existed goes first, then the batch
+    expect(withStockQty(stocked, 700).lots.map((l) => l.qty)).toEqual([700]);
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  buildEscPosReceipt,
+  DEFAULT_RECEIPT_TEMPLATE,
+  normalizeReceiptTemplate,
+  receiptFooterFor,
+} from "./App";
+
+describe("receipt template", () => {
+  it("fills gaps from the default and drops empty per-type footers", () => {
+    const t = normalizeReceiptTemplate({
+      title: "Smash Shack",
+      logo: "",
+      show: { cashBlock: false, note: "yes" },
+      footerByType: { Delivery: "Rate your rider!", "Dine-in": "  " },
+    });
+    expect(t.title).toBe("Smash Shack");
+    expect(t.address).toBe(DEFAULT_RECEIPT_TEMPLATE.address);
+    expect(t.logo).toBe("");
+    expect(t.show).toEqual({ paymentBreakdown: true, cashBlock: false, deliveryInfo: true, note: true });
+    expect(t.footerByType).toEqual({ Delivery: "Rate your rider!" });
+    expect(receiptFooterFor(t, "Delivery")).toBe("Rate your rider!");
+    expect(receiptFooterFor(t, "Take-Away")).toBe(DEFAULT_RECEIPT_TEMPLATE.footer);
+  });
+
+  it("drives the printed header, blocks and footer", () => {
+    const order = {
+      orderNo: 3,
+      date: new Date(2024, 5, 15, 12, 30),
+      orderType: "Delivery",
+      deliveryName: "Mona",
+      cart: [{ name: "Classic", price: 100, qty: 1, extras: [] }],
+      total: 100,
+      cashReceived: 100,
+      changeDue: 0,
+    };
+    const template = {
+      title: "Smash Shack",
+      show: { cashBlock: false, deliveryInfo: false },
+      footerByType: { Delivery: "Rate your rider!" },
+    };
+    const text = String.fromCharCode(...buildEscPosReceipt(order, { template }));
+    expect(text).toContain("Smash Shack");
+    expect(text).not.toContain("TUX");
+    expect(text).not.toContain("Cash Received");
+    expect(text).not.toContain("Mona");
+    expect(text).toContain("Rate your rider!");
+  });
+});
@@ -0,0 +1,28 @@
+import { lineRefundUnitPrice, orderRefundTotal, refundedQtyByLine } from "./App";
+
+describe("refund helpers", () => {
+  const order = {
+    itemsTotal: 180,
+    cart: [
+      { name: "Classic", price: 100, qty: 2, extras: [] },
+      { name: "Fries", price: 40, qty: 1, extras: [], discount: { type: "fixed", value: 20 } },
+    ],
+    refunds: [
+      { amount: 81.82, lines: [{ lineIndex: 0, qty: 1 }] },
+      { amount: 16.36, lines: [{ lineIndex: 1, qty: 1 }] },
+    ],
+  };
+
+  it("spreads order-level discounts over each line's refundable price", () => {
+    // lines net to 220, the order was paid 180 → each line refunds at 180/220
+    expect(lineRefundUnitPrice(order, 0)).toBe(81.82);
+    expect(lineRefundUnitPrice(order, 1)).toBe(16.36);
+    expect(lineRefundUnitPrice(order, 5)).toBe(0);
+  });
+
+  it("sums refunds and refunded quantities per line", () => {
+    expect(orderRefundTotal(order)).toBe(98.18);
+    expect(refundedQtyByLine(order)).toEqual({ 0: 1, 1: 1 });
+    expect(orderRefundTotal({})).toBe(0);
+  });
+});
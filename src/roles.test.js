@@ -0,0 +1,41 @@
+import { DEFAULT_ROLE_PERMISSIONS, hasOwnerPin, normalizeRolePermissions, pinHolder, roleCan } from "./App";
+
+describe("roles and permissions", () => {
+  it("fills missing roles with defaults and keeps the owner on everything", () => {
+    const m = normalizeRolePermissions({ cashier: ["void", "bogus"], owner: [] });
+    expect(m.cashier).toEqual(["void"]);
+    expect(m.manager).toEqual(DEFAULT_ROLE_PERMISSIONS.manager);
+    expect(m.owner).toContain("manageStaff");
+    expect(roleCan(m, "cashier", "void")).toBe(true);
+    expect(roleCan(m, "cashier", "refund")).toBe(false);
+    expect(roleCan(m, "nobody", "void")).toBe(false);
+  });
+
+  it("finds who a PIN belongs to", async () => {
+    const staff = [
+      { name: "Hassan", pin: "1234" },
+      { name: "Warda", pin: "3456", role: "manager" },
+    ];
+    const legacy = { 1: "2580", 2: "" };
+    expect(await pinHolder("1234", staff, legacy)).toEqual({ name: "Hassan", role: "cashier" });
+    expect(await pinHolder(" 3456 ", staff, legacy)).toEqual({ name: "Warda", role: "manager" });
+    expect(await pinHolder("2580", staff, legacy)).toEqual({ name: "Admin 1", role: "owner" });
+    expect(await pinHolder("9999", staff, legacy)).toBeNull();
+    expect(await pinHolder("", staff, legacy)).toBeNull();
+  });
+
+  it("retires the numbered admin PINs once someone is the owner", async () => {
+    const staff = [{ name: "Hassan", pin: "1234", role: "owner" }];
+    expect(await pinHolder("2580", staff, { 1: "2580" })).toBeNull();
+    expect(await pinHolder("1234", staff, { 1: "2580" })).toEqual({ name: "Hassan", role: "owner" });
+  });
+
+  it("keeps the shipped admin PINs working only until an owner PIN is set", async () => {
+    expect(await pinHolder("1111", [], { 1: "1111", 2: "2222" })).toEqual({ name: "Admin 1", role: "owner" });
+    expect(await pinHolder("1111", [], { 1: "1111", 2: "2580" })).toBeNull();
+    expect(await pinHolder("2580", [], { 1: "1111", 2: "2580" })).toEqual({ name: "Admin 2", role: "owner" });
+    expect(await hasOwnerPin([], { 1: "1111", 2: "" })).toBe(false);
+    expect(await hasOwnerPin([], { 1: "1111", 2: "2580" })).toBe(true);
+    expect(await hasOwnerPin([{ name: "Hassan", pin: "1234", role: "owner" }], {})).toBe(true);
+  });
+});
@@ -0,0 +1,33 @@
+import { computeReservedInventory, isDueForRelease, isOrderHeld } from "./App";
+
+describe("pre-orders", () => {
+  const due = new Date("2024-06-01T20:00:00.000Z");
+  const held = {
+    orderNo: 3,
+    scheduledFor: due,
+    releasedAt: null,
+    cart: [{ name: "Classic", qty: 2, uses: { 1: 2, 2: 2 } }],
+  };
+
+  it("holds scheduled orders until they are released", () => {
+    expect(isOrderHeld(held)).toBe(true);
+    expect(isOrderHeld({ ...held, releasedAt: new Date() })).toBe(false);
+    expect(isOrderHeld({ ...held, voided: true })).toBe(false);
+    expect(isOrderHeld({ orderNo: 4, cart: [] })).toBe(false);
+  });
+
+  it("becomes due the configured lead time before the promised time", () => {
+    expect(isDueForRelease(held, Date.parse("2024-06-01T19:29:00.000Z"), 30)).toBe(false);
+    expect(isDueForRelease(held, Date.parse("2024-06-01T19:30:00.000Z"), 30)).toBe(true);
+  });
+
+  it("reserves stock only for held orders", () => {
+    const orders = [
+      held,
+      { ...held, orderNo: 5, cart: [{ qty: 1, uses: { 1: 1 } }] },
+      { ...held, orderNo: 6, releasedAt: new Date() },
+      { orderNo: 7, cart: [{ qty: 1, uses: { 1: 5 } }] },
+    ];
+    expect(computeReservedInventory(orders)).toEqual({ 1: 3, 2: 2 });
+  });
+});
@@ -3,3 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+
+// jsdom has no Web Crypto or TextEncoder; PIN hashing needs both.
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
@@ -0,0 +1,81 @@
+import {
+  buildEscPosKitchenTicket,
+  normalizePrintStations,
+  receiptStamp,
+  routeKitchenTickets,
+} from "./App";
+
+describe("printer station routing", () => {
+  const stations = [
+    { id: "front", name: "Front counter", kind: "receipt", itemIds: [] },
+    { id: "grill", name: "Grill", kind: "kitchen", itemIds: [1, 2] },
+    { id: "fryer", name: "Fryer", kind: "kitchen", itemIds: [5] },
+    { id: "bar", name: "Bar", kind: "kitchen", itemIds: [9] },
+  ];
+  const order = {
+    orderNo: 7,
+    cart: [
+      { id: 1, name: "Classic", qty: 2, price: 100, extras: [{ name: "Cheese", price: 10 }] },
+      { id: 5, name: "Fries", qty: 1, price: 40, extras: [] },
+      {
+        id: 20,
+        name: "Classic meal",
+        qty: 1,
+        price: 170,
+        components: [
+          { id: 2, name: "Double" },
+          { id: 5, name: "Fries" },
+        ],
+      },
+    ],
+  };
+
+  it("sends each kitchen station only its own items", () => {
+    const tickets = routeKitchenTickets(order, stations);
+    expect(tickets.map((t) => t.station.id)).toEqual(["grill", "fryer"]);
+    const [grill, fryer] = tickets;
+    expect(grill.lines.map((l) => l.name)).toEqual(["Classic", "Classic meal"]);
+    expect(grill.lines[1].components.map((c) => c.name)).toEqual(["Double"]);
+    expect(fryer.lines.map((l) => l.name)).toEqual(["Fries", "Classic meal"]);
+    expect(fryer.lines[1].components.map((c) => c.name)).toEqual(["Fries"]);
+  });
+
+  it("falls back to the default stations", () => {
+    expect(normalizePrintStations(null).map((st) => st.id)).toEqual(["front", "grill", "fryer"]);
+    expect(normalizePrintStations([{ name: "Grill", kind: "weird" }])[0]).toEqual({
+      id: "st_0",
+      name: "Grill",
+      kind: "kitchen",
+      printer: "",
+      itemIds: [],
+    });
+  });
+});
+
+describe("kitchen tickets", () => {
+  const order = {
+    orderNo: 12,
+    date: new Date(2024, 5, 15, 12, 30),
+    orderType: "Dine-in",
+    note: "no onions",
+    cart: [{ id: 1, name: "Classic", qty: 2, price: 100, extras: [{ name: "Cheese", price: 10 }] }],
+  };
+
+  it("prints large items without prices and emphasizes extras and notes", () => {
+    const bytes = buildEscPosKitchenTicket(order, { widthMm: 80, station: { name: "Grill" } });
+    const text = String.fromCharCode(...bytes);
+    expect(text).toContain("GRILL");
+    expect(text).toContain("2 Classic");
+    expect(text).toContain("+ CHEESE");
+    expect(text).toContain("no onions");
+    expect(text).not.toContain("100");
+    expect(text).not.toContain("KITCHEN COPY");
+  });
+
+  it("stamps reprints", () => {
+    expect(receiptStamp("Customer")).toBe("");
+    expect(receiptStamp("Reprint")).toBe("REPRINT");
+    const bytes = buildEscPosKitchenTicket(order, { copy: "Kitchen copy" });
+    expect(String.fromCharCode(...bytes)).toContain("KITCHEN COPY");
+  });
+});
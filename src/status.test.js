@@ -0,0 +1,25 @@
+import { buildCustomerStatusBoard, customerStatusNumber } from "./App";
+
+describe("customer status board", () => {
+  const now = Date.parse("2024-05-01T12:00:00.000Z");
+  const orders = [
+    { orderNo: 7, date: "2024-05-01T11:50:00.000Z", done: false, deliveryName: "Sara", deliveryPhone: "0100" },
+    { orderNo: 5, date: "2024-05-01T11:40:00.000Z", done: false },
+    { orderNo: 4, date: "2024-05-01T11:30:00.000Z", done: true, doneAt: "2024-05-01T11:58:00.000Z" },
+    { orderNo: 3, date: "2024-05-01T11:20:00.000Z", done: true, doneAt: "2024-05-01T11:50:00.000Z" },
+    { orderNo: 2, date: "2024-05-01T11:10:00.000Z", done: false, voided: true },
+    { orderNo: 9, source: "online", channelOrderNo: "ON-4821", date: "2024-05-01T11:55:00.000Z", done: true, doneAt: "2024-05-01T11:59:00.000Z" },
+  ];
+
+  it("lists preparing oldest first and expires ready numbers", () => {
+    const board = buildCustomerStatusBoard(orders, now, 5);
+    expect(board.preparing).toEqual(["#5", "#7"]);
+    expect(board.ready).toEqual(["ON-4821", "#4"]);
+  });
+
+  it("only ever shows order numbers", () => {
+    const board = buildCustomerStatusBoard(orders, now, 5);
+    expect(JSON.stringify(board)).not.toMatch(/Sara|0100/);
+    expect(customerStatusNumber({ orderNo: 12 })).toBe("#12");
+  });
+});
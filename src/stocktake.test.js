@@ -0,0 +1,51 @@
+import { shrinkageReport, stocktakeLines } from "./App";
+
+const inventory = [
+  { id: "meat", name: "Meat", unit: "g", qty: 1000, costPerUnit: 0.3 },
+  { id: "cheese", name: "Cheese", unit: "slices", qty: 40, costPerUnit: 2 },
+  { id: "buns", name: "Buns", unit: "pcs", qty: 20, costPerUnit: 1.5 },
+];
+
+describe("stocktake", () => {
+  it("values the variance of counted items only", () => {
+    const lines = stocktakeLines(inventory, { meat: "900", cheese: "40", buns: "" }, { meat: "spoilage" });
+    expect(lines).toEqual([
+      expect.objectContaining({ id: "meat", expected: 1000, counted: 900, variance: -100, value: -30, reason: "spoilage" }),
+      expect.objectContaining({ id: "cheese", variance: 0, value: 0, reason: "" }),
+    ]);
+  });
+
+  it("defaults the reason to a miscount", () => {
+    const [line] = stocktakeLines(inventory, { buns: "22" });
+    expect(line).toMatchObject({ variance: 2, value: 3, reason: "miscount" });
+  });
+
+  it("compares with the qty snapshotted when the count was entered", () => {
+    // 1000 g expected at count time; 50 g sold since, so the live qty is 950
+    const live = inventory.map((it) => (it.id === "meat" ? { ...it, qty: 950 } : it));
+    const [line] = stocktakeLines(live, { meat: "900" }, {}, { meat: 1000 });
+    expect(line).toMatchObject({ expected: 1000, counted: 900, variance: -100, value: -30 });
+    expect(stocktakeLines(live, { meat: "900" })[0].variance).toBe(-50);
+  });
+
+  it("values a prep item's variance at its recipe cost", () => {
+    const sauce = { id: "sauce", name: "Sauce", unit: "g", qty: 500, costPerUnit: 9, recipe: { yield: 100, uses: { meat: 100 } } };
+    const [line] = stocktakeLines([...inventory, sauce], { sauce: "400" });
+    expect(line).toMatchObject({ variance: -100, costPerUnit: 0.3, value: -30 });
+  });
+
+  it("sums posted variances per item and per reason inside the period", () => {
+    const stocktakes = [
+      { at: new Date(2024, 5, 10).toISOString(), lines: stocktakeLines(inventory, { meat: "900" }, { meat: "theft" }) },
+      { at: new Date(2024, 5, 3).toISOString(), lines: stocktakeLines(inventory, { meat: "950", buns: "18" }) },
+      { at: new Date(2024, 4, 1).toISOString(), lines: stocktakeLines(inventory, { cheese: "0" }) },
+    ];
+    const r = shrinkageReport(stocktakes, new Date(2024, 5, 1), new Date(2024, 5, 30));
+    expect(r.items).toEqual([
+      { id: "meat", name: "Meat", unit: "g", qty: -150, value: -45, counts: 2 },
+      { id: "buns", name: "Buns", unit: "pcs", qty: -2, value: -3, counts: 1 },
+    ]);
+    expect(r.byReason).toEqual({ miscount: -18, spoilage: 0, theft: -30 });
+    expect(r.value).toBe(-48);
+  });
+});
@@ -0,0 +1,67 @@
+import { closeOpenBreaks, normalizePayRules, sessionBreakMinutes, workerTimesheet } from "./App";
+
+const at = (day, h, m = 0) => new Date(2024, 5, day, h, m).toISOString();
+const shift = (id, day, from, to, breaks = []) => ({
+  id,
+  name: "Hassan",
+  signInAt: at(day, from),
+  signOutAt: to == null ? null : at(day, to),
+  breaks,
+});
+// Sunday 2 June to Saturday 8 June 2024
+const weekStart = new Date(2024, 5, 2);
+const weekEnd = new Date(2024, 5, 8, 23, 59, 59);
+
+describe("worker timesheets", () => {
+  it("falls back to the defaults for bad pay rules", () => {
+    const r = normalizePayRules({ dailyOvertimeHours: "10", dailyOvertimeMultiplier: 0.5, minShiftHours: -1 });
+    expect(r.dailyOvertimeHours).toBe(10);
+    expect(r.dailyOvertimeMultiplier).toBe(1.5);
+    expect(r.minShiftHours).toBe(0);
+    expect(normalizePayRules(null).weeklyOvertimeHours).toBe(48);
+  });
+
+  it("leaves unpaid breaks out of the hours and keeps paid ones in", () => {
+    const s = shift("a", 3, 9, 17, [
+      { start: at(3, 12), end: at(3, 12, 30), paid: false },
+      { start: at(3, 15), end: at(3, 15, 15), paid: true },
+    ]);
+    expect(sessionBreakMinutes(s, weekStart, weekEnd)).toEqual({ paid: 15, unpaid: 30 });
+    const t = workerTimesheet([s], "Hassan", 10, { dailyOvertimeHours: 0 }, weekStart, weekEnd);
+    expect(t.hours).toBe(7.5);
+    expect(t.pay).toBe(75);
+  });
+
+  it("closes open breaks at sign-out", () => {
+    const out = closeOpenBreaks([{ start: at(3, 12), end: null, paid: true }], new Date(at(3, 12, 20)));
+    expect(out[0].end).toBe(at(3, 12, 20));
+  });
+
+  it("pays daily overtime past the daily threshold", () => {
+    const t = workerTimesheet([shift("a", 3, 8, 18)], "Hassan", 10, {}, weekStart, weekEnd);
+    expect(t.days).toEqual([
+      { day: "2024-06-03", hours: 10, regular: 8, dailyOvertime: 2, weeklyOvertime: 0 },
+    ]);
+    expect(t.pay).toBe(80 + 2 * 15);
+  });
+
+  it("counts regular hours past the weekly threshold once, as weekly overtime", () => {
+    const sessions = [2, 3, 4, 5, 6, 7, 8].map((d) => shift(`s${d}`, d, 9, 17));
+    const t = workerTimesheet(sessions, "Hassan", 10, {}, weekStart, weekEnd);
+    expect(t.hours).toBe(56);
+    expect(t.dailyOvertime).toBe(0);
+    expect(t.weeklyOvertime).toBe(8);
+    expect(t.days[6]).toMatchObject({ regular: 0, weeklyOvertime: 8 });
+    expect(t.pay).toBe(480 + 8 * 15);
+  });
+
+  it("pays closed short shifts the minimum but not open ones", () => {
+    const now = new Date(at(4, 10));
+    const sessions = [shift("a", 3, 9, 10), shift("b", 4, 9, null)];
+    const t = workerTimesheet(sessions, "Hassan", 10, { minShiftHours: 3 }, weekStart, weekEnd, now);
+    expect(t.rows.map((r) => [r.id, r.hours, r.minApplied])).toEqual([
+      ["a", 3, true],
+      ["b", 1, false],
+    ]);
+  });
+});
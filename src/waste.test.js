@@ -0,0 +1,60 @@
+import { wasteLines, wasteLinesForUses, wasteSummary } from "./App";
+
+const inventory = [
+  { id: "meat", name: "Meat", unit: "g", qty: 1000, costPerUnit: 0.3 },
+  { id: "buns", name: "Buns", unit: "pcs", qty: 20, costPerUnit: 1.5 },
+];
+const menu = [{ id: 1, name: "Classic", uses: { meat: 150, buns: 1, gone: 2 } }];
+
+describe("waste log", () => {
+  it("costs an inventory item at its cost per unit", () => {
+    expect(wasteLines({ kind: "inventory", id: "buns" }, 4, inventory, menu)).toEqual([
+      { invId: "buns", name: "Buns", unit: "pcs", qty: 4, costPerUnit: 1.5, cost: 6 },
+    ]);
+    expect(wasteLines({ kind: "inventory", id: "buns" }, 0, inventory, menu)).toEqual([]);
+  });
+
+  it("expands a menu item through its uses", () => {
+    const lines = wasteLines({ kind: "menu", id: "1" }, 2, inventory, menu);
+    expect(lines.map((l) => [l.invId, l.qty, l.cost])).toEqual([
+      ["meat", 300, 90],
+      ["buns", 2, 3],
+    ]);
+  });
+
+  it("costs the uses of returned order lines and skips unknown items", () => {
+    expect(wasteLinesForUses({ meat: 150, gone: 3 }, inventory)).toEqual([
+      { invId: "meat", name: "Meat", unit: "g", qty: 150, costPerUnit: 0.3, cost: 45 },
+    ]);
+  });
+
+  it("costs a prep item through its recipe, not a stored cost", () => {
+    const sauce = { id: "sauce", name: "Sauce", unit: "g", qty: 0, costPerUnit: 9, recipe: { yield: 100, uses: { meat: 100 } } };
+    const [line] = wasteLines({ kind: "inventory", id: "sauce" }, 10, [...inventory, sauce], menu);
+    expect(line).toMatchObject({ costPerUnit: 0.3, cost: 3 });
+  });
+
+  it("sums entries in the period per item, reason and day", () => {
+    const entry = (day, reason, source, qty) => {
+      const lines = wasteLines(source, qty, inventory, menu);
+      return { at: new Date(2024, 5, day, 12).toISOString(), reason, lines, cost: lines.reduce((s, l) => s + l.cost, 0) };
+    };
+    const log = [
+      entry(4, "dropped", { kind: "menu", id: 1 }, 1),
+      entry(3, "expired", { kind: "inventory", id: "buns" }, 10),
+      entry(3, "dropped", { kind: "inventory", id: "buns" }, 1),
+      entry(20, "expired", { kind: "inventory", id: "meat" }, 100),
+    ];
+    const w = wasteSummary(log, new Date(2024, 5, 1), new Date(2024, 5, 7, 23, 59));
+    expect(w.cost).toBe(63);
+    expect(w.items).toEqual([
+      { invId: "meat", name: "Meat", unit: "g", qty: 150, cost: 45 },
+      { invId: "buns", name: "Buns", unit: "pcs", qty: 12, cost: 18 },
+    ]);
+    expect(w.byReason).toMatchObject({ dropped: 48, expired: 15 });
+    expect(w.byDay).toEqual([
+      { day: "2024-06-03", expired: 15, dropped: 1.5 },
+      { day: "2024-06-04", dropped: 46.5 },
+    ]);
+  });
+});